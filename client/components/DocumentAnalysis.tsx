@@ -12,7 +12,11 @@ import {
   Volume2,
   ChevronDown,
   ChevronUp,
-  ExternalLink
+  ExternalLink,
+  BookOpen,
+  Scale,
+  GitCompare,
+  ClipboardCheck
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -22,6 +26,7 @@ import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/component
 import { Separator } from '@/components/ui/separator';
 import { api, realtime, createAudioFromBase64, downloadFile } from '@/lib/api';
 import VoiceQuery from './VoiceQuery';
+import DocumentComparison from './DocumentComparison';
 
 interface DocumentAnalysisProps {
   documentId: string;
@@ -35,6 +40,7 @@ export default function DocumentAnalysis({ documentId, initialData, className =
   const [error, setError] = useState<string | null>(null);
   const [expandedClauses, setExpandedClauses] = useState<Set<string>>(new Set());
   const [showVoiceQuery, setShowVoiceQuery] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
 
   useEffect(() => {
     if (!initialData) {
@@ -97,6 +103,17 @@ export default function DocumentAnalysis({ documentId, initialData, className =
     }
   };
 
+  const getPlaybookStatusColor = (status: string) => {
+    switch (status) {
+      case 'pass':
+        return 'bg-green-100 text-green-800 border-green-200 dark:bg-green-900/20 dark:text-green-300 dark:border-green-800';
+      case 'fail':
+        return 'bg-red-100 text-red-800 border-red-200 dark:bg-red-900/20 dark:text-red-300 dark:border-red-800';
+      default:
+        return 'bg-yellow-100 text-yellow-800 border-yellow-200 dark:bg-yellow-900/20 dark:text-yellow-300 dark:border-yellow-800';
+    }
+  };
+
   const toggleClause = (clauseType: string) => {
     const newExpanded = new Set(expandedClauses);
     if (newExpanded.has(clauseType)) {
@@ -185,8 +202,20 @@ export default function DocumentAnalysis({ documentId, initialData, className =
               Document Analysis
             </h2>
             <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">
-              {analysis.summary?.documentType || 'Legal Document'} • {analysis.summary?.wordCount || 0} words
+              {analysis.summary?.documentType || 'Legal Document'}
+              {analysis.summary?.classification?.confidence > 0 && ` (${Math.round(analysis.summary.classification.confidence * 100)}%)`}
+              {' '}• {analysis.summary?.wordCount || 0} words
             </p>
+            {analysis.summary?.classification?.secondary?.length > 0 && (
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                Also contains: {analysis.summary.classification.secondary.map((entry: any) => entry.label).join(', ')}
+              </p>
+            )}
+            {analysis.summary?.classification?.mentions?.length > 0 && (
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                Includes sections typical of: {analysis.summary.classification.mentions.map((entry: any) => entry.label).join(', ')}
+              </p>
+            )}
           </div>
           
           <div className="flex items-center gap-2">
@@ -207,6 +236,15 @@ export default function DocumentAnalysis({ documentId, initialData, className =
               <Mic className="h-4 w-4 mr-1" />
               Ask Question
             </Button>
+            <Button
+              onClick={() => setShowComparison(!showComparison)}
+              variant="outline"
+              size="sm"
+              className="rounded-full"
+            >
+              <GitCompare className="h-4 w-4 mr-1" />
+              Compare
+            </Button>
             <Button
               onClick={handleExport}
               variant="outline"
@@ -259,8 +297,11 @@ export default function DocumentAnalysis({ documentId, initialData, className =
             </div>
             <div className="space-y-1">
               {analysis.summary?.keyParties?.length ? 
-                analysis.summary.keyParties.slice(0, 3).map((party: string, idx: number) => (
-                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">{party}</p>
+                analysis.summary.keyParties.slice(0, 3).map((party: any, idx: number) => (
+                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">
+                    {typeof party === 'string' ? party : party.name}
+                    {party.role && <span className="text-slate-400"> ({party.role})</span>}
+                  </p>
                 )) : 
                 <p className="text-sm text-slate-400">Not identified</p>
               }
@@ -274,8 +315,14 @@ export default function DocumentAnalysis({ documentId, initialData, className =
             </div>
             <div className="space-y-1">
               {analysis.summary?.importantDates?.length ?
-                analysis.summary.importantDates.slice(0, 3).map((date: string, idx: number) => (
-                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">{date}</p>
+                analysis.summary.importantDates.slice(0, 3).map((entry: any, idx: number) => (
+                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">
+                    {typeof entry === 'string' ? entry : entry.date}
+                    {entry.type && entry.type !== 'other' && (
+                      <span className="text-slate-400"> ({entry.type.replace('_', ' ')})</span>
+                    )}
+                    {entry.ambiguous && <span className="text-amber-600" title={entry.ambiguities.join('; ')}> ?</span>}
+                  </p>
                 )) :
                 <p className="text-sm text-slate-400">No dates found</p>
               }
@@ -289,16 +336,40 @@ export default function DocumentAnalysis({ documentId, initialData, className =
             </div>
             <div className="space-y-1">
               {analysis.summary?.monetaryAmounts?.length ?
-                analysis.summary.monetaryAmounts.slice(0, 3).map((amount: string, idx: number) => (
-                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">{amount}</p>
+                analysis.summary.monetaryAmounts.slice(0, 3).map((amount: any, idx: number) => (
+                  <p key={idx} className="text-sm text-slate-600 dark:text-slate-300">
+                    {typeof amount === 'string' ? amount : amount.text}
+                    {amount.frequency && amount.frequency !== 'one_time' && (
+                      <span className="text-slate-400"> {amount.frequency}</span>
+                    )}
+                    {amount.type && amount.type !== 'other' && (
+                      <span className="text-slate-400"> ({amount.type.replace('_', ' ')})</span>
+                    )}
+                  </p>
                 )) :
                 <p className="text-sm text-slate-400">No amounts found</p>
               }
+              {analysis.summary?.contractValue?.totals?.map((total: any) => (
+                <p key={total.currency} className="text-sm font-medium text-slate-900 dark:text-white">
+                  Contract value: {total.amount.toLocaleString(undefined, { style: 'currency', currency: total.currency })}
+                  {analysis.summary.contractValue.termMonths && (
+                    <span className="font-normal text-slate-400"> over {analysis.summary.contractValue.termMonths} months</span>
+                  )}
+                </p>
+              ))}
             </div>
           </div>
         </div>
       </div>
 
+      {/* Redline against an earlier version */}
+      {showComparison && (
+        <DocumentComparison
+          documentId={documentId}
+          onClose={() => setShowComparison(false)}
+        />
+      )}
+
       {/* AI Summary */}
       {analysis.aiSummary && (
         <Card>
@@ -306,6 +377,11 @@ export default function DocumentAnalysis({ documentId, initialData, className =
             <CardTitle className="flex items-center gap-2">
               <MessageSquare className="h-5 w-5 text-blue-600" />
               AI Summary
+              {analysis.aiSummary.source === 'fallback' && (
+                <Badge variant="outline" className="ml-2 text-xs font-normal" title="The model did not return a structured summary">
+                  Unstructured
+                </Badge>
+              )}
             </CardTitle>
           </CardHeader>
           <CardContent>
@@ -321,10 +397,24 @@ export default function DocumentAnalysis({ documentId, initialData, className =
                     {analysis.aiSummary.overview}
                   </p>
                 </div>
-                {analysis.aiSummary.keyParties && (
+                {analysis.aiSummary.keyParties?.length > 0 && (
                   <div>
                     <h4 className="font-semibold text-slate-900 dark:text-white mb-2">Key Parties</h4>
-                    <p className="text-slate-700 dark:text-slate-300">{analysis.aiSummary.keyParties}</p>
+                    <p className="text-slate-700 dark:text-slate-300">
+                      {Array.isArray(analysis.aiSummary.keyParties)
+                        ? analysis.aiSummary.keyParties.join(', ')
+                        : analysis.aiSummary.keyParties}
+                    </p>
+                  </div>
+                )}
+                {analysis.aiSummary.risks?.length > 0 && (
+                  <div>
+                    <h4 className="font-semibold text-slate-900 dark:text-white mb-2">Risks</h4>
+                    <ul className="list-disc pl-5 space-y-1 text-slate-700 dark:text-slate-300">
+                      {analysis.aiSummary.risks.map((risk: string, idx: number) => (
+                        <li key={idx}>{risk}</li>
+                      ))}
+                    </ul>
                   </div>
                 )}
               </div>
@@ -333,6 +423,93 @@ export default function DocumentAnalysis({ documentId, initialData, className =
         </Card>
       )}
 
+      {/* Defined Terms */}
+      {analysis.definitions && analysis.definitions.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <BookOpen className="h-5 w-5 text-blue-600" />
+              Defined Terms ({analysis.definitions.length})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <dl className="space-y-3">
+              {analysis.definitions.map((entry: any) => (
+                <div key={entry.term}>
+                  <dt className="font-semibold text-sm text-slate-900 dark:text-white">
+                    {entry.term}
+                    <span className="ml-2 text-xs font-normal text-slate-500">
+                      used {entry.occurrences} {entry.occurrences === 1 ? 'time' : 'times'}
+                    </span>
+                  </dt>
+                  <dd className="text-sm text-slate-700 dark:text-slate-300">{entry.definition}</dd>
+                </div>
+              ))}
+            </dl>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Obligations by Party */}
+      {analysis.obligations && analysis.obligations.parties.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Scale className="h-5 w-5 text-blue-600" />
+              Obligations by Party
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {analysis.obligations.parties.map((entry: any) => (
+              <div key={`${entry.party}-${entry.role}`}>
+                <h4 className="font-semibold text-slate-900 dark:text-white mb-3">
+                  {entry.party || entry.role}
+                  {entry.party && entry.role && (
+                    <span className="ml-2 text-sm font-normal text-slate-500">({entry.role})</span>
+                  )}
+                </h4>
+                <div className="grid gap-4 md:grid-cols-3">
+                  {[
+                    ['obligations', 'Must'],
+                    ['permissions', 'May'],
+                    ['prohibitions', 'Must Not'],
+                  ].map(([list, label]) => (
+                    <div key={list}>
+                      <p className="text-xs font-medium uppercase text-slate-500 mb-2">
+                        {label} ({entry[list].length})
+                      </p>
+                      <ul className="space-y-2">
+                        {entry[list].map((item: any) => (
+                          <li
+                            key={`${item.start}-${item.verb}-${item.action}`}
+                            className="text-sm text-slate-700 dark:text-slate-300"
+                            title={item.text}
+                          >
+                            {item.action}
+                            {item.conditions.length > 0 && (
+                              <span className="block text-xs text-slate-500">{item.conditions.join('; ')}</span>
+                            )}
+                            {item.deadlines.length > 0 && (
+                              <span className="block text-xs text-orange-600">
+                                <Clock className="inline h-3 w-3 mr-1" />
+                                {item.deadlines.map((deadline: any) => deadline.date || deadline.text).join('; ')}
+                              </span>
+                            )}
+                            {item.clause?.number && (
+                              <span className="text-xs text-slate-400"> — clause {item.clause.number}</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Clauses Analysis */}
       {analysis.clauses && analysis.clauses.length > 0 && (
         <Card>
@@ -387,6 +564,28 @@ export default function DocumentAnalysis({ documentId, initialData, className =
                       </div>
                     )}
                     
+                    {clause.explanation && (
+                      <div>
+                        <h5 className="font-semibold text-sm text-slate-900 dark:text-white mb-2">
+                          What This Means
+                        </h5>
+                        <p className="text-sm text-slate-700 dark:text-slate-300">
+                          {clause.explanation}
+                        </p>
+                      </div>
+                    )}
+
+                    {clause.rationale && (
+                      <div>
+                        <h5 className="font-semibold text-sm text-slate-900 dark:text-white mb-2">
+                          Why It Matters
+                        </h5>
+                        <p className="text-sm text-slate-700 dark:text-slate-300">
+                          {clause.rationale}
+                        </p>
+                      </div>
+                    )}
+
                     {clause.plainLanguage && (
                       <div>
                         <h5 className="font-semibold text-sm text-slate-900 dark:text-white mb-2">
@@ -421,6 +620,37 @@ export default function DocumentAnalysis({ documentId, initialData, className =
         </Card>
       )}
 
+      {/* Missing Protections */}
+      {analysis.missingClauses && analysis.missingClauses.missing.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <AlertTriangle className="h-5 w-5 text-orange-600" />
+              Missing Protections ({analysis.missingClauses.missing.length} of {analysis.missingClauses.expected})
+            </CardTitle>
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              Standard for a {analysis.missingClauses.documentType} but not found in this document
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {analysis.missingClauses.missing.map((protection: any) => (
+              <div key={protection.id} className="rounded-lg border border-slate-200 dark:border-slate-700 p-3">
+                <div className="flex items-center gap-2 mb-1">
+                  <h4 className="font-medium text-slate-900 dark:text-white">{protection.title}</h4>
+                  <Badge className={getRiskColor(protection.importance)}>
+                    {protection.importance}
+                  </Badge>
+                </div>
+                <p className="text-sm text-slate-700 dark:text-slate-300">{protection.why}</p>
+                <p className="mt-1 text-xs text-blue-700 dark:text-blue-300">
+                  <strong>Recommendation:</strong> {protection.recommendation}
+                </p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Risk Assessment */}
       {analysis.riskAssessment && analysis.riskAssessment.length > 0 && (
         <Card>
@@ -460,7 +690,24 @@ export default function DocumentAnalysis({ documentId, initialData, className =
                       </span>
                     </div>
                     
-                    {risk.details && risk.details.length > 0 && (
+                    {risk.evidence && risk.evidence.length > 0 ? (
+                      <div className="text-xs text-slate-600 dark:text-slate-400">
+                        <strong>Evidence:</strong>
+                        <ul className="mt-1 space-y-1">
+                          {risk.evidence.map((item: any, idx: number) => (
+                            <li key={idx} className="flex items-start gap-2">
+                              <span className="font-mono text-slate-500">+{item.weight.toFixed(2)}</span>
+                              <span>
+                                {item.reason}
+                                {item.clause && ` (clause ${item.clause.number || item.clause.heading})`}
+                                {': '}
+                                <span className="italic">"{item.excerpt}"</span>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ) : risk.details && risk.details.length > 0 && (
                       <div className="text-xs text-slate-600 dark:text-slate-400">
                         <strong>Details:</strong> {risk.details.join(', ')}
                       </div>
@@ -479,6 +726,50 @@ export default function DocumentAnalysis({ documentId, initialData, className =
         </Card>
       )}
 
+      {/* Playbook */}
+      {analysis.playbook && analysis.playbook.results.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <ClipboardCheck className="h-5 w-5 text-blue-600" />
+              Playbook{analysis.playbook.playbook && `: ${analysis.playbook.playbook.name} v${analysis.playbook.playbook.version}`}
+            </CardTitle>
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              {analysis.playbook.summary.pass} passed • {analysis.playbook.summary.fail} failed • {analysis.playbook.summary.needs_review} to review
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {analysis.playbook.results.map((result: any) => (
+              <div key={result.id} className="rounded-lg border border-slate-200 dark:border-slate-700 p-3">
+                <div className="flex items-center gap-2 mb-1">
+                  <Badge className={getPlaybookStatusColor(result.status)}>
+                    {result.status.replace('_', ' ')}
+                  </Badge>
+                  <h4 className="font-medium text-slate-900 dark:text-white">{result.title}</h4>
+                  <Badge variant="outline" className="ml-auto">{result.severity}</Badge>
+                </div>
+                <p className="text-sm text-slate-700 dark:text-slate-300">{result.reason}</p>
+                {result.evidence.length > 0 && (
+                  <ul className="mt-1 space-y-1 text-xs text-slate-600 dark:text-slate-400">
+                    {result.evidence.map((item: any, idx: number) => (
+                      <li key={idx}>
+                        {item.clause && `Clause ${item.clause.number || item.clause.heading}: `}
+                        <span className="italic">"{item.excerpt || item.text}"</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {result.status !== 'pass' && result.recommendation && (
+                  <p className="mt-1 text-xs text-blue-700 dark:text-blue-300">
+                    <strong>Recommendation:</strong> {result.recommendation}
+                  </p>
+                )}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Recommendations */}
       {analysis.recommendations && analysis.recommendations.length > 0 && (
         <Card>
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { AlertTriangle, ArrowRight, GitCompare, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api } from '@/lib/api';
+
+interface DocumentComparisonProps {
+  documentId: string;
+  onClose?: () => void;
+  className?: string;
+}
+
+const STATUS_STYLES: Record<string, string> = {
+  added: 'bg-green-100 text-green-800 border-green-200 dark:bg-green-900/20 dark:text-green-300 dark:border-green-800',
+  removed: 'bg-red-100 text-red-800 border-red-200 dark:bg-red-900/20 dark:text-red-300 dark:border-red-800',
+  modified: 'bg-yellow-100 text-yellow-800 border-yellow-200 dark:bg-yellow-900/20 dark:text-yellow-300 dark:border-yellow-800',
+  unchanged: 'bg-slate-100 text-slate-800 border-slate-200 dark:bg-slate-900/20 dark:text-slate-300 dark:border-slate-800',
+};
+
+const DELETED = 'bg-red-100 text-red-800 line-through dark:bg-red-900/30 dark:text-red-300';
+const INSERTED = 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300';
+
+// Side-by-side redline of an earlier version (picked from the uploaded
+// documents) against this document
+export default function DocumentComparison({ documentId, onClose, className = '' }: DocumentComparisonProps) {
+  const [documents, setDocuments] = useState<any[]>([]);
+  const [baseDocumentId, setBaseDocumentId] = useState<string>('');
+  const [comparison, setComparison] = useState<any>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  useEffect(() => {
+    api.getAllDocuments()
+      .then((result) => setDocuments((result.data || []).filter((doc: any) => doc.id !== documentId)))
+      .catch(() => setError('Failed to load documents'));
+  }, [documentId]);
+
+  const compare = async () => {
+    if (!baseDocumentId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await api.compareDocuments(baseDocumentId, documentId);
+      setComparison(result.data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Comparison failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clauseLabel = (clause: any) =>
+    [clause?.number, clause?.heading].filter(Boolean).join(' ') || 'Preamble';
+
+  const formatDelta = (delta: number) => (delta > 0 ? `+${delta.toFixed(2)}` : delta.toFixed(2));
+
+  // One side of a row: the changed words of a modified clause, or the whole clause
+  const renderSide = (row: any, side: 'base' | 'revised') => {
+    const clause = row[side];
+    if (!clause) return null;
+
+    if (row.status === 'modified') {
+      const hidden = side === 'base' ? 'insert' : 'delete';
+      return row.changes
+        .filter((change: any) => change.type !== hidden)
+        .map((change: any, index: number) => (
+          <span key={index} className={change.type === 'delete' ? DELETED : change.type === 'insert' ? INSERTED : ''}>
+            {change.text}
+          </span>
+        ));
+    }
+
+    const highlight = row.status === 'added' ? INSERTED : row.status === 'removed' ? DELETED : '';
+    return <span className={highlight}>{clause.text}</span>;
+  };
+
+  const rows = (comparison?.clauses || []).filter((row: any) => showUnchanged || row.status !== 'unchanged' || row.renumbered);
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <GitCompare className="h-5 w-5 text-blue-600" />
+            Compare Versions
+          </CardTitle>
+          {onClose && (
+            <Button onClick={onClose} variant="ghost" size="sm">
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+          <Select value={baseDocumentId} onValueChange={setBaseDocumentId}>
+            <SelectTrigger className="sm:w-80">
+              <SelectValue placeholder="Earlier version to compare with" />
+            </SelectTrigger>
+            <SelectContent>
+              {documents.map((doc) => (
+                <SelectItem key={doc.id} value={doc.id}>
+                  {doc.original_name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={compare} disabled={!baseDocumentId || loading} className="rounded-full">
+            {loading ? 'Comparing…' : 'Compare'}
+          </Button>
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+            <AlertTriangle className="h-4 w-4" />
+            {error}
+          </div>
+        )}
+
+        {comparison && (
+          <>
+            {/* Summary */}
+            <div className="flex flex-wrap items-center gap-2">
+              {['added', 'removed', 'modified', 'unchanged'].map((status) => (
+                <Badge key={status} variant="outline" className={STATUS_STYLES[status]}>
+                  {comparison.summary[status]} {status}
+                </Badge>
+              ))}
+              <span className="ml-auto flex items-center gap-1 text-sm text-slate-700 dark:text-slate-300">
+                Overall risk: {comparison.overallRisk.base}
+                <ArrowRight className="h-3 w-3" />
+                <span
+                  className={
+                    comparison.overallRisk.change === 'increased'
+                      ? 'font-semibold text-red-600'
+                      : comparison.overallRisk.change === 'decreased'
+                        ? 'font-semibold text-green-600'
+                        : 'font-semibold'
+                  }
+                >
+                  {comparison.overallRisk.revised}
+                </span>
+              </span>
+            </div>
+
+            {comparison.categories.length > 0 && (
+              <div className="grid gap-2 sm:grid-cols-3">
+                {comparison.categories.map((category: any) => (
+                  <div key={category.category} className="rounded-lg border border-slate-200 p-3 text-sm dark:border-slate-700">
+                    <p className="font-medium capitalize text-slate-900 dark:text-white">{category.category}</p>
+                    <p className="text-slate-600 dark:text-slate-300">
+                      {category.base.score.toFixed(2)} → {category.revised.score.toFixed(2)}
+                      <span className={category.delta > 0 ? 'ml-2 text-red-600' : category.delta < 0 ? 'ml-2 text-green-600' : 'ml-2'}>
+                        ({formatDelta(category.delta)})
+                      </span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={showUnchanged}
+                onChange={(event) => setShowUnchanged(event.target.checked)}
+              />
+              Show unchanged clauses
+            </label>
+
+            {/* Redline */}
+            <div className="space-y-4">
+              <div className="hidden grid-cols-2 gap-4 text-xs font-medium uppercase text-slate-500 md:grid">
+                <p>Earlier version</p>
+                <p>This version</p>
+              </div>
+              {rows.map((row: any, index: number) => (
+                <div key={index} className="rounded-lg border border-slate-200 p-4 dark:border-slate-700">
+                  <div className="mb-3 flex flex-wrap items-center gap-2">
+                    <span className="font-semibold text-slate-900 dark:text-white">
+                      {clauseLabel(row.revised || row.base)}
+                    </span>
+                    <Badge variant="outline" className={STATUS_STYLES[row.status]}>
+                      {row.status}
+                    </Badge>
+                    {row.renumbered && (
+                      <Badge variant="outline">was {row.base.number}</Badge>
+                    )}
+                    {row.risk.delta !== 0 && (
+                      <span className={`text-xs ${row.risk.delta > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        Risk {formatDelta(row.risk.delta)}
+                      </span>
+                    )}
+                    {row.risk.factorsAdded.length > 0 && (
+                      <span className="text-xs text-slate-500">adds {row.risk.factorsAdded.join(', ').replace(/_/g, ' ')}</span>
+                    )}
+                    {row.risk.factorsRemoved.length > 0 && (
+                      <span className="text-xs text-slate-500">drops {row.risk.factorsRemoved.join(', ').replace(/_/g, ' ')}</span>
+                    )}
+                  </div>
+                  <div className="grid gap-4 text-sm leading-relaxed text-slate-700 dark:text-slate-300 md:grid-cols-2">
+                    <p className="whitespace-pre-wrap">{renderSide(row, 'base')}</p>
+                    <p className="whitespace-pre-wrap">{renderSide(row, 'revised')}</p>
+                  </div>
+                </div>
+              ))}
+              {rows.length === 0 && (
+                <p className="text-sm text-slate-500">The two versions have the same clauses.</p>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
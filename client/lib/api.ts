@@ -162,6 +162,20 @@ class APIClient {
     return this.request(`/analysis/${documentId}/risks`);
   }
 
+  async compareDocuments(baseDocumentId: string, revisedDocumentId: string, options?: any): Promise<any> {
+    return this.request('/analysis/compare', {
+      method: 'POST',
+      body: JSON.stringify({ baseDocumentId, revisedDocumentId, options }),
+    });
+  }
+
+  async checkPlaybook(documentId: string, playbook: string): Promise<any> {
+    return this.request(`/analysis/${documentId}/playbook`, {
+      method: 'POST',
+      body: JSON.stringify({ playbook }),
+    });
+  }
+
   async generatePlainLanguage(documentId: string, section?: string, clauseType?: string): Promise<any> {
     return this.request(`/analysis/${documentId}/plain-language`, {
       method: 'POST',
@@ -194,6 +208,70 @@ class APIClient {
     });
   }
 
+  // Stream the answer over Server-Sent Events. Aborting `signal` cancels
+  // generation on the server; the partial answer is still saved there.
+  async streamChatMessage(
+    documentId: string,
+    message: string,
+    sessionId: string,
+    handlers: {
+      onUserMessage?: (userMessage: any) => void;
+      onDelta: (delta: string) => void;
+      // The answer so far is discarded in favour of `text`
+      onReplace: (text: string) => void;
+      signal?: AbortSignal;
+    }
+  ): Promise<{ userMessage: any; aiResponse: any } | null> {
+    const response = await fetch(`${this.baseUrl}/chat/${documentId}/message`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+      },
+      body: JSON.stringify({ message, sessionId, messageType: 'user' }),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result: { userMessage: any; aiResponse: any } | null = null;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const raw of events) {
+          const event = raw.match(/^event: (.+)$/m)?.[1];
+          const data = raw.match(/^data: (.*)$/m)?.[1];
+          if (!event || !data) continue;
+
+          const payload = JSON.parse(data);
+          if (event === 'user') handlers.onUserMessage?.(payload.userMessage);
+          if (event === 'delta') handlers.onDelta(payload.delta);
+          if (event === 'replace') handlers.onReplace(payload.text);
+          if (event === 'complete') result = payload;
+          if (event === 'error') throw new Error(payload.message || payload.error);
+        }
+      }
+    } catch (error) {
+      if (handlers.signal?.aborted) return null;
+      throw error;
+    }
+
+    return result;
+  }
+
   async getChatHistory(documentId: string, sessionId: string, limit: number = 50, offset: number = 0): Promise<any> {
     const params = new URLSearchParams({
       sessionId,
@@ -21,7 +21,8 @@ import {
   Trash2,
   Loader2,
   RotateCcw,
-  Sparkles
+  Sparkles,
+  Square
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -84,8 +85,10 @@ export default function DocumentChat() {
   const [error, setError] = useState<string | null>(null);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [showVoiceQuery, setShowVoiceQuery] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const streamAbortRef = useRef<AbortController | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const textareaRef = useRef<HTMLTextAreaElement>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
@@ -99,6 +102,7 @@ export default function DocumentChat() {
   // Load documents on component mount
   useEffect(() => {
     loadDocuments();
+    return () => streamAbortRef.current?.abort();
   }, []);
 
   // Load chat sessions when document is selected
@@ -246,7 +250,7 @@ export default function DocumentChat() {
   };
 
   const sendMessage = async () => {
-    if (!inputMessage.trim() || !currentSession || !selectedDocument) return;
+    if (!inputMessage.trim() || !currentSession || !selectedDocument || isStreaming) return;
 
     const userMessage: Message = {
       id: Date.now().toString(),
@@ -255,41 +259,64 @@ export default function DocumentChat() {
       timestamp: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Placeholder the answer streams into
+    const assistantId = Date.now().toString() + '_ai';
+    const updateAssistant = (update: (message: Message) => Message) => {
+      setMessages(prev => prev.map(m => (m.id === assistantId ? update(m) : m)));
+    };
+
+    setMessages(prev => [
+      ...prev,
+      userMessage,
+      { id: assistantId, type: 'assistant', content: '', timestamp: new Date(), metadata: { streaming: true } }
+    ]);
     setInputMessage('');
 
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+    setIsStreaming(true);
+
     try {
-      const response = await api.sendChatMessage(
+      const result = await api.streamChatMessage(
         selectedDocument.id,
         inputMessage,
-        currentSession.sessionId
+        currentSession.sessionId,
+        {
+          signal: controller.signal,
+          onDelta: (delta) => updateAssistant(m => ({ ...m, content: m.content + delta })),
+          onReplace: (text) => updateAssistant(m => ({ ...m, content: text }))
+        }
       );
 
-      if (response.success) {
-        const { userMessage: savedUserMessage, aiResponse } = response.data;
-        
-        if (aiResponse) {
-          const assistantMessage: Message = {
-            id: Date.now().toString() + '_ai',
-            type: 'assistant',
-            content: aiResponse.response,
-            timestamp: new Date(),
-            metadata: {
+      const aiResponse = result?.aiResponse;
+      updateAssistant(m => ({
+        ...m,
+        content: aiResponse?.response ?? m.content,
+        metadata: aiResponse
+          ? {
               confidence: aiResponse.confidence,
               sources: aiResponse.sources,
-              suggestions: aiResponse.suggestions
+              suggestions: aiResponse.suggestions,
+              cancelled: aiResponse.cancelled
             }
-          };
-          
-          setMessages(prev => [...prev, assistantMessage]);
-        }
-      }
+          : { cancelled: true }
+      }));
+      // Stopped before anything arrived: drop the empty bubble
+      setMessages(prev => prev.filter(m => m.id !== assistantId || m.content));
     } catch (error) {
       console.error('Failed to send message:', error);
       setError('Failed to send message');
+      setMessages(prev => prev.filter(m => m.id !== assistantId || m.content));
+    } finally {
+      streamAbortRef.current = null;
+      setIsStreaming(false);
     }
   };
 
+  const stopStreaming = () => {
+    streamAbortRef.current?.abort();
+  };
+
   const startRecording = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -685,10 +712,15 @@ export default function DocumentChat() {
                               </div>
                             )}
                             <div className="flex-1">
-                              <p className="text-sm leading-relaxed">{message.content}</p>
+                              {message.metadata?.streaming && !message.content ? (
+                                <Loader2 className="h-4 w-4 animate-spin text-slate-400" />
+                              ) : (
+                                <p className="text-sm leading-relaxed whitespace-pre-wrap">{message.content}</p>
+                              )}
                               <div className="flex items-center justify-between mt-2">
                                 <span className="text-xs opacity-70">
                                   {message.timestamp.toLocaleTimeString()}
+                                  {message.metadata?.cancelled && ' · stopped'}
                                 </span>
                                 {message.metadata?.audioResponse && (
                                   <Button
@@ -757,14 +789,26 @@ export default function DocumentChat() {
                           <Mic className="h-4 w-4" />
                         )}
                       </Button>
-                      <Button
-                        onClick={sendMessage}
-                        disabled={!inputMessage.trim() || !selectedDocument || !currentSession}
-                        size="sm"
-                        className="rounded-full bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800"
-                      >
-                        <Send className="h-4 w-4" />
-                      </Button>
+                      {isStreaming ? (
+                        <Button
+                          onClick={stopStreaming}
+                          variant="outline"
+                          size="sm"
+                          className="rounded-full"
+                          title="Stop generating"
+                        >
+                          <Square className="h-4 w-4" />
+                        </Button>
+                      ) : (
+                        <Button
+                          onClick={sendMessage}
+                          disabled={!inputMessage.trim() || !selectedDocument || !currentSession}
+                          size="sm"
+                          className="rounded-full bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800"
+                        >
+                          <Send className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
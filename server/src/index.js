@@ -1,8 +1,9 @@
+// Load environment variables before any service reads them
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
-import dotenv from "dotenv";
 import rateLimit from "express-rate-limit";
 import { createServer } from "http";
 import { Server } from "socket.io";
@@ -14,13 +15,14 @@ import analysisRoutes from "./routes/analysis.js";
 import voiceRoutes from "./routes/voice.js";
 import chatRoutes from "./routes/chat.js";
 import healthRoutes from "./routes/health.js";
+import adminRoutes from "./routes/admin.js";
 
 // Import services
 import databaseService from "./services/databaseService.js";
 import { setupSocketHandlers } from "./services/socketService.js";
-
-// Load environment variables
-dotenv.config();
+import { terminateOcrProviders } from "./services/ocrService.js";
+import { getPatternLibrary } from "./services/patternLibrary.js";
+import { listPlaybooks } from "./services/playbookLibrary.js";
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -91,6 +93,7 @@ app.use("/api/documents", documentRoutes);
 app.use("/api/analysis", analysisRoutes);
 app.use("/api/voice", voiceRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -125,8 +128,31 @@ async function startServer() {
   try {
     // Initialize database
     await databaseService.initialize();
+
+    // Refuses to continue if a newer release has migrated the database
+    const schema = await databaseService.checkSchemaVersion();
+    if (schema.pending > 0) {
+      if (process.env.DATABASE_AUTO_MIGRATE === "false") {
+        throw new Error(
+          `Database has ${schema.pending} pending migration(s); run "pnpm migrate" first`,
+        );
+      }
+      await databaseService.migrate();
+    }
     logger.info("Database initialized successfully");
 
+    // Fail fast on an invalid clause pattern library
+    const patterns = getPatternLibrary();
+    logger.info(
+      `Pattern library loaded: ${patterns.packs.size} packs (${[...patterns.jurisdictions.keys()].join(", ") || "no jurisdictions"})`,
+    );
+
+    // Playbook rules name clause types, so they load after the patterns
+    const playbooks = listPlaybooks();
+    logger.info(
+      `Playbooks loaded: ${playbooks.map((playbook) => `${playbook.name}@${playbook.version}`).join(", ") || "none"}`,
+    );
+
     // Setup Socket.IO handlers
     setupSocketHandlers(io);
     logger.info("Socket.IO handlers setup complete");
@@ -138,7 +164,7 @@ async function startServer() {
         `📚 API Documentation available at http://localhost:${PORT}/api/health`,
       );
       logger.info(`🌍 Environment: ${process.env.NODE_ENV}`);
-      logger.info(`💾 Database: SQLite`);
+      logger.info(`💾 Database: ${databaseService.driver}`);
       logger.info(`🗣️  Chat & Voice features enabled`);
     });
   } catch (error) {
@@ -150,15 +176,23 @@ async function startServer() {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM signal received: closing HTTP server");
+  terminateOcrProviders().catch((error) =>
+    logger.warn("Failed to stop OCR workers:", error),
+  );
   server.close(() => {
     logger.info("HTTP server closed");
+    databaseService.close();
   });
 });
 
 process.on("SIGINT", () => {
   logger.info("SIGINT signal received: closing HTTP server");
+  terminateOcrProviders().catch((error) =>
+    logger.warn("Failed to stop OCR workers:", error),
+  );
   server.close(() => {
     logger.info("HTTP server closed");
+    databaseService.close();
   });
 });
 
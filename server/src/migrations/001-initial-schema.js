@@ -0,0 +1,84 @@
+// Documents, chat sessions/messages and voice sessions.
+// IF NOT EXISTS lets databases created before migrations existed adopt this
+// version without losing data.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY,
+      filename TEXT,
+      original_name TEXT,
+      mime_type TEXT,
+      file_size INTEGER,
+      file_path TEXT,
+      extracted_text TEXT,
+      confidence REAL,
+      pages INTEGER,
+      page_texts TEXT NOT NULL DEFAULT '[]',
+      outline TEXT NOT NULL DEFAULT '[]',
+      metadata TEXT NOT NULL DEFAULT '{}',
+      word_count INTEGER,
+      language TEXT NOT NULL DEFAULT 'en',
+      status TEXT NOT NULL DEFAULT 'uploaded',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+      session_id TEXT NOT NULL,
+      title TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (document_id, session_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      document_id TEXT NOT NULL,
+      message_type TEXT NOT NULL
+        CHECK (message_type IN ('user', 'assistant', 'system')),
+      content TEXT NOT NULL,
+      metadata TEXT NOT NULL DEFAULT '{}',
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (document_id, session_id)
+        REFERENCES chat_sessions (document_id, session_id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS voice_sessions (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+      session_id TEXT NOT NULL,
+      transcriptions TEXT NOT NULL DEFAULT '[]',
+      responses TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (document_id, session_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_documents_created_at
+      ON documents (created_at);
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_document_id
+      ON chat_sessions (document_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_session_id
+      ON chat_sessions (session_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_document_id
+      ON chat_messages (document_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id
+      ON chat_messages (session_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_voice_sessions_document_id
+      ON voice_sessions (document_id);
+    CREATE INDEX IF NOT EXISTS idx_voice_sessions_session_id
+      ON voice_sessions (session_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS voice_sessions;
+    DROP TABLE IF EXISTS chat_messages;
+    DROP TABLE IF EXISTS chat_sessions;
+    DROP TABLE IF EXISTS documents;
+  `);
+}
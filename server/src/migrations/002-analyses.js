@@ -0,0 +1,24 @@
+// Analysis runs, one row per run so earlier results stay available.
+// No foreign key on document_id: text can be analysed for documents that
+// were never stored through the upload route.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE analyses (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      overall_risk TEXT,
+      confidence REAL,
+      processing_time INTEGER,
+      result TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (document_id, version)
+    );
+
+    CREATE INDEX idx_analyses_document_id ON analyses (document_id, version);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS analyses;`);
+}
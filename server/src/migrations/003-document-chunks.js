@@ -0,0 +1,25 @@
+// Retrieval chunks cut along clause and section boundaries at upload time
+export function up(db) {
+  db.exec(`
+    CREATE TABLE document_chunks (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+      chunk_index INTEGER NOT NULL,
+      heading TEXT,
+      number TEXT,
+      page_number INTEGER,
+      start_offset INTEGER NOT NULL,
+      end_offset INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      embedding TEXT,
+      UNIQUE (document_id, chunk_index)
+    );
+
+    CREATE INDEX idx_document_chunks_document_id
+      ON document_chunks (document_id, chunk_index);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS document_chunks;`);
+}
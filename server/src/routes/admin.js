@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import winston from "winston";
+import {
+  PatternLibraryError,
+  getPatternLibrary,
+  getPatternPack,
+  listPatternPacks,
+  reloadPatternLibrary,
+} from "../services/patternLibrary.js";
+import {
+  PlaybookError,
+  getPlaybook,
+  getPlaybookLibrary,
+  listPlaybooks,
+  reloadPlaybooks,
+  savePlaybook,
+} from "../services/playbookLibrary.js";
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "admin-api" },
+});
+
+// Admin routes require ADMIN_API_KEY in X-Admin-Key, and are disabled
+// when no key is configured
+router.use((req, res, next) => {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) {
+    return res.status(503).json({
+      error: "Admin API disabled",
+      message: "Set ADMIN_API_KEY to enable the admin API",
+    });
+  }
+  if (!keysMatch(req.get("x-admin-key") || "", key)) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "A valid X-Admin-Key header is required",
+    });
+  }
+  next();
+});
+
+// Constant-time comparison; hashing first gives both sides the same length
+function keysMatch(given, expected) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// GET /api/admin/patterns - List loaded pattern packs
+router.get("/patterns", (req, res) => {
+  try {
+    const library = getPatternLibrary();
+    res.json({
+      success: true,
+      data: {
+        directory: library.directory,
+        loadedAt: library.loadedAt,
+        jurisdictions: [...library.jurisdictions.keys()],
+        packs: listPatternPacks(),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list pattern packs:", error);
+    res.status(500).json({
+      error: "Failed to list pattern packs",
+      message: error.message,
+      details: error.details,
+    });
+  }
+});
+
+// GET /api/admin/patterns/:name - Clause definitions of one pack
+router.get(
+  "/patterns/:name",
+  [param("name").matches(/^[a-z0-9][a-z0-9_-]*$/)],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const pack = getPatternPack(req.params.name);
+      if (!pack) {
+        return res.status(404).json({
+          error: "Pattern pack not found",
+          message: `No pattern pack named ${req.params.name}`,
+        });
+      }
+
+      res.json({ success: true, data: pack });
+    } catch (error) {
+      logger.error("Failed to get pattern pack:", error);
+      res.status(500).json({
+        error: "Failed to get pattern pack",
+        message: error.message,
+      });
+    }
+  },
+);
+
+// POST /api/admin/patterns/reload - Re-read packs from disk
+router.post("/patterns/reload", (req, res) => {
+  try {
+    const library = reloadPatternLibrary();
+    res.json({
+      success: true,
+      message: "Pattern library reloaded",
+      data: {
+        loadedAt: library.loadedAt,
+        jurisdictions: [...library.jurisdictions.keys()],
+        packs: listPatternPacks(),
+      },
+    });
+  } catch (error) {
+    if (error instanceof PatternLibraryError) {
+      // The previously loaded packs stay in use
+      logger.warn("Pattern library reload rejected:", error.message);
+      return res.status(422).json({
+        error: "Invalid pattern library",
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    logger.error("Pattern library reload failed:", error);
+    res.status(500).json({
+      error: "Pattern library reload failed",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/admin/playbooks - List loaded playbooks
+router.get("/playbooks", (req, res) => {
+  try {
+    const library = getPlaybookLibrary();
+    res.json({
+      success: true,
+      data: {
+        directory: library.directory,
+        loadedAt: library.loadedAt,
+        playbooks: listPlaybooks(),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list playbooks:", error);
+    res.status(500).json({
+      error: "Failed to list playbooks",
+      message: error.message,
+      details: error.details,
+    });
+  }
+});
+
+// GET /api/admin/playbooks/:name - Rules of one playbook
+router.get(
+  "/playbooks/:name",
+  [param("name").matches(/^[a-z0-9][a-z0-9_-]*$/)],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const playbook = getPlaybook(req.params.name);
+      if (!playbook) {
+        return res.status(404).json({
+          error: "Playbook not found",
+          message: `No playbook named ${req.params.name}`,
+        });
+      }
+
+      res.json({ success: true, data: playbook });
+    } catch (error) {
+      logger.error("Failed to get playbook:", error);
+      res.status(500).json({
+        error: "Failed to get playbook",
+        message: error.message,
+      });
+    }
+  },
+);
+
+// PUT /api/admin/playbooks/:name - Create or replace a playbook on disk
+router.put(
+  "/playbooks/:name",
+  [
+    param("name").matches(/^[a-z0-9][a-z0-9_-]*$/),
+    body("name")
+      .custom((value, { req }) => value === req.params.name)
+      .withMessage("Body name must match the playbook in the URL"),
+  ],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const playbook = savePlaybook(req.body);
+      logger.info(
+        `Playbook ${playbook.name} ${playbook.created ? "created" : "updated"} (version ${playbook.version})`,
+      );
+
+      res.status(playbook.created ? 201 : 200).json({
+        success: true,
+        message: `Playbook ${playbook.created ? "created" : "updated"}`,
+        data: playbook,
+      });
+    } catch (error) {
+      if (error instanceof PlaybookError) {
+        // Nothing was written, or the previous file was restored
+        logger.warn("Playbook save rejected:", error.message);
+        return res.status(422).json({
+          error: "Invalid playbook",
+          message: error.message,
+          details: error.details,
+        });
+      }
+
+      logger.error("Playbook save failed:", error);
+      res.status(500).json({
+        error: "Playbook save failed",
+        message: error.message,
+      });
+    }
+  },
+);
+
+// POST /api/admin/playbooks/reload - Re-read playbooks from disk
+router.post("/playbooks/reload", (req, res) => {
+  try {
+    const library = reloadPlaybooks();
+    res.json({
+      success: true,
+      message: "Playbooks reloaded",
+      data: {
+        loadedAt: library.loadedAt,
+        playbooks: listPlaybooks(),
+      },
+    });
+  } catch (error) {
+    if (error instanceof PlaybookError) {
+      // The previously loaded playbooks stay in use
+      logger.warn("Playbook reload rejected:", error.message);
+      return res.status(422).json({
+        error: "Invalid playbooks",
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    logger.error("Playbook reload failed:", error);
+    res.status(500).json({
+      error: "Playbook reload failed",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
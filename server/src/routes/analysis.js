@@ -3,12 +3,21 @@ import { body, param, query, validationResult } from 'express-validator';
 import winston from 'winston';
 
 import { analyzeDocument } from '../services/aiAnalyzer.js';
-import { 
-  getDocumentAnalysis, 
+import {
+  getDocumentAnalysis,
   saveDocumentAnalysis,
-  getVertexAIModel 
-} from '../services/googleCloud.js';
+  getAnalysisHistory,
+  deleteDocumentAnalyses
+} from '../services/analysisRepository.js';
 import { voiceQuerySystem } from '../services/voiceService.js';
+import { generateText } from '../services/llmService.js';
+import databaseService from '../services/databaseService.js';
+import { listJurisdictions } from '../services/patternLibrary.js';
+import { listRiskProfiles } from '../services/riskProfiles.js';
+import { compareDocuments } from '../services/documentComparer.js';
+import { getPlaybook } from '../services/playbookLibrary.js';
+import { checkPlaybook } from '../services/playbookChecker.js';
+import { filterObligations } from '../services/obligationExtractor.js';
 
 const router = express.Router();
 const logger = winston.createLogger({
@@ -17,6 +26,87 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'analysis-api' }
 });
 
+// GET /api/analysis/perspectives - Risk profiles accepted as options.perspective
+router.get('/perspectives', (req, res) => {
+  res.json({
+    success: true,
+    data: listRiskProfiles()
+  });
+});
+
+// POST /api/analysis/compare - Clause-by-clause redline between two documents
+router.post('/compare',
+  [
+    body('baseDocumentId').isUUID().withMessage('Invalid base document ID'),
+    body('revisedDocumentId').isUUID().withMessage('Invalid revised document ID')
+      .custom((value, { req }) => value !== req.body.baseDocumentId)
+      .withMessage('Base and revised documents must differ'),
+    body('options.jurisdiction').optional().isString()
+      .custom(value => listJurisdictions().includes(value.toUpperCase()))
+      .withMessage(() => `Unknown jurisdiction (available: ${listJurisdictions().join(', ')})`),
+    body('options.dayFirst').optional().isBoolean(),
+    body('options.perspective').optional().isString()
+      .custom(value => listRiskProfiles().some(profile => profile.id === value.toLowerCase()))
+      .withMessage(() => `Unknown perspective (available: ${listRiskProfiles().map(profile => profile.id).join(', ')})`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { baseDocumentId, revisedDocumentId, options = {} } = req.body;
+      const [base, revised] = await Promise.all([
+        databaseService.getDocument(baseDocumentId),
+        databaseService.getDocument(revisedDocumentId)
+      ]);
+
+      for (const [documentId, document] of [[baseDocumentId, base], [revisedDocumentId, revised]]) {
+        if (!document) {
+          return res.status(404).json({
+            error: 'Document not found',
+            message: `Document with ID ${documentId} does not exist`
+          });
+        }
+        if (!document.extracted_text?.trim()) {
+          return res.status(422).json({
+            error: 'Document has no text',
+            message: `No text was extracted from document ${documentId}`
+          });
+        }
+      }
+
+      const comparison = await compareDocuments(
+        { text: base.extracted_text, outline: base.outline },
+        { text: revised.extracted_text, outline: revised.outline },
+        options
+      );
+
+      logger.info(`Compared ${baseDocumentId} with ${revisedDocumentId}: overall risk ${comparison.overallRisk.change}`);
+
+      res.json({
+        success: true,
+        data: {
+          baseDocumentId,
+          revisedDocumentId,
+          ...comparison
+        }
+      });
+
+    } catch (error) {
+      logger.error('Document comparison failed:', error);
+      res.status(500).json({
+        error: 'Document comparison failed',
+        message: error.message
+      });
+    }
+  }
+);
+
 // POST /api/analysis/:documentId/analyze - Analyze document
 router.post('/:documentId/analyze',
   [
@@ -25,6 +115,16 @@ router.post('/:documentId/analyze',
     body('options.includeRiskAssessment').optional().isBoolean(),
     body('options.generatePlainLanguage').optional().isBoolean(),
     body('options.extractInsights').optional().isBoolean(),
+    body('options.jurisdiction').optional().isString()
+      .custom(value => listJurisdictions().includes(value.toUpperCase()))
+      .withMessage(() => `Unknown jurisdiction (available: ${listJurisdictions().join(', ')})`),
+    body('options.dayFirst').optional().isBoolean(),
+    body('options.perspective').optional().isString()
+      .custom(value => listRiskProfiles().some(profile => profile.id === value.toLowerCase()))
+      .withMessage(() => `Unknown perspective (available: ${listRiskProfiles().map(profile => profile.id).join(', ')})`),
+    body('options.playbook').optional().isString()
+      .custom(value => getPlaybook(value) !== null)
+      .withMessage('Unknown playbook'),
   ],
   async (req, res) => {
     try {
@@ -50,16 +150,20 @@ router.post('/:documentId/analyze',
 
       const startTime = Date.now();
 
+      // Word uploads carry an outline so clauses can cite real section numbers
+      const document = await databaseService.getDocument(documentId);
+
       // Perform comprehensive analysis
       const analysis = await analyzeDocument(text, {
         includeRiskAssessment: options.includeRiskAssessment !== false,
         generatePlainLanguage: options.generatePlainLanguage !== false,
         extractInsights: options.extractInsights !== false,
-        ...options
+        ...options,
+        outline: document?.outline || []
       });
 
-      // Save analysis to database
-      await saveDocumentAnalysis(documentId, analysis);
+      // Save analysis to database as a new run
+      const run = await saveDocumentAnalysis(documentId, analysis);
 
       // Set document context for voice queries
       voiceQuerySystem.setDocumentContext(documentId, text, analysis);
@@ -79,17 +183,12 @@ router.post('/:documentId/analyze',
         message: 'Document analysis completed successfully',
         data: {
           documentId,
+          // The whole run, as GET /:documentId returns it
           analysis: {
-            summary: analysis.summary,
-            clauses: analysis.clauses,
-            riskAssessment: analysis.riskAssessment,
-            keyInsights: analysis.keyInsights,
-            plainLanguage: analysis.plainLanguage,
-            aiSummary: analysis.aiSummary,
-            recommendations: analysis.recommendations,
-            processingTime: analysis.processingTime,
-            confidence: analysis.confidence,
-            metadata: analysis.metadata
+            ...analysis,
+            id: run.id,
+            version: run.version,
+            createdAt: run.createdAt
           }
         },
         timestamp: new Date().toISOString()
@@ -113,9 +212,12 @@ router.post('/:documentId/analyze',
   }
 );
 
-// GET /api/analysis/:documentId - Get analysis results
+// GET /api/analysis/:documentId - Get analysis results (latest run by default)
 router.get('/:documentId',
-  [param('documentId').isUUID().withMessage('Invalid document ID')],
+  [
+    param('documentId').isUUID().withMessage('Invalid document ID'),
+    query('version').optional().isInt({ min: 1 }).toInt().withMessage('Version must be a positive integer'),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -127,12 +229,15 @@ router.get('/:documentId',
       }
 
       const { documentId } = req.params;
-      const analysis = await getDocumentAnalysis(documentId);
+      const { version } = req.query;
+      const analysis = await getDocumentAnalysis(documentId, version);
 
       if (!analysis) {
         return res.status(404).json({
           error: 'Analysis not found',
-          message: `No analysis found for document ID: ${documentId}`
+          message: version
+            ? `No analysis version ${version} found for document ID: ${documentId}`
+            : `No analysis found for document ID: ${documentId}`
         });
       }
 
@@ -140,10 +245,7 @@ router.get('/:documentId',
         success: true,
         data: {
           documentId,
-          analysis: {
-            id: analysis.id,
-            ...analysis
-          }
+          analysis
         }
       });
 
@@ -157,6 +259,41 @@ router.get('/:documentId',
   }
 );
 
+// GET /api/analysis/:documentId/history - List previous analysis runs
+router.get('/:documentId/history',
+  [param('documentId').isUUID().withMessage('Invalid document ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentId } = req.params;
+      const runs = await getAnalysisHistory(documentId);
+
+      res.json({
+        success: true,
+        data: {
+          documentId,
+          totalRuns: runs.length,
+          runs
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to retrieve analysis history:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve analysis history',
+        message: error.message
+      });
+    }
+  }
+);
+
 // POST /api/analysis/:documentId/query - Query document with text
 router.post('/:documentId/query',
   [
@@ -253,6 +390,10 @@ router.get('/:documentId/clauses',
         clauses = clauses.filter(clause => clause.riskLevel === riskLevel);
       }
 
+      // Clause tree, pruned to the branches holding the filtered clause types
+      const visibleTypes = new Set(clauses.map(clause => clause.type));
+      const structure = analysis.structure?.clauses || [];
+
       res.json({
         success: true,
         data: {
@@ -263,12 +404,19 @@ router.get('/:documentId/clauses',
             type: clause.type,
             title: clause.title,
             riskLevel: clause.riskLevel,
+            rationale: clause.rationale,
+            explanation: clause.explanation,
             matches: clause.matches,
             summary: clause.summary,
             plainLanguage: clause.plainLanguage,
             recommendations: clause.recommendations,
-            content: clause.content
-          }))
+            content: clause.content,
+            sections: clause.sections || []
+          })),
+          structure: type || riskLevel ? pruneStructure(structure, visibleTypes) : structure,
+          definitions: analysis.definitions || analysis.structure?.definitions || [],
+          // Standard protections for the document type that were not found
+          missing: analysis.missingClauses?.missing || []
         }
       });
 
@@ -282,6 +430,12 @@ router.get('/:documentId/clauses',
   }
 );
 
+function pruneStructure(nodes, types) {
+  return nodes
+    .map(node => ({ ...node, children: pruneStructure(node.children || [], types) }))
+    .filter(node => node.children.length > 0 || (node.types || []).some(t => types.has(t)));
+}
+
 // GET /api/analysis/:documentId/risks - Get risk assessment details
 router.get('/:documentId/risks',
   [param('documentId').isUUID().withMessage('Invalid document ID')],
@@ -314,6 +468,11 @@ router.get('/:documentId/risks',
           medium: analysis.riskAssessment?.filter(r => r.level === 'medium').length || 0,
           low: analysis.riskAssessment?.filter(r => r.level === 'low').length || 0
         },
+        // Every score contribution with its clause and character span,
+        // heaviest first; analyses from before evidence was recorded have none
+        evidence: (analysis.riskAssessment || [])
+          .flatMap(risk => risk.evidence || [])
+          .sort((a, b) => b.weight - a.weight || a.start - b.start),
         recommendations: analysis.recommendations || [],
         confidence: analysis.confidence || 0
       };
@@ -336,6 +495,123 @@ router.get('/:documentId/risks',
   }
 );
 
+// POST /api/analysis/:documentId/playbook - Check the latest analysis against a playbook
+router.post('/:documentId/playbook',
+  [
+    param('documentId').isUUID().withMessage('Invalid document ID'),
+    body('playbook').isString()
+      .custom(value => getPlaybook(value) !== null)
+      .withMessage('Unknown playbook'),
+    // Rule patterns run over the whole document, so only playbooks saved
+    // through the admin API are accepted
+    body('rules').not().exists()
+      .withMessage('Inline rules are not accepted; save them as a playbook with PUT /api/admin/playbooks/:name'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentId } = req.params;
+      const playbook = getPlaybook(req.body.playbook);
+
+      const [analysis, document] = await Promise.all([
+        getDocumentAnalysis(documentId),
+        databaseService.getDocument(documentId)
+      ]);
+
+      if (!analysis) {
+        return res.status(404).json({
+          error: 'Analysis not found',
+          message: `No analysis found for document ID: ${documentId}`
+        });
+      }
+
+      // Text rules search the document itself, so a verdict needs its text
+      if (!document?.extracted_text?.trim()) {
+        return res.status(422).json({
+          error: 'Document has no text',
+          message: `No text was extracted from document ${documentId}`
+        });
+      }
+
+      // Clause and term rules use the analysis
+      const result = checkPlaybook(playbook, {
+        text: document.extracted_text,
+        clauses: analysis.clauses || [],
+        financialTerms: analysis.financialTerms,
+        timeline: analysis.timeline
+      });
+
+      res.json({
+        success: true,
+        data: {
+          documentId,
+          ...result
+        }
+      });
+
+    } catch (error) {
+      logger.error('Playbook check failed:', error);
+      res.status(500).json({
+        error: 'Playbook check failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// GET /api/analysis/:documentId/obligations - Obligations, permissions and prohibitions per party
+router.get('/:documentId/obligations',
+  [
+    param('documentId').isUUID().withMessage('Invalid document ID'),
+    query('party').optional().isString(),
+    query('kind').optional().isIn(['obligation', 'permission', 'prohibition']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentId } = req.params;
+      const { party, kind } = req.query;
+      const analysis = await getDocumentAnalysis(documentId);
+
+      if (!analysis) {
+        return res.status(404).json({
+          error: 'Analysis not found',
+          message: `No analysis found for document ID: ${documentId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          documentId,
+          ...filterObligations(analysis.obligations, { party, kind })
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to retrieve obligations:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve obligations',
+        message: error.message
+      });
+    }
+  }
+);
+
 // POST /api/analysis/:documentId/plain-language - Generate plain language version
 router.post('/:documentId/plain-language',
   [
@@ -368,8 +644,6 @@ router.post('/:documentId/plain-language',
 
       if (section || clauseType) {
         // Generate plain language for specific section or clause type
-        const model = await getVertexAIModel();
-        
         let targetText = '';
         if (clauseType) {
           const clause = analysis.clauses?.find(c => c.type === clauseType);
@@ -391,11 +665,12 @@ router.post('/:documentId/plain-language',
 
         Provide a clear, simple explanation that removes jargon and explains concepts in everyday language.`;
 
-        const result = await model.generateContent(prompt);
+        const result = await generateText(prompt);
         
         plainLanguageData = {
           original: targetText,
-          plainLanguage: result.response.text(),
+          plainLanguage: result.text,
+          provider: result.provider,
           generatedAt: new Date().toISOString(),
           type: clauseType || 'section'
         };
@@ -510,7 +785,8 @@ router.delete('/:documentId',
       // Remove from voice query system
       voiceQuerySystem.removeDocumentContext(documentId);
 
-      // Note: In a full implementation, you'd also delete from Firestore
+      // Removes every stored run and its Firestore replica
+      await deleteDocumentAnalyses(documentId);
       logger.info(`Analysis deleted for document: ${documentId}`);
 
       res.json({
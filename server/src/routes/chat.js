@@ -72,6 +72,7 @@ router.post(
       .isLength({ min: 1 })
       .withMessage("Message is required"),
     body("sessionId").isString().withMessage("Session ID is required"),
+    query("stream").optional().isBoolean(),
     body("messageType")
       .optional()
       .isIn(["user", "assistant", "system"])
@@ -107,6 +108,15 @@ router.post(
         messageType,
       );
 
+      if (messageType === "user" && wantsEventStream(req)) {
+        return streamResponse(req, res, {
+          documentId,
+          sessionId,
+          message,
+          userMessage,
+        });
+      }
+
       // Generate AI response if it's a user message
       let aiResponse = null;
       if (messageType === "user") {
@@ -135,6 +145,68 @@ router.post(
   },
 );
 
+// Clients opt into streaming with `Accept: text/event-stream` or ?stream=true
+function wantsEventStream(req) {
+  return (
+    req.query.stream === "true" ||
+    (req.get("accept") || "").includes("text/event-stream")
+  );
+}
+
+// Server-Sent Events variant of the message endpoint: `user`, then `delta`
+// events as the answer is generated, then `complete` (or `error`). A
+// `replace` event replaces the text streamed so far. Closing the connection
+// cancels generation; the partial answer is still stored.
+async function streamResponse(
+  req,
+  res,
+  { documentId, sessionId, message, userMessage },
+) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  send("user", { userMessage });
+
+  try {
+    const aiResponse = await chatService.generateResponse(
+      documentId,
+      message,
+      sessionId,
+      {
+        signal: controller.signal,
+        onDelta: (delta) => send("delta", { delta }),
+        onReplace: (text) => send("replace", { text }),
+      },
+    );
+
+    send("complete", { userMessage, aiResponse });
+  } catch (error) {
+    logger.error("Streaming response failed:", error);
+    send("error", {
+      error: "Failed to generate response",
+      message: error.message,
+    });
+  }
+
+  res.end();
+}
+
 // GET /api/chat/:documentId/history - Get chat history
 router.get(
   "/:documentId/history",
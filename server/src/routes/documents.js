@@ -9,6 +9,7 @@ import {
   getProcessingStatus,
 } from "../services/documentProcessor.js";
 import databaseService from "../services/databaseService.js";
+import { clearDocumentIndex } from "../services/retrievalService.js";
 
 const router = express.Router();
 const logger = winston.createLogger({
@@ -110,9 +111,13 @@ router.post(
           size: result.size,
           uploadUrl: result.uploadUrl,
           extractedText: options.extractText ? result.extractedText : undefined,
+          pageTexts: options.extractText ? result.pageTexts : undefined,
+          outline: result.outline,
+          ocr: result.ocr,
           confidence: result.confidence,
           pages: result.pages,
           wordCount: result.wordCount,
+          chunkCount: result.chunkCount,
           processingTime: result.processingTime,
           metadata: result.metadata,
         },
@@ -338,6 +343,7 @@ router.delete(
 
       const { documentId } = req.params;
       await databaseService.deleteDocument(documentId);
+      clearDocumentIndex(documentId);
 
       res.json({
         success: true,
@@ -0,0 +1,68 @@
+// Document type classifier evaluation
+//
+//   pnpm evaluate:classifier          leave-one-out over training/document-types.json
+//   pnpm evaluate:classifier <file>   the same over another labelled set
+//
+// Each document is classified by a model trained on all the others.
+import {
+  DOCUMENT_TYPES,
+  evaluateDocumentClassifier,
+  loadTrainingSet,
+} from "../services/documentClassifier.js";
+
+function main([file] = []) {
+  const documents = file ? loadTrainingSet(file) : loadTrainingSet();
+  const report = evaluateDocumentClassifier(documents);
+  const types = Object.keys(DOCUMENT_TYPES);
+
+  console.log(
+    `Accuracy ${percent(report.accuracy)} over ${report.documents} documents\n`,
+  );
+
+  console.log(`${"type".padEnd(18)} precision  recall  support`);
+  types.forEach((type) => {
+    const { precision, recall, support } = report.perType[type];
+    console.log(
+      `${type.padEnd(18)} ${percent(precision).padStart(9)}  ${percent(recall).padStart(6)}  ${String(support).padStart(7)}`,
+    );
+  });
+
+  const columns = [...types, "other"];
+  console.log(
+    `\nConfusion (rows labelled, columns predicted; ${columns.length} is other)`,
+  );
+  console.log(
+    `${"".padEnd(18)} ${columns.map((_, index) => String(index + 1).padStart(3)).join("")}`,
+  );
+  types.forEach((type, row) => {
+    const cells = columns.map((column) =>
+      String(report.confusion[type][column]).padStart(3),
+    );
+    console.log(`${`${row + 1} ${type}`.padEnd(18)} ${cells.join("")}`);
+  });
+
+  const { expected, found, unexpected } = report.secondary;
+  console.log(
+    `\nSecondary labels: ${found} of ${expected} found (as secondary labels or mentions), ${unexpected} others reported`,
+  );
+
+  if (report.errors.length > 0) {
+    console.log("\nMisclassified:");
+    report.errors.forEach((error) =>
+      console.log(
+        `  ${error.id}: ${error.expected} -> ${error.predicted} (${percent(error.confidence)})`,
+      ),
+    );
+  }
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
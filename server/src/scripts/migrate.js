@@ -0,0 +1,84 @@
+// Schema migration CLI
+//
+//   pnpm migrate              apply all pending migrations
+//   pnpm migrate up [version] apply pending migrations up to a version
+//   pnpm migrate down [steps] roll back the last migration(s)
+//   pnpm migrate list         show every migration and whether it is applied
+import "dotenv/config";
+import { createDatabaseService } from "../services/databaseService.js";
+
+const USAGE = "Usage: migrate [up [version] | down [steps] | list]";
+
+async function main([command = "up", argument] = []) {
+  const databaseService = createDatabaseService(
+    process.env.DATABASE_DRIVER || "sqlite",
+  );
+  await databaseService.initialize();
+
+  try {
+    switch (command) {
+      case "up": {
+        const applied = await databaseService.migrate({
+          to: argument ? parseNumber(argument) : Infinity,
+        });
+        if (applied.length === 0) {
+          console.log("Database is up to date");
+        }
+        applied.forEach(({ version, name }) =>
+          console.log(`Applied ${formatVersion(version)} ${name}`),
+        );
+        break;
+      }
+
+      case "down": {
+        const reverted = await databaseService.rollback({
+          steps: argument ? parseNumber(argument) : 1,
+        });
+        if (reverted.length === 0) {
+          console.log("Nothing to roll back");
+        }
+        reverted.forEach(({ version, name }) =>
+          console.log(`Rolled back ${formatVersion(version)} ${name}`),
+        );
+        break;
+      }
+
+      case "list": {
+        const migrations = await databaseService.getMigrationStatus();
+        migrations.forEach((migration) => {
+          const state = migration.missing
+            ? "applied (unknown to this release)"
+            : migration.applied
+              ? `applied ${migration.appliedAt}`
+              : "pending";
+          console.log(
+            `${formatVersion(migration.version)} ${migration.name.padEnd(32)} ${state}`,
+          );
+        });
+        break;
+      }
+
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    await databaseService.close();
+  }
+}
+
+function parseNumber(value) {
+  const number = Number.parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Expected a number, got "${value}". ${USAGE}`);
+  }
+  return number;
+}
+
+function formatVersion(version) {
+  return String(version).padStart(3, "0");
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
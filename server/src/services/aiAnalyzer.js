@@ -1,11 +1,27 @@
 import natural from "natural";
-import compromise from "compromise";
-import sentiment from "sentiment";
 import keywordExtractor from "keyword-extractor";
 // tiktoken import removed - was unused
 import winston from "winston";
 
-import { getVertexAIModel } from "./googleCloud.js";
+import { generateJson } from "./llmService.js";
+import { DOCUMENT_SUMMARY, PLAIN_LANGUAGE } from "./llmSchemas.js";
+import {
+  segmentDocument,
+  ownText,
+  clauseReference,
+} from "./clauseSegmenter.js";
+import { getClausePatterns } from "./patternLibrary.js";
+import { matchTerms } from "./clauseMatcher.js";
+import { scoreRisks } from "./riskModel.js";
+import { getRiskProfile, applyRiskProfile } from "./riskProfiles.js";
+import { extractParties, buildGlossary } from "./entityExtractor.js";
+import { extractTimeline } from "./temporalExtractor.js";
+import { extractObligations } from "./obligationExtractor.js";
+import { extractFinancialTerms } from "./financialExtractor.js";
+import { getPlaybook } from "./playbookLibrary.js";
+import { checkPlaybook } from "./playbookChecker.js";
+import { findMissingClauses } from "./clauseTemplates.js";
+import { classifyDocument } from "./documentClassifier.js";
 
 const logger = winston.createLogger({
   level: "info",
@@ -13,117 +29,8 @@ const logger = winston.createLogger({
   defaultMeta: { service: "ai-analyzer" },
 });
 
-// Initialize NLP tools
-const tokenizer = natural.WordTokenizer;
-const stemmer = natural.PorterStemmer;
-const sentimentAnalyzer = new sentiment();
-
-// Legal clause patterns and risk indicators
-const LEGAL_PATTERNS = {
-  termination: {
-    keywords: [
-      "terminate",
-      "termination",
-      "end",
-      "cancel",
-      "cancellation",
-      "breach",
-      "default",
-    ],
-    patterns: [
-      /termination.{0,50}notice/gi,
-      /breach.{0,50}contract/gi,
-      /cancel.{0,50}agreement/gi,
-      /end.{0,50}relationship/gi,
-    ],
-    riskLevel: "high",
-  },
-  payment: {
-    keywords: [
-      "payment",
-      "pay",
-      "fee",
-      "cost",
-      "charge",
-      "price",
-      "amount",
-      "due",
-    ],
-    patterns: [
-      /payment.{0,50}due/gi,
-      /late.{0,50}fee/gi,
-      /penalty.{0,50}payment/gi,
-      /interest.{0,50}charge/gi,
-    ],
-    riskLevel: "high",
-  },
-  liability: {
-    keywords: [
-      "liable",
-      "liability",
-      "responsible",
-      "damages",
-      "loss",
-      "harm",
-      "injury",
-    ],
-    patterns: [
-      /limit.{0,50}liability/gi,
-      /exclude.{0,50}damages/gi,
-      /indemnify.{0,50}against/gi,
-      /hold.{0,50}harmless/gi,
-    ],
-    riskLevel: "critical",
-  },
-  confidentiality: {
-    keywords: [
-      "confidential",
-      "proprietary",
-      "disclosure",
-      "non-disclosure",
-      "nda",
-    ],
-    patterns: [
-      /confidential.{0,50}information/gi,
-      /non.?disclosure/gi,
-      /proprietary.{0,50}data/gi,
-      /trade.{0,50}secret/gi,
-    ],
-    riskLevel: "medium",
-  },
-  intellectual_property: {
-    keywords: [
-      "copyright",
-      "trademark",
-      "patent",
-      "ip",
-      "intellectual property",
-      "ownership",
-    ],
-    patterns: [
-      /intellectual.{0,50}property/gi,
-      /copyright.{0,50}ownership/gi,
-      /trademark.{0,50}rights/gi,
-      /patent.{0,50}infringement/gi,
-    ],
-    riskLevel: "high",
-  },
-  force_majeure: {
-    keywords: [
-      "force majeure",
-      "act of god",
-      "unforeseeable",
-      "beyond control",
-    ],
-    patterns: [
-      /force.{0,10}majeure/gi,
-      /act.{0,10}of.{0,10}god/gi,
-      /beyond.{0,20}control/gi,
-      /unforeseeable.{0,20}circumstances/gi,
-    ],
-    riskLevel: "low",
-  },
-};
+// Splits sentences without breaking clause numbers or decimals ("5.2", "2.5%")
+const sentenceTokenizer = new natural.SentenceTokenizer();
 
 // Risk scoring weights
 const RISK_WEIGHTS = {
@@ -144,12 +51,51 @@ export async function analyzeDocument(documentText, options = {}) {
     // Preprocess text
     const preprocessedText = preprocessText(documentText);
 
+    // Clause tree; offsets refer to the text as submitted
+    const structure = segmentDocument(documentText, {
+      outline: options.outline,
+    });
+
+    // Clause definitions from the pattern library, with the jurisdiction overlay
+    const patternSet = getClausePatterns(options.jurisdiction);
+
+    // Risk levels and weights as seen by the user's side of the contract
+    const profile = getRiskProfile(options.perspective);
+
+    // Playbook of standard positions to check the document against, if any
+    const selectedPlaybook = options.playbook
+      ? findPlaybook(options.playbook)
+      : null;
+
+    // Dates and deadlines; numeric dates are day-first in UK and Indian documents
+    const timeline = extractTimeline(documentText, structure, {
+      dayFirst:
+        options.dayFirst ?? ["UK", "IN"].includes(patternSet.jurisdiction),
+    });
+
+    // Who must, may and must not do what
+    const parties = extractParties(documentText, structure);
+    const obligations = extractObligations(documentText, structure, {
+      parties,
+      timeline,
+    });
+
+    // Amounts with currency, frequency and payer, and the contract value
+    const financials = extractFinancialTerms(documentText, structure, {
+      parties,
+      timeline,
+    });
+
     // Run analysis pipeline
     const [clauses, riskAssessment, keyInsights, summary, plainLanguage] =
       await Promise.all([
-        detectClauses(preprocessedText),
-        assessRisks(preprocessedText),
-        extractKeyInsights(preprocessedText),
+        detectClauses(
+          documentText,
+          structure,
+          applyRiskProfile(patternSet.clauses, profile),
+        ),
+        assessRisks(documentText, structure, profile, financials),
+        extractKeyInsights(preprocessedText, timeline, obligations),
         generateSummary(preprocessedText),
         generatePlainLanguageVersion(preprocessedText),
       ]);
@@ -157,28 +103,77 @@ export async function analyzeDocument(documentText, options = {}) {
     // Generate overall risk score
     const overallRisk = calculateOverallRisk(riskAssessment);
 
+    // Likely document types, and the standard protections the template
+    // for the most likely one expects
+    const classification = classifyDocument(preprocessedText);
+    const missingClauses = findMissingClauses(
+      documentText,
+      structure,
+      clauses,
+      classification.type,
+    );
+
+    // Standard positions from a playbook, when one was asked for
+    const playbook = selectedPlaybook
+      ? checkPlaybook(selectedPlaybook, {
+          text: documentText,
+          clauses,
+          financialTerms: financials,
+          timeline,
+        })
+      : null;
+
     // Create analysis result
     const analysis = {
       summary: {
-        documentType: detectDocumentType(preprocessedText),
+        documentType: classification.label,
+        classification: classification,
         wordCount: countWords(preprocessedText),
         readingTime: Math.ceil(countWords(preprocessedText) / 250), // minutes
         overallRisk: overallRisk,
-        keyParties: extractParties(preprocessedText),
-        importantDates: extractDates(preprocessedText),
-        monetaryAmounts: extractAmounts(preprocessedText),
+        keyParties: parties,
+        effectiveDate: timeline.effectiveDate,
+        expiryDate: timeline.expiryDate,
+        importantDates: timeline.entries.filter((entry) => entry.date),
+        monetaryAmounts: financials.terms,
+        contractValue: financials.contractValue,
       },
       clauses: clauses,
+      structure: annotateStructure(structure, clauses),
+      definitions: buildGlossary(documentText, structure),
+      timeline: timeline,
+      obligations: obligations,
+      financialTerms: financials,
       riskAssessment: riskAssessment,
+      missingClauses: missingClauses,
+      playbook: playbook,
       keyInsights: keyInsights,
       plainLanguage: plainLanguage,
       aiSummary: summary,
-      recommendations: generateRecommendations(riskAssessment, clauses),
+      recommendations: generateRecommendations(
+        riskAssessment,
+        clauses,
+        missingClauses,
+      ),
       processingTime: Date.now() - startTime,
       confidence: calculateConfidence(clauses, riskAssessment),
       metadata: {
         analysisVersion: "2.0",
-        model: "gemini-1.5-pro",
+        // The provider and model that answered, or null when neither LLM
+        // call succeeded
+        provider: summary.provider || plainLanguage.provider || null,
+        model: summary.model || plainLanguage.model || null,
+        patternLibrary: {
+          jurisdiction: patternSet.jurisdiction,
+          packs: patternSet.packs,
+        },
+        perspective: profile
+          ? {
+              id: profile.id,
+              label: profile.label,
+              counterparty: profile.counterparty,
+            }
+          : null,
         timestamp: new Date().toISOString(),
       },
     };
@@ -191,70 +186,111 @@ export async function analyzeDocument(documentText, options = {}) {
   }
 }
 
-// Preprocess document text
+function findPlaybook(name) {
+  const playbook = getPlaybook(name);
+  if (!playbook) throw new Error(`Unknown playbook: ${name}`);
+  return playbook;
+}
+
+// Preprocess document text: normalise whitespace but keep line breaks,
+// which carry the clause structure
 function preprocessText(text) {
   if (!text) return "";
 
   return text
-    .replace(/\r\n/g, "\n")
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s.,;:!?()-]/g, " ")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
     .trim();
 }
 
-// Detect and extract legal clauses
-async function detectClauses(text) {
-  const clauses = [];
-  const sentences = text.split(/[.!?]+/).filter((s) => s.trim().length > 10);
-
-  for (const [clauseType, config] of Object.entries(LEGAL_PATTERNS)) {
-    const matches = [];
-
-    // Keyword matching
-    config.keywords.forEach((keyword) => {
-      const regex = new RegExp(`\\b${keyword}\\b`, "gi");
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        matches.push({
-          keyword,
-          position: match.index,
-          context: extractContext(text, match.index, 200),
-        });
-      }
+// Each clause's own text (without its sub-clauses), flattened to one line,
+// with the headings of the clauses it sits under
+function clauseSegments(text, structure) {
+  const segments = [];
+  const visit = (nodes, context) =>
+    nodes.forEach((node) => {
+      segments.push({
+        node,
+        heading: node.heading || "",
+        context,
+        text: ownText(text, node).replace(/\s+/g, " "),
+      });
+      visit(node.children, [context, node.heading].filter(Boolean).join(" "));
     });
 
-    // Pattern matching
-    config.patterns.forEach((pattern) => {
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        matches.push({
-          pattern: pattern.source,
-          position: match.index,
-          context: match[0],
-          fullContext: extractContext(text, match.index, 300),
-        });
-      }
+  visit(structure.clauses, "");
+  return segments.filter((segment) => segment.text.length > 0);
+}
+
+// Detect legal clause types by scoring each clause of the segmented document.
+// A heading that names the topic counts most, then phrase patterns, then
+// keywords in the clause body (more so under a heading on the same topic).
+// Negated, hedged and boilerplate hits are weighed by clauseMatcher.js.
+async function detectClauses(
+  text,
+  structure = segmentDocument(text),
+  patterns = getClausePatterns().clauses,
+) {
+  const clauses = [];
+  const segments = clauseSegments(text, structure);
+
+  for (const [clauseType, config] of Object.entries(patterns)) {
+    const hits = [];
+    let matches = 0;
+    let discarded = 0;
+    const keywords = config.keywords.map(keywordPattern);
+
+    segments.forEach((segment) => {
+      const keywordMatches = matchTerms(segment.text, keywords, {
+        negation: config.negation,
+      });
+      const patternMatches = matchTerms(segment.text, config.patterns, {
+        negation: config.negation,
+      });
+      const keywordHits = keywordMatches.weight;
+      const patternHits = patternMatches.weight;
+      const mentions = (value) =>
+        keywords.some((keyword) => value.search(keyword) >= 0);
+      const headingHit = mentions(segment.heading);
+      const contextHit = mentions(segment.context);
+
+      const score =
+        (headingHit ? 3 : 0) +
+        (contextHit && keywordHits > 0 ? 1 : 0) +
+        patternHits * 2 +
+        keywordHits;
+      matches += keywordMatches.count + patternMatches.count;
+      discarded += keywordMatches.discarded + patternMatches.discarded;
+      if (score >= 2) hits.push({ ...segment, score });
     });
 
-    if (matches.length > 0) {
-      // Find relevant sentences
-      const relevantSentences = sentences.filter((sentence) =>
-        config.keywords.some((keyword) =>
-          sentence.toLowerCase().includes(keyword.toLowerCase()),
-        ),
-      );
+    if (hits.length > 0) {
+      const strongest = [...hits].sort((a, b) => b.score - a.score);
+      const clauseTexts = strongest.slice(0, 3).map((hit) => hit.text);
+      const clauseText = clauseTexts.join(" ");
 
       clauses.push({
         type: clauseType,
-        title: formatClauseTitle(clauseType),
+        title: config.title,
         riskLevel: config.riskLevel,
-        matches: matches.length,
-        content: relevantSentences.slice(0, 3), // Top 3 relevant sentences
-        summary: await summarizeClause(relevantSentences.join(" "), clauseType),
-        plainLanguage: await translateToPlainLanguage(
-          relevantSentences.join(" "),
-        ),
-        recommendations: getClauseRecommendations(clauseType, config.riskLevel),
+        ...(config.defaultRiskLevel && {
+          defaultRiskLevel: config.defaultRiskLevel,
+        }),
+        rationale: config.rationale,
+        explanation: config.explanation,
+        matches,
+        discardedMatches: discarded,
+        content: clauseTexts, // Top 3 clauses
+        sections: strongest.slice(0, 5).map((hit) => ({
+          ...clauseReference(hit.node),
+          score: hit.score,
+        })),
+        summary: summarizeClause(clauseTexts),
+        plainLanguage: await translateToPlainLanguage(clauseText),
+        recommendations: getClauseRecommendations(config),
       });
     }
   }
@@ -264,59 +300,53 @@ async function detectClauses(text) {
   );
 }
 
-// Assess document risks
-async function assessRisks(text) {
-  const risks = [];
-
-  // Financial risks
-  const financialRisk = analyzeFinancialRisk(text);
-  if (financialRisk.score > 0.3) {
-    risks.push({
-      category: "financial",
-      level: financialRisk.level,
-      score: financialRisk.score,
-      description: "Potential financial obligations and penalties",
-      details: financialRisk.details,
-      impact: "High monetary exposure",
-    });
-  }
+// Tag every node of the clause tree with the clause types found in it
+function annotateStructure(structure, clauses) {
+  const types = new Map();
+  clauses.forEach((clause) =>
+    clause.sections.forEach((section) =>
+      types.set(section.id, [...(types.get(section.id) || []), clause.type]),
+    ),
+  );
 
-  // Legal compliance risks
-  const complianceRisk = analyzeComplianceRisk(text);
-  if (complianceRisk.score > 0.2) {
-    risks.push({
-      category: "compliance",
-      level: complianceRisk.level,
-      score: complianceRisk.score,
-      description: "Regulatory and legal compliance requirements",
-      details: complianceRisk.details,
-      impact: "Potential legal violations",
-    });
-  }
+  const annotate = (node) => ({
+    ...node,
+    types: types.get(node.id) || [],
+    children: node.children.map(annotate),
+  });
 
-  // Operational risks
-  const operationalRisk = analyzeOperationalRisk(text);
-  if (operationalRisk.score > 0.25) {
-    risks.push({
-      category: "operational",
-      level: operationalRisk.level,
-      score: operationalRisk.score,
-      description: "Business operation constraints and requirements",
-      details: operationalRisk.details,
-      impact: "Business process restrictions",
-    });
-  }
+  return {
+    clauses: structure.clauses.map(annotate),
+    definitions: structure.definitions,
+  };
+}
 
-  return risks.sort((a, b) => b.score - a.score);
+// Assess document risks clause by clause; every score contribution is
+// backed by evidence (see riskModel.js). A risk profile reweights factors
+// for its party; financial terms add evidence from amounts and escalations.
+async function assessRisks(
+  text,
+  structure = segmentDocument(text),
+  profile = null,
+  financials = null,
+) {
+  return scoreRisks(text, structure, {
+    weights: profile?.weights,
+    financials,
+  });
 }
 
 // Extract key insights from document
-async function extractKeyInsights(text) {
+async function extractKeyInsights(
+  text,
+  timeline = extractTimeline(text),
+  obligations = extractObligations(text),
+) {
   const insights = {
     keyTerms: extractKeyTerms(text),
-    obligations: extractObligations(text),
-    rights: extractRights(text),
-    deadlines: extractDeadlines(text),
+    obligations: obligationTexts(obligations, ["obligations", "prohibitions"]),
+    rights: obligationTexts(obligations, ["permissions"]),
+    deadlines: timeline.entries.filter((entry) => entry.relative),
     penalties: extractPenalties(text),
     benefits: extractBenefits(text),
   };
@@ -324,11 +354,10 @@ async function extractKeyInsights(text) {
   return insights;
 }
 
-// Generate AI summary using Gemini
+// Generate AI summary with the configured LLM provider. `source` records
+// whether the summary is the model's validated JSON or the fallback.
 async function generateSummary(text) {
   try {
-    const model = await getVertexAIModel();
-
     const prompt = `
     You are a legal AI assistant. Analyze this legal document and provide a comprehensive summary.
     
@@ -342,27 +371,30 @@ async function generateSummary(text) {
     
     Document text:
     ${text.substring(0, 8000)}
-    
-    Provide a structured summary in JSON format with sections: overview, keyParties, obligations, timeline, financials, risks.
     `;
 
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
-
-    try {
-      return JSON.parse(response);
-    } catch {
-      // Fallback to plain text summary
-      return {
-        overview: response,
-        confidence: 0.8,
-      };
-    }
+    const result = await generateJson(prompt, DOCUMENT_SUMMARY, {
+      // Plain text summary when the reply never validates
+      fallback: (reply) => ({ overview: reply.trim() }),
+    });
+
+    return {
+      ...result.data,
+      confidence: result.source === "model" ? 0.85 : 0.5,
+      source: result.source,
+      attempts: result.attempts,
+      errors: result.errors,
+      provider: result.provider,
+      model: result.model,
+    };
   } catch (error) {
     logger.error("AI summary generation failed:", error);
     return {
       overview: "Summary generation failed",
       confidence: 0,
+      source: "fallback",
+      attempts: 0,
+      errors: [{ attempt: 0, message: error.message }],
     };
   }
 }
@@ -370,8 +402,6 @@ async function generateSummary(text) {
 // Generate plain language version
 async function generatePlainLanguageVersion(text) {
   try {
-    const model = await getVertexAIModel();
-
     const prompt = `
     Convert this legal text into plain, easy-to-understand English. 
     Remove jargon, simplify complex sentences, and explain legal concepts clearly.
@@ -383,218 +413,46 @@ async function generatePlainLanguageVersion(text) {
     Provide clear, simple explanations that anyone can understand.
     `;
 
-    const result = await model.generateContent(prompt);
+    const result = await generateJson(prompt, PLAIN_LANGUAGE, {
+      fallback: (reply) => ({ text: reply.trim(), keyPoints: [] }),
+    });
+
     return {
-      text: result.response.text(),
-      confidence: 0.85,
+      ...result.data,
+      confidence: result.source === "model" ? 0.85 : 0.6,
+      source: result.source,
+      attempts: result.attempts,
+      provider: result.provider,
+      model: result.model,
     };
   } catch (error) {
     logger.error("Plain language generation failed:", error);
     return {
       text: "Plain language translation not available",
+      keyPoints: [],
       confidence: 0,
+      source: "fallback",
+      attempts: 0,
     };
   }
 }
 
-// Utility functions for text analysis
-function extractContext(text, position, length) {
-  const start = Math.max(0, position - length / 2);
-  const end = Math.min(text.length, position + length / 2);
-  return text.substring(start, end).trim();
-}
-
-function formatClauseTitle(clauseType) {
-  return clauseType
-    .split("_")
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(" ");
+// Keywords from the pattern library are literal text. Words of four letters
+// or more match as prefixes ("confidential" finds "Confidentiality"); shorter
+// words and phrases match whole, optionally plural ("fee" finds "Fees" but
+// "end" does not find "endeavour").
+function keywordPattern(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return /^[\w-]{4,}$/.test(keyword)
+    ? new RegExp(`\\b${escaped}\\w*`, "gi")
+    : new RegExp(`\\b${escaped}s?\\b`, "gi");
 }
 
 function countWords(text) {
   return text.trim().split(/\s+/).length;
 }
 
-function detectDocumentType(text) {
-  const types = {
-    "Employment Contract": [
-      "employment",
-      "employee",
-      "salary",
-      "job",
-      "position",
-    ],
-    "Service Agreement": ["services", "provider", "client", "deliverables"],
-    "Rental Agreement": ["rent", "lease", "tenant", "landlord", "property"],
-    "Non-Disclosure Agreement": [
-      "confidential",
-      "disclosure",
-      "proprietary",
-      "nda",
-    ],
-    "Terms of Service": ["terms", "service", "user", "website", "platform"],
-    "License Agreement": [
-      "license",
-      "software",
-      "use",
-      "permitted",
-      "restricted",
-    ],
-  };
-
-  let maxScore = 0;
-  let detectedType = "Legal Document";
-
-  Object.entries(types).forEach(([type, keywords]) => {
-    const score = keywords.reduce((acc, keyword) => {
-      const regex = new RegExp(`\\b${keyword}\\b`, "gi");
-      const matches = text.match(regex);
-      return acc + (matches ? matches.length : 0);
-    }, 0);
-
-    if (score > maxScore) {
-      maxScore = score;
-      detectedType = type;
-    }
-  });
-
-  return detectedType;
-}
-
 // Risk analysis functions
-function analyzeFinancialRisk(text) {
-  const financialKeywords = [
-    "payment",
-    "fee",
-    "cost",
-    "penalty",
-    "fine",
-    "charge",
-    "amount",
-    "price",
-  ];
-  const riskKeywords = [
-    "late",
-    "default",
-    "breach",
-    "penalty",
-    "interest",
-    "compound",
-  ];
-
-  let score = 0;
-  let details = [];
-
-  financialKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.1;
-  });
-
-  riskKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.2;
-    if (matches > 0)
-      details.push(`Contains ${matches} references to ${keyword}`);
-  });
-
-  const level =
-    score > 0.8
-      ? "critical"
-      : score > 0.5
-        ? "high"
-        : score > 0.3
-          ? "medium"
-          : "low";
-
-  return { score: Math.min(score, 1), level, details };
-}
-
-function analyzeComplianceRisk(text) {
-  const complianceKeywords = [
-    "comply",
-    "regulation",
-    "law",
-    "legal",
-    "requirement",
-    "mandatory",
-  ];
-  const riskKeywords = [
-    "violation",
-    "breach",
-    "non-compliance",
-    "penalty",
-    "fine",
-  ];
-
-  let score = 0;
-  let details = [];
-
-  complianceKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.08;
-  });
-
-  riskKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.15;
-    if (matches > 0)
-      details.push(`Contains ${matches} references to ${keyword}`);
-  });
-
-  const level =
-    score > 0.7
-      ? "critical"
-      : score > 0.4
-        ? "high"
-        : score > 0.2
-          ? "medium"
-          : "low";
-
-  return { score: Math.min(score, 1), level, details };
-}
-
-function analyzeOperationalRisk(text) {
-  const operationalKeywords = [
-    "perform",
-    "deliver",
-    "provide",
-    "maintain",
-    "support",
-  ];
-  const riskKeywords = ["failure", "delay", "unable", "impossible", "restrict"];
-
-  let score = 0;
-  let details = [];
-
-  operationalKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.05;
-  });
-
-  riskKeywords.forEach((keyword) => {
-    const matches = (
-      text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, "g")) || []
-    ).length;
-    score += matches * 0.1;
-    if (matches > 0)
-      details.push(`Contains ${matches} references to ${keyword}`);
-  });
-
-  const level = score > 0.6 ? "high" : score > 0.25 ? "medium" : "low";
-
-  return { score: Math.min(score, 1), level, details };
-}
-
 // Additional extraction functions
 function extractKeyTerms(text) {
   return keywordExtractor
@@ -607,97 +465,12 @@ function extractKeyTerms(text) {
     .slice(0, 20);
 }
 
-function extractParties(text) {
-  // Simple party extraction - in production, use NER
-  const parties = [];
-  const partyPatterns = [
-    /(?:party|parties|company|corporation|individual|entity)\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g,
-    /[A-Z][a-z]+\s+(?:Inc|LLC|Corp|Ltd|Co)\b/g,
-  ];
-
-  partyPatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) parties.push(...matches);
-  });
-
-  return [...new Set(parties)].slice(0, 5);
-}
-
-function extractDates(text) {
-  const datePatterns = [
-    /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g,
-    /\b\d{4}-\d{2}-\d{2}\b/g,
-    /\b(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/g,
-  ];
-
-  const dates = [];
-  datePatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) dates.push(...matches);
-  });
-
-  return [...new Set(dates)];
-}
-
-function extractAmounts(text) {
-  const amountPatterns = [
-    /\$[\d,]+(?:\.\d{2})?/g,
-    /\b\d+\s*(?:dollars?|USD)\b/g,
-    /\b(?:amount|sum|fee|cost|price|charge)\s+of\s+\$?[\d,]+(?:\.\d{2})?/g,
-  ];
-
-  const amounts = [];
-  amountPatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) amounts.push(...matches);
-  });
-
-  return [...new Set(amounts)];
-}
-
-function extractObligations(text) {
-  const obligationPatterns = [
-    /\b(?:must|shall|required to|obligated to|responsible for)\s+[^.!?]+[.!?]/g,
-    /\b(?:agrees to|commits to|undertakes to)\s+[^.!?]+[.!?]/g,
-  ];
-
-  const obligations = [];
-  obligationPatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) obligations.push(...matches.slice(0, 5));
-  });
-
-  return obligations;
-}
-
-function extractRights(text) {
-  const rightPatterns = [
-    /\b(?:entitled to|right to|may|permitted to)\s+[^.!?]+[.!?]/g,
-    /\b(?:benefit|advantage|privilege)\s+[^.!?]+[.!?]/g,
-  ];
-
-  const rights = [];
-  rightPatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) rights.push(...matches.slice(0, 5));
-  });
-
-  return rights;
-}
-
-function extractDeadlines(text) {
-  const deadlinePatterns = [
-    /\b(?:within|by|before|no later than)\s+\d+\s+(?:days?|weeks?|months?|years?)\b/g,
-    /\b(?:deadline|due date|expiry|expiration)\s+[^.!?]+[.!?]/g,
-  ];
-
-  const deadlines = [];
-  deadlinePatterns.forEach((pattern) => {
-    const matches = text.match(pattern);
-    if (matches) deadlines.push(...matches);
-  });
-
-  return [...new Set(deadlines)];
+// Distinct source sentences for the given lists of the obligation matrix
+function obligationTexts(obligations, lists) {
+  const texts = obligations.parties.flatMap((party) =>
+    lists.flatMap((list) => party[list].map((item) => item.text)),
+  );
+  return [...new Set(texts)];
 }
 
 function extractPenalties(text) {
@@ -751,12 +524,16 @@ function calculateConfidence(clauses, riskAssessment) {
   return (clauseConfidence + riskConfidence) / 2;
 }
 
-async function summarizeClause(clauseText, clauseType) {
-  // Simple summarization - in production, use advanced NLP
-  const sentences = clauseText
-    .split(/[.!?]+/)
-    .filter((s) => s.trim().length > 20);
-  return sentences.slice(0, 2).join(". ").trim() + ".";
+// The first two sentences of substance from the clauses' texts; a bare
+// heading such as "5. Payment" is too short to count
+function summarizeClause(clauseTexts) {
+  const sentences = clauseTexts
+    .filter((text) => text.trim())
+    .flatMap((text) => sentenceTokenizer.tokenize(text))
+    .filter((sentence) => sentence.trim().length > 20);
+  return sentences.length
+    ? sentences.slice(0, 2).join(" ").trim()
+    : clauseTexts.join(" ").trim();
 }
 
 async function translateToPlainLanguage(clauseText) {
@@ -770,36 +547,18 @@ async function translateToPlainLanguage(clauseText) {
     .trim();
 }
 
-function getClauseRecommendations(clauseType, riskLevel) {
-  const recommendations = {
-    termination: [
-      "Review notice periods carefully",
-      "Understand conditions that trigger termination",
-      "Consider negotiating more favorable terms",
-    ],
-    payment: [
-      "Verify payment amounts and due dates",
-      "Check for late payment penalties",
-      "Ensure payment terms are acceptable",
-    ],
-    liability: [
-      "Understand your liability exposure",
-      "Consider liability insurance",
-      "Negotiate liability caps where possible",
-    ],
-    confidentiality: [
-      "Identify what information is considered confidential",
-      "Understand disclosure restrictions",
-      "Verify compliance requirements",
-    ],
-  };
-
-  return (
-    recommendations[clauseType] || ["Consult with legal counsel for guidance"]
-  );
+// Recommendations come from the pattern library
+function getClauseRecommendations(config) {
+  return config.recommendations.length > 0
+    ? config.recommendations
+    : ["Consult with legal counsel for guidance"];
 }
 
-function generateRecommendations(riskAssessment, clauses) {
+function generateRecommendations(
+  riskAssessment,
+  clauses,
+  missingClauses = null,
+) {
   const recommendations = [];
 
   if (riskAssessment.some((risk) => risk.level === "critical")) {
@@ -820,6 +579,23 @@ function generateRecommendations(riskAssessment, clauses) {
     );
   }
 
+  // Lead recommendation of each high-risk clause found, riskiest first
+  clauses
+    .filter((clause) => RISK_WEIGHTS[clause.riskLevel] >= RISK_WEIGHTS.high)
+    .forEach((clause) => {
+      const [first] = getClauseRecommendations(clause);
+      recommendations.push(`${clause.title}: ${first}`);
+    });
+
+  // Standard protections the document lacks that matter most
+  (missingClauses?.missing || [])
+    .filter((protection) => protection.importance === "high")
+    .forEach((protection) => {
+      recommendations.push(
+        `Missing ${protection.title.toLowerCase()}: ${protection.recommendation}`,
+      );
+    });
+
   recommendations.push("Keep copies of all documents and correspondence");
   recommendations.push("Set reminders for important dates and deadlines");
 
@@ -827,10 +603,10 @@ function generateRecommendations(riskAssessment, clauses) {
 }
 
 export {
-  LEGAL_PATTERNS,
   RISK_WEIGHTS,
   preprocessText,
   detectClauses,
   assessRisks,
   extractKeyInsights,
+  calculateOverallRisk,
 };
@@ -0,0 +1,117 @@
+import { v4 as uuidv4 } from "uuid";
+import winston from "winston";
+import databaseService from "./databaseService.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "analysis-repository" },
+});
+
+// Analyses are always stored locally; ANALYSIS_REPLICATION=firestore also
+// copies each run to Firestore and reads from it when a run is missing locally
+function replicationEnabled() {
+  return (process.env.ANALYSIS_REPLICATION || "").toLowerCase() === "firestore";
+}
+
+let googleCloudPromise = null;
+
+// Loaded lazily so GCP packages are only needed when replication is on
+async function getGoogleCloud() {
+  if (!googleCloudPromise) {
+    googleCloudPromise = import("./googleCloud.js").then(
+      async (googleCloud) => {
+        if (!googleCloud.firestore) {
+          await googleCloud.initializeGoogleCloud();
+        }
+        return googleCloud;
+      },
+    );
+    googleCloudPromise.catch(() => {
+      googleCloudPromise = null;
+    });
+  }
+  return googleCloudPromise;
+}
+
+function toAnalysis(run) {
+  return {
+    ...run.result,
+    id: run.id,
+    version: run.version,
+    createdAt: run.created_at,
+  };
+}
+
+// Store a new analysis run; returns its id and per-document version
+export async function saveDocumentAnalysis(documentId, analysis) {
+  const run = await databaseService.saveAnalysis({
+    id: uuidv4(),
+    documentId,
+    analysis,
+  });
+
+  if (replicationEnabled()) {
+    // Replication is best effort and never fails the local save
+    getGoogleCloud()
+      .then((googleCloud) =>
+        googleCloud.saveDocumentAnalysis(documentId, {
+          ...analysis,
+          analysisId: run.id,
+          version: run.version,
+        }),
+      )
+      .catch((error) =>
+        logger.warn(
+          `Failed to replicate analysis ${run.id} to Firestore:`,
+          error.message,
+        ),
+      );
+  }
+
+  return run;
+}
+
+// Latest analysis for a document, or a specific run when `version` is given
+export async function getDocumentAnalysis(documentId, version = null) {
+  const run = await databaseService.getAnalysis(documentId, version);
+  if (run) return toAnalysis(run);
+
+  if (replicationEnabled() && !version) {
+    try {
+      const googleCloud = await getGoogleCloud();
+      return await googleCloud.getDocumentAnalysis(documentId);
+    } catch (error) {
+      logger.warn(
+        `Failed to read analysis for ${documentId} from Firestore:`,
+        error.message,
+      );
+    }
+  }
+
+  return null;
+}
+
+// Summaries of every run for a document, newest first
+export async function getAnalysisHistory(documentId) {
+  const runs = await databaseService.getAnalysisHistory(documentId);
+  return runs.map((run) => ({
+    id: run.id,
+    version: run.version,
+    overallRisk: run.overall_risk,
+    confidence: run.confidence,
+    processingTime: run.processing_time,
+    createdAt: run.created_at,
+  }));
+}
+
+// Remove every run. The Firestore replica goes first: left in place, reads
+// would fall back to it and bring the deleted analysis back, so a failure
+// to delete it fails the whole deletion.
+export async function deleteDocumentAnalyses(documentId) {
+  if (replicationEnabled()) {
+    const googleCloud = await getGoogleCloud();
+    await googleCloud.deleteDocumentAnalysis(documentId);
+  }
+  await databaseService.deleteAnalyses(documentId);
+}
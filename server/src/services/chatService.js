@@ -1,6 +1,9 @@
 import { v4 as uuidv4 } from "uuid";
 import winston from "winston";
 import databaseService from "./databaseService.js";
+import { getDocumentAnalysis } from "./analysisRepository.js";
+import { generateText, streamText } from "./llmService.js";
+import { retrieveChunks, toSource } from "./retrievalService.js";
 
 const logger = winston.createLogger({
   level: "info",
@@ -8,6 +11,76 @@ const logger = winston.createLogger({
   defaultMeta: { service: "chat" },
 });
 
+// Older turns are dropped from the prompt once the history exceeds this
+const HISTORY_CHAR_BUDGET = 6000;
+
+const CHAT_SYSTEM_PROMPT = `You are LexiPlain, a legal assistant answering questions about one specific document.
+Answer only from the document excerpts and analysis you are given. If they do not contain the answer, say so plainly instead of guessing.
+Explain legal terms in plain English, cite excerpts by their [number], and keep answers short unless the user asks for detail.
+You do not give legal advice; suggest consulting a lawyer for decisions with significant consequences.`;
+
+// Follow-up questions offered for each detected clause type
+const CLAUSE_QUESTIONS = {
+  termination: [
+    "How much notice is needed to terminate?",
+    "What happens if the agreement ends early?",
+  ],
+  payment: ["When are payments due?", "What happens if a payment is late?"],
+  liability: [
+    "What am I liable for under this agreement?",
+    "Is there a cap on liability?",
+  ],
+  confidentiality: [
+    "What information must be kept confidential?",
+    "How long do the confidentiality obligations last?",
+  ],
+  intellectual_property: [
+    "Who owns the work created under this agreement?",
+    "Can I reuse anything I create?",
+  ],
+  force_majeure: [
+    "Which events count as force majeure?",
+    "What happens to my obligations during a force majeure event?",
+  ],
+  auto_renewal: [
+    "When does this agreement renew automatically?",
+    "How do I stop it from renewing?",
+  ],
+  non_compete: [
+    "What am I restricted from doing after the agreement ends?",
+    "How long and where does the non-compete apply?",
+  ],
+  arbitration: [
+    "Do disputes have to go to arbitration?",
+    "Am I giving up the right to join a class action?",
+  ],
+  governing_law: [
+    "Which law governs this agreement?",
+    "Where would a dispute be heard?",
+  ],
+  assignment: [
+    "Can the other party transfer this agreement to someone else?",
+    "What happens if either company is sold?",
+  ],
+  unilateral_amendment: [
+    "Can the other party change these terms without my agreement?",
+    "Will I be told before the terms change?",
+  ],
+  security_deposit: [
+    "How much is the deposit and when do I get it back?",
+    "What can be deducted from the deposit?",
+  ],
+  warranties: ["What warranties do I get?", "Which warranties are disclaimed?"],
+  data_protection: [
+    "How will my personal data be used and shared?",
+    "What happens if there is a data breach?",
+  ],
+  indemnity: [
+    "What do I have to indemnify the other party for?",
+    "Is my indemnity capped?",
+  ],
+};
+
 class ChatService {
   constructor() {
     this.activeSessions = new Map(); // In-memory session storage
@@ -54,7 +127,13 @@ class ChatService {
   }
 
   // Send a message in a chat session
-  async sendMessage(sessionId, documentId, message, messageType = "user") {
+  async sendMessage(
+    sessionId,
+    documentId,
+    message,
+    messageType = "user",
+    metadata = {},
+  ) {
     try {
       const messageId = uuidv4();
       const timestamp = new Date().toISOString();
@@ -67,6 +146,7 @@ class ChatService {
         messageType,
         content: message,
         metadata: {
+          ...metadata,
           timestamp,
           messageId,
         },
@@ -143,39 +223,71 @@ class ChatService {
     }
   }
 
-  // Generate AI response (placeholder for your model)
-  async generateResponse(documentId, message, sessionId) {
-    try {
-      // This is where you'll integrate your AI model
-      // For now, return a placeholder response
-      const responses = [
-        "I understand you're asking about the document. Let me analyze that for you.",
-        "That's an interesting question about the legal document. Based on my analysis...",
-        "I can help you understand that part of the document. Here's what I found...",
-        "Let me look into that specific clause for you.",
-        "I've reviewed the document and can provide insights on that topic.",
-      ];
-
-      const randomResponse =
-        responses[Math.floor(Math.random() * responses.length)];
+  // Answer a user message from the document, its latest analysis and the
+  // session's chat history, then store the answer as an assistant message.
+  // With options.onDelta the answer is streamed piece by piece; aborting
+  // options.signal stops generation and stores what was produced so far.
+  // If the stream fails part way, options.onReplace receives the excerpt
+  // answer that replaces the text streamed so far.
+  async generateResponse(documentId, message, sessionId, options = {}) {
+    const { onDelta, onReplace, signal } = options;
 
-      // Save the AI response
-      await this.sendMessage(
-        sessionId,
+    try {
+      const context = await this.buildResponseContext(
         documentId,
-        randomResponse,
-        "assistant",
+        message,
+        sessionId,
       );
 
+      let answer;
+      let provider = null;
+      let cancelled = false;
+      let streamed = false;
+      try {
+        const prompt = this.buildPrompt(context);
+        const result = onDelta
+          ? await streamText(prompt, {
+              system: CHAT_SYSTEM_PROMPT,
+              onDelta: (delta) => {
+                streamed = true;
+                onDelta(delta);
+              },
+              signal,
+            })
+          : await generateText(prompt, { system: CHAT_SYSTEM_PROMPT });
+        answer = result.text.trim();
+        provider = result.provider;
+        cancelled = Boolean(result.aborted);
+      } catch (error) {
+        logger.warn("LLM unavailable, answering with excerpts:", error.message);
+        answer = this.buildExcerptAnswer(context.chunks);
+        if (streamed) onReplace?.(answer);
+        else onDelta?.(answer);
+      }
+
+      const sources = context.chunks.map((chunk) => toSource(chunk));
+      const suggestions = this.generateSuggestions(context);
+      const confidence = this.estimateConfidence(context.chunks, provider);
+
+      // A reply cancelled before any text arrived is not worth keeping
+      let saved = null;
+      if (answer || !cancelled) {
+        saved = await this.sendMessage(
+          sessionId,
+          documentId,
+          answer,
+          "assistant",
+          { sources, confidence, provider, ...(cancelled && { cancelled }) },
+        );
+      }
+
       return {
-        response: randomResponse,
-        confidence: 0.85,
-        sources: ["document analysis"],
-        suggestions: [
-          "Can you explain this in simpler terms?",
-          "What are the key points I should know?",
-          "Are there any risks I should be aware of?",
-        ],
+        messageId: saved?.messageId || null,
+        response: answer,
+        confidence,
+        sources,
+        suggestions,
+        cancelled,
       };
     } catch (error) {
       logger.error("Failed to generate response:", error);
@@ -183,6 +295,174 @@ class ChatService {
     }
   }
 
+  async buildResponseContext(documentId, message, sessionId) {
+    const [document, analysis, history] = await Promise.all([
+      databaseService.getDocument(documentId),
+      getDocumentAnalysis(documentId).catch((error) => {
+        logger.warn("Could not load analysis for chat:", error.message);
+        return null;
+      }),
+      databaseService.getChatHistory(documentId, sessionId),
+    ]);
+
+    // The user's message has normally been saved already; don't repeat it
+    const previous = [...history];
+    const last = previous[previous.length - 1];
+    if (last && last.message_type === "user" && last.content === message) {
+      previous.pop();
+    }
+
+    const chunks = await retrieveChunks(documentId, message, {
+      text: document?.extracted_text,
+    });
+
+    return { message, document, analysis, history: previous, chunks };
+  }
+
+  buildPrompt({ message, document, analysis, history, chunks }) {
+    const sections = [];
+
+    if (document) {
+      sections.push(`DOCUMENT: ${document.original_name || document.filename}`);
+    }
+
+    if (analysis?.summary) {
+      const { documentType, overallRisk } = analysis.summary;
+      const clauses = (analysis.clauses || [])
+        .map((clause) => `- ${clause.title} (${clause.riskLevel} risk)`)
+        .join("\n");
+      sections.push(
+        `ANALYSIS:\nType: ${documentType}\nOverall risk: ${overallRisk}` +
+          (clauses ? `\nDetected clauses:\n${clauses}` : ""),
+      );
+    }
+
+    sections.push(
+      chunks.length > 0
+        ? `DOCUMENT EXCERPTS:\n${chunks
+            .map(
+              (chunk, i) =>
+                `[${i + 1}] ${chunk.heading || "Excerpt"} (chars ${chunk.start}-${chunk.end})\n${chunk.text}`,
+            )
+            .join("\n\n")}`
+        : "DOCUMENT EXCERPTS: none available",
+    );
+
+    const conversation = this.formatHistory(history);
+    if (conversation) {
+      sections.push(`CONVERSATION SO FAR:\n${conversation}`);
+    }
+
+    sections.push(`QUESTION: ${message}`);
+    return sections.join("\n\n");
+  }
+
+  // Whole conversation, oldest turns dropped first when over budget
+  formatHistory(history) {
+    const turns = history
+      .filter((entry) => entry.message_type !== "system")
+      .map(
+        (entry) =>
+          `${entry.message_type === "user" ? "User" : "Assistant"}: ${entry.content}`,
+      );
+
+    let length = 0;
+    const kept = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+      length += turns[i].length;
+      if (length > HISTORY_CHAR_BUDGET && kept.length > 0) {
+        kept.unshift("(earlier messages omitted)");
+        break;
+      }
+      kept.unshift(turns[i]);
+    }
+
+    return kept.join("\n");
+  }
+
+  // Used when no model is reachable: quote the best matching excerpts
+  buildExcerptAnswer(chunks) {
+    if (chunks.length === 0) {
+      return "I couldn't find anything in this document that answers that question.";
+    }
+
+    const excerpts = chunks
+      .slice(0, 2)
+      .map((chunk, i) => `[${i + 1}] ${toSource(chunk, 400).excerpt}`)
+      .join("\n\n");
+    return `I can't generate a full answer right now, but these parts of the document look most relevant:\n\n${excerpts}`;
+  }
+
+  // Follow-up questions from the detected clauses, riskiest and most
+  // relevant to this answer first, skipping anything already asked
+  generateSuggestions({ analysis, history, chunks, message }) {
+    const asked = new Set(
+      [...history.map((entry) => entry.content), message].map((text) =>
+        text.trim().toLowerCase(),
+      ),
+    );
+    const retrievedText = chunks
+      .map((chunk) => chunk.text)
+      .join(" ")
+      .toLowerCase();
+
+    const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    const clauses = [...(analysis?.clauses || [])].sort((a, b) => {
+      const relevance = (clause) =>
+        (clause.content || []).some((sentence) =>
+          retrievedText.includes(sentence.trim().toLowerCase().slice(0, 60)),
+        )
+          ? 0
+          : 1;
+      return (
+        relevance(a) - relevance(b) ||
+        (riskOrder[a.riskLevel] ?? 4) - (riskOrder[b.riskLevel] ?? 4)
+      );
+    });
+
+    const suggestions = [];
+    for (const clause of clauses) {
+      const questions = [
+        ...(CLAUSE_QUESTIONS[clause.type] || [
+          `What does the ${clause.title.toLowerCase()} clause mean for me?`,
+        ]),
+      ];
+      if (["critical", "high"].includes(clause.riskLevel)) {
+        questions.push(
+          `Why is the ${clause.title.toLowerCase()} clause rated ${clause.riskLevel} risk?`,
+        );
+      }
+
+      const question = questions.find(
+        (candidate) => !asked.has(candidate.toLowerCase()),
+      );
+      if (question) suggestions.push(question);
+      if (suggestions.length === 3) break;
+    }
+
+    // Without an analysis, point at the sections the answer came from
+    for (const chunk of chunks) {
+      if (suggestions.length === 3) break;
+      if (chunk.heading) {
+        const question = `What does "${chunk.heading}" say?`;
+        if (
+          !asked.has(question.toLowerCase()) &&
+          !suggestions.includes(question)
+        ) {
+          suggestions.push(question);
+        }
+      }
+    }
+
+    return suggestions;
+  }
+
+  estimateConfidence(chunks, provider) {
+    if (!provider) return chunks.length > 0 ? 0.3 : 0.1;
+    const matched = chunks.some((chunk) => chunk.score > 0);
+    return matched ? 0.85 : 0.5;
+  }
+
   // Delete a chat session
   async deleteSession(sessionId) {
     try {
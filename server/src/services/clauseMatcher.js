@@ -0,0 +1,133 @@
+// Keyword and pattern matching for clause detection that reads the words
+// around each hit. A hit is discarded when it is negated ("shall not
+// terminate"), sits inside an exception or cross-reference ("except as
+// provided in Section 5 (Termination)"), is part of a stock phrase ("at the
+// end of the day", "by default") or falls in a boilerplate sentence. Hedged
+// hits ("fees, if any") count half.
+
+const STATUS_WEIGHTS = {
+  match: 1,
+  hedged: 0.5,
+  negated: 0,
+  exception: 0,
+  reference: 0,
+  idiom: 0,
+  boilerplate: 0,
+};
+
+// A negation cue up to three words before the hit, within the same phrase
+const NEGATED =
+  /\b(?:not|no|never|neither|nor|cannot|\w+n't)\s+(?:[\w'-]+\s+){0,3}$/i;
+
+// An exception that opens before the hit and has not been closed by
+// punctuation: "except as provided in Section 5 (Termination"
+const EXCEPTION =
+  /\b(?:except|excepting|save|other\s+than|excluding|subject\s+to|notwithstanding)\b[^,;.:]*$/i;
+
+// "Section 5 (Termination" and "clause 9.2, Payment"
+const CROSS_REFERENCE =
+  /\b(?:section|clause|article|paragraph|schedule)\s+[\dA-Z][\w.()]*\s*(?:\(|,\s*)["“]?$/i;
+
+const HEDGE_BEFORE =
+  /\b(?:if\s+any|if\s+applicable|where\s+applicable|as\s+applicable|to\s+the\s+extent\s+(?:any|applicable)|any\s+potential|potential(?:ly)?)\s+(?:[\w'-]+\s+){0,1}$/i;
+const HEDGE_AFTER =
+  /^[\w'-]*(?:\s+[\w'-]+)?\s*,?\s*\(?(?:if\s+any|if\s+applicable|where\s+applicable|as\s+applicable)\b/i;
+
+// Stock phrases that contain clause keywords without being about them
+const IDIOMS = [
+  /\bat\s+the\s+end\s+of\s+the\s+day\b/gi,
+  /\bin\s+the\s+end\b/gi,
+  /\bend[- ]users?\b/gi,
+  /\bend[- ]to[- ]end\b/gi,
+  /\bby\s+default\b/gi,
+  /\bdefault\s+(?:settings?|values?|options?|configuration)\b/gi,
+  /\bdue\s+to\b/gi,
+  /\bdue\s+diligence\b/gi,
+  /\bdue\s+(?:care|regard|course|consideration|process)\b/gi,
+  /\bin\s+due\s+course\b/gi,
+  /\bfree\s+of\s+charge\b/gi,
+  /\bin\s+charge\s+of\b/gi,
+  /\bpay\s+(?:attention|regard)\b/gi,
+];
+
+// Sentences that appear in most contracts and say nothing about the
+// clause types they mention
+const BOILERPLATE = [
+  /\bheadings?\b[^.]{0,80}\bconvenience\b/i,
+  /\bcounterparts?\b/i,
+  /\bentire\s+agreement\b/i,
+  /\bsupersedes?\s+all\s+prior\b/i,
+  /\btable\s+of\s+contents\b/i,
+];
+
+const LOOKBEHIND = 80;
+const LOOKAHEAD = 30;
+
+// Every hit of the patterns in `text` with its status. `weight` is what the
+// hits are worth; `count` the hits that were kept; `discarded` the rest.
+// With `negation: "keep"` negated hits count like any other.
+export function matchTerms(text, patterns, { negation = "discard" } = {}) {
+  const idioms = IDIOMS.flatMap((idiom) =>
+    [...text.matchAll(idiom)].map((match) => [
+      match.index,
+      match.index + match[0].length,
+    ]),
+  );
+  const hits = [];
+
+  for (const pattern of patterns) {
+    const regex = new RegExp(
+      pattern.source,
+      pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`,
+    );
+    for (const match of text.matchAll(regex)) {
+      if (match[0].length === 0) continue;
+      const start = match.index;
+      const end = start + match[0].length;
+      hits.push({
+        start,
+        end,
+        text: match[0],
+        status: classifyHit(text, start, end, idioms, negation),
+      });
+    }
+  }
+
+  const kept = hits.filter((hit) => STATUS_WEIGHTS[hit.status] > 0);
+  return {
+    hits,
+    weight: hits.reduce((sum, hit) => sum + STATUS_WEIGHTS[hit.status], 0),
+    count: kept.length,
+    discarded: hits.length - kept.length,
+  };
+}
+
+function classifyHit(text, start, end, idioms, negation) {
+  if (idioms.some(([from, to]) => start < to && end > from)) return "idiom";
+
+  const sentence = sentenceAround(text, start, end);
+  if (BOILERPLATE.some((pattern) => pattern.test(sentence))) {
+    return "boilerplate";
+  }
+
+  // The current phrase: back to the last clause punctuation
+  const before = text.slice(Math.max(0, start - LOOKBEHIND), start);
+  const phrase = before.slice(before.search(/[^,;:.!?]*$/));
+
+  if (CROSS_REFERENCE.test(before)) return "reference";
+  if (EXCEPTION.test(phrase)) return "exception";
+  if (negation !== "keep" && NEGATED.test(phrase)) return "negated";
+
+  const after = text.slice(end, end + LOOKAHEAD);
+  if (HEDGE_BEFORE.test(phrase) || HEDGE_AFTER.test(after)) return "hedged";
+
+  return "match";
+}
+
+function sentenceAround(text, start, end) {
+  const from = text.slice(0, start).search(/[^.!?]*$/);
+  const stop = text.slice(end).search(/[.!?](?:\s|$)/);
+  return text.slice(from, stop >= 0 ? end + stop : text.length);
+}
+
+export { STATUS_WEIGHTS };
@@ -0,0 +1,481 @@
+// Split contract text into a tree of clauses. Each node knows its numbering
+// ("4", "4.2", "(a)", "Article IV", "Schedule A"), its heading and the
+// character offsets it covers in the text it was given, so everything built
+// on top of it (clause detection, risk scoring, citations) can point at
+// exact spans of the document.
+
+const KEYWORD_MARKER =
+  /^(article|part|section|clause|schedule|exhibit|annex(?:ure)?|appendix)\s+(\d{1,3}(?:\.\d{1,3})*|[IVXLCDM]{1,7}|[A-Z](?:-?\d{1,2})?)\b\.?/i;
+// "1." or "1.1" / "1.1." but not "30 days" or "1.5 million"
+const DECIMAL_MARKER =
+  /^(\d{1,3}\.(?:\d{1,3}\.?)*|\d{1,3}(?:\.\d{1,3})+)(?=\s|$)/;
+const PAREN_MARKER = /^\(([a-z]{1,4}|[A-Z]{1,4}|\d{1,2})\)(?=\s|$)/;
+const CLOSE_PAREN_MARKER = /^([a-z]|[ivx]{1,4})\)(?=\s)/;
+const UPPER_DOT_MARKER = /^([A-Z])\.(?=\s+[A-Z])/;
+const CAPS_HEADING = /^[A-Z][A-Z0-9 ,&/'()-]{2,79}$/;
+
+const DEFINITIONS_HEADING =
+  /^(?:definitions?|interpretation|defined terms)\b|\bdefinitions\b/i;
+const DEFINITION_PATTERN =
+  /["“]([^"”\n]{1,80})["”]\s*(?:\([^)\n]{0,40}\)\s*)?(?:shall\s+)?(?:means?|shall have the meaning|has the meaning|includes?|refers? to)\b/g;
+
+const MAX_HEADING_LENGTH = 80;
+const PREVIEW_LENGTH = 160;
+
+const ARTICLE_KEYWORDS = ["article", "part"];
+const SCHEDULE_KEYWORDS = [
+  "schedule",
+  "exhibit",
+  "annex",
+  "annexure",
+  "appendix",
+];
+
+// Styles that form lists inside a clause rather than the section hierarchy
+const LIST_STYLES = new Set([
+  "paren-alpha",
+  "paren-roman",
+  "paren-upper",
+  "paren-digit",
+  "close-alpha",
+  "close-roman",
+  "upper-dot",
+]);
+
+export function segmentDocument(text, options = {}) {
+  if (!text || text.trim().length === 0) {
+    return { clauses: [], definitions: [] };
+  }
+
+  const markers = findMarkers(text, options.outline);
+  const roots = buildTree(text, markers);
+  const definitions = extractDefinitions(text, roots);
+
+  return { clauses: roots, definitions };
+}
+
+// Every node of the tree in document order
+export function flattenClauses(nodes) {
+  return nodes.flatMap((node) => [node, ...flattenClauses(node.children)]);
+}
+
+// The text a node holds itself, excluding its sub-clauses
+export function ownText(text, node) {
+  const { start, end } = ownSpan(node);
+  return text.slice(start, end).trim();
+}
+
+// Offsets of a node's own text, before its first sub-clause
+export function ownSpan(node) {
+  return {
+    start: node.start,
+    end: node.children.length ? node.children[0].start : node.end,
+  };
+}
+
+// Compact reference to a node, as stored alongside detected clauses
+export function clauseReference(node) {
+  return {
+    id: node.id,
+    number: node.number,
+    heading: node.heading,
+    kind: node.kind,
+    start: node.start,
+    end: node.end,
+  };
+}
+
+// The innermost of the flattened nodes that holds `offset`, or null
+export function clauseAt(nodes, offset) {
+  let found = null;
+  for (const node of nodes) {
+    if (node.start <= offset && offset < node.end) found = node;
+  }
+  return found;
+}
+
+// Id, number and heading of a clause, as findings point back to it
+export function describeSection(section) {
+  return {
+    id: section.id,
+    number: section.number || null,
+    heading: section.heading || "",
+  };
+}
+
+// Scan line starts for numbering, keyword headings and ALL CAPS headings
+function findMarkers(text, outline = []) {
+  const markers = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  const lines = [];
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null && match[0].length > 0) {
+    lines.push({ raw: match[0], index: match.index });
+  }
+
+  lines.forEach((line, i) => {
+    const trimmed = line.raw.trim();
+    if (!trimmed) return;
+
+    const start = line.index + (line.raw.length - line.raw.trimStart().length);
+    const marker = parseMarker(trimmed);
+    if (!marker) return;
+
+    // "ARTICLE IV" on its own line, heading on the next one
+    if (marker.needsHeading) {
+      const next = lines.slice(i + 1).find((candidate) => candidate.raw.trim());
+      if (next && isHeadingLine(next.raw.trim())) {
+        marker.heading = cleanHeading(next.raw.trim());
+        next.consumed = true;
+      }
+    }
+
+    if (line.consumed) return;
+    markers.push({ ...marker, start });
+  });
+
+  // Word headings without numbering that the text scan didn't catch
+  if (Array.isArray(outline)) {
+    const known = new Set(markers.map((marker) => marker.start));
+    outline
+      .filter(
+        (entry) =>
+          entry.type === "heading" &&
+          !entry.number &&
+          Number.isInteger(entry.start) &&
+          !known.has(entry.start) &&
+          entry.text?.trim(),
+      )
+      .forEach((entry) =>
+        markers.push({
+          style: "heading",
+          kind: "heading",
+          label: null,
+          number: null,
+          heading: cleanHeading(entry.text.trim()),
+          start: entry.start,
+        }),
+      );
+  }
+
+  return markers.sort((a, b) => a.start - b.start);
+}
+
+function parseMarker(line) {
+  let match = line.match(KEYWORD_MARKER);
+  if (match) {
+    const rest = line.slice(match[0].length).trim();
+    // "Section 5 of this Agreement ..." is a reference, not a heading
+    if (rest && /^[a-z]/.test(rest)) return null;
+
+    const keyword = match[1].toLowerCase();
+    const number = match[2];
+    const style = ARTICLE_KEYWORDS.includes(keyword)
+      ? "article"
+      : SCHEDULE_KEYWORDS.includes(keyword)
+        ? "schedule"
+        : `decimal:${number.split(".").length}`;
+
+    return {
+      style,
+      kind:
+        style === "article"
+          ? "article"
+          : style === "schedule"
+            ? "schedule"
+            : "section",
+      label: match[0],
+      number:
+        style === "article" || style === "schedule"
+          ? `${capitalize(keyword)} ${number}`
+          : number,
+      ...headingFrom(rest),
+    };
+  }
+
+  match = line.match(DECIMAL_MARKER);
+  if (match) {
+    const rest = line.slice(match[0].length).trim();
+    if (rest && /^[a-z]/.test(rest)) return null;
+
+    const number = match[1].replace(/\.$/, "");
+    const depth = number.split(".").length;
+    return {
+      style: `decimal:${depth}`,
+      kind: depth === 1 ? "section" : "subsection",
+      label: match[1],
+      number,
+      ...headingFrom(rest),
+    };
+  }
+
+  match = line.match(PAREN_MARKER) || line.match(CLOSE_PAREN_MARKER);
+  if (match) {
+    const label = match[1];
+    const closeOnly = !match[0].startsWith("(");
+    return {
+      style: listStyle(label, closeOnly),
+      kind: "subclause",
+      label: match[0],
+      number: label,
+      heading: null,
+      needsHeading: false,
+    };
+  }
+
+  match = line.match(UPPER_DOT_MARKER);
+  if (match) {
+    return {
+      style: "upper-dot",
+      kind: "subclause",
+      label: match[0],
+      number: match[1],
+      ...headingFrom(line.slice(match[0].length).trim()),
+    };
+  }
+
+  if (CAPS_HEADING.test(line) && /[A-Z]{2}/.test(line)) {
+    return {
+      style: "heading",
+      kind: "heading",
+      label: null,
+      number: null,
+      heading: cleanHeading(line),
+      needsHeading: false,
+    };
+  }
+
+  return null;
+}
+
+// The words after a number are a heading when they are short and don't read
+// as a sentence: "1. TERM", "4.2 Late Payment", "3. Rent. The Tenant shall..."
+function headingFrom(rest) {
+  if (!rest) return { heading: null, needsHeading: true };
+
+  const separator = rest.replace(/^[-–—:.]\s*/, "");
+  if (isHeadingLine(separator)) {
+    return { heading: cleanHeading(separator), needsHeading: false };
+  }
+
+  const inline = separator.match(/^([A-Z][^.;:\n]{0,60})[.:]\s+\S/);
+  if (inline && inline[1].trim().split(/\s+/).length <= 6) {
+    return { heading: cleanHeading(inline[1]), needsHeading: false };
+  }
+
+  return { heading: null, needsHeading: false };
+}
+
+function isHeadingLine(line) {
+  if (!line || line.length > MAX_HEADING_LENGTH) return false;
+  if (/[;,]$/.test(line)) return false;
+  if (PAREN_MARKER.test(line) || DECIMAL_MARKER.test(line)) return false;
+  if (line === line.toUpperCase() && /[A-Z]{2}/.test(line)) return true;
+
+  // Title Case with no sentence punctuation
+  const words = line.replace(/[.:]$/, "").split(/\s+/);
+  return (
+    words.length <= 8 &&
+    !/[.:]\s/.test(line) &&
+    words.every((word) =>
+      /^(?:[A-Z0-9(&"“]|(?:of|and|or|the|to|for|in|on|a|an|by|with)$)/.test(
+        word,
+      ),
+    )
+  );
+}
+
+function cleanHeading(heading) {
+  return heading
+    .replace(/[.:]\s*$/, "")
+    .trim()
+    .slice(0, MAX_HEADING_LENGTH);
+}
+
+function listStyle(label, closeOnly) {
+  if (/^\d+$/.test(label)) return "paren-digit";
+  if (closeOnly)
+    return isRoman(label) && label.length > 1 ? "close-roman" : "close-alpha";
+  if (/^[A-Z]+$/.test(label)) return "paren-upper";
+  if (label.length > 1 && !isRoman(label)) return "paren-alpha";
+  return isRoman(label) ? "roman-or-alpha" : "paren-alpha";
+}
+
+function isRoman(label) {
+  return /^(?=[ivxlcdm]+$)m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i.test(
+    label,
+  );
+}
+
+// Structural depth of the non-list styles; lower ranks contain higher ones
+function rank(style) {
+  if (style === "article" || style === "schedule") return 0;
+  if (style === "heading") return 2;
+  return 1 + parseInt(style.split(":")[1]);
+}
+
+function buildTree(text, markers) {
+  const roots = [];
+  const stack = [];
+  let counter = 0;
+
+  const firstStart = markers.length ? markers[0].start : text.length;
+  if (text.slice(0, firstStart).trim()) {
+    roots.push(
+      createNode(counter++, {
+        kind: "preamble",
+        style: "preamble",
+        label: null,
+        number: null,
+        heading: null,
+        start: 0,
+      }),
+    );
+  }
+
+  for (const marker of markers) {
+    const style =
+      marker.style === "roman-or-alpha"
+        ? resolveRomanOrAlpha(marker.number, stack)
+        : marker.style;
+    const node = createNode(counter++, { ...marker, style });
+
+    if (LIST_STYLES.has(style)) {
+      // A sibling of an open list item of the same style, else a new list
+      const sibling = findLastIndex(stack, (open) => open.style === style);
+      if (sibling >= 0) stack.length = sibling;
+    } else if (style === "article" || style === "schedule") {
+      stack.length = 0;
+    } else {
+      while (
+        stack.length &&
+        (LIST_STYLES.has(stack[stack.length - 1].style) ||
+          rank(stack[stack.length - 1].style) >= rank(style))
+      ) {
+        stack.pop();
+      }
+    }
+
+    const parent = stack[stack.length - 1];
+    node.level = parent ? parent.level + 1 : 1;
+    (parent ? parent.children : roots).push(node);
+    stack.push(node);
+  }
+
+  setEnds(text, roots, text.length);
+  return roots.map((node) => finalizeNode(text, node));
+}
+
+// "(i)" after "(h)" is a letter; otherwise roman-looking labels continue an
+// open roman list, start one under a lettered item, or "(i)" starts one
+function resolveRomanOrAlpha(label, stack) {
+  const alpha = findLast(stack, (open) => open.style === "paren-alpha");
+  if (alpha && nextLetter(alpha.number) === label) return "paren-alpha";
+  if (findLast(stack, (open) => open.style === "paren-roman")) {
+    return "paren-roman";
+  }
+  return alpha || label === "i" ? "paren-roman" : "paren-alpha";
+}
+
+function nextLetter(letter) {
+  return letter.length === 1
+    ? String.fromCharCode(letter.charCodeAt(0) + 1)
+    : null;
+}
+
+function createNode(index, marker) {
+  return {
+    id: `c${index}`,
+    number: marker.number,
+    label: marker.label,
+    kind: DEFINITIONS_HEADING.test(marker.heading || "")
+      ? "definitions"
+      : marker.kind,
+    style: marker.style,
+    heading: marker.heading || null,
+    start: marker.start,
+    end: null,
+    children: [],
+  };
+}
+
+function setEnds(text, nodes, limit) {
+  nodes.forEach((node, i) => {
+    node.end = i + 1 < nodes.length ? nodes[i + 1].start : limit;
+    setEnds(text, node.children, node.end);
+  });
+}
+
+function finalizeNode(text, node) {
+  let end = node.end;
+  while (end > node.start && /\s/.test(text[end - 1])) end--;
+
+  const { style, ...rest } = node;
+  const finalized = {
+    ...rest,
+    end,
+    children: node.children.map((child) => finalizeNode(text, child)),
+  };
+
+  const own = ownText(text, finalized).replace(/\s+/g, " ");
+  finalized.preview =
+    own.length > PREVIEW_LENGTH
+      ? `${own.slice(0, PREVIEW_LENGTH).trimEnd()}…`
+      : own;
+
+  return finalized;
+}
+
+// '"Term" means ...' anywhere in the document, tied to the clause it sits in
+function extractDefinitions(text, roots) {
+  const nodes = flattenClauses(roots);
+  const definitions = [];
+  const seen = new Set();
+  let match;
+
+  DEFINITION_PATTERN.lastIndex = 0;
+  while ((match = DEFINITION_PATTERN.exec(text)) !== null) {
+    const term = match[1].trim();
+    if (!term || seen.has(term.toLowerCase())) continue;
+
+    const clause = clauseAt(nodes, match.index);
+    const limit = clause ? clause.end : text.length;
+    const bodyStart = match.index + match[0].length;
+    const end = definitionEnd(text, bodyStart, limit);
+
+    seen.add(term.toLowerCase());
+    definitions.push({
+      term,
+      definition: text.slice(match.index, end).replace(/\s+/g, " ").trim(),
+      start: match.index,
+      end,
+      clauseId: clause?.id || null,
+    });
+  }
+
+  return definitions;
+}
+
+// A definition runs to the end of its sentence, list item or paragraph
+function definitionEnd(text, from, limit) {
+  const window = text.slice(from, Math.min(limit, from + 600));
+  const stop = window.search(/[.;](?=\s|$)|\n\s*\n/);
+  return stop >= 0 ? from + stop + 1 : from + window.length;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function findLastIndex(items, predicate) {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) return i;
+  }
+  return -1;
+}
+
+function findLast(items, predicate) {
+  const index = findLastIndex(items, predicate);
+  return index >= 0 ? items[index] : null;
+}
@@ -0,0 +1,482 @@
+import {
+  flattenClauses,
+  clauseReference,
+  clauseAt,
+  describeSection,
+} from "./clauseSegmenter.js";
+import { matchTerms, STATUS_WEIGHTS } from "./clauseMatcher.js";
+import { DOCUMENT_TYPES } from "./documentClassifier.js";
+
+// Clause templates: the protections a document of each type is expected to
+// contain, and why each one matters when it is missing. A protection is
+// present when one of its clause types was detected or one of its patterns
+// matches outside a negation ("no part of the deposit shall be refunded"
+// does not count as refund terms); `negation: keep` counts negated and
+// excepted hits too, for protections usually phrased that way. Templates are
+// keyed by the document types of documentClassifier.js.
+
+// Termination wording in a clause the detector did not label termination,
+// such as a single "Either party may terminate on 90 days' notice" line
+const TERMINATION_NOTICE = [
+  /\bterminat\w*\b[^.]{0,80}\bnotice\b/i,
+  /\bnotice\b[^.]{0,60}\bterminat\w*\b/i,
+];
+
+const CLAUSE_TEMPLATES = {
+  rental: {
+    protections: [
+      {
+        id: "rent",
+        title: "Rent amount and due date",
+        importance: "high",
+        patterns: [
+          /\brent\b[^.]{0,80}\b(?:due|payable|per\s+(?:month|week)|monthly|weekly)\b/i,
+        ],
+        why: "Without a stated amount and due date, the rent owed and when it is late are open to argument.",
+        recommendation:
+          "State the rent, how and when it is paid, and when it counts as late",
+      },
+      {
+        id: "deposit_refund",
+        title: "Deposit refund terms",
+        importance: "high",
+        patterns: [
+          /\bdeposit\b[^.]{0,120}\b(?:return(?:ed)?|refund(?:ed)?|repaid)\b/i,
+          /\b(?:return|refund|repay)\b[^.]{0,60}\bdeposit\b/i,
+        ],
+        why: "Without refund terms the landlord decides when to return the deposit and what to deduct, and deductions are hard to dispute.",
+        recommendation:
+          "Add when the deposit is returned, what may be deducted and how deductions are itemised",
+      },
+      {
+        id: "repairs",
+        title: "Repairs and maintenance",
+        importance: "medium",
+        patterns: [/\b(?:repairs?|maintenance|maintain|wear\s+and\s+tear)\b/i],
+        why: "If the lease is silent on repairs, it is unclear who pays when something breaks.",
+        recommendation:
+          "Set out which repairs the landlord makes, how quickly, and what the tenant is responsible for",
+      },
+      {
+        id: "term",
+        title: "Length of the tenancy",
+        importance: "medium",
+        patterns: [
+          /\bterm\s+of\b[^.]{0,40}\b(?:months?|years?|weeks?)\b/i,
+          /\bmonth[- ]to[- ]month\b|\bperiodic\s+tenancy\b/i,
+          /\b(?:commenc\w*|beginning|starting)\s+on\b/i,
+        ],
+        why: "Without a stated term you cannot tell how long you are bound or when rent can be renegotiated.",
+        recommendation:
+          "State the start date and either a fixed term or that the tenancy runs month to month",
+      },
+      {
+        id: "termination",
+        title: "Ending the tenancy",
+        importance: "high",
+        clauses: ["termination"],
+        patterns: TERMINATION_NOTICE,
+        why: "Without termination terms, neither side knows how much notice is needed to end the lease or on what grounds.",
+        recommendation:
+          "Add the notice each side must give to end the tenancy and the grounds for early termination",
+      },
+      {
+        id: "entry",
+        title: "Landlord entry and notice",
+        importance: "medium",
+        patterns: [
+          /\b(?:enter|entry|access|inspect\w*)\b[^.]{0,100}\bnotice\b/i,
+          /\bquiet\s+enjoyment\b/i,
+        ],
+        why: "Without entry terms the landlord's right to come into the property, and the warning you get, are undefined.",
+        recommendation:
+          "Require reasonable written notice before the landlord enters, except in emergencies",
+      },
+    ],
+  },
+
+  employment: {
+    protections: [
+      {
+        id: "compensation",
+        title: "Salary and pay schedule",
+        importance: "high",
+        clauses: ["payment"],
+        patterns: [/\b(?:salary|wages?|remuneration|compensation)\b/i],
+        why: "Without stated pay, the amount and timing of your wages depend on what the employer decides.",
+        recommendation:
+          "State the salary or rate, how often it is paid and how it is reviewed",
+      },
+      {
+        id: "duties",
+        title: "Job title and duties",
+        importance: "medium",
+        patterns: [
+          /\b(?:job\s+title|position\s+of|duties|responsibilities)\b/i,
+          /\bemployed\s+as\b/i,
+        ],
+        why: "Without a defined role, the employer can change what you do and it is harder to challenge the change.",
+        recommendation:
+          "Add your job title and a description of your main duties",
+      },
+      {
+        id: "working_hours",
+        title: "Working hours",
+        importance: "medium",
+        patterns: [
+          /\b(?:working\s+hours|hours\s+of\s+work|hours\s+per\s+week|full[- ]time|part[- ]time|overtime)\b/i,
+        ],
+        why: "Without set hours there is no baseline for overtime or for refusing extra work.",
+        recommendation:
+          "State normal working hours and how overtime is paid or compensated",
+      },
+      {
+        id: "leave",
+        title: "Holidays and leave",
+        importance: "medium",
+        patterns: [
+          /\b(?:vacation|holidays?|annual\s+leave|paid\s+time\s+off|PTO|sick\s+(?:leave|pay))\b/i,
+        ],
+        why: "Without leave terms you may get only the statutory minimum, and sick pay may be unclear.",
+        recommendation: "Add paid holiday, sick leave and how each is booked",
+      },
+      {
+        id: "termination",
+        title: "Notice and termination",
+        importance: "high",
+        clauses: ["termination"],
+        patterns: TERMINATION_NOTICE,
+        why: "Without termination terms, notice and severance fall back on the legal minimum, if any.",
+        recommendation:
+          "Add the notice each side must give and any severance or pay in lieu of notice",
+      },
+      {
+        id: "work_ownership",
+        title: "Ownership of work",
+        importance: "low",
+        clauses: ["intellectual_property"],
+        why: "Without an ownership clause, rights in what you create, including outside work, may be disputed later.",
+        recommendation:
+          "Make clear which work the employer owns and exclude work done on your own time",
+      },
+    ],
+  },
+
+  nda: {
+    protections: [
+      {
+        id: "definition",
+        title: "Definition of confidential information",
+        importance: "high",
+        patterns: [
+          /\bconfidential\s+information["”]?\s*(?:\)\s*)?(?:means|shall\s+mean|includes|refers\s+to)\b/i,
+        ],
+        why: "Without a definition, it is unclear what information the obligations cover, which makes them hard to enforce and easy to overreach.",
+        recommendation:
+          "Define confidential information, including whether oral disclosures must be marked or confirmed",
+      },
+      {
+        id: "exclusions",
+        title: "Standard exclusions",
+        importance: "high",
+        negation: "keep",
+        patterns: [
+          /\b(?:publicly\s+(?:available|known)|public\s+domain|independently\s+developed|rightfully\s+received)\b/i,
+          /\balready\s+(?:known|in\s+\w+(?:\s+\w+)?\s+possession)\b/i,
+        ],
+        why: "Without exclusions the recipient is bound even for information that is public, already known or developed independently.",
+        recommendation:
+          "Exclude information that is public, already known, independently developed or received from a third party",
+      },
+      {
+        id: "term",
+        title: "Duration of confidentiality",
+        importance: "high",
+        patterns: [
+          /\b(?:for\s+a\s+period\s+of|term\s+of)\b[^.]{0,40}\b(?:months?|years?)\b/i,
+          /\b(?:months?|years?)\s+(?:from|after|following)\b/i,
+          /\b(?:survive|remain\s+in\s+effect|continue\s+in\s+force)\b/i,
+        ],
+        why: "Without a term the obligations may last indefinitely, or a court may read in a shorter period than you intended.",
+        recommendation:
+          "State how long the obligations last and whether they survive termination",
+      },
+      {
+        id: "return_of_materials",
+        title: "Return or destruction of materials",
+        importance: "high",
+        patterns: [
+          /\b(?:return|destroy|destruction)\b[^.]{0,80}\b(?:materials?|documents?|copies|confidential\s+information)\b/i,
+        ],
+        why: "Without a return clause, the recipient can keep copies of your information after the relationship ends.",
+        recommendation:
+          "Require return or destruction of all materials and copies on request or termination, certified in writing",
+      },
+      {
+        id: "compelled_disclosure",
+        title: "Disclosure required by law",
+        importance: "medium",
+        patterns: [
+          /\brequired\s+by\s+(?:law|a\s+court|regulation|any\s+governmental)\b/i,
+          /\b(?:court\s+order|subpoena|legally\s+compelled)\b/i,
+        ],
+        why: "Without it the recipient may breach the agreement by complying with a subpoena, or disclose without warning you.",
+        recommendation:
+          "Allow disclosure required by law, with prompt notice so the owner can seek protection",
+      },
+      {
+        id: "remedies",
+        title: "Remedies for breach",
+        importance: "low",
+        patterns: [
+          /\b(?:injunct\w*|equitable\s+relief|specific\s+performance|irreparable\s+(?:harm|injury))\b/i,
+        ],
+        why: "Damages come too late once information is out; without this you may struggle to get a court order quickly.",
+        recommendation:
+          "Add the right to seek injunctive relief without proving damages",
+      },
+    ],
+  },
+
+  service: {
+    protections: [
+      {
+        id: "scope",
+        title: "Scope of services",
+        importance: "high",
+        patterns: [
+          /\b(?:scope\s+of\s+(?:work|services)|statement\s+of\s+work|description\s+of\s+(?:the\s+)?services|deliverables)\b/i,
+        ],
+        why: "Without a defined scope, disputes about what was promised, and whether extra work is chargeable, are likely.",
+        recommendation:
+          "Describe the services and deliverables, or attach a statement of work",
+      },
+      {
+        id: "payment",
+        title: "Fees and payment terms",
+        importance: "high",
+        clauses: ["payment"],
+        why: "Without payment terms, fees, invoicing and due dates are open to dispute.",
+        recommendation:
+          "State the fees, when they are invoiced and when payment is due",
+      },
+      {
+        id: "liability",
+        title: "Limitation of liability",
+        importance: "high",
+        clauses: ["liability"],
+        why: "Without a limit, a claim under the agreement can cost far more than the contract is worth.",
+        recommendation:
+          "Cap each party's liability and exclude indirect and consequential losses",
+      },
+      {
+        id: "termination",
+        title: "Termination",
+        importance: "high",
+        clauses: ["termination"],
+        patterns: TERMINATION_NOTICE,
+        why: "Without termination rights you may have no clean way out if the services are poor or no longer needed.",
+        recommendation:
+          "Add termination for breach and for convenience, with notice periods",
+      },
+      {
+        id: "warranties",
+        title: "Service standards or warranties",
+        importance: "medium",
+        clauses: ["warranties"],
+        why: "Without a stated standard it is hard to show the services were inadequate.",
+        recommendation:
+          "Require the services to be performed with reasonable skill and care, with a remedy for defects",
+      },
+      {
+        id: "ownership",
+        title: "Ownership of deliverables",
+        importance: "medium",
+        clauses: ["intellectual_property"],
+        why: "Without an ownership clause the provider may keep the rights in what you paid for.",
+        recommendation:
+          "State who owns the deliverables and what license the other party receives",
+      },
+      {
+        id: "confidentiality",
+        title: "Confidentiality",
+        importance: "medium",
+        clauses: ["confidentiality"],
+        why: "Without confidentiality terms, information shared for the work is not protected by the agreement.",
+        recommendation: "Add mutual confidentiality obligations",
+      },
+    ],
+  },
+
+  license: {
+    protections: [
+      {
+        id: "grant",
+        title: "Scope of the license grant",
+        importance: "high",
+        patterns: [
+          /\b(?:grants?|granted)\b[^.]{0,80}\blicen[cs]e\b/i,
+          /\blicen[cs]e\s+to\s+use\b/i,
+        ],
+        why: "Without a clear grant, it is unclear what you may use, where, for how long and whether you can sublicense.",
+        recommendation:
+          "Set out what is licensed, to whom, for what use, where, for how long and whether it is exclusive",
+      },
+      {
+        id: "restrictions",
+        title: "Permitted use and restrictions",
+        importance: "medium",
+        patterns: [
+          /\b(?:permitted\s+use|restrictions?)\b/i,
+          /\b(?:shall|may)\s+not\s+(?:\w+\s+){0,3}(?:copy|modify|distribute|reverse\s+engineer|sublicen[cs]e)\b/i,
+        ],
+        why: "Without listed restrictions, the line between permitted use and infringement is unclear for both sides.",
+        recommendation:
+          "List what the licensee may and may not do with the licensed material",
+      },
+      {
+        id: "fees",
+        title: "License fees",
+        importance: "medium",
+        clauses: ["payment"],
+        why: "Without fee terms, royalties, renewals and price changes are open to dispute.",
+        recommendation:
+          "State the license fees, when they are due and how they change on renewal",
+      },
+      {
+        id: "ownership",
+        title: "Ownership of the licensed material",
+        importance: "medium",
+        clauses: ["intellectual_property"],
+        why: "Without an ownership clause, rights in improvements and derived works are uncertain.",
+        recommendation:
+          "Confirm the licensor keeps ownership and say who owns improvements",
+      },
+      {
+        id: "warranties",
+        title: "Warranties",
+        importance: "medium",
+        clauses: ["warranties"],
+        why: "Without warranties you have little recourse if the licensed material does not work or infringes someone else's rights.",
+        recommendation:
+          "Ask for warranties of title, non-infringement and conformity with the documentation",
+      },
+      {
+        id: "liability",
+        title: "Limitation of liability",
+        importance: "high",
+        clauses: ["liability"],
+        why: "Without a limit, liability for defects or misuse is uncapped.",
+        recommendation:
+          "Cap liability and exclude indirect losses for both parties",
+      },
+      {
+        id: "termination",
+        title: "Term and termination",
+        importance: "high",
+        clauses: ["termination"],
+        patterns: TERMINATION_NOTICE,
+        why: "Without termination terms, it is unclear how the license ends and what happens to your use afterwards.",
+        recommendation:
+          "Add the license term, termination rights and what must stop or be returned on termination",
+      },
+    ],
+  },
+};
+
+const IMPORTANCE_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Template for a document type label ("Rental Agreement") or id ("rental")
+export function getClauseTemplate(documentType) {
+  if (!documentType) return null;
+  const id = Object.keys(CLAUSE_TEMPLATES).find(
+    (key) => key === documentType || DOCUMENT_TYPES[key] === documentType,
+  );
+  return id ? { id, label: DOCUMENT_TYPES[id], ...CLAUSE_TEMPLATES[id] } : null;
+}
+
+// Check a document against the template for its type. Returns null for
+// types without a template; otherwise the protections found (with where)
+// and the ones missing (with why they matter), most important first.
+export function findMissingClauses(text, structure, clauses, documentType) {
+  const template = getClauseTemplate(documentType);
+  if (!template) return null;
+
+  const nodes = flattenClauses(structure.clauses);
+  const present = [];
+  const missing = [];
+
+  template.protections.forEach((protection) => {
+    const evidence =
+      clauseEvidence(protection, clauses) ||
+      patternEvidence(protection, text, nodes);
+
+    if (evidence) {
+      present.push({ id: protection.id, title: protection.title, evidence });
+    } else {
+      missing.push({
+        id: protection.id,
+        title: protection.title,
+        importance: protection.importance,
+        why: protection.why,
+        recommendation: protection.recommendation,
+      });
+    }
+  });
+
+  return {
+    documentType: template.label,
+    template: template.id,
+    expected: template.protections.length,
+    present,
+    missing: missing.sort(
+      (a, b) => IMPORTANCE_ORDER[a.importance] - IMPORTANCE_ORDER[b.importance],
+    ),
+  };
+}
+
+// The strongest section of a detected clause of one of the protection's types
+function clauseEvidence(protection, clauses) {
+  const clause = clauses.find((entry) =>
+    (protection.clauses || []).includes(entry.type),
+  );
+  const [section] = clause?.sections || [];
+  if (!section) return null;
+
+  return {
+    clause: describeSection(section),
+    clauseType: clause.type,
+    text: clause.content[0] || "",
+    start: section.start ?? null,
+    end: section.end ?? null,
+  };
+}
+
+// The first hit of the protection's patterns that clauseMatcher.js keeps
+// (or that sits in an exception, with `negation: keep`)
+function patternEvidence(protection, text, nodes) {
+  if (!protection.patterns) return null;
+
+  const { hits } = matchTerms(text, protection.patterns, {
+    negation: protection.negation,
+  });
+  const hit = hits
+    .filter(
+      (entry) =>
+        STATUS_WEIGHTS[entry.status] > 0 ||
+        (protection.negation === "keep" && entry.status === "exception"),
+    )
+    .sort((a, b) => a.start - b.start)[0];
+  if (!hit) return null;
+
+  const node = clauseAt(nodes, hit.start);
+  return {
+    clause: node ? describeSection(clauseReference(node)) : null,
+    clauseType: null,
+    text: hit.text,
+    start: hit.start,
+    end: hit.end,
+  };
+}
+
+export { CLAUSE_TEMPLATES };
@@ -0,0 +1,9 @@
+// Thrown by both storage backends when a chat or voice record names a
+// document that was never stored
+export class DocumentNotFoundError extends Error {
+  constructor(documentId) {
+    super(`No document found with ID: ${documentId}`);
+    this.name = "DocumentNotFoundError";
+    this.documentId = documentId;
+  }
+}
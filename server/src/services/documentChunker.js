@@ -0,0 +1,279 @@
+// Split document text into retrieval chunks that follow clause and section
+// boundaries. Every chunk keeps the character offsets of its text in the
+// original document so answers can cite exactly where they came from.
+import { segmentDocument, flattenClauses } from "./clauseSegmenter.js";
+
+const DEFAULT_MAX_CHARS = 1500;
+const DEFAULT_MIN_CHARS = 200;
+
+// Separator the PDF extractor places between pages
+const PAGE_SEPARATOR_LENGTH = 2;
+
+const HEADING_PATTERNS = [
+  // Article IV, Section 3.2, Schedule A, Exhibit B-1 ...
+  /^(?:article|section|clause|schedule|exhibit|annex(?:ure)?|appendix|part)\s+[\dA-Z][\w.-]*\b/i,
+  // "1. Term", "1.1 The Tenant", "2.3.4" but not "30 days" at a line wrap
+  /^\d{1,3}(?:\.\d{1,3})*(?:\.\s+\S|\s+[A-Z(])/,
+  // ALL CAPS heading line such as "TERMINATION" or "GOVERNING LAW"
+  /^[A-Z][A-Z0-9 ,&/'()-]{2,79}$/,
+];
+
+const NUMBER_PATTERN =
+  /^(?:(?:article|section|clause|schedule|exhibit|annex(?:ure)?|appendix|part)\s+([\dA-Z]+(?:[.-][\dA-Z]+)*)|(\d{1,3}(?:\.\d{1,3})*))\b/i;
+
+export function chunkDocument(text, options = {}) {
+  if (!text || text.trim().length === 0) return [];
+
+  const {
+    outline = [],
+    pageTexts = [],
+    maxChars = DEFAULT_MAX_CHARS,
+    minChars = DEFAULT_MIN_CHARS,
+  } = options;
+
+  const sections = hasUsableOutline(outline)
+    ? sectionsFromOutline(text, outline)
+    : sectionsFromText(text);
+
+  const pages = pageRanges(pageTexts);
+
+  return mergeShortSections(
+    attachBareHeadings(text, sections),
+    minChars,
+    maxChars,
+  )
+    .flatMap((section) => splitLongSection(text, section, maxChars))
+    .map((section) => trimSection(text, section))
+    .filter((section) => section.end > section.start)
+    .map((section, index) => ({
+      index,
+      heading: section.heading,
+      number: section.number,
+      start: section.start,
+      end: section.end,
+      pageNumber: pageAt(pages, section.start),
+      text: text.slice(section.start, section.end),
+    }));
+}
+
+function hasUsableOutline(outline) {
+  return outline.some(
+    (entry) =>
+      Number.isInteger(entry.start) &&
+      (entry.type === "heading" ||
+        (entry.type === "paragraph" && entry.number)),
+  );
+}
+
+// Word uploads: headings and numbered paragraphs from the outline start sections
+function sectionsFromOutline(text, outline) {
+  const boundaries = outline
+    .filter(
+      (entry) =>
+        Number.isInteger(entry.start) &&
+        (entry.type === "heading" ||
+          (entry.type === "paragraph" && entry.number)),
+    )
+    .map((entry) => ({
+      start: entry.start,
+      heading: (entry.text || "").slice(0, 120),
+      number: entry.number || null,
+      headingOnly: entry.type === "heading",
+    }));
+
+  return sectionsFromBoundaries(text, boundaries);
+}
+
+// Plain text: look for heading and numbering patterns at the start of lines
+function sectionsFromText(text) {
+  const headingLines = headingLineStarts(text);
+  const boundaries = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null && match[0].length > 0) {
+    const line = match[0].trim();
+    if (line && HEADING_PATTERNS.some((pattern) => pattern.test(line))) {
+      const leading = match[0].length - match[0].trimStart().length;
+      boundaries.push({
+        start: match.index + leading,
+        heading: line.slice(0, 120),
+        number: sectionNumber(line),
+        headingOnly: headingLines.has(match.index + leading),
+      });
+    }
+  }
+
+  return sectionsFromBoundaries(text, boundaries);
+}
+
+// Offsets of lines the clause segmenter reads as a heading with nothing
+// after it: "3. Rent and Payment" or "TERMINATION", but not "3.1 The Tenant
+// shall pay..." or "3. Rent. The Tenant shall pay..."
+function headingLineStarts(text) {
+  const starts = new Set();
+  flattenClauses(segmentDocument(text).clauses).forEach((node) => {
+    const line = text.slice(node.start).split("\n")[0];
+    const rest = line
+      .slice((node.label || "").length)
+      .replace(/^[-–—:.\s]+/, "")
+      .replace(/[.:]?\s*$/, "");
+    if (!rest || rest === node.heading) starts.add(node.start);
+  });
+  return starts;
+}
+
+function sectionNumber(line) {
+  const match = line.match(NUMBER_PATTERN);
+  return match ? match[1] || match[2] : null;
+}
+
+function sectionsFromBoundaries(text, boundaries) {
+  const sorted = boundaries
+    .filter((boundary) => boundary.start >= 0 && boundary.start < text.length)
+    .sort((a, b) => a.start - b.start);
+
+  const sections = [];
+
+  // Anything before the first heading (title, recitals) is its own section
+  const firstStart = sorted.length ? sorted[0].start : text.length;
+  if (text.slice(0, firstStart).trim().length > 0) {
+    sections.push({ start: 0, end: firstStart, heading: null, number: null });
+  }
+
+  sorted.forEach((boundary, index) => {
+    const end =
+      index + 1 < sorted.length ? sorted[index + 1].start : text.length;
+    if (end > boundary.start) {
+      sections.push({ ...boundary, end });
+    }
+  });
+
+  return sections;
+}
+
+// A heading line with no body of its own ("2. RENT") belongs to what follows.
+// One-line clauses ("2.2 Rent is due monthly.") have a body and stay put.
+function attachBareHeadings(text, sections) {
+  const attached = [];
+  let heading = null;
+
+  for (const section of sections) {
+    const current = heading ? { ...heading, end: section.end } : section;
+    heading = null;
+
+    const bare =
+      section.headingOnly &&
+      !text.slice(section.start, section.end).trim().includes("\n");
+    if (bare) {
+      heading = current;
+    } else {
+      attached.push(current);
+    }
+  }
+
+  if (heading) attached.push(heading);
+  return attached;
+}
+
+// Fold sections that are too small to stand alone (bare headings, one-line
+// sub-clauses) into the section that follows, unless that would bury a
+// short clause inside a long one that is going to be split anyway
+function mergeShortSections(sections, minChars, maxChars) {
+  const merged = [];
+  let pending = null;
+
+  for (const section of sections) {
+    if (pending && section.end - pending.start > maxChars) {
+      merged.push(pending);
+      pending = null;
+    }
+
+    if (pending) {
+      pending = { ...pending, end: section.end };
+    } else {
+      pending = { ...section };
+    }
+
+    if (pending.end - pending.start >= minChars) {
+      merged.push(pending);
+      pending = null;
+    }
+  }
+
+  if (pending) {
+    const previous = merged[merged.length - 1];
+    if (previous && pending.end - pending.start < minChars / 2) {
+      previous.end = pending.end;
+    } else {
+      merged.push(pending);
+    }
+  }
+
+  return merged;
+}
+
+// Break oversized sections at paragraph, line or sentence boundaries
+function splitLongSection(text, section, maxChars) {
+  const pieces = [];
+  let start = section.start;
+
+  while (section.end - start > maxChars) {
+    const cut = findCut(text, start, start + maxChars);
+    pieces.push({ ...section, start, end: cut });
+    start = cut;
+  }
+  pieces.push({ ...section, start, end: section.end });
+
+  return pieces;
+}
+
+function findCut(text, start, limit) {
+  const window = text.slice(start, limit);
+  const minimum = Math.floor(window.length / 2);
+
+  const candidates = [/\n\s*\n/g, /\n/g, /[.;:!?]["')\]]?\s+/g, /\s+/g];
+  for (const pattern of candidates) {
+    let cut = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      if (match.index + match[0].length >= minimum) {
+        cut = match.index + match[0].length;
+      }
+    }
+    if (cut > 0) return start + cut;
+  }
+
+  return limit;
+}
+
+function trimSection(text, section) {
+  let { start, end } = section;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { ...section, start, end };
+}
+
+function pageRanges(pageTexts) {
+  if (!Array.isArray(pageTexts) || pageTexts.length < 2) return [];
+
+  let offset = 0;
+  return pageTexts.map((pageText, index) => {
+    const text = typeof pageText === "string" ? pageText : pageText?.text || "";
+    const range = {
+      pageNumber: index + 1,
+      start: offset,
+      end: offset + text.length,
+    };
+    offset += text.length + PAGE_SEPARATOR_LENGTH;
+    return range;
+  });
+}
+
+function pageAt(pages, offset) {
+  if (pages.length === 0) return 1;
+  const page = pages.find(
+    (range) => offset < range.end + PAGE_SEPARATOR_LENGTH,
+  );
+  return page ? page.pageNumber : pages[pages.length - 1].pageNumber;
+}
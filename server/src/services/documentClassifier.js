@@ -0,0 +1,357 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import natural from "natural";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "document-classifier" },
+});
+
+const TRAINING_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "training",
+  "document-types.json",
+);
+
+// Document types the classifier knows, with the labels shown in summaries
+const DOCUMENT_TYPES = {
+  rental: "Rental Agreement",
+  employment: "Employment Contract",
+  nda: "Non-Disclosure Agreement",
+  service: "Service Agreement",
+  license: "License Agreement",
+  terms_of_service: "Terms of Service",
+  privacy_policy: "Privacy Policy",
+  loan: "Loan Agreement",
+  purchase: "Purchase Agreement",
+  partnership: "Partnership Agreement",
+};
+
+// Below this the document is reported as a generic legal document
+const MIN_CONFIDENCE = 0.4;
+// Other types at least this likely are returned as secondary labels
+const SECONDARY_MIN = 0.15;
+// Less likely types that win sentences worth this much (summing their
+// probabilities), such as an NDA section inside a service agreement, are
+// returned as mentions
+const MENTION_SENTENCES = 2;
+// Naive Bayes treats every word as independent evidence, so on a long
+// document the winner always ends up near 100%. Weighing the words as if
+// the document were at most this long keeps the distribution informative.
+const EVIDENCE_TOKENS = 12;
+const TITLE_WEIGHT = 3;
+const TITLE_WORDS = 8;
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+
+let classifier = null;
+
+// Stemmed words without stop words, plus adjacent pairs ("term servic").
+// A title line names the type more reliably than any clause, so its terms
+// count TITLE_WEIGHT times.
+function features(text) {
+  const title = documentTitle(text);
+  return [
+    ...(title ? Array(TITLE_WEIGHT).fill(terms(title)).flat() : []),
+    ...terms(text),
+  ];
+}
+
+function terms(text) {
+  const stems = natural.PorterStemmer.tokenizeAndStem(text);
+  return [
+    ...stems,
+    ...natural.NGrams.bigrams(stems).map((pair) => pair.join(" ")),
+  ];
+}
+
+// A short first line followed by more text: "MUTUAL NON-DISCLOSURE AGREEMENT"
+function documentTitle(text) {
+  const lines = text.trim().split("\n");
+  return lines.length > 1 && lines[0].split(/\s+/).length <= TITLE_WORDS
+    ? lines[0]
+    : null;
+}
+
+// Multinomial naive Bayes over `documents` ({ type, secondary, text }),
+// with add-one smoothing. A document that also contains other types (an NDA
+// section in a service agreement) is split by sentence: each sentence trains
+// whichever of its types a model of the single-type documents prefers, so
+// the service type does not learn NDA wording.
+export function trainDocumentClassifier(documents) {
+  documents.forEach((document) =>
+    [document.type, ...(document.secondary || [])].forEach((type) => {
+      if (!DOCUMENT_TYPES[type]) {
+        throw new Error(
+          `Unknown document type "${type}" in training document ${document.id}`,
+        );
+      }
+    }),
+  );
+
+  const single = documents.filter((document) => !document.secondary?.length);
+  const mixed = documents.filter((document) => document.secondary?.length);
+  const examples = single.map((document) => ({
+    type: document.type,
+    features: features(document.text),
+  }));
+  const base = mixed.length ? fitModel(examples, single) : null;
+
+  return fitModel(
+    [...examples, ...mixed.flatMap((document) => splitMixed(document, base))],
+    documents,
+  );
+}
+
+// Priors come from the documents' main types, word counts from `examples`
+function fitModel(examples, documents) {
+  const types = Object.keys(DOCUMENT_TYPES);
+  const counts = Object.fromEntries(types.map((type) => [type, new Map()]));
+  const totals = Object.fromEntries(types.map((type) => [type, 0]));
+  const documentCounts = Object.fromEntries(types.map((type) => [type, 0]));
+  const vocabulary = new Set();
+
+  documents.forEach((document) => documentCounts[document.type]++);
+  examples.forEach((example) => {
+    const typeCounts = counts[example.type];
+    example.features.forEach((feature) => {
+      typeCounts.set(feature, (typeCounts.get(feature) || 0) + 1);
+      totals[example.type]++;
+      vocabulary.add(feature);
+    });
+  });
+
+  // Types without examples cannot be predicted
+  const trained = types.filter((type) => documentCounts[type] > 0);
+  return {
+    types: trained,
+    priors: Object.fromEntries(
+      trained.map((type) => [type, documentCounts[type] / documents.length]),
+    ),
+    counts,
+    totals,
+    vocabulary,
+    documents: documents.length,
+  };
+}
+
+function splitMixed(document, model) {
+  const labels = [document.type, ...document.secondary];
+  const parts = new Map(labels.map((type) => [type, []]));
+  const title = documentTitle(document.text);
+  if (title) {
+    parts
+      .get(document.type)
+      .push(...Array(TITLE_WEIGHT).fill(terms(title)).flat());
+  }
+
+  sentences(document.text).forEach((sentence) => {
+    const best = classifyText(sentence, model).distribution.find((entry) =>
+      labels.includes(entry.type),
+    );
+    parts.get(best?.type || document.type).push(...terms(sentence));
+  });
+
+  return [...parts].map(([type, features]) => ({ type, features }));
+}
+
+// Probability of each document type, the most likely one as `type`, the
+// other likely types as `secondary`, and types that dominate part of the
+// document without being likely overall as `mentions`, with the number of
+// sentences they win. `type` is "other" when no type reaches MIN_CONFIDENCE.
+export function classifyDocument(text, model = getDocumentClassifier()) {
+  const result = classifyText(text, model);
+  const sentences = sentenceEvidence(text, model, result.type);
+  const others = result.distribution.filter(
+    (entry) => entry.type !== result.type,
+  );
+  const sentenceCount = (type) => sentences.get(type)?.count || 0;
+
+  const secondary = others
+    .filter((entry) => entry.probability >= SECONDARY_MIN)
+    .map((entry) => ({ ...entry, sentences: sentenceCount(entry.type) }));
+  const mentions = others
+    .filter(
+      (entry) =>
+        entry.probability < SECONDARY_MIN &&
+        (sentences.get(entry.type)?.weight || 0) >= MENTION_SENTENCES,
+    )
+    .map((entry) => ({
+      type: entry.type,
+      label: entry.label,
+      sentences: sentenceCount(entry.type),
+    }));
+
+  return { ...result, secondary, mentions };
+}
+
+function classifyText(text, model) {
+  const tokens = features(text || "").filter((feature) =>
+    model.vocabulary.has(feature),
+  );
+  const weight = tokens.length
+    ? Math.min(1, EVIDENCE_TOKENS / tokens.length)
+    : 0;
+  const vocabularySize = model.vocabulary.size;
+
+  const scores = model.types.map((type) => {
+    const likelihood = tokens.reduce(
+      (sum, token) =>
+        sum +
+        Math.log(
+          ((model.counts[type].get(token) || 0) + 1) /
+            (model.totals[type] + vocabularySize),
+        ),
+      0,
+    );
+    return { type, score: Math.log(model.priors[type]) + weight * likelihood };
+  });
+
+  // Softmax, shifted by the best score so the exponentials stay in range
+  const best = Math.max(...scores.map((entry) => entry.score));
+  const sum = scores.reduce(
+    (total, entry) => total + Math.exp(entry.score - best),
+    0,
+  );
+  const distribution = scores
+    .map((entry) => ({
+      type: entry.type,
+      label: DOCUMENT_TYPES[entry.type],
+      probability: round(Math.exp(entry.score - best) / sum),
+    }))
+    .sort((a, b) => b.probability - a.probability);
+
+  const [top] = distribution;
+  const confident = tokens.length > 0 && top.probability >= MIN_CONFIDENCE;
+  return {
+    type: confident ? top.type : "other",
+    label: confident ? top.label : "Legal Document",
+    confidence: tokens.length > 0 ? top.probability : 0,
+    distribution,
+  };
+}
+
+// Sentences each type other than `primary` wins, with their summed
+// probability
+function sentenceEvidence(text, model, primary) {
+  const evidence = new Map();
+  sentences(text || "").forEach((sentence) => {
+    const { type, confidence } = classifyText(sentence, model);
+    if (type === primary || type === "other") return;
+    const entry = evidence.get(type) || { count: 0, weight: 0 };
+    evidence.set(type, {
+      count: entry.count + 1,
+      weight: entry.weight + confidence,
+    });
+  });
+  return evidence;
+}
+
+// Lines are split first, as headings have no full stop
+function sentences(text) {
+  return text
+    .split(/\n+/)
+    .filter((line) => line.trim())
+    .flatMap((line) => sentenceTokenizer.tokenize(line));
+}
+
+export function loadTrainingSet(file = TRAINING_FILE) {
+  const { documents } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return documents;
+}
+
+// Classifier trained on the bundled training set, built on first use
+export function getDocumentClassifier() {
+  if (!classifier) {
+    classifier = trainDocumentClassifier(loadTrainingSet());
+    logger.info(
+      `Trained document classifier on ${classifier.documents} documents (${classifier.types.length} types)`,
+    );
+  }
+  return classifier;
+}
+
+// Leave-one-out evaluation: each document is classified by a model trained
+// on all the others. Reports accuracy, per-type precision and recall, the
+// confusion matrix, and how many labelled secondary types were found (as
+// secondary labels or mentions) and how many others were reported.
+export function evaluateDocumentClassifier(documents = loadTrainingSet()) {
+  const types = Object.keys(DOCUMENT_TYPES);
+  const predictions = [...types, "other"];
+  const confusion = Object.fromEntries(
+    types.map((type) => [
+      type,
+      Object.fromEntries(predictions.map((predicted) => [predicted, 0])),
+    ]),
+  );
+  const errors = [];
+  const secondary = { expected: 0, found: 0, unexpected: 0 };
+  let correct = 0;
+
+  documents.forEach((document, index) => {
+    const model = trainDocumentClassifier(
+      documents.filter((_, other) => other !== index),
+    );
+    const result = classifyDocument(document.text, model);
+    const predicted = result.type;
+
+    if (predicted === document.type) correct++;
+    else {
+      errors.push({
+        id: document.id,
+        expected: document.type,
+        predicted,
+        confidence: result.confidence,
+      });
+    }
+    confusion[document.type][predicted]++;
+
+    const expected = document.secondary || [];
+    [...result.secondary, ...result.mentions].forEach((entry) => {
+      if (expected.includes(entry.type)) secondary.found++;
+      else if (entry.type !== document.type) secondary.unexpected++;
+    });
+    secondary.expected += expected.length;
+  });
+
+  const perType = Object.fromEntries(
+    types.map((type) => {
+      const truePositives = confusion[type][type];
+      const predicted = types.reduce(
+        (sum, actual) => sum + confusion[actual][type],
+        0,
+      );
+      const support = documents.filter(
+        (document) => document.type === type,
+      ).length;
+      return [
+        type,
+        {
+          precision: predicted ? round(truePositives / predicted) : 0,
+          recall: support ? round(truePositives / support) : 0,
+          support,
+        },
+      ];
+    }),
+  );
+
+  return {
+    documents: documents.length,
+    accuracy: round(correct / documents.length),
+    perType,
+    confusion,
+    secondary,
+    errors,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { DOCUMENT_TYPES };
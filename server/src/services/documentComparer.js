@@ -0,0 +1,451 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  ownText,
+  clauseReference,
+} from "./clauseSegmenter.js";
+import {
+  RISK_WEIGHTS,
+  detectClauses,
+  assessRisks,
+  calculateOverallRisk,
+} from "./aiAnalyzer.js";
+import { clauseRiskFactors } from "./riskModel.js";
+import { getClausePatterns } from "./patternLibrary.js";
+import { getRiskProfile, applyRiskProfile } from "./riskProfiles.js";
+import { extractParties } from "./entityExtractor.js";
+import { extractTimeline } from "./temporalExtractor.js";
+import { extractFinancialTerms } from "./financialExtractor.js";
+
+// Redline between two versions of a document. Both are segmented into
+// clauses, which are aligned by identical wording, then heading, then number,
+// then wording; unpaired clauses were added or removed. Modified clauses
+// carry a word-level diff, and every clause the risk factors and clause
+// types found in it on each side.
+//
+//   "Rent is due on the 1st day" -> "Rent is due on the 5th day"
+//     -> modified, [equal "Rent is due on the ", delete "1st",
+//        insert "5th", equal " day"]
+
+// Minimum word overlap for clauses paired by number, or by wording alone
+const NUMBER_SIMILARITY = 0.3;
+const TEXT_SIMILARITY = 0.5;
+
+// Longer clause pairs are shown as one deletion and one insertion
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Compare `base` with `revised`, each { text, outline }. Options are the
+// analysis options that change what is detected: jurisdiction, perspective
+// and dayFirst.
+export async function compareDocuments(base, revised, options = {}) {
+  const patternSet = getClausePatterns(options.jurisdiction);
+  const profile = getRiskProfile(options.perspective);
+  const dayFirst =
+    options.dayFirst ?? ["UK", "IN"].includes(patternSet.jurisdiction);
+
+  const [before, after] = await Promise.all(
+    [base, revised].map((version) =>
+      assessVersion(version, { patternSet, profile, dayFirst }),
+    ),
+  );
+
+  const clauses = alignClauses(before.units, after.units).map(compareClause);
+  const count = (status) =>
+    clauses.filter((clause) => clause.status === status).length;
+
+  return {
+    summary: {
+      added: count("added"),
+      removed: count("removed"),
+      modified: count("modified"),
+      unchanged: count("unchanged"),
+      renumbered: clauses.filter((clause) => clause.renumbered).length,
+    },
+    overallRisk: riskChange(before.overallRisk, after.overallRisk),
+    categories: categoryChanges(before.risks, after.risks),
+    clauses,
+  };
+}
+
+// Clauses of one version with their types and risk factors
+async function assessVersion({ text, outline = [] }, settings) {
+  const { patternSet, profile, dayFirst } = settings;
+  const structure = segmentDocument(text, { outline });
+  const timeline = extractTimeline(text, structure, { dayFirst });
+  const parties = extractParties(text, structure);
+  const financials = extractFinancialTerms(text, structure, {
+    parties,
+    timeline,
+  });
+
+  const detected = await detectClauses(
+    text,
+    structure,
+    applyRiskProfile(patternSet.clauses, profile),
+  );
+  const risks = await assessRisks(text, structure, profile, financials);
+  const factors = clauseRiskFactors(text, structure, {
+    weights: profile?.weights,
+  });
+
+  const types = new Map();
+  detected.forEach((clause) =>
+    clause.sections.forEach((section) =>
+      types.set(section.id, [
+        ...(types.get(section.id) || []),
+        { type: clause.type, riskLevel: clause.riskLevel },
+      ]),
+    ),
+  );
+
+  const nodes = flattenClauses(structure.clauses);
+  const units = nodes.length
+    ? nodes.map((node) => ({
+        ...clauseReference(node),
+        text: ownText(text, node),
+        types: types.get(node.id) || [],
+        risk: factors.get(node.id),
+      }))
+    : [
+        {
+          id: null,
+          number: null,
+          heading: "",
+          kind: "preamble",
+          start: 0,
+          end: text.length,
+          text: text.trim(),
+          types: [],
+          risk: { score: 0, factors: [] },
+        },
+      ];
+
+  return {
+    units: units.filter((unit) => unit.text.length > 0),
+    risks,
+    overallRisk: calculateOverallRisk(risks),
+  };
+}
+
+// Pair clauses of the two versions and list them in reading order: each
+// revised clause in turn, preceded by the removed clauses before its partner
+function alignClauses(baseUnits, revisedUnits) {
+  const partner = new Map();
+  const paired = new Set();
+  const pair = (baseUnit, revisedUnit) => {
+    partner.set(revisedUnit, baseUnit);
+    paired.add(baseUnit);
+  };
+  const unpaired = () => ({
+    base: baseUnits.filter((unit) => !paired.has(unit)),
+    revised: revisedUnits.filter((unit) => !partner.has(unit)),
+  });
+
+  const passes = [
+    (a, b) => wording(a) === wording(b),
+    (a, b) =>
+      a.heading &&
+      a.kind === b.kind &&
+      a.heading.toLowerCase() === b.heading?.toLowerCase(),
+    (a, b) =>
+      a.number &&
+      a.number === b.number &&
+      similarity(a.text, b.text) >= NUMBER_SIMILARITY,
+  ];
+  for (const matches of passes) {
+    const { base, revised } = unpaired();
+    for (const revisedUnit of revised) {
+      const baseUnit = base.find(
+        (unit) => !paired.has(unit) && matches(unit, revisedUnit),
+      );
+      if (baseUnit) pair(baseUnit, revisedUnit);
+    }
+  }
+
+  // Remaining clauses by wording, most similar pairs first
+  const { base, revised } = unpaired();
+  revised
+    .flatMap((revisedUnit) =>
+      base.map((baseUnit) => ({
+        baseUnit,
+        revisedUnit,
+        score: similarity(baseUnit.text, revisedUnit.text),
+      })),
+    )
+    .filter((candidate) => candidate.score >= TEXT_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ baseUnit, revisedUnit }) => {
+      if (!paired.has(baseUnit) && !partner.has(revisedUnit)) {
+        pair(baseUnit, revisedUnit);
+      }
+    });
+
+  const rows = [];
+  let next = 0;
+  const showRemovedBefore = (limit) => {
+    for (; next < limit; next++) {
+      if (!paired.has(baseUnits[next])) {
+        rows.push({ base: baseUnits[next], revised: null });
+      }
+    }
+  };
+
+  for (const revisedUnit of revisedUnits) {
+    const baseUnit = partner.get(revisedUnit);
+    if (baseUnit) showRemovedBefore(baseUnits.indexOf(baseUnit));
+    rows.push({ base: baseUnit || null, revised: revisedUnit });
+  }
+  showRemovedBefore(baseUnits.length);
+
+  return rows;
+}
+
+function compareClause({ base, revised }) {
+  const status = !base
+    ? "added"
+    : !revised
+      ? "removed"
+      : wording(base) === wording(revised)
+        ? "unchanged"
+        : "modified";
+
+  const result = {
+    status,
+    base: base && describeUnit(base),
+    revised: revised && describeUnit(revised),
+    renumbered: Boolean(base && revised && base.number !== revised.number),
+    risk: clauseRiskChange(base, revised),
+  };
+
+  if (status === "modified") {
+    const changes = diffWords(base.text, revised.text);
+    result.similarity = round(similarity(base.text, revised.text));
+    result.changes = changes;
+    result.wordsAdded = countWords(changes, "insert");
+    result.wordsRemoved = countWords(changes, "delete");
+  }
+
+  return result;
+}
+
+function describeUnit(unit) {
+  return {
+    id: unit.id,
+    number: unit.number,
+    heading: unit.heading,
+    kind: unit.kind,
+    start: unit.start,
+    end: unit.end,
+    text: unit.text,
+    types: unit.types.map((entry) => entry.type),
+  };
+}
+
+// Risk of a clause on each side and what changed between them
+function clauseRiskChange(base, revised) {
+  const side = (unit) =>
+    unit && {
+      score: unit.risk?.score || 0,
+      level: highestLevel(unit.types.map((entry) => entry.riskLevel)),
+      factors: (unit.risk?.factors || []).map((factor) => factor.factor),
+    };
+  const before = side(base);
+  const after = side(revised);
+  const factors = (entry) => entry?.factors || [];
+
+  return {
+    base: before,
+    revised: after,
+    delta: round((after?.score || 0) - (before?.score || 0)),
+    factorsAdded: factors(after).filter(
+      (factor) => !factors(before).includes(factor),
+    ),
+    factorsRemoved: factors(before).filter(
+      (factor) => !factors(after).includes(factor),
+    ),
+  };
+}
+
+function highestLevel(levels) {
+  return levels.reduce(
+    (highest, level) =>
+      !highest || RISK_WEIGHTS[level] > RISK_WEIGHTS[highest] ? level : highest,
+    null,
+  );
+}
+
+function riskChange(base, revised) {
+  const delta = RISK_WEIGHTS[revised] - RISK_WEIGHTS[base];
+  return {
+    base,
+    revised,
+    delta,
+    change: delta > 0 ? "increased" : delta < 0 ? "decreased" : "unchanged",
+  };
+}
+
+// Score of each risk category on both sides; categories below their
+// reporting threshold count as 0
+function categoryChanges(baseRisks, revisedRisks) {
+  const categories = [
+    ...new Set([...baseRisks, ...revisedRisks].map((risk) => risk.category)),
+  ];
+  const find = (risks, category) =>
+    risks.find((risk) => risk.category === category);
+
+  return categories.map((category) => {
+    const before = find(baseRisks, category);
+    const after = find(revisedRisks, category);
+    return {
+      category,
+      base: { score: before?.score || 0, level: before?.level || null },
+      revised: { score: after?.score || 0, level: after?.level || null },
+      delta: round((after?.score || 0) - (before?.score || 0)),
+    };
+  });
+}
+
+// Word-level diff as runs of { type: "equal" | "insert" | "delete", text },
+// from the longest common subsequence of word, space and punctuation tokens
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const runs = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = runs[runs.length - 1];
+    if (last?.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+
+  push("equal", a.slice(0, prefix).join(""));
+  commonSubsequence(middleA, middleB).forEach(([type, token]) =>
+    push(type, token),
+  );
+  push("equal", a.slice(a.length - suffix).join(""));
+
+  return joinChanges(runs);
+}
+
+// Fold the single spaces left between changed words into the changes, so a
+// rewritten phrase reads as one deletion and one insertion
+function joinChanges(runs) {
+  const joined = [];
+  let removed = "";
+  let inserted = "";
+  const flush = () => {
+    if (removed) joined.push({ type: "delete", text: removed });
+    if (inserted) joined.push({ type: "insert", text: inserted });
+    removed = "";
+    inserted = "";
+  };
+
+  runs.forEach((run, index) => {
+    const between = index > 0 && index < runs.length - 1;
+    if (run.type === "equal" && between && !/\S/.test(run.text)) {
+      removed += run.text;
+      inserted += run.text;
+    } else if (run.type === "equal") {
+      flush();
+      joined.push(run);
+    } else if (run.type === "delete") {
+      removed += run.text;
+    } else {
+      inserted += run.text;
+    }
+  });
+  flush();
+
+  return joined;
+}
+
+function commonSubsequence(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((token) => ["delete", token]),
+      ...b.map((token) => ["insert", token]),
+    ];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(["equal", a[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push(["delete", a[i++]]);
+    } else {
+      ops.push(["insert", b[j++]]);
+    }
+  }
+  while (i < a.length) ops.push(["delete", a[i++]]);
+  while (j < b.length) ops.push(["insert", b[j++]]);
+  return ops;
+}
+
+function tokenize(text) {
+  return text.match(/\s+|\w+|[^\s\w]/g) || [];
+}
+
+function countWords(changes, type) {
+  return changes
+    .filter((change) => change.type === type)
+    .reduce((sum, change) => sum + (change.text.match(/\w+/g) || []).length, 0);
+}
+
+// Dice coefficient of the two texts' word sets
+function similarity(a, b) {
+  const words = (text) => new Set(text.toLowerCase().match(/\w+/g) || []);
+  const first = words(a);
+  const second = words(b);
+  if (first.size + second.size === 0) return 1;
+  const shared = [...first].filter((word) => second.has(word)).length;
+  return (2 * shared) / (first.size + second.size);
+}
+
+// Clause text without its own number, so a clause that only moved reads as
+// unchanged and renumbered
+function wording(unit) {
+  const text = normalize(unit.text);
+  if (!unit.number || !text.startsWith(unit.number)) return text;
+  return text.slice(unit.number.length).replace(/^[.):]?\s*/, "");
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,364 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  clauseAt,
+} from "./clauseSegmenter.js";
+
+// Parties, their roles and the document's defined terms.
+//
+// Parties are read from role definitions such as
+//   Acme Corp., a Delaware corporation with its principal place of business
+//   at 1 Main St, Dover, DE (the "Company")
+// and from signature lines like "LANDLORD: Jane Smith". Glossary entries come
+// from '"X" means ...' definitions (collected by the clause segmenter) and from
+// parenthetical definitions like (the "Premises").
+
+// Role names that are always parties, wherever they are defined
+const PARTY_ROLES = new Set([
+  "agent",
+  "borrower",
+  "buyer",
+  "client",
+  "company",
+  "consultant",
+  "contractor",
+  "customer",
+  "developer",
+  "disclosing party",
+  "discloser",
+  "distributor",
+  "employee",
+  "employer",
+  "executive",
+  "franchisee",
+  "franchisor",
+  "guarantor",
+  "investor",
+  "landlord",
+  "lender",
+  "lessee",
+  "lessor",
+  "licensee",
+  "licensor",
+  "owner",
+  "partner",
+  "provider",
+  "purchaser",
+  "receiving party",
+  "recipient",
+  "seller",
+  "service provider",
+  "subscriber",
+  "supplier",
+  "tenant",
+  "vendor",
+]);
+
+// Defined terms that name things rather than parties
+const NON_PARTY_TERMS = new Set([
+  "agreement",
+  "commencement date",
+  "confidential information",
+  "contract",
+  "deliverables",
+  "effective date",
+  "lease",
+  "parties",
+  "party",
+  "premises",
+  "products",
+  "property",
+  "services",
+  "software",
+  "term",
+  "territory",
+]);
+
+// (the "Tenant"), ("Acme" or the "Company"), (hereinafter referred to as "X")
+const PARENTHETICAL_DEFINITION =
+  /\(([^()\n]{0,80}?)["“]([^"”\n]{1,60})["”]([^()\n]{0,80})\)/g;
+const QUOTED_TERM = /["“]([^"”\n]{1,60})["”]/g;
+
+// Where the phrase a parenthetical defines begins
+const PHRASE_BOUNDARY =
+  /(?:\bbetween\b|\bamong\b|\)\s*,?\s*and\b|,\s+and\b|[;:\n()]|(?<!\b[A-Z]|\b(?:Inc|Corp|Ltd|Co|No|St|Mr|Mrs|Ms|Dr|Jr|Sr))\.\s)\s*/gi;
+
+const NAME_END =
+  /,\s*(?:an?\s|having\s|with\s|whose\s|of\s|residing|located|incorporated|organi[sz]ed|registered|doing business)|\s+(?:residing|located|having|with\s+(?:its|a|an)\s)|\s+of\s+(?=\d)/i;
+const ADDRESS =
+  /(?:principal\s+(?:place\s+of\s+business|executive\s+offices?|offices?)|registered\s+office|(?:mailing\s+)?address|residing|resident|located|domiciled)\s+(?:(?:is|at|in)\s+){0,2}:?\s*([^;]+?)\s*,?\s*$/i;
+const NUMBERED_ADDRESS = /\bof\s+(\d[^;]+?)\s*,?\s*$/i;
+const ENTITY_FORM =
+  /\b(limited\s+liability\s+(?:company|partnership)|limited\s+partnership|private\s+limited\s+company|public\s+limited\s+company|corporation|company|partnership|sole\s+proprietor(?:ship)?|trust|individual|L\.?L\.?C\.?|L\.?L\.?P\.?|Inc\.?|Corp\.?|Ltd\.?|Limited|PLC|GmbH|Pvt\.?\s+Ltd\.?)(?=[\s,.;)]|$)/i;
+const FORMATION_JURISDICTION = [
+  /\ban?\s+((?:[A-Z][a-z]+\s+){0,2}[A-Z][a-z]+)\s+(?:limited\s+liability\s+company|corporation|company|limited\s+partnership|partnership|private\s+limited\s+company|public\s+limited\s+company)\b/,
+  /\b(?:registered|incorporated|organi[sz]ed)\s+(?:in|under\s+the\s+laws\s+of)\s+(?:the\s+)?([A-Z][a-z]+(?:\s+(?:and\s+)?[A-Z][a-z]+){0,3})/,
+];
+const INDIVIDUAL_HINT =
+  /\b(?:an?\s+individual|residing|resident\s+of|an\s+adult)\b/i;
+
+// LANDLORD: Jane Smith
+const ROLE_LINE =
+  /^[ \t]*([A-Za-z][A-Za-z ]{1,30}?)[ \t]*:[ \t]*([^\n]{2,100})$/gm;
+
+// Fallback when no roles are defined: names with a company suffix
+const COMPANY_NAME =
+  /\b([A-Z][\w&'-]*(?:\s+(?:[A-Z][\w&'-]*|&|of|and)){0,5},?\s+(?:Inc|LLC|L\.L\.C|Corp|Corporation|Ltd|Limited|LLP|PLC|GmbH|Pvt\.?\s+Ltd)\.?)(?=[\s,;)]|$)/g;
+
+const MAX_PHRASE_LENGTH = 300;
+const PREAMBLE_LENGTH = 2000;
+
+// Parties to the document with the roles they are defined as
+export function extractParties(text, structure = segmentDocument(text)) {
+  const nodes = flattenClauses(structure.clauses);
+  const preambleEnd = preambleLimit(nodes);
+  const parties = [];
+
+  for (const definition of parentheticalDefinitions(text)) {
+    const role = definition.terms[0];
+    if (!isPartyDefinition(role, definition, preambleEnd)) continue;
+
+    const details = describeParty(definition.phrase);
+    if (!details) continue;
+
+    addParty(parties, {
+      ...details,
+      role,
+      aliases: definition.terms.slice(1),
+      start: definition.phraseStart,
+      end: definition.end,
+      clauseId: clauseAt(nodes, definition.start)?.id || null,
+    });
+  }
+
+  ROLE_LINE.lastIndex = 0;
+  let match;
+  while ((match = ROLE_LINE.exec(text)) !== null) {
+    const role = match[1].trim();
+    const value = match[2].trim();
+    if (!PARTY_ROLES.has(role.toLowerCase())) continue;
+    if (!/^[A-Z0-9]/.test(value) || /_{3,}|^By\b/i.test(value)) continue;
+
+    const details = describeParty(value);
+    if (!details) continue;
+
+    addParty(parties, {
+      ...details,
+      role: titleCase(role),
+      aliases: [],
+      start: match.index + match[0].indexOf(value),
+      end: match.index + match[0].length,
+      clauseId: clauseAt(nodes, match.index)?.id || null,
+    });
+  }
+
+  if (parties.length === 0) {
+    COMPANY_NAME.lastIndex = 0;
+    while ((match = COMPANY_NAME.exec(text)) !== null) {
+      addParty(parties, {
+        ...describeParty(match[1]),
+        role: null,
+        aliases: [],
+        start: match.index,
+        end: match.index + match[0].length,
+        clauseId: clauseAt(nodes, match.index)?.id || null,
+      });
+    }
+  }
+
+  return parties.slice(0, 10);
+}
+
+// Glossary of defined terms: '"X" means ...' definitions first, then terms
+// defined in parentheses, each with the clause it is defined in and how
+// often it is used
+export function buildGlossary(text, structure = segmentDocument(text)) {
+  const nodes = flattenClauses(structure.clauses);
+  const entries = new Map();
+
+  for (const definition of structure.definitions || []) {
+    entries.set(definition.term.toLowerCase(), {
+      term: definition.term,
+      definition: definition.definition,
+      source: "means",
+      start: definition.start,
+      end: definition.end,
+      clauseId: definition.clauseId,
+    });
+  }
+
+  for (const definition of parentheticalDefinitions(text)) {
+    definition.terms.forEach((term) => {
+      if (entries.has(term.toLowerCase())) return;
+      entries.set(term.toLowerCase(), {
+        term,
+        definition: definition.phrase,
+        source: "parenthetical",
+        start: definition.phraseStart,
+        end: definition.end,
+        clauseId: clauseAt(nodes, definition.start)?.id || null,
+      });
+    });
+  }
+
+  return [...entries.values()]
+    .sort((a, b) => a.start - b.start)
+    .map((entry) => ({ ...entry, occurrences: countUses(text, entry) }));
+}
+
+// Every parenthetical definition with the phrase it defines
+function parentheticalDefinitions(text) {
+  const definitions = [];
+  PARENTHETICAL_DEFINITION.lastIndex = 0;
+
+  let match;
+  while ((match = PARENTHETICAL_DEFINITION.exec(text)) !== null) {
+    const terms = [...match[0].matchAll(QUOTED_TERM)]
+      .map((quoted) => quoted[1].trim())
+      .filter((term) => /^[A-Z0-9]/.test(term));
+    if (terms.length === 0) continue;
+
+    const { phrase, phraseStart } = definedPhrase(text, match.index);
+    if (!phrase) continue;
+
+    definitions.push({
+      terms,
+      phrase,
+      phraseStart,
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return definitions;
+}
+
+// The phrase just before a parenthetical, back to "between", the "and" after
+// the previous definition, or the start of the sentence or line
+function definedPhrase(text, parenIndex) {
+  const windowStart = Math.max(0, parenIndex - MAX_PHRASE_LENGTH);
+  const window = text.slice(windowStart, parenIndex);
+
+  let offset = 0;
+  PHRASE_BOUNDARY.lastIndex = 0;
+  let boundary;
+  while ((boundary = PHRASE_BOUNDARY.exec(window)) !== null) {
+    if (boundary.index + boundary[0].length < window.length) {
+      offset = boundary.index + boundary[0].length;
+    }
+    if (boundary[0].length === 0) PHRASE_BOUNDARY.lastIndex++;
+  }
+
+  const raw = window.slice(offset);
+  const phrase = raw.replace(/\s+/g, " ").replace(/^[\s,]+|[\s,]+$/g, "");
+  return {
+    phrase,
+    phraseStart: windowStart + offset + (raw.length - raw.trimStart().length),
+  };
+}
+
+function isPartyDefinition(role, definition, preambleEnd) {
+  const key = role.toLowerCase();
+  if (NON_PARTY_TERMS.has(key)) return false;
+  if (PARTY_ROLES.has(key)) return true;
+  // Other roles count when defined in the preamble, next to a name
+  return definition.start < preambleEnd && /^[A-Z]/.test(definition.phrase);
+}
+
+// Name, entity form, jurisdiction of formation and address from a phrase
+// such as 'Acme Corp., a Delaware corporation, having its principal office
+// at 1 Main St'
+function describeParty(phrase) {
+  const text = phrase.replace(/\s+/g, " ").trim();
+  const nameEnd = text.search(NAME_END);
+  const name = (nameEnd >= 0 ? text.slice(0, nameEnd) : text)
+    .replace(/^(?:the\s+)?/i, "")
+    .replace(/[\s,]+$/, "");
+
+  if (!/^[A-Z0-9]/.test(name) || name.length < 2 || name.length > 120) {
+    return null;
+  }
+  if (NON_PARTY_TERMS.has(name.toLowerCase())) return null;
+
+  const rest = nameEnd >= 0 ? text.slice(nameEnd) : "";
+  const form = (rest.match(ENTITY_FORM) || name.match(ENTITY_FORM) || [])[1];
+  const address =
+    (rest.match(ADDRESS) || rest.match(NUMBERED_ADDRESS) || [])[1] || null;
+
+  const individual =
+    INDIVIDUAL_HINT.test(rest) ||
+    (!form && /^[A-Z][a-z'.-]+(?:\s+[A-Z][a-z'.-]*){1,3}$/.test(name));
+
+  return {
+    name,
+    type: individual ? "individual" : "organization",
+    form: individual ? null : form ? normaliseForm(form) : null,
+    jurisdiction: formationJurisdiction(rest),
+    address: address ? address.replace(/[\s,.]+$/, "") : null,
+  };
+}
+
+function formationJurisdiction(description) {
+  for (const pattern of FORMATION_JURISDICTION) {
+    const match = description.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function normaliseForm(form) {
+  return form.replace(/\s+/g, " ").replace(/\.$/, "");
+}
+
+// The same party defined twice (preamble and signature block) is merged
+function addParty(parties, party) {
+  const key = normaliseName(party.name);
+  const existing = parties.find(
+    (candidate) =>
+      normaliseName(candidate.name) === key ||
+      (party.role &&
+        candidate.role?.toLowerCase() === party.role.toLowerCase()),
+  );
+
+  if (!existing) {
+    parties.push(party);
+    return;
+  }
+
+  existing.role = existing.role || party.role;
+  existing.aliases = [
+    ...new Set([...existing.aliases, ...party.aliases]),
+  ].filter((alias) => alias !== existing.role);
+  existing.address = existing.address || party.address;
+  existing.form = existing.form || party.form;
+  existing.jurisdiction = existing.jurisdiction || party.jurisdiction;
+}
+
+function normaliseName(name) {
+  return name.toLowerCase().replace(/[.,]/g, "").replace(/\s+/g, " ").trim();
+}
+
+function preambleLimit(nodes) {
+  const first = nodes.find((node) => node.kind !== "preamble");
+  return first ? Math.min(first.start, PREAMBLE_LENGTH) : PREAMBLE_LENGTH;
+}
+
+// Uses of a term outside its own definition
+function countUses(text, entry) {
+  const escaped = entry.term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`\\b${escaped}\\b`, "g");
+  let count = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index < entry.start || match.index >= entry.end) count++;
+  }
+  return count;
+}
+
+function titleCase(value) {
+  return value
+    .toLowerCase()
+    .replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+export { PARTY_ROLES };
@@ -0,0 +1,581 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  clauseReference,
+  clauseAt,
+} from "./clauseSegmenter.js";
+import { extractParties } from "./entityExtractor.js";
+import { extractTimeline } from "./temporalExtractor.js";
+
+// Money in the document: every amount with its currency, what it is for,
+// how often it is paid and by whom, price escalation clauses, and the total
+// contract value over the term.
+
+// Symbols and codes before the number: $2,000, £1,500.00, ₹ 50,000, Rs. 1,00,000
+const CURRENCY_PREFIXES = [
+  ["US$", "USD"],
+  ["A$", "AUD"],
+  ["C$", "CAD"],
+  ["S$", "SGD"],
+  ["$", "USD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["₹", "INR"],
+  ["Rs.", "INR"],
+  ["Rs", "INR"],
+];
+const CURRENCY_CODES = ["USD", "GBP", "EUR", "INR", "AUD", "CAD", "SGD"];
+
+// Words after the number: 2,000 dollars, 500 euros, 10 lakh rupees
+const CURRENCY_WORDS = [
+  [/\bdollars?\b/i, "USD"],
+  [/\bpounds?\b/i, "GBP"],
+  [/\beuros?\b/i, "EUR"],
+  [/\brupees?\b/i, "INR"],
+];
+
+const SCALES = {
+  thousand: 1e3,
+  k: 1e3,
+  lakh: 1e5,
+  lakhs: 1e5,
+  crore: 1e7,
+  crores: 1e7,
+  million: 1e6,
+  m: 1e6,
+  billion: 1e9,
+  bn: 1e9,
+};
+
+const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const NUMBER = "(\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)";
+const SCALE = `(?:\\s*(${Object.keys(SCALES).join("|")})\\b)?`;
+const AMOUNT = new RegExp(
+  [
+    `(?<![A-Za-z])(?:${[
+      ...CURRENCY_PREFIXES.map(([symbol]) => symbol),
+      ...CURRENCY_CODES,
+    ]
+      .sort((a, b) => b.length - a.length)
+      .map(escape)
+      .join("|")})\\s?${NUMBER}${SCALE}`,
+    `\\b${NUMBER}${SCALE}\\s*(?:${CURRENCY_CODES.join("|")}|(?:us\\s+)?dollars?|pounds?(?:\\s+sterling)?|euros?|rupees?)\\b`,
+  ].join("|"),
+  "gi",
+);
+
+// What the amount is for; the keyword closest before the amount wins, and
+// earlier types win ties
+const PAYMENT_TYPES = [
+  ["security_deposit", /security\s+deposit|\bdeposit\b/i],
+  ["late_fee", /late\s+(?:fee|charge|payment)|\boverdue\b|\barrears\b/i],
+  ["penalty", /\bpenalt(?:y|ies)\b|liquidated\s+damages/i],
+  ["liability_cap", /\bliabilit(?:y|ies)\b/i],
+  ["insurance", /\binsurance\b|\bcoverage\b/i],
+  ["rent", /\brent\b/i],
+  ["salary", /\bsalary\b|\bwages?\b|\bremuneration\b|\bbase\s+pay\b/i],
+  ["fee", /\bfees?\b|\bsubscription\b|\bcharges?\b|\binstal(?:l)?ments?\b/i],
+  ["price", /\bprice\b|\bpurchase\b|\bconsideration\b|\bcost\b/i],
+];
+
+// Amounts that are only paid if something goes wrong, or are caps and
+// thresholds rather than payments
+const CONTINGENT_TYPES = new Set([
+  "late_fee",
+  "penalty",
+  "liability_cap",
+  "insurance",
+]);
+const REFUNDABLE_TYPES = new Set(["security_deposit"]);
+
+const FREQUENCIES = [
+  ["hourly", /\bper\s+hour\b|\/\s*(?:hour|hr)\b|\ban\s+hour\b|\bhourly\b/i],
+  [
+    "daily",
+    /\bper\s+(?:calendar\s+)?day\b|\/\s*day\b|\b(?:for\s+)?each\s+day\b|\ba\s+day\b|\bdaily\b/i,
+  ],
+  ["weekly", /\bper\s+week\b|\/\s*week\b|\beach\s+week\b|\bweekly\b/i],
+  [
+    "monthly",
+    /\bper\s+(?:calendar\s+)?month\b|\/\s*(?:month|mo)\b|\b(?:each|every|a)\s+(?:calendar\s+)?month\b|\bmonthly\b|\bp\.?m\.?(?=[\s,;)]|$)/i,
+  ],
+  [
+    "quarterly",
+    /\bper\s+quarter\b|\b(?:each|every)\s+quarter\b|\bquarterly\b/i,
+  ],
+  [
+    "annual",
+    /\bper\s+(?:annum|year)\b|\/\s*(?:year|yr)\b|\b(?:each|every|a)\s+year\b|\bannual(?:ly)?\b|\byearly\b|\bp\.?a\.?(?=[\s,;)]|$)/i,
+  ],
+  [
+    "one_time",
+    /\bone[- ]time\b|\bone[- ]off\b|\blump[- ]sum\b|\bupfront\b|\bsingle\s+payment\b/i,
+  ],
+];
+
+const PAYMENTS_PER_YEAR = {
+  daily: 365,
+  weekly: 52,
+  monthly: 12,
+  quarterly: 4,
+  annual: 1,
+};
+
+const PAY_VERB =
+  /\b(?:shall|must|will|agrees?\s+to|undertakes?\s+to|is\s+required\s+to)\s+(?:\w+\s+)?(?:pay|deposit|remit|reimburse)\b|\b(?:payable|paid)\s+by\b/gi;
+const RECEIVE_VERB =
+  /\b(?:shall|will)\s+(?:receive|be\s+paid|be\s+entitled\s+to)\b/gi;
+
+const ESCALATION_VERB =
+  /\b(?:increase[sd]?|escalat(?:e|es|ed|ion)|adjust(?:ed|ment)?|rise|revis(?:e|ed|ion))\b/i;
+const PERCENTAGE = /(\d+(?:\.\d+)?)\s*(?:%|per\s*cent\b|percent\b)/i;
+// Interest on late payment is only charged if something goes wrong
+const LATE_PAYMENT =
+  /\blate\b|\boverdue\b|\barrears\b|\bunpaid\b|\bnot\s+paid\b|\bdelay/i;
+const PRICE_INDEX =
+  /\b(?:CPI|RPI|WPI|consumer\s+price\s+index|retail\s+price\s+index|wholesale\s+price\s+index|inflation)\b/i;
+
+const CONTEXT_WINDOW = 80;
+const DAYS_PER_MONTH = 30.44;
+
+// Amounts, escalation clauses, interest rates and the contract value
+export function extractFinancialTerms(
+  text,
+  structure = segmentDocument(text),
+  {
+    parties = extractParties(text, structure),
+    timeline = extractTimeline(text, structure),
+  } = {},
+) {
+  const nodes = flattenClauses(structure.clauses);
+  const terms = [];
+  const matches = [...text.matchAll(AMOUNT)];
+
+  matches.forEach((match, position) => {
+    const amount = parseAmount(match);
+    if (!amount) return;
+
+    // Context stops at the neighbouring amounts, so "a deposit of $4,000
+    // and monthly rent of $2,000" does not make the deposit monthly
+    const start = match.index;
+    const end = start + match[0].length;
+    const previous = matches[position - 1];
+    const next = matches[position + 1];
+    const sentence = sentenceAround(text, start, end);
+    const before = text.slice(
+      Math.max(
+        sentence.start,
+        start - CONTEXT_WINDOW,
+        previous ? previous.index + previous[0].length : 0,
+      ),
+      start,
+    );
+    const after = text
+      .slice(
+        end,
+        Math.min(sentence.end, end + CONTEXT_WINDOW, next?.index ?? Infinity),
+      )
+      .split(/,|\band\b/)[0];
+    const type = paymentType(before, after);
+    const { payer, payee } = paymentParties(sentence.text, parties);
+    const node = clauseAt(nodes, start);
+
+    terms.push({
+      type,
+      currency: amount.currency,
+      amount: amount.value,
+      text: match[0].replace(/\s+/g, " "),
+      frequency: paymentFrequency(before, after, type),
+      payer,
+      payee,
+      contingent: CONTINGENT_TYPES.has(type),
+      refundable: REFUNDABLE_TYPES.has(type),
+      start,
+      end,
+      clause: node ? clauseReference(node) : null,
+    });
+  });
+
+  const escalations = findEscalations(text, nodes, terms);
+  const interest = findInterest(text, nodes);
+  const termMonths = contractTermMonths(timeline);
+
+  return {
+    terms,
+    escalations,
+    interest,
+    contractValue: contractValue(terms, escalations, interest, termMonths),
+  };
+}
+
+function parseAmount(match) {
+  const [raw, prefixNumber, prefixScale, suffixNumber, suffixScale] = match;
+  const number = prefixNumber ?? suffixNumber;
+  const scale = (prefixScale ?? suffixScale ?? "").toLowerCase();
+
+  const value = Number(number.replace(/,/g, "")) * (SCALES[scale] || 1);
+  if (!Number.isFinite(value) || value <= 0) return null;
+
+  return { value: round(value), currency: currencyOf(raw) };
+}
+
+function currencyOf(raw) {
+  const prefix = CURRENCY_PREFIXES.find(([symbol]) =>
+    raw.toUpperCase().startsWith(symbol.toUpperCase()),
+  );
+  if (prefix) return prefix[1];
+
+  const code = CURRENCY_CODES.find((candidate) =>
+    new RegExp(`\\b${candidate}\\b`, "i").test(raw),
+  );
+  if (code) return code;
+
+  const named = CURRENCY_WORDS.find(([pattern]) => pattern.test(raw));
+  return named ? named[1] : "USD";
+}
+
+function paymentType(before, after) {
+  let best = null;
+  for (const [type, pattern] of PAYMENT_TYPES) {
+    const matches = [...before.matchAll(new RegExp(pattern.source, "gi"))];
+    const last = matches[matches.length - 1];
+    // Compare where the keywords end, so "late fee" beats "fee"
+    const end = last ? last.index + last[0].length : -1;
+    if (last && (!best || end > best.end)) best = { type, end };
+  }
+  if (best) return best.type;
+
+  const following = PAYMENT_TYPES.find(([, pattern]) => pattern.test(after));
+  return following ? following[0] : "other";
+}
+
+// The frequency stated right after the amount ("$50 per day"), else the one
+// before it ("monthly rent of $2,000"). Deposits are paid once.
+function paymentFrequency(before, after, type) {
+  const stated =
+    FREQUENCIES.find(([, pattern]) => pattern.test(after.slice(0, 40))) ||
+    FREQUENCIES.find(([, pattern]) => pattern.test(before.slice(-40)));
+  if (stated) return stated[0];
+  if (type === "security_deposit" || type === "price") return "one_time";
+  return null;
+}
+
+// Payer from "X shall pay" or "payable by X", payee from "to X" or
+// "X shall receive"; with two parties the other one is the payee
+function paymentParties(sentence, parties) {
+  const names = parties.flatMap((party) =>
+    [party.role, ...(party.aliases || []), party.name]
+      .filter(Boolean)
+      .map((name) => ({ name, party })),
+  );
+  const label = (party) => party?.role || party?.name || null;
+  const mentioned = (fragment, fromEnd) => {
+    const found = names
+      .map((entry) => ({
+        ...entry,
+        index: fromEnd
+          ? fragment.lastIndexOf(entry.name)
+          : fragment.indexOf(entry.name),
+      }))
+      .filter((entry) => entry.index >= 0)
+      .sort((a, b) => (fromEnd ? b.index - a.index : a.index - b.index));
+    return found[0]?.party || null;
+  };
+
+  let payer = null;
+  let payee = null;
+
+  const pay = firstMatch(PAY_VERB, sentence);
+  if (pay) {
+    payer = /by\s*$/i.test(pay[0])
+      ? mentioned(sentence.slice(pay.index + pay[0].length), false)
+      : mentioned(sentence.slice(0, pay.index), true);
+    const to = sentence
+      .slice(pay.index + pay[0].length)
+      .match(/\bto\s+(?:the\s+)?([A-Z][\w&.,' -]{1,60})/);
+    if (to) payee = mentioned(to[1], false);
+  }
+
+  const receive = firstMatch(RECEIVE_VERB, sentence);
+  if (!payee && receive) {
+    payee = mentioned(sentence.slice(0, receive.index), true);
+  }
+
+  if (parties.length === 2) {
+    if (payer && !payee) payee = parties.find((party) => party !== payer);
+    if (payee && !payer) payer = parties.find((party) => party !== payee);
+  }
+  if (payer === payee) payee = null;
+
+  return { payer: label(payer), payee: label(payee) };
+}
+
+// Percentage, index-linked or fixed increases, applied to the recurring
+// amount in the same sentence or clause (or else the first recurring amount)
+function findEscalations(text, nodes, terms) {
+  const recurring = terms.filter(
+    (term) =>
+      term.frequency && term.frequency !== "one_time" && !term.contingent,
+  );
+
+  return splitSentences(text).flatMap((sentence) => {
+    if (!ESCALATION_VERB.test(sentence.text)) return [];
+    // "interest at 5% per annum" is a charge, not an increase
+    if (/\binterest\b/i.test(sentence.text)) return [];
+
+    const percentage = sentence.text.match(PERCENTAGE);
+    const index = sentence.text.match(PRICE_INDEX);
+    const inside = terms.filter(
+      (term) => term.start >= sentence.start && term.end <= sentence.end,
+    );
+    // "increase by $100"
+    const increment = percentage
+      ? null
+      : inside.find((term) =>
+          /\bby\s+(?:an?\s+)?(?:additional\s+)?$/i.test(
+            text.slice(Math.max(0, term.start - 20), term.start),
+          ),
+        );
+    if (!percentage && !index && !increment) return [];
+
+    const node = clauseAt(nodes, sentence.start);
+    const target =
+      recurring.find((term) => inside.includes(term) && term !== increment) ||
+      recurring.find((term) => node && term.clause?.id === node.id) ||
+      recurring[0] ||
+      null;
+    const stated = FREQUENCIES.find(
+      ([frequency, pattern]) =>
+        frequency !== "one_time" && pattern.test(sentence.text),
+    );
+
+    return [
+      {
+        type: percentage ? "percentage" : increment ? "fixed" : "index",
+        rate: percentage ? Number(percentage[1]) : null,
+        amount: increment ? increment.amount : null,
+        index: index ? index[0] : null,
+        frequency: stated ? stated[0] : "annual",
+        appliesTo: target ? terms.indexOf(target) : null,
+        increment: increment ? terms.indexOf(increment) : null,
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        clause: node ? clauseReference(node) : null,
+      },
+    ];
+  });
+}
+
+// Interest charged as a rate, "interest at 2% per month on overdue
+// amounts", one per sentence. Interest on late payment is contingent.
+function findInterest(text, nodes) {
+  return splitSentences(text).flatMap((sentence) => {
+    if (!/\binterest\b/i.test(sentence.text)) return [];
+    const percentage = sentence.text.match(PERCENTAGE);
+    if (!percentage) return [];
+
+    const stated = FREQUENCIES.find(
+      ([frequency, pattern]) =>
+        frequency !== "one_time" && pattern.test(sentence.text),
+    );
+    const node = clauseAt(nodes, sentence.start);
+
+    return [
+      {
+        rate: Number(percentage[1]),
+        frequency: stated ? stated[0] : null,
+        contingent: LATE_PAYMENT.test(sentence.text),
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        clause: node ? clauseReference(node) : null,
+      },
+    ];
+  });
+}
+
+// Length of the contract in months, from its dates or a stated term
+function contractTermMonths(timeline) {
+  if (timeline.effectiveDate && timeline.expiryDate) {
+    const months = monthsBetween(timeline.effectiveDate, timeline.expiryDate);
+    if (months > 0) return months;
+  }
+
+  const term = timeline.entries.find(
+    (entry) => entry.type === "expiry" && entry.relative?.anchor,
+  );
+  if (!term) return null;
+
+  const { amount, unit } = term.relative;
+  if (/year/.test(unit)) return amount * 12;
+  if (/month/.test(unit)) return amount;
+  if (/week/.test(unit)) return Math.round((amount * 7) / DAYS_PER_MONTH);
+  return Math.round(amount / DAYS_PER_MONTH);
+}
+
+// Calendar months from the effective date through the expiry date, which
+// is the last day of the term: 1 February to 31 January is 12 months
+function monthsBetween(effectiveDate, expiryDate) {
+  const from = new Date(`${effectiveDate}T00:00:00Z`);
+  const to = new Date(`${expiryDate}T00:00:00Z`);
+  to.setUTCDate(to.getUTCDate() + 1);
+
+  let months =
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+    to.getUTCMonth() -
+    from.getUTCMonth();
+  if (to.getUTCDate() < from.getUTCDate()) months--;
+
+  // Days past the last whole month, rounded to the nearest month
+  const whole = new Date(from);
+  whole.setUTCMonth(from.getUTCMonth() + months);
+  return months + Math.round((to - whole) / 86400000 / DAYS_PER_MONTH);
+}
+
+// Sum of what is payable over the term, per currency. Recurring amounts are
+// multiplied out over the term, with percentage escalations compounded each
+// year; contingent amounts (late fees, penalties, caps), refundable
+// deposits and interest, which depends on the balance owed, are left out.
+function contractValue(terms, escalations, interest, termMonths) {
+  const totals = new Map();
+  const excluded = interest.map((item) => ({
+    text: `${item.rate}%${item.frequency ? ` ${item.frequency}` : ""} interest`,
+    reason: item.contingent
+      ? "late payment interest is contingent"
+      : "interest depends on the balance owed",
+  }));
+  const assumptions = [];
+
+  terms.forEach((term, position) => {
+    if (escalations.some((item) => item.increment === position)) {
+      excluded.push({ text: term.text, reason: "price increase" });
+      return;
+    }
+    if (term.contingent) {
+      excluded.push({
+        text: term.text,
+        reason: `${term.type.replace(/_/g, " ")} is contingent`,
+      });
+      return;
+    }
+    if (term.refundable) {
+      excluded.push({
+        text: term.text,
+        reason: `${term.type.replace(/_/g, " ")} is refundable`,
+      });
+      return;
+    }
+
+    const total = totals.get(term.currency) || {
+      currency: term.currency,
+      oneTime: 0,
+      recurring: 0,
+    };
+
+    if (term.frequency === "one_time" || term.frequency === null) {
+      total.oneTime += term.amount;
+      if (term.frequency === null) {
+        assumptions.push(`${term.text} is treated as a one-time payment`);
+      }
+    } else if (!PAYMENTS_PER_YEAR[term.frequency]) {
+      excluded.push({
+        text: term.text,
+        reason: `${term.frequency} amount depends on usage`,
+      });
+      return;
+    } else if (!termMonths) {
+      excluded.push({
+        text: term.text,
+        reason: "no contract term found to multiply the recurring amount over",
+      });
+      return;
+    } else {
+      const escalation = escalations.find(
+        (item) => item.appliesTo === position,
+      );
+      if (escalation?.type === "index") {
+        assumptions.push(
+          `${term.text} is not increased by ${escalation.index}, whose future value is unknown`,
+        );
+      }
+      total.recurring += recurringValue(term, escalation, termMonths);
+    }
+
+    totals.set(term.currency, total);
+  });
+
+  return {
+    termMonths,
+    totals: [...totals.values()].map((total) => ({
+      currency: total.currency,
+      oneTime: round(total.oneTime),
+      recurring: round(total.recurring),
+      amount: round(total.oneTime + total.recurring),
+    })),
+    excluded,
+    assumptions,
+  };
+}
+
+function recurringValue(term, escalation, termMonths) {
+  const perYear = PAYMENTS_PER_YEAR[term.frequency];
+  let value = 0;
+  let amount = term.amount;
+
+  for (let month = 0; month < termMonths; month += 12) {
+    const months = Math.min(12, termMonths - month);
+    value += amount * perYear * (months / 12);
+
+    if (escalation?.type === "percentage") {
+      amount *= 1 + escalation.rate / 100;
+    } else if (escalation?.type === "fixed" && escalation.amount) {
+      amount += escalation.amount;
+    }
+  }
+
+  return value;
+}
+
+// The sentence (or list item) around a span. A full stop ends a sentence
+// when whitespace, including a line break, follows it.
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start);
+  const boundaries = [...before.matchAll(/\.\s|;|\n\n/g)];
+  const last = boundaries[boundaries.length - 1];
+  const from = last ? last.index + 1 : 0;
+  const rest = text.slice(end);
+  const stop = rest.search(/\.\s|;|\n\n|\.$/);
+  const to = stop >= 0 ? end + stop : text.length;
+
+  return {
+    start: from,
+    end: to,
+    text: text.slice(from, to).replace(/\s+/g, " ").trim(),
+  };
+}
+
+function splitSentences(text) {
+  const sentences = [];
+  // A period not followed by whitespace (2.5%, Rs.500) does not end one
+  const pattern = /[^.;]+(?:\.(?!\s)[^.;]*)*[.;]?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (!match[0].trim()) continue;
+    sentences.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0].replace(/\s+/g, " ").trim(),
+    });
+  }
+  return sentences;
+}
+
+function firstMatch(pattern, text) {
+  pattern.lastIndex = 0;
+  return pattern.exec(text);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
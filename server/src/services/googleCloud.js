@@ -178,9 +178,22 @@ export async function analyzeDocument(imageBuffer) {
       })),
     }));
 
+    const words = fullTextAnnotation.pages.flatMap((page) =>
+      page.blocks.flatMap((block) =>
+        block.paragraphs.flatMap((para) =>
+          para.words.map((word) => ({
+            text: word.symbols.map((symbol) => symbol.text).join(""),
+            confidence: word.confidence || 0,
+            bbox: verticesToBbox(word.boundingBox?.vertices || []),
+          })),
+        ),
+      ),
+    );
+
     return {
       text: fullTextAnnotation.text,
       pages: pages,
+      words: words,
       confidence: fullTextAnnotation.pages[0]?.confidence || 0,
     };
   } catch (error) {
@@ -189,6 +202,19 @@ export async function analyzeDocument(imageBuffer) {
   }
 }
 
+// Convert a Vision bounding polygon into an axis-aligned box
+function verticesToBbox(vertices) {
+  const xs = vertices.map((vertex) => vertex.x || 0);
+  const ys = vertices.map((vertex) => vertex.y || 0);
+
+  return {
+    x0: xs.length ? Math.min(...xs) : 0,
+    y0: ys.length ? Math.min(...ys) : 0,
+    x1: xs.length ? Math.max(...xs) : 0,
+    y1: ys.length ? Math.max(...ys) : 0,
+  };
+}
+
 // Speech-to-Text
 export async function transcribeAudio(audioBuffer, languageCode = "en-US") {
   try {
@@ -296,6 +322,15 @@ export async function getDocumentAnalysis(documentId) {
   }
 }
 
+export async function deleteDocumentAnalysis(documentId) {
+  try {
+    await firestore.collection("document-analyses").doc(documentId).delete();
+  } catch (error) {
+    logger.error("Error deleting document analysis:", error);
+    throw error;
+  }
+}
+
 // Cloud Storage operations
 export async function uploadFile(buffer, fileName, contentType) {
   try {
@@ -0,0 +1,41 @@
+import Joi from "joi";
+
+// Output schemas for structured LLM calls (see generateJson in
+// llmService.js). `shape` is shown to the model as the JSON to return;
+// `schema` validates the reply and converts it to the documented types.
+
+const textList = Joi.array().items(Joi.string().trim().min(1)).default([]);
+
+export const DOCUMENT_SUMMARY = {
+  name: "document summary",
+  shape: {
+    overview: "Two or three sentences on what the document is and does",
+    documentType: "e.g. Residential Lease, Employment Agreement",
+    keyParties: ["Party name (role)"],
+    obligations: ["Main obligation, naming the party"],
+    timeline: ["Important date or deadline"],
+    financials: ["Amount, what it is for and how often it is paid"],
+    risks: ["Risk for the reader, in one sentence"],
+  },
+  schema: Joi.object({
+    overview: Joi.string().trim().min(1).required(),
+    documentType: Joi.string().trim().allow("").default(""),
+    keyParties: textList,
+    obligations: textList,
+    timeline: textList,
+    financials: textList,
+    risks: textList,
+  }),
+};
+
+export const PLAIN_LANGUAGE = {
+  name: "plain language version",
+  shape: {
+    text: "The document rewritten in plain English",
+    keyPoints: ["One thing the reader must know"],
+  },
+  schema: Joi.object({
+    text: Joi.string().trim().min(1).required(),
+    keyPoints: textList,
+  }),
+};
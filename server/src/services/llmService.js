@@ -0,0 +1,526 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "llm-service" },
+});
+
+/*
+ * Every LLM provider exposes the same shape:
+ *
+ *   name: string
+ *   generate({ prompt, system, temperature, maxTokens, model }) -> {
+ *     text, model, usage: { promptTokens, completionTokens } | null
+ *   }
+ *   embed(texts, { model }) -> number[][]   (optional)
+ *   stream({ ...generate args, signal }) -> async iterable of text deltas
+ *                                           (optional)
+ */
+const providerFactories = {
+  vertex: createVertexProvider,
+  openai: createOpenAICompatibleProvider,
+  replay: createReplayProvider,
+};
+
+const providers = new Map();
+
+// Get (and lazily create) an LLM provider; defaults to Vertex Gemini
+export function getLlmProvider(name = process.env.LLM_PROVIDER || "vertex") {
+  const key = name.toLowerCase();
+
+  if (!providers.has(key)) {
+    const factory = providerFactories[key];
+    if (!factory) {
+      throw new Error(
+        `Unknown LLM provider: ${name}. Available: ${Object.keys(providerFactories).join(", ")}`,
+      );
+    }
+    providers.set(key, factory());
+  }
+
+  return providers.get(key);
+}
+
+// Register an additional LLM provider factory
+export function registerLlmProvider(name, factory) {
+  providerFactories[name.toLowerCase()] = factory;
+  providers.delete(name.toLowerCase());
+}
+
+// Generate a completion for a single prompt with the configured provider
+export async function generateText(prompt, options = {}) {
+  const provider = getLlmProvider(options.provider);
+  const startTime = Date.now();
+
+  const result = await provider.generate({
+    prompt,
+    system: options.system,
+    model: options.model,
+    temperature: options.temperature ?? defaultTemperature(),
+    maxTokens: options.maxTokens ?? defaultMaxTokens(),
+  });
+
+  logger.info(
+    `LLM (${provider.name}/${result.model}) responded in ${Date.now() - startTime}ms`,
+  );
+
+  return { ...result, provider: provider.name };
+}
+
+// Generate JSON matching an output schema from llmSchemas.js. Replies are
+// parsed leniently (code fences, surrounding prose, trailing commas), then
+// validated; on failure the model is shown the errors and asked again, up to
+// LLM_JSON_RETRIES times. When no attempt validates, `fallback(lastText)`
+// provides the data and `source` is "fallback" instead of "model".
+export async function generateJson(prompt, output, options = {}) {
+  const { fallback = () => null, retries = defaultJsonRetries() } = options;
+  const errors = [];
+  let request = `${prompt}\n\n${formatInstructions(output)}`;
+  let result = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    result = await generateText(request, options);
+
+    const parsed = parseJsonResponse(result.text);
+    let problems = parsed.error ? [parsed.error] : [];
+    if (!parsed.error) {
+      const { error, value } = output.schema.validate(parsed.value, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      if (!error) {
+        return {
+          data: value,
+          source: "model",
+          attempts: attempt,
+          repaired: parsed.repaired || attempt > 1,
+          errors,
+          model: result.model,
+          provider: result.provider,
+        };
+      }
+      problems = error.details.map((detail) => detail.message);
+    }
+
+    errors.push(...problems.map((message) => ({ attempt, message })));
+    logger.warn(
+      `LLM ${output.name} attempt ${attempt} was invalid: ${problems.join("; ")}`,
+    );
+    request = repairPrompt(prompt, output, result.text, problems);
+  }
+
+  return {
+    data: fallback(result.text),
+    source: "fallback",
+    attempts: retries + 1,
+    repaired: false,
+    errors,
+    model: result.model,
+    provider: result.provider,
+  };
+}
+
+// Parse JSON from a model reply: strips ```json fences and prose around the
+// outermost object or array, and fixes smart quotes and trailing commas
+export function parseJsonResponse(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = (fenced ? fenced[1] : text).trim();
+
+  const candidates = [body];
+  const start = body.search(/[{[]/);
+  const end = Math.max(body.lastIndexOf("}"), body.lastIndexOf("]"));
+  if (start >= 0 && end > start) candidates.push(body.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), repaired: Boolean(fenced) };
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  const repaired = candidates[candidates.length - 1]
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, "$1");
+  try {
+    return { value: JSON.parse(repaired), repaired: true };
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+function formatInstructions(output) {
+  return `Respond with only a JSON object, without code fences or commentary, in this shape:\n${JSON.stringify(output.shape, null, 2)}`;
+}
+
+function repairPrompt(prompt, output, reply, problems) {
+  return `${prompt}
+
+Your previous reply could not be used as the ${output.name}:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Previous reply:
+${reply.slice(0, 4000)}
+
+${formatInstructions(output)}`;
+}
+
+// Stream a completion, calling onDelta with each piece of text as it arrives.
+// Aborting options.signal stops generation and resolves with the partial
+// text and `aborted: true`. Providers without stream() deliver one delta.
+export async function streamText(prompt, options = {}) {
+  const provider = getLlmProvider(options.provider);
+  const { signal, onDelta = () => {} } = options;
+  const startTime = Date.now();
+
+  const request = {
+    prompt,
+    system: options.system,
+    model: options.model,
+    temperature: options.temperature ?? defaultTemperature(),
+    maxTokens: options.maxTokens ?? defaultMaxTokens(),
+    signal,
+  };
+
+  if (typeof provider.stream !== "function") {
+    const result = await provider.generate(request);
+    if (signal?.aborted) {
+      return {
+        text: "",
+        model: result.model,
+        usage: null,
+        provider: provider.name,
+        aborted: true,
+      };
+    }
+    onDelta(result.text);
+    return { ...result, provider: provider.name, aborted: false };
+  }
+
+  let text = "";
+  let model = options.model || null;
+  try {
+    for await (const delta of provider.stream(request)) {
+      if (signal?.aborted) break;
+      if (typeof delta === "object") {
+        model = delta.model || model;
+        continue;
+      }
+      text += delta;
+      onDelta(delta);
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+
+  const aborted = Boolean(signal?.aborted);
+  logger.info(
+    `LLM stream (${provider.name}/${model}) ${aborted ? "aborted" : "finished"} after ${Date.now() - startTime}ms`,
+  );
+
+  return { text, model, usage: null, provider: provider.name, aborted };
+}
+
+// Embed texts with EMBEDDING_PROVIDER (defaults to the chat provider)
+export async function generateEmbeddings(texts, options = {}) {
+  const provider = getLlmProvider(
+    options.provider || process.env.EMBEDDING_PROVIDER || undefined,
+  );
+  if (typeof provider.embed !== "function") {
+    throw new Error(
+      `LLM provider ${provider.name} does not support embeddings`,
+    );
+  }
+  return provider.embed(texts, { model: options.model });
+}
+
+function defaultTemperature() {
+  const value = parseFloat(process.env.TEMPERATURE);
+  return Number.isNaN(value) ? 0.3 : value;
+}
+
+function defaultMaxTokens() {
+  return parseInt(process.env.MAX_TOKENS) || 4096;
+}
+
+function defaultJsonRetries() {
+  const value = parseInt(process.env.LLM_JSON_RETRIES);
+  return Number.isNaN(value) ? 1 : Math.max(0, value);
+}
+
+// Vertex AI Gemini through the Google Cloud SDK
+function createVertexProvider() {
+  return {
+    name: "vertex",
+
+    async generate({ prompt, system, model, temperature, maxTokens }) {
+      const googleCloud = await import("./googleCloud.js");
+      if (!googleCloud.vertexAI) {
+        await googleCloud.initializeGoogleCloud();
+      }
+
+      const modelName =
+        model || process.env.LEGAL_MODEL_NAME || "gemini-1.5-pro";
+      const generativeModel = googleCloud.vertexAI.getGenerativeModel({
+        model: modelName,
+        systemInstruction: system,
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+          topP: 0.8,
+          topK: 40,
+        },
+      });
+
+      const result = await generativeModel.generateContent(prompt);
+      const usage = result.response.usageMetadata;
+
+      return {
+        text: result.response.text(),
+        model: modelName,
+        usage: usage
+          ? {
+              promptTokens: usage.promptTokenCount,
+              completionTokens: usage.candidatesTokenCount,
+            }
+          : null,
+      };
+    },
+
+    async *stream({ prompt, system, model, temperature, maxTokens, signal }) {
+      const googleCloud = await import("./googleCloud.js");
+      if (!googleCloud.vertexAI) {
+        await googleCloud.initializeGoogleCloud();
+      }
+
+      const modelName =
+        model || process.env.LEGAL_MODEL_NAME || "gemini-1.5-pro";
+      const generativeModel = googleCloud.vertexAI.getGenerativeModel({
+        model: modelName,
+        systemInstruction: system,
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+          topP: 0.8,
+          topK: 40,
+        },
+      });
+
+      yield { model: modelName };
+      const result = await generativeModel.generateContentStream(prompt);
+      for await (const item of result.stream) {
+        if (signal?.aborted) return;
+        const parts = item.candidates?.[0]?.content?.parts || [];
+        const text = parts.map((part) => part.text || "").join("");
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, vLLM,
+// llama.cpp, Ollama, LM Studio, ...)
+function createOpenAICompatibleProvider() {
+  const client = axios.create({
+    baseURL: process.env.LLM_BASE_URL || "https://api.openai.com/v1",
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+  });
+
+  return {
+    name: "openai",
+
+    async generate({ prompt, system, model, temperature, maxTokens }) {
+      const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+      const modelName = model || process.env.LLM_MODEL || "gpt-4o-mini";
+
+      const messages = [];
+      if (system) messages.push({ role: "system", content: system });
+      messages.push({ role: "user", content: prompt });
+
+      const response = await client.post(
+        "/chat/completions",
+        {
+          model: modelName,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        },
+      );
+
+      const choice = response.data?.choices?.[0];
+      if (!choice) {
+        throw new Error("LLM response contained no choices");
+      }
+
+      const usage = response.data.usage;
+      return {
+        text: choice.message?.content ?? choice.text ?? "",
+        model: response.data.model || modelName,
+        usage: usage
+          ? {
+              promptTokens: usage.prompt_tokens,
+              completionTokens: usage.completion_tokens,
+            }
+          : null,
+      };
+    },
+
+    async embed(texts, { model } = {}) {
+      const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+      const response = await client.post(
+        "/embeddings",
+        {
+          model:
+            model || process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+          input: texts,
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        },
+      );
+
+      return response.data.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+
+    async *stream({ prompt, system, model, temperature, maxTokens, signal }) {
+      const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+      const modelName = model || process.env.LLM_MODEL || "gpt-4o-mini";
+
+      const messages = [];
+      if (system) messages.push({ role: "system", content: system });
+      messages.push({ role: "user", content: prompt });
+
+      const response = await client.post(
+        "/chat/completions",
+        {
+          model: modelName,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: true,
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          responseType: "stream",
+          signal,
+        },
+      );
+
+      yield { model: modelName };
+
+      // Server-sent events: one "data: {...}" line per chunk, then [DONE]
+      let buffer = "";
+      for await (const data of response.data) {
+        buffer += data.toString("utf8");
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !payload) continue;
+          if (payload === "[DONE]") return;
+
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    },
+  };
+}
+
+/*
+ * Deterministic provider for tests and offline development. Responses are
+ * keyed by a hash of the request and read from LLM_REPLAY_DIR:
+ *
+ *   LLM_REPLAY_MODE=replay  serve recordings; unknown prompts get a stable
+ *                           placeholder (or an error with LLM_REPLAY_STRICT=true)
+ *   LLM_REPLAY_MODE=record  forward to LLM_RECORD_PROVIDER and save each response
+ */
+function createReplayProvider() {
+  const directory =
+    process.env.LLM_REPLAY_DIR ||
+    path.join(process.cwd(), "test", "fixtures", "llm");
+
+  return {
+    name: "replay",
+
+    async generate(request) {
+      const key = requestKey(request);
+      const file = path.join(directory, `${key}.json`);
+
+      if (process.env.LLM_REPLAY_MODE === "record") {
+        const upstream = getLlmProvider(
+          process.env.LLM_RECORD_PROVIDER || "vertex",
+        );
+        if (upstream.name === "replay") {
+          throw new Error("LLM_RECORD_PROVIDER cannot be the replay provider");
+        }
+
+        const result = await upstream.generate(request);
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(
+          file,
+          JSON.stringify(
+            {
+              key,
+              recordedAt: new Date().toISOString(),
+              provider: upstream.name,
+              request: { system: request.system, prompt: request.prompt },
+              response: result,
+            },
+            null,
+            2,
+          ),
+        );
+        return result;
+      }
+
+      if (fs.existsSync(file)) {
+        const recording = JSON.parse(fs.readFileSync(file, "utf8"));
+        return recording.response;
+      }
+
+      if (process.env.LLM_REPLAY_STRICT === "true") {
+        throw new Error(`No recorded LLM response for request ${key}`);
+      }
+
+      return {
+        text: `[replay ${key.slice(0, 12)}] No recorded response for this prompt.`,
+        model: "replay",
+        usage: null,
+      };
+    },
+
+    // Replays (or records) the whole response, then emits it word by word
+    async *stream(request) {
+      const { signal, ...rest } = request;
+      const result = await this.generate(rest);
+      yield { model: result.model };
+
+      for (const piece of result.text.match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) return;
+        yield piece;
+      }
+    },
+  };
+}
+
+// Only the fields that change the model's answer take part in the key
+function requestKey({ prompt, system, model }) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({ system: system || null, model: model || null, prompt }),
+    )
+    .digest("hex");
+}
@@ -0,0 +1,389 @@
+// In-memory storage, used for tests and throwaway local runs
+import winston from "winston";
+import { DocumentNotFoundError } from "./databaseErrors.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "database" },
+});
+
+export class MemoryDatabaseService {
+  constructor() {
+    this.driver = "memory";
+    this.documents = new Map();
+    this.chatSessions = new Map();
+    this.messages = new Map();
+    this.voiceSessions = new Map();
+    this.analyses = new Map();
+    this.chunks = new Map();
+    this.messageId = 1;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      logger.info("In-memory database initialized successfully");
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error("Database initialization failed:", error);
+      throw error;
+    }
+  }
+
+  // Schema operations; Maps have no schema to migrate
+  async checkSchemaVersion() {
+    return { currentVersion: null, latestVersion: null, pending: 0 };
+  }
+
+  async migrate() {
+    return [];
+  }
+
+  async rollback() {
+    return [];
+  }
+
+  async getMigrationStatus() {
+    return [];
+  }
+
+  // Document operations
+  async saveDocument(documentData) {
+    const {
+      id,
+      filename,
+      originalName,
+      mimeType,
+      fileSize,
+      filePath,
+      extractedText,
+      confidence,
+      pages,
+      pageTexts,
+      outline,
+      metadata,
+      wordCount,
+      language,
+      status,
+    } = documentData;
+
+    const document = {
+      id,
+      filename,
+      original_name: originalName,
+      mime_type: mimeType,
+      file_size: fileSize,
+      file_path: filePath,
+      extracted_text: extractedText,
+      confidence,
+      pages,
+      page_texts: pageTexts || [],
+      outline: outline || [],
+      metadata: metadata || {},
+      word_count: wordCount,
+      language: language || "en",
+      status: status || "uploaded",
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    this.documents.set(id, document);
+    return id;
+  }
+
+  async getDocument(documentId) {
+    return this.documents.get(documentId) || null;
+  }
+
+  async updateDocumentStatus(documentId, status) {
+    const document = this.documents.get(documentId);
+    if (document) {
+      document.status = status;
+      document.updated_at = new Date().toISOString();
+      this.documents.set(documentId, document);
+    }
+  }
+
+  async getAllDocuments() {
+    return Array.from(this.documents.values()).sort(
+      (a, b) => new Date(b.created_at) - new Date(a.created_at),
+    );
+  }
+
+  async deleteDocument(documentId) {
+    this.documents.delete(documentId);
+    // Also delete related sessions, messages, voice sessions, analyses and chunks
+    for (const [sessionId, session] of this.chatSessions.entries()) {
+      if (session.document_id === documentId) {
+        this.chatSessions.delete(sessionId);
+      }
+    }
+    for (const [messageId, message] of this.messages.entries()) {
+      if (message.document_id === documentId) {
+        this.messages.delete(messageId);
+      }
+    }
+    for (const [id, session] of this.voiceSessions.entries()) {
+      if (session.document_id === documentId) {
+        this.voiceSessions.delete(id);
+      }
+    }
+    this.analyses.delete(documentId);
+    this.chunks.delete(documentId);
+  }
+
+  // Chat operations
+  async createChatSession(sessionData) {
+    const { id, documentId, sessionId, title } = sessionData;
+    this.requireDocument(documentId);
+
+    const session = {
+      id,
+      document_id: documentId,
+      session_id: sessionId,
+      title: title || this.nextSessionTitle(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    this.chatSessions.set(id, session);
+    return id;
+  }
+
+  async getChatSession(documentId, sessionId) {
+    for (const session of this.chatSessions.values()) {
+      if (
+        session.document_id === documentId &&
+        session.session_id === sessionId
+      ) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  async getChatSessionsByDocument(documentId) {
+    return Array.from(this.chatSessions.values())
+      .filter((session) => session.document_id === documentId)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async saveChatMessage(messageData) {
+    const { id, sessionId, documentId, messageType, content, metadata } =
+      messageData;
+    this.requireDocument(documentId);
+
+    // Messages may arrive for a session nobody created explicitly
+    const session = await this.getChatSession(documentId, sessionId);
+    if (session) {
+      session.updated_at = new Date().toISOString();
+    } else {
+      await this.createChatSession({
+        id: `${documentId}:${sessionId}`,
+        documentId,
+        sessionId,
+      });
+    }
+
+    const message = {
+      id,
+      session_id: sessionId,
+      document_id: documentId,
+      message_type: messageType,
+      content,
+      metadata: metadata || {},
+      created_at: new Date().toISOString(),
+    };
+
+    this.messages.set(id, message);
+    return id;
+  }
+
+  async getChatMessages(sessionId, limit = 50, offset = 0) {
+    const sessionMessages = Array.from(this.messages.values())
+      .filter((msg) => msg.session_id === sessionId)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .slice(offset, offset + limit);
+
+    return sessionMessages;
+  }
+
+  async getChatHistory(documentId, sessionId) {
+    return Array.from(this.messages.values())
+      .filter(
+        (msg) => msg.document_id === documentId && msg.session_id === sessionId,
+      )
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  async deleteChatSession(sessionId) {
+    // Find and delete the session
+    for (const [id, session] of this.chatSessions.entries()) {
+      if (session.session_id === sessionId) {
+        this.chatSessions.delete(id);
+        break;
+      }
+    }
+
+    // Delete related messages
+    for (const [messageId, message] of this.messages.entries()) {
+      if (message.session_id === sessionId) {
+        this.messages.delete(messageId);
+      }
+    }
+  }
+
+  async deleteChatHistory(documentId, sessionId) {
+    for (const [messageId, message] of this.messages.entries()) {
+      if (
+        message.document_id === documentId &&
+        message.session_id === sessionId
+      ) {
+        this.messages.delete(messageId);
+      }
+    }
+  }
+
+  // Voice operations
+  async createVoiceSession(sessionData) {
+    const { id, documentId, sessionId } = sessionData;
+    this.requireDocument(documentId);
+
+    const session = {
+      id,
+      document_id: documentId,
+      session_id: sessionId,
+      transcriptions: [],
+      responses: [],
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    this.voiceSessions.set(id, session);
+    return id;
+  }
+
+  async getVoiceSession(documentId, sessionId) {
+    for (const session of this.voiceSessions.values()) {
+      if (
+        session.document_id === documentId &&
+        session.session_id === sessionId
+      ) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  async updateVoiceSession(documentId, sessionId, transcriptions, responses) {
+    for (const [id, session] of this.voiceSessions.entries()) {
+      if (
+        session.document_id === documentId &&
+        session.session_id === sessionId
+      ) {
+        session.transcriptions = transcriptions;
+        session.responses = responses;
+        session.updated_at = new Date().toISOString();
+        this.voiceSessions.set(id, session);
+        break;
+      }
+    }
+  }
+
+  async deleteVoiceSession(sessionId) {
+    for (const [id, session] of this.voiceSessions.entries()) {
+      if (session.session_id === sessionId) {
+        this.voiceSessions.delete(id);
+        break;
+      }
+    }
+  }
+
+  // Retrieval chunk operations
+  async saveDocumentChunks(documentId, chunks) {
+    this.chunks.set(
+      documentId,
+      chunks.map((chunk) => ({ ...chunk, embedding: chunk.embedding || null })),
+    );
+    return chunks.length;
+  }
+
+  async getDocumentChunks(documentId) {
+    return this.chunks.get(documentId) || [];
+  }
+
+  // Analysis operations
+  async saveAnalysis(analysisData) {
+    const { id, documentId, analysis } = analysisData;
+    const runs = this.analyses.get(documentId) || [];
+
+    const run = {
+      id,
+      document_id: documentId,
+      version: runs.length + 1,
+      overall_risk: analysis.summary?.overallRisk || null,
+      confidence: analysis.confidence ?? null,
+      processing_time: analysis.processingTime ?? null,
+      result: analysis,
+      created_at: new Date().toISOString(),
+    };
+
+    runs.push(run);
+    this.analyses.set(documentId, runs);
+    return { id, documentId, version: run.version, createdAt: run.created_at };
+  }
+
+  async getAnalysis(documentId, version = null) {
+    const runs = this.analyses.get(documentId) || [];
+    if (version) {
+      return runs.find((run) => run.version === version) || null;
+    }
+    return runs[runs.length - 1] || null;
+  }
+
+  async getAnalysisHistory(documentId) {
+    return (this.analyses.get(documentId) || [])
+      .map(({ result, ...run }) => run)
+      .reverse();
+  }
+
+  async deleteAnalyses(documentId) {
+    this.analyses.delete(documentId);
+  }
+
+  // Chat and voice records belong to a stored document, as in SQLite
+  requireDocument(documentId) {
+    if (!this.documents.has(documentId)) {
+      throw new DocumentNotFoundError(documentId);
+    }
+  }
+
+  nextSessionTitle() {
+    return `Chat Session ${this.chatSessions.size + 1}`;
+  }
+
+  // Utility methods
+  async close() {
+    // No-op for in-memory storage
+    logger.info("In-memory database closed");
+  }
+
+  async healthCheck() {
+    try {
+      return {
+        status: "healthy",
+        message: "In-memory database is working",
+        stats: {
+          documents: this.documents.size,
+          chatSessions: this.chatSessions.size,
+          messages: this.messages.size,
+          voiceSessions: this.voiceSessions.size,
+          analyses: this.analyses.size,
+        },
+      };
+    } catch (error) {
+      return { status: "unhealthy", message: error.message };
+    }
+  }
+}
@@ -0,0 +1,218 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "migrations" },
+});
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "migrations",
+);
+
+// Migration files are named "<version>-<name>.js", e.g. "002-add-analyses.js"
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// Thrown when the database was migrated by a newer release than this one
+export class SchemaVersionError extends Error {
+  constructor(databaseVersion, latestVersion) {
+    super(
+      `Database schema version ${databaseVersion} is newer than the latest known migration ${latestVersion}. ` +
+        "Upgrade the server or roll the database back with a matching release.",
+    );
+    this.name = "SchemaVersionError";
+    this.databaseVersion = databaseVersion;
+    this.latestVersion = latestVersion;
+  }
+}
+
+/*
+ * Applies numbered migrations to a better-sqlite3 connection. Each migration
+ * module exports `up(db)` and `down(db)`; both run inside a transaction along
+ * with the bookkeeping row in `schema_migrations`.
+ */
+export class MigrationRunner {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.migrations = null;
+  }
+
+  async loadMigrations() {
+    if (this.migrations) return this.migrations;
+
+    const files = fs
+      .readdirSync(this.directory)
+      .filter((file) => MIGRATION_FILE.test(file));
+
+    const migrations = await Promise.all(
+      files.map(async (file) => {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        const module = await import(
+          pathToFileURL(path.join(this.directory, file)).href
+        );
+
+        if (typeof module.up !== "function") {
+          throw new Error(`Migration ${file} does not export up()`);
+        }
+
+        return {
+          version: Number(version),
+          name,
+          file,
+          up: module.up,
+          down: module.down,
+        };
+      }),
+    );
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(
+          `Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`,
+        );
+      }
+    });
+
+    this.migrations = migrations;
+    return migrations;
+  }
+
+  ensureMigrationsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  getAppliedMigrations() {
+    this.ensureMigrationsTable();
+    return this.db
+      .prepare("SELECT * FROM schema_migrations ORDER BY version ASC")
+      .all();
+  }
+
+  getCurrentVersion() {
+    this.ensureMigrationsTable();
+    return (
+      this.db
+        .prepare("SELECT MAX(version) AS version FROM schema_migrations")
+        .get().version || 0
+    );
+  }
+
+  // Every known and unknown migration with its applied state
+  async status() {
+    const migrations = await this.loadMigrations();
+    const applied = new Map(
+      this.getAppliedMigrations().map((row) => [row.version, row]),
+    );
+
+    const known = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+    }));
+
+    // Rows written by a newer release that this one has no file for
+    const unknown = Array.from(applied.values())
+      .filter((row) => !migrations.some((m) => m.version === row.version))
+      .map((row) => ({
+        version: row.version,
+        name: row.name,
+        applied: true,
+        appliedAt: row.applied_at,
+        missing: true,
+      }));
+
+    return [...known, ...unknown].sort((a, b) => a.version - b.version);
+  }
+
+  // Throw if the database has been migrated beyond what this release knows
+  async checkCompatibility() {
+    const migrations = await this.loadMigrations();
+    const latestVersion = migrations.length
+      ? migrations[migrations.length - 1].version
+      : 0;
+    const currentVersion = this.getCurrentVersion();
+
+    if (currentVersion > latestVersion) {
+      throw new SchemaVersionError(currentVersion, latestVersion);
+    }
+
+    return {
+      currentVersion,
+      latestVersion,
+      pending: migrations.filter(
+        (migration) => migration.version > currentVersion,
+      ).length,
+    };
+  }
+
+  // Apply pending migrations, optionally stopping at `to`
+  async migrate({ to = Infinity } = {}) {
+    await this.checkCompatibility();
+    const migrations = await this.loadMigrations();
+    const applied = new Set(
+      this.getAppliedMigrations().map((row) => row.version),
+    );
+
+    const pending = migrations.filter(
+      (migration) => !applied.has(migration.version) && migration.version <= to,
+    );
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db
+          .prepare(
+            "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+          )
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+      logger.info(`Applied migration ${migration.file}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  // Revert the most recent `steps` migrations
+  async rollback({ steps = 1 } = {}) {
+    const migrations = await this.loadMigrations();
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const targets = this.getAppliedMigrations().reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new SchemaVersionError(row.version, migrations.at(-1)?.version);
+      }
+      if (typeof migration.down !== "function") {
+        throw new Error(`Migration ${migration.file} cannot be rolled back`);
+      }
+
+      this.db.transaction(() => {
+        migration.down(this.db);
+        this.db
+          .prepare("DELETE FROM schema_migrations WHERE version = ?")
+          .run(migration.version);
+      })();
+      logger.info(`Rolled back migration ${migration.file}`);
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    return reverted;
+  }
+}
@@ -0,0 +1,361 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  ownSpan,
+  clauseReference,
+} from "./clauseSegmenter.js";
+import { extractParties, PARTY_ROLES } from "./entityExtractor.js";
+import { extractTimeline } from "./temporalExtractor.js";
+
+// Who must, may and must not do what. Each sentence is scanned for modal
+// verbs; the words before the verb are resolved to a party (by role, alias
+// or name) and the words after it are the action. Conditions and deadlines
+// are read from the same part of the sentence.
+//
+//   "If rent is late, the Tenant shall pay a fee within 5 days"
+//     -> Tenant, obligation, shall, "pay a fee within 5 days",
+//        condition "If rent is late", deadline "within 5 days"
+
+// Checked in order at each position, so negated and longer forms come first
+const MODALS = [
+  {
+    kind: "prohibition",
+    pattern:
+      /(?:shall|must|will|may)\s+not|cannot|can\s+not|agrees?\s+not\s+to|(?:is|are)\s+not\s+(?:permitted|allowed|entitled)\s+to|(?:is|are)\s+prohibited\s+from/,
+  },
+  {
+    kind: "permission",
+    pattern:
+      /(?:shall|will)\s+(?:be\s+entitled\s+to|have\s+the\s+right\s+to)|(?:is|are)\s+(?:entitled|permitted|allowed)\s+to|(?:has|have)\s+the\s+right\s+to|may/,
+  },
+  {
+    kind: "obligation",
+    pattern:
+      /shall|must|will|agrees?\s+to|undertakes?\s+to|(?:is|are)\s+(?:required|obligated|obliged)\s+to|(?:is|are)\s+responsible\s+for/,
+  },
+];
+
+const MODALITY = {
+  obligation: "shall",
+  prohibition: "shall not",
+  permission: "may",
+};
+
+const MODAL_KINDS = MODALS.map(({ kind, pattern }) => ({
+  kind,
+  pattern: new RegExp(`^(?:${pattern.source})$`, "i"),
+}));
+
+const MODAL = new RegExp(
+  `\\b(?:${MODALS.map(({ pattern }) => pattern.source).join("|")})\\b`,
+  "gi",
+);
+
+// Subjects that bind every party
+const EVERY_PARTY =
+  /^(?:each|either|both|neither|no|any|the)\s+(?:party|parties)$|^(?:the\s+)?parties$/i;
+const NO_PARTY = /^(?:neither|no)\s/i;
+
+// "you" and "we" in consumer terms
+const PERSONAL_SUBJECTS = { you: "You", we: "We" };
+
+// Actions that describe a state rather than conduct
+const NOT_CONDUCT = /^(?:be\s+deemed|mean|include|apply)\b/i;
+// "shall not be liable" limits liability; it does not restrict conduct
+const EXCLUSION = /^be\s+(?:liable|responsible)\b/i;
+
+const CONDITION =
+  /\b(?:if|unless|provided\s+(?:that|always)|subject\s+to|in\s+the\s+event\s+(?:that|of)|upon|so\s+long\s+as|until|except)\b[^,;.]*/gi;
+
+// Sentence ends: terminal punctuation before a capital, or a blank line.
+// Periods after initials and common abbreviations are not sentence ends.
+const SENTENCE_END =
+  /(?<!\b[A-Z]|\b(?:Inc|Corp|Ltd|Co|No|St|Mr|Mrs|Ms|Dr|Jr|Sr|e\.g|i\.e))[.!?]\s+(?=[A-Z(“"])|\n\s*\n/g;
+
+const MAX_SUBJECT_WORDS = 4;
+const MAX_CONDITION_LENGTH = 160;
+
+// Obligation, permission and prohibition lists for each party
+export function extractObligations(
+  text,
+  structure = segmentDocument(text),
+  {
+    parties = extractParties(text, structure),
+    timeline = extractTimeline(text, structure),
+  } = {},
+) {
+  const nodes = flattenClauses(structure.clauses);
+  if (nodes.length === 0) {
+    nodes.push({
+      id: null,
+      number: null,
+      heading: "",
+      children: [],
+      start: 0,
+      end: text.length,
+    });
+  }
+
+  const subjects = subjectIndex(parties);
+  const buckets = parties.map((party) => ({
+    party: party.name,
+    role: party.role,
+  }));
+  const items = [];
+
+  for (const node of nodes) {
+    const span = ownSpan(node);
+    for (const sentence of splitSentences(text, span.start, span.end)) {
+      items.push(
+        ...sentenceItems(text, sentence, subjects, buckets).map((item) => ({
+          ...item,
+          deadlines: deadlinesWithin(timeline, item.segment),
+          text: sentence.text,
+          start: sentence.start,
+          end: sentence.end,
+          clause: node.id ? clauseReference(node) : null,
+        })),
+      );
+    }
+  }
+
+  if (buckets.length === 0 && items.some((item) => item.mutual)) {
+    buckets.push({ party: null, role: "Each party" });
+  }
+
+  const matrix = buckets.map((bucket, index) => {
+    const own = items.filter(
+      (item) => item.mutual || item.holders.includes(index),
+    );
+    return {
+      ...bucket,
+      obligations: own.filter((item) => item.kind === "obligation").map(entry),
+      permissions: own.filter((item) => item.kind === "permission").map(entry),
+      prohibitions: own
+        .filter((item) => item.kind === "prohibition")
+        .map(entry),
+    };
+  });
+
+  return {
+    parties: matrix,
+    counts: {
+      obligations: items.filter((item) => item.kind === "obligation").length,
+      permissions: items.filter((item) => item.kind === "permission").length,
+      prohibitions: items.filter((item) => item.kind === "prohibition").length,
+    },
+  };
+}
+
+const KIND_LISTS = {
+  obligation: "obligations",
+  permission: "permissions",
+  prohibition: "prohibitions",
+};
+
+// The matrix narrowed to one party (by name or role) and one kind of entry.
+// Analyses from before obligations were extracted have none.
+export function filterObligations(obligations, { party, kind } = {}) {
+  let parties = obligations?.parties || [];
+
+  if (party) {
+    const wanted = party.toLowerCase();
+    parties = parties.filter((entry) =>
+      [entry.party, entry.role].some(
+        (value) => value?.toLowerCase() === wanted,
+      ),
+    );
+  }
+
+  if (kind) {
+    const list = KIND_LISTS[kind];
+    parties = parties.map((entry) => ({
+      party: entry.party,
+      role: entry.role,
+      [list]: entry[list],
+    }));
+  }
+
+  return {
+    parties,
+    counts: obligations?.counts || {
+      obligations: 0,
+      permissions: 0,
+      prohibitions: 0,
+    },
+  };
+}
+
+function entry({ holders, segment, ...item }) {
+  return item;
+}
+
+// Lower-cased role, alias and name -> index into parties
+function subjectIndex(parties) {
+  const index = new Map();
+  parties.forEach((party, position) => {
+    [party.role, ...(party.aliases || []), party.name]
+      .filter(Boolean)
+      .forEach((value) => {
+        const key = value.toLowerCase();
+        if (!index.has(key)) index.set(key, position);
+      });
+  });
+  return index;
+}
+
+function splitSentences(text, start, end) {
+  const body = text.slice(start, end);
+  const sentences = [];
+  let from = 0;
+
+  const push = (to) => {
+    const raw = body.slice(from, to);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      sentences.push({
+        start: start + from + leading,
+        end: start + from + leading + trimmed.length,
+        text: trimmed.replace(/\s+/g, " "),
+      });
+    }
+  };
+
+  SENTENCE_END.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_END.exec(body)) !== null) {
+    push(match.index + 1);
+    from = match.index + match[0].length;
+  }
+  push(body.length);
+
+  return sentences;
+}
+
+// One item per modal verb with a party as its subject
+function sentenceItems(text, sentence, subjects, buckets) {
+  const raw = text.slice(sentence.start, sentence.end);
+  const found = [];
+
+  MODAL.lastIndex = 0;
+  let match;
+  while ((match = MODAL.exec(raw)) !== null) {
+    const subject = findSubject(raw.slice(0, match.index), subjects, buckets);
+    if (!subject) continue;
+    found.push({ match, subject });
+  }
+
+  return found.flatMap(({ match, subject }, position) => {
+    const next = found[position + 1];
+    const segmentStart = position === 0 ? 0 : subject.start;
+    const segmentEnd = next ? next.subject.start : raw.length;
+
+    const kind = NO_PARTY.test(subject.text)
+      ? "prohibition"
+      : modalKind(match[0]);
+
+    const action = raw
+      .slice(match.index + match[0].length, segmentEnd)
+      .replace(/\s+/g, " ")
+      .replace(/\s*\b(?:and|or)\s*$/i, "")
+      .replace(/^[\s,]+|[\s,;:.]+$/g, "");
+    if (!action || NOT_CONDUCT.test(action)) return [];
+    if (kind === "prohibition" && EXCLUSION.test(action)) return [];
+
+    return [
+      {
+        kind,
+        modality: MODALITY[kind],
+        verb: match[0].replace(/\s+/g, " "),
+        subject: subject.text,
+        mutual: subject.mutual,
+        holders: subject.holders,
+        action,
+        conditions: findConditions(raw.slice(segmentStart, segmentEnd)),
+        segment: {
+          start: sentence.start + segmentStart,
+          end: sentence.start + segmentEnd,
+        },
+      },
+    ];
+  });
+}
+
+// The party named by the last words before a modal verb, trying the longest
+// phrase first. "the Landlord and the Tenant" resolves to both.
+function findSubject(before, subjects, buckets) {
+  const clause = before.replace(/,[^,]{1,80},\s*$/, "");
+  const words = [...clause.matchAll(/[\w'’&.-]+/g)].slice(-MAX_SUBJECT_WORDS);
+  const last = words[words.length - 1];
+  if (!last || clause.slice(last.index + last[0].length).trim()) return null;
+
+  for (let count = words.length; count > 0; count--) {
+    const first = words[words.length - count];
+    const phrase = clause.slice(first.index, last.index + last[0].length);
+    const bare = phrase.replace(/^the\s+/i, "");
+
+    if (EVERY_PARTY.test(phrase)) {
+      return { text: phrase, mutual: true, holders: [], start: first.index };
+    }
+
+    const holder = resolveSubject(bare, subjects, buckets);
+    if (holder === null) continue;
+
+    const subject = {
+      text: phrase,
+      mutual: false,
+      holders: [holder],
+      start: first.index,
+    };
+    const joined = clause
+      .slice(0, first.index)
+      .match(/(?:the\s+)?([\w'’&.-]+(?:\s+[\w'’&.-]+){0,2})\s+and\s+$/i);
+    const other = joined && resolveSubject(joined[1], subjects, buckets);
+    if (other !== null) {
+      subject.holders.unshift(other);
+      subject.start = joined.index;
+      subject.text = clause.slice(joined.index, last.index + last[0].length);
+    }
+    return subject;
+  }
+
+  return null;
+}
+
+// Index of the party bucket for a subject, adding a bucket for party roles
+// and personal pronouns that were not defined as parties
+function resolveSubject(phrase, subjects, buckets) {
+  const key = phrase.toLowerCase().replace(/[.,]+$/, "");
+  if (subjects.has(key)) return subjects.get(key);
+
+  const personal = PERSONAL_SUBJECTS[key];
+  const role =
+    personal || (PARTY_ROLES.has(key) && /^[A-Z]/.test(phrase) ? phrase : null);
+  if (!role) return null;
+
+  buckets.push({ party: null, role });
+  subjects.set(key, buckets.length - 1);
+  return buckets.length - 1;
+}
+
+function modalKind(verb) {
+  return MODAL_KINDS.find(({ pattern }) => pattern.test(verb)).kind;
+}
+
+function findConditions(segment) {
+  return [...segment.matchAll(CONDITION)]
+    .map((match) => match[0].replace(/\s+/g, " ").trim())
+    .filter((condition) => condition.split(" ").length > 1)
+    .map((condition) => condition.slice(0, MAX_CONDITION_LENGTH));
+}
+
+function deadlinesWithin(timeline, segment) {
+  return timeline.entries
+    .filter((item) => item.start >= segment.start && item.end <= segment.end)
+    .map((item) => ({
+      type: item.type,
+      text: item.text,
+      date: item.date || null,
+    }));
+}
@@ -0,0 +1,151 @@
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "ocr-service" },
+});
+
+/*
+ * Every OCR provider exposes the same shape:
+ *
+ *   name: string
+ *   recognize(imageBuffer, options) -> {
+ *     text, confidence (0-1),
+ *     words: [{ text, confidence (0-1), bbox: { x0, y0, x1, y1 } }]
+ *   }
+ *   terminate(): release workers or clients
+ */
+const providerFactories = {
+  tesseract: createTesseractProvider,
+  vision: createVisionProvider,
+};
+
+const providers = new Map();
+
+// Get (and lazily create) an OCR provider; defaults to the local engine
+export function getOcrProvider(name = process.env.OCR_PROVIDER || "tesseract") {
+  const key = name.toLowerCase();
+
+  if (!providers.has(key)) {
+    const factory = providerFactories[key];
+    if (!factory) {
+      throw new Error(
+        `Unknown OCR provider: ${name}. Available: ${Object.keys(providerFactories).join(", ")}`,
+      );
+    }
+    providers.set(key, factory());
+  }
+
+  return providers.get(key);
+}
+
+// Register an additional OCR provider factory (e.g. a hosted engine)
+export function registerOcrProvider(name, factory) {
+  providerFactories[name.toLowerCase()] = factory;
+  providers.delete(name.toLowerCase());
+}
+
+// Run OCR on an encoded image (PNG, JPEG, GIF, BMP)
+export async function recognizeImage(imageBuffer, options = {}) {
+  const provider = getOcrProvider(options.provider);
+  const startTime = Date.now();
+
+  const result = await provider.recognize(imageBuffer, options);
+
+  logger.info(
+    `OCR (${provider.name}) recognised ${result.words.length} words in ${Date.now() - startTime}ms`,
+  );
+
+  return { ...result, provider: provider.name };
+}
+
+// Shut down every provider that has been created
+export async function terminateOcrProviders() {
+  await Promise.all(
+    Array.from(providers.values()).map((provider) => provider.terminate()),
+  );
+  providers.clear();
+}
+
+// Local WASM Tesseract engine; no network access once language data is cached
+function createTesseractProvider() {
+  let workerPromise = null;
+
+  const getWorker = async () => {
+    if (!workerPromise) {
+      workerPromise = import("tesseract.js").then(({ createWorker }) =>
+        createWorker(process.env.OCR_LANGUAGES || "eng", 1, {
+          langPath: process.env.OCR_LANG_PATH || undefined,
+          cachePath: process.env.OCR_CACHE_PATH || undefined,
+        }),
+      );
+      // Allow a retry if the worker failed to start
+      workerPromise.catch(() => {
+        workerPromise = null;
+      });
+    }
+    return workerPromise;
+  };
+
+  return {
+    name: "tesseract",
+
+    async recognize(imageBuffer) {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(
+        imageBuffer,
+        {},
+        { text: true, blocks: true },
+      );
+
+      const words = (data.blocks || []).flatMap((block) =>
+        block.paragraphs.flatMap((paragraph) =>
+          paragraph.lines.flatMap((line) =>
+            line.words.map((word) => ({
+              text: word.text,
+              confidence: word.confidence / 100,
+              bbox: { ...word.bbox },
+            })),
+          ),
+        ),
+      );
+
+      return {
+        text: (data.text || "").trim(),
+        confidence: (data.confidence || 0) / 100,
+        words,
+      };
+    },
+
+    async terminate() {
+      if (!workerPromise) return;
+      const worker = await workerPromise.catch(() => null);
+      workerPromise = null;
+      if (worker) await worker.terminate();
+    },
+  };
+}
+
+// Google Cloud Vision document text detection (requires GCP credentials)
+function createVisionProvider() {
+  return {
+    name: "vision",
+
+    async recognize(imageBuffer) {
+      const googleCloud = await import("./googleCloud.js");
+      if (!googleCloud.visionClient) {
+        await googleCloud.initializeGoogleCloud();
+      }
+
+      const result = await googleCloud.analyzeDocument(imageBuffer);
+      return {
+        text: (result.text || "").trim(),
+        confidence: result.confidence || 0,
+        words: result.words || [],
+      };
+    },
+
+    async terminate() {},
+  };
+}
@@ -0,0 +1,323 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Joi from "joi";
+import yaml from "js-yaml";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "pattern-library" },
+});
+
+const PATTERNS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "patterns",
+);
+
+const PACK_FILE = /\.(ya?ml|json)$/i;
+const RISK_LEVELS = ["critical", "high", "medium", "low", "minimal"];
+
+export class PatternLibraryError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "PatternLibraryError";
+    this.details = details;
+  }
+}
+
+const regexSource = Joi.string()
+  .min(1)
+  .custom((value, helpers) => {
+    try {
+      new RegExp(value, "gi");
+      return value;
+    } catch (error) {
+      return helpers.message(`invalid regular expression: ${error.message}`);
+    }
+  });
+
+const clauseSchema = Joi.object({
+  title: Joi.string().min(1),
+  description: Joi.string().allow(""),
+  keywords: Joi.array().items(Joi.string().min(1)),
+  patterns: Joi.array().items(regexSource),
+  riskLevel: Joi.string().valid(...RISK_LEVELS),
+  negation: Joi.string().valid("discard", "keep"),
+  rationale: Joi.string().min(1),
+  explanation: Joi.string().min(1),
+  recommendations: Joi.array().items(Joi.string().min(1)),
+});
+
+// Base packs must define clause types completely; overlays may be partial
+const packSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9_-]*$/)
+    .required(),
+  version: Joi.string()
+    .pattern(/^\d+\.\d+\.\d+$/)
+    .required()
+    .messages({ "string.pattern.base": "version must look like 1.2.0" }),
+  description: Joi.string().allow(""),
+  jurisdiction: Joi.string()
+    .pattern(/^[A-Z]{2,3}$/)
+    .when("extends", { is: Joi.exist(), then: Joi.required() }),
+  extends: Joi.string(),
+  clauses: Joi.object()
+    .pattern(
+      Joi.string().pattern(/^[a-z][a-z0-9_]*$/),
+      Joi.when(Joi.ref("/extends"), {
+        is: Joi.exist(),
+        then: clauseSchema,
+        otherwise: clauseSchema.fork(
+          ["keywords", "riskLevel", "rationale", "explanation"],
+          (schema) => schema.required(),
+        ),
+      }),
+    )
+    .min(1)
+    .required(),
+});
+
+let library = null;
+const compiled = new Map();
+
+// Read and validate every pack in the directory. Throws PatternLibraryError
+// listing every problem found, so a bad edit never half-loads.
+export function loadPatternLibrary(options = {}) {
+  const directory =
+    options.directory || process.env.PATTERN_LIBRARY_DIR || PATTERNS_DIR;
+
+  if (!fs.existsSync(directory)) {
+    throw new PatternLibraryError(
+      `Pattern library directory not found: ${directory}`,
+    );
+  }
+
+  const problems = [];
+  const packs = new Map();
+
+  fs.readdirSync(directory)
+    .filter((file) => PACK_FILE.test(file))
+    .sort()
+    .forEach((file) => {
+      const raw = readPackFile(path.join(directory, file), problems, file);
+      if (!raw) return;
+
+      const { error, value } = packSchema.validate(raw, { abortEarly: false });
+      if (error) {
+        error.details.forEach((detail) =>
+          problems.push({
+            file,
+            path: detail.path.join("."),
+            message: detail.message,
+          }),
+        );
+        return;
+      }
+
+      if (packs.has(value.name)) {
+        problems.push({
+          file,
+          path: "name",
+          message: `duplicate pack name "${value.name}" (also in ${packs.get(value.name).file})`,
+        });
+        return;
+      }
+
+      packs.set(value.name, { ...value, file });
+    });
+
+  const jurisdictions = new Map();
+  for (const pack of packs.values()) {
+    if (pack.extends && !packs.has(pack.extends)) {
+      problems.push({
+        file: pack.file,
+        path: "extends",
+        message: `extends unknown pack "${pack.extends}"`,
+      });
+    }
+    if (pack.extends && packs.get(pack.extends)?.extends) {
+      problems.push({
+        file: pack.file,
+        path: "extends",
+        message: "overlays can only extend a base pack",
+      });
+    }
+    if (pack.jurisdiction) {
+      if (jurisdictions.has(pack.jurisdiction)) {
+        problems.push({
+          file: pack.file,
+          path: "jurisdiction",
+          message: `jurisdiction ${pack.jurisdiction} is already provided by ${jurisdictions.get(pack.jurisdiction).file}`,
+        });
+      }
+      jurisdictions.set(pack.jurisdiction, pack);
+    }
+  }
+
+  const bases = [...packs.values()].filter((pack) => !pack.extends);
+  if (bases.length !== 1) {
+    problems.push({
+      file: null,
+      path: "",
+      message: `expected exactly one base pack (a pack without "extends"), found ${bases.length}`,
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new PatternLibraryError(
+      `Pattern library in ${directory} is invalid`,
+      problems,
+    );
+  }
+
+  return {
+    directory,
+    base: bases[0],
+    packs,
+    jurisdictions,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+function readPackFile(file, problems, name) {
+  try {
+    const content = fs.readFileSync(file, "utf8");
+    return file.toLowerCase().endsWith(".json")
+      ? JSON.parse(content)
+      : yaml.load(content);
+  } catch (error) {
+    problems.push({ file: name, path: "", message: error.message });
+    return null;
+  }
+}
+
+export function getPatternLibrary() {
+  if (!library) {
+    library = loadPatternLibrary();
+    logger.info(
+      `Loaded ${library.packs.size} pattern packs from ${library.directory}`,
+    );
+  }
+  return library;
+}
+
+// Re-read the packs from disk. On validation errors the library that is
+// currently in use stays active and the error is rethrown.
+export function reloadPatternLibrary() {
+  const next = loadPatternLibrary();
+  library = next;
+  compiled.clear();
+  logger.info(`Reloaded ${next.packs.size} pattern packs`);
+  return next;
+}
+
+export function listPatternPacks() {
+  const { packs } = getPatternLibrary();
+  return [...packs.values()].map(describePack);
+}
+
+export function getPatternPack(name) {
+  const pack = getPatternLibrary().packs.get(name);
+  return pack ? { ...describePack(pack), clauses: pack.clauses } : null;
+}
+
+export function listJurisdictions() {
+  return [...getPatternLibrary().jurisdictions.keys()];
+}
+
+function describePack(pack) {
+  return {
+    name: pack.name,
+    version: pack.version,
+    jurisdiction: pack.jurisdiction || null,
+    extends: pack.extends || null,
+    description: pack.description || "",
+    file: pack.file,
+    clauseTypes: Object.keys(pack.clauses),
+  };
+}
+
+// Clause definitions for an analysis: the base pack with the jurisdiction's
+// overlay merged in. Lists (keywords, patterns, recommendations) are
+// extended; title, description, riskLevel, negation, rationale and
+// explanation are replaced.
+export function getClausePatterns(jurisdiction = null) {
+  const { base, jurisdictions } = getPatternLibrary();
+  const key = jurisdiction ? jurisdiction.toUpperCase() : "";
+
+  if (key && !jurisdictions.has(key)) {
+    throw new PatternLibraryError(`Unknown jurisdiction: ${jurisdiction}`, [
+      {
+        file: null,
+        path: "jurisdiction",
+        message: `available: ${[...jurisdictions.keys()].join(", ")}`,
+      },
+    ]);
+  }
+
+  if (!compiled.has(key)) {
+    const overlay = key ? jurisdictions.get(key) : null;
+    const merged = mergeClauses(base.clauses, overlay?.clauses || {});
+
+    const clauses = {};
+    for (const [type, definition] of Object.entries(merged)) {
+      clauses[type] = {
+        ...definition,
+        patterns: definition.patterns.map((source) => new RegExp(source, "gi")),
+      };
+    }
+
+    compiled.set(key, {
+      jurisdiction: overlay?.jurisdiction || null,
+      packs: [base, overlay]
+        .filter(Boolean)
+        .map((pack) => ({ name: pack.name, version: pack.version })),
+      clauses,
+    });
+  }
+
+  return compiled.get(key);
+}
+
+function mergeClauses(baseClauses, overlayClauses) {
+  const merged = {};
+  const types = new Set([
+    ...Object.keys(baseClauses),
+    ...Object.keys(overlayClauses),
+  ]);
+
+  for (const type of types) {
+    const base = baseClauses[type] || {};
+    const overlay = overlayClauses[type] || {};
+
+    merged[type] = {
+      title: overlay.title || base.title || formatTitle(type),
+      description: overlay.description ?? base.description ?? "",
+      keywords: union(base.keywords, overlay.keywords),
+      patterns: union(base.patterns, overlay.patterns),
+      riskLevel: overlay.riskLevel || base.riskLevel || "medium",
+      negation: overlay.negation || base.negation || "discard",
+      rationale: overlay.rationale || base.rationale || "",
+      explanation: overlay.explanation || base.explanation || "",
+      recommendations: union(base.recommendations, overlay.recommendations),
+    };
+  }
+
+  return merged;
+}
+
+function union(first = [], second = []) {
+  return [...new Set([...first, ...second])];
+}
+
+function formatTitle(type) {
+  return type
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
@@ -0,0 +1,317 @@
+import { getDocument, ImageKind, OPS } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { PNG } from "pngjs";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "pdf-extractor" },
+});
+
+// Separator placed between pages in the flattened document text
+export const PAGE_SEPARATOR = "\n\n";
+
+// Pages with fewer characters than this are treated as scans
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Parse a PDF buffer and return its text layer page by page.
+// When `options.ocr` is given, pages without a usable text layer have their
+// scanned image passed to it and the recognised text takes the page's place.
+export async function extractPdf(buffer, options = {}) {
+  const loadingTask = getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    isOffscreenCanvasSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0,
+  });
+
+  const pdf = await loadingTask.promise;
+
+  try {
+    const metadata = await readMetadata(pdf);
+    const pages = [];
+    let offset = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      let lines = buildLines(content.items, viewport.height);
+      let text = linesToText(lines);
+      const hasTextLayer =
+        text.replace(/\s/g, "").length >= MIN_TEXT_LAYER_CHARS;
+      let ocr = null;
+
+      if (!hasTextLayer && options.ocr) {
+        ocr = await ocrPage(page, pageNumber, options.ocr);
+        if (ocr && ocr.text.length > text.trim().length) {
+          text = ocr.text;
+          lines = [];
+        }
+      }
+
+      if (pageNumber > 1) offset += PAGE_SEPARATOR.length;
+
+      pages.push({
+        pageNumber,
+        width: viewport.width,
+        height: viewport.height,
+        text,
+        start: offset,
+        end: offset + text.length,
+        hasTextLayer,
+        lines,
+        ocr,
+      });
+
+      offset += text.length;
+      page.cleanup();
+    }
+
+    return {
+      text: pages.map((page) => page.text).join(PAGE_SEPARATOR),
+      pageCount: pdf.numPages,
+      pages,
+      metadata,
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Recognise the largest embedded image on a page that has no text layer
+async function ocrPage(page, pageNumber, ocr) {
+  try {
+    const image = await largestPageImage(page);
+    if (!image) return null;
+
+    const result = await ocr(encodePng(image), { pageNumber });
+    return {
+      provider: result.provider,
+      confidence: result.confidence,
+      text: result.text,
+      imageWidth: image.width,
+      imageHeight: image.height,
+      words: result.words,
+    };
+  } catch (error) {
+    logger.warn(`OCR failed for PDF page ${pageNumber}:`, error.message);
+    return null;
+  }
+}
+
+async function largestPageImage(page) {
+  const operatorList = await page.getOperatorList();
+  const candidates = [];
+
+  operatorList.fnArray.forEach((fn, index) => {
+    const args = operatorList.argsArray[index];
+    if (fn === OPS.paintImageXObject || fn === OPS.paintImageXObjectRepeat) {
+      candidates.push(resolveObject(page, args[0]));
+    } else if (fn === OPS.paintInlineImageXObject) {
+      candidates.push(Promise.resolve(args[0]));
+    }
+  });
+
+  const images = (await Promise.all(candidates)).filter(
+    (image) => image && image.data && image.width > 0 && image.height > 0,
+  );
+
+  return images.reduce(
+    (largest, image) =>
+      !largest || image.width * image.height > largest.width * largest.height
+        ? image
+        : largest,
+    null,
+  );
+}
+
+function resolveObject(page, name) {
+  // Shared images live in commonObjs and are prefixed "g_"
+  const store = name.startsWith("g_") ? page.commonObjs : page.objs;
+  return new Promise((resolve) => store.get(name, resolve));
+}
+
+// Encode decoded pdf.js image data as PNG for the OCR engine
+function encodePng(image) {
+  const { width, height, data, kind } = image;
+  const png = new PNG({ width, height });
+  const pixels = width * height;
+
+  if (kind === ImageKind.GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+        const value = bit ? 255 : 0;
+        const target = (y * width + x) * 4;
+        png.data[target] = value;
+        png.data[target + 1] = value;
+        png.data[target + 2] = value;
+        png.data[target + 3] = 255;
+      }
+    }
+  } else if (kind === ImageKind.RGB_24BPP) {
+    for (let i = 0; i < pixels; i++) {
+      png.data[i * 4] = data[i * 3];
+      png.data[i * 4 + 1] = data[i * 3 + 1];
+      png.data[i * 4 + 2] = data[i * 3 + 2];
+      png.data[i * 4 + 3] = 255;
+    }
+  } else {
+    png.data.set(data.subarray(0, pixels * 4));
+  }
+
+  return PNG.sync.write(png);
+}
+
+// Read document info and XMP metadata
+async function readMetadata(pdf) {
+  try {
+    const { info = {}, metadata } = await pdf.getMetadata();
+    const xmp = (key) => (metadata?.has(key) ? metadata.get(key) : null);
+
+    return {
+      title: cleanInfoString(info.Title) || xmp("dc:title"),
+      author: cleanInfoString(info.Author) || xmp("dc:creator"),
+      subject: cleanInfoString(info.Subject),
+      creator: cleanInfoString(info.Creator),
+      producer: cleanInfoString(info.Producer),
+      creationDate: parsePdfDate(info.CreationDate),
+      modificationDate: parsePdfDate(info.ModDate),
+      pdfVersion: info.PDFFormatVersion || null,
+      encrypted: Boolean(info.IsEncrypted),
+    };
+  } catch (error) {
+    logger.warn("Failed to read PDF metadata:", error.message);
+    return {};
+  }
+}
+
+function cleanInfoString(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.replace(/\0/g, "").trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+// Convert a PDF date string (D:YYYYMMDDHHmmSSOHH'mm') to ISO 8601
+export function parsePdfDate(value) {
+  if (typeof value !== "string") return null;
+
+  const match = value.match(
+    /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?'?/,
+  );
+  if (!match) return null;
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00"] = match;
+  const second = match[6] || "00";
+  const sign = match[7];
+
+  let zone = "Z";
+  if (sign === "+" || sign === "-") {
+    zone = `${sign}${match[8] || "00"}:${match[9] || "00"}`;
+  }
+
+  const date = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`,
+  );
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Group positioned text items into visual lines, top to bottom
+function buildLines(items, pageHeight) {
+  const fragments = items
+    .filter((item) => typeof item.str === "string" && item.str.length > 0)
+    .map((item) => {
+      const height = Math.abs(item.height || item.transform[3]) || 10;
+      return {
+        text: item.str,
+        x: item.transform[4],
+        // PDF space has its origin at the bottom left
+        y: pageHeight - item.transform[5] - height,
+        width: item.width,
+        height,
+      };
+    });
+
+  fragments.sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const lines = [];
+  for (const fragment of fragments) {
+    const line = lines.find(
+      (candidate) =>
+        Math.abs(candidate.y - fragment.y) <
+        Math.min(candidate.height, fragment.height) * 0.5,
+    );
+
+    if (line) {
+      line.fragments.push(fragment);
+      line.height = Math.max(line.height, fragment.height);
+    } else {
+      lines.push({
+        y: fragment.y,
+        height: fragment.height,
+        fragments: [fragment],
+      });
+    }
+  }
+
+  return lines
+    .sort((a, b) => a.y - b.y)
+    .map((line) => {
+      const sorted = line.fragments.sort((a, b) => a.x - b.x);
+      let text = "";
+      let cursor = null;
+
+      for (const fragment of sorted) {
+        // Insert a space when fragments are visually separated
+        const gap = cursor === null ? 0 : fragment.x - cursor;
+        if (
+          cursor !== null &&
+          gap > fragment.height * 0.15 &&
+          !text.endsWith(" ") &&
+          !fragment.text.startsWith(" ")
+        ) {
+          text += " ";
+        }
+        text += fragment.text;
+        cursor = fragment.x + fragment.width;
+      }
+
+      const first = sorted[0];
+      const last = sorted[sorted.length - 1];
+      return {
+        text: text.replace(/\s+$/, ""),
+        x: round(first.x),
+        y: round(line.y),
+        width: round(last.x + last.width - first.x),
+        height: round(line.height),
+      };
+    })
+    .filter((line) => line.text.trim().length > 0);
+}
+
+// Join lines, keeping a blank line wherever the vertical gap suggests a new paragraph
+function linesToText(lines) {
+  let text = "";
+
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      const previous = lines[index - 1];
+      const gap = line.y - (previous.y + previous.height);
+      text +=
+        gap > Math.max(previous.height, line.height) * 0.8 ? "\n\n" : "\n";
+    }
+    text += line.text;
+  });
+
+  return text;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,479 @@
+import { describeSection } from "./clauseSegmenter.js";
+import { findPeriods } from "./temporalExtractor.js";
+
+// Checks a document against a playbook of standard positions. Each rule
+// reads the analysis (detected clauses, financial terms, timeline) and the
+// text of the clauses it concerns, and comes out as pass, fail or
+// needs_review with the evidence it used. needs_review means the rule could
+// not be decided from the text, not that the position is acceptable.
+//
+//   { check: auto_renewal_max, maxMonths: 12 }
+//     "renews for successive two-year terms" -> fail, 24 months
+
+const EXCERPT_CONTEXT = 60;
+
+const MONTHS_PER_UNIT = {
+  day: 1 / 30,
+  "calendar day": 1 / 30,
+  "business day": 1.4 / 30,
+  week: 7 / 30,
+  month: 1,
+  year: 12,
+};
+
+const MONTHS_PER_FREQUENCY = {
+  weekly: 12 / 52,
+  monthly: 1,
+  quarterly: 3,
+  annual: 12,
+};
+
+// "laws of the State of New York", "laws of England and Wales"
+const GOVERNING_LAW =
+  /\blaws?\s+of\s+(?:the\s+)?(?:(?:[Ss]tate|[Cc]ommonwealth|[Pp]rovince|[Rr]epublic|[Kk]ingdom)\s+of\s+)?([A-Z][A-Za-z]*(?:\s+(?:and\s+)?[A-Z][A-Za-z]*)*)/g;
+
+const UNCAPPED_LIABILITY =
+  /unlimited\s+liability|liability\s+(?:shall|will)\s+not\s+be\s+limited|without\s+(?:any\s+)?limit(?:ation)?\s+(?:of|on)\s+liability/i;
+const FEE_CAP =
+  /\b(?:fees?|amounts?|charges?|sums?)\s+(?:actually\s+)?(?:paid|payable)/i;
+const PRECEDING_YEAR =
+  /\b(?:preceding|previous|prior|last)\s+(?:calendar\s+|contract\s+)?year\b/i;
+const RENEWAL_WORDS = [
+  [/\bmonth[- ]to[- ]month\b/i, 1],
+  [/\byear[- ]to[- ]year\b|\bannual(?:ly)?\b/i, 12],
+];
+
+const CHECKERS = {
+  clause_required(rule, context) {
+    const clause = context.clause(rule.clause);
+    return clause
+      ? pass(`${clause.title} clause found`, sectionEvidence(context, clause))
+      : fail(`No ${formatType(rule.clause)} clause found`);
+  },
+
+  clause_prohibited(rule, context) {
+    const clause = context.clause(rule.clause);
+    return clause
+      ? fail(`${clause.title} clause found`, sectionEvidence(context, clause))
+      : pass(`No ${formatType(rule.clause)} clause found`);
+  },
+
+  text_required(rule, context) {
+    const scopes = context.scopes(rule.clause);
+    if (!scopes) return noClause(rule);
+
+    const evidence = findMatches(scopes, new RegExp(rule.pattern, "gi"));
+    return evidence.length
+      ? pass("Required wording found", evidence.slice(0, 1))
+      : fail(
+          rule.clause
+            ? `Required wording not found in the ${formatType(rule.clause)} clause`
+            : "Required wording not found",
+        );
+  },
+
+  text_prohibited(rule, context) {
+    const scopes = context.scopes(rule.clause);
+    if (!scopes) return pass(`No ${formatType(rule.clause)} clause found`);
+
+    const evidence = findMatches(scopes, new RegExp(rule.pattern, "gi"));
+    return evidence.length
+      ? fail("Prohibited wording found", evidence)
+      : pass("Prohibited wording not found");
+  },
+
+  governing_law(rule, context) {
+    const scopes =
+      context.scopes(rule.clause || "governing_law") || context.scopes(null);
+    const evidence = findMatches(scopes, GOVERNING_LAW).map((item) => ({
+      ...item,
+      jurisdiction: item.groups[0],
+    }));
+    if (evidence.length === 0) return needsReview("No governing law found");
+
+    const allowed = rule.allowed.map((name) => name.toLowerCase());
+    const isAllowed = (jurisdiction) =>
+      allowed.some((name) => jurisdiction.toLowerCase().includes(name));
+    const other = evidence.filter((item) => !isAllowed(item.jurisdiction));
+
+    return other.length
+      ? fail(
+          `Governed by the laws of ${unique(other.map((item) => item.jurisdiction)).join(", ")}; allowed: ${rule.allowed.join(", ")}`,
+          other,
+        )
+      : pass(`Governed by the laws of ${evidence[0].jurisdiction}`, evidence);
+  },
+
+  auto_renewal_max(rule, context) {
+    const scopes = context.scopes(rule.clause || "auto_renewal");
+    if (!scopes) return pass("Does not renew automatically");
+
+    const periods = sentences(scopes)
+      .filter((sentence) => /\brenew/i.test(sentence.text))
+      .flatMap((sentence) => renewalPeriods(sentence));
+    if (periods.length === 0) {
+      return needsReview(
+        "Renews automatically, but the renewal period is not stated",
+        sectionEvidence(context, context.clause(rule.clause || "auto_renewal")),
+      );
+    }
+
+    const longest = periods.reduce((a, b) => (b.months > a.months ? b : a));
+    return longest.months > rule.maxMonths
+      ? fail(
+          `Renews for ${formatMonths(longest.months)}; at most ${formatMonths(rule.maxMonths)} allowed`,
+          [longest],
+        )
+      : pass(`Renews for ${formatMonths(longest.months)}`, [longest]);
+  },
+
+  liability_cap_min(rule, context) {
+    const clauseType = rule.clause || "liability";
+    const scopes = context.scopes(clauseType);
+    if (!scopes) return needsReview("No limitation of liability found");
+
+    const uncapped = findMatches(scopes, new RegExp(UNCAPPED_LIABILITY, "gi"));
+    if (uncapped.length) return pass("Liability is not capped", uncapped);
+
+    // "fees paid in the twelve (12) months preceding the claim"
+    for (const sentence of sentences(scopes)) {
+      if (!FEE_CAP.test(sentence.text)) continue;
+      const months =
+        findPeriods(sentence.text)
+          .map((period) => period.amount * (MONTHS_PER_UNIT[period.unit] || 0))
+          .find((value) => value > 0) ??
+        (PRECEDING_YEAR.test(sentence.text) ? 12 : null);
+      if (months === null) continue;
+
+      return compareCap(rule, months, [sentence]);
+    }
+
+    // A fixed cap, measured in months of the recurring fee
+    const cap = (context.financialTerms?.terms || []).find(
+      (term) =>
+        term.type === "liability_cap" &&
+        scopes.some(
+          (scope) => term.start >= scope.start && term.end <= scope.end,
+        ),
+    );
+    if (cap) {
+      const monthly = monthlyFee(context.financialTerms.terms, cap.currency);
+      const evidence = [termEvidence(context, cap)];
+      return monthly
+        ? compareCap(rule, cap.amount / monthly, evidence)
+        : needsReview(
+            `Capped at ${cap.currency} ${cap.amount}, but there is no recurring fee to compare it with`,
+            evidence,
+          );
+    }
+
+    return needsReview(
+      "Could not read the liability cap",
+      sectionEvidence(context, context.clause(clauseType)),
+    );
+  },
+
+  amount_max(rule, context) {
+    if (!context.financialTerms) {
+      return needsReview("No financial terms in this analysis");
+    }
+
+    const terms = context.financialTerms.terms.filter(
+      (term) => term.type === rule.term,
+    );
+    const label = formatType(rule.term);
+    if (terms.length === 0) return pass(`No ${label} found`);
+
+    const comparable = rule.currency
+      ? terms.filter((term) => term.currency === rule.currency)
+      : terms;
+    const over = comparable.filter((term) => term.amount > rule.max);
+    const limit = `${rule.currency ? `${rule.currency} ` : ""}${rule.max}`;
+
+    if (over.length) {
+      return fail(
+        `${capitalize(label)} of ${over.map((term) => `${term.currency} ${term.amount}`).join(", ")} exceeds ${limit}`,
+        over.map((term) => termEvidence(context, term)),
+      );
+    }
+    if (comparable.length < terms.length) {
+      return needsReview(
+        `${capitalize(label)} stated in another currency than ${rule.currency}`,
+        terms
+          .filter((term) => !comparable.includes(term))
+          .map((term) => termEvidence(context, term)),
+      );
+    }
+    return pass(
+      `${capitalize(label)} within ${limit}`,
+      terms.map((term) => termEvidence(context, term)),
+    );
+  },
+
+  notice_period_min(rule, context) {
+    if (!context.timeline) return needsReview("No timeline in this analysis");
+
+    const sectionIds = rule.clause
+      ? new Set(
+          (context.clause(rule.clause)?.sections || []).map(
+            (section) => section.id,
+          ),
+        )
+      : null;
+    const notices = context.timeline.entries
+      .filter(
+        (entry) =>
+          entry.type === "notice" &&
+          entry.relative?.amount &&
+          MONTHS_PER_UNIT[entry.relative.unit] &&
+          (!sectionIds || sectionIds.has(entry.clauseId)),
+      )
+      .map((entry) => ({
+        ...entry,
+        days: Math.round(
+          entry.relative.amount * MONTHS_PER_UNIT[entry.relative.unit] * 30,
+        ),
+      }));
+    if (notices.length === 0) return needsReview("No notice period found");
+
+    const short = notices.filter((entry) => entry.days < rule.minDays);
+    const evidence = (entries) =>
+      entries.map((entry) => ({
+        clause: entry.clauseId ? { id: entry.clauseId } : null,
+        text: entry.text,
+        start: entry.start,
+        end: entry.end,
+        excerpt: excerpt(context.text, entry.start, entry.end),
+      }));
+
+    return short.length
+      ? fail(
+          `Notice period of ${short[0].days} days is shorter than ${rule.minDays} days`,
+          evidence(short),
+        )
+      : pass(
+          `Notice periods of at least ${rule.minDays} days`,
+          evidence(notices),
+        );
+  },
+};
+
+// Run every rule of `playbook` against an analysis. `text` is the analysed
+// text; clause sections and term offsets refer to it.
+export function checkPlaybook(
+  playbook,
+  { text = "", clauses = [], financialTerms = null, timeline = null } = {},
+) {
+  const context = {
+    text,
+    financialTerms,
+    timeline,
+    clause: (type) => clauses.find((clause) => clause.type === type) || null,
+    scopes: (type) => clauseScopes(text, clauses, type),
+  };
+
+  const results = playbook.rules.map((rule) => ({
+    id: rule.id,
+    title: rule.title,
+    severity: rule.severity,
+    check: rule.check,
+    ...CHECKERS[rule.check](rule, context),
+    recommendation: rule.recommendation || null,
+  }));
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const summary = {
+    pass: count("pass"),
+    fail: count("fail"),
+    needs_review: count("needs_review"),
+  };
+
+  return {
+    playbook: playbook.name
+      ? { name: playbook.name, version: playbook.version }
+      : null,
+    status: summary.fail
+      ? "fail"
+      : summary.needs_review
+        ? "needs_review"
+        : "pass",
+    summary,
+    results,
+  };
+}
+
+// The text a rule looks at: the sections of a clause type, or the whole
+// document when no type is given. Null when the clause was not detected.
+function clauseScopes(text, clauses, type) {
+  if (!type) {
+    return [{ clause: null, start: 0, end: text.length, text }];
+  }
+
+  const clause = clauses.find((candidate) => candidate.type === type);
+  if (!clause) return null;
+
+  const scopes = (clause.sections || [])
+    .map((section) => ({
+      clause: describeSection(section),
+      start: section.start,
+      end: section.end,
+      text: text.slice(section.start, section.end),
+    }))
+    .filter((scope) => scope.text.trim().length > 0);
+
+  // Analyses stored without their text only have the clause content
+  return scopes.length
+    ? scopes
+    : [
+        {
+          clause: null,
+          start: null,
+          end: null,
+          text: clause.content || "",
+        },
+      ];
+}
+
+function findMatches(scopes, pattern) {
+  return scopes.flatMap((scope) =>
+    [...scope.text.matchAll(pattern)].map((match) =>
+      spanEvidence(scope, match.index, match[0], match.slice(1)),
+    ),
+  );
+}
+
+function spanEvidence(scope, index, matched, groups = []) {
+  const start = scope.start === null ? null : scope.start + index;
+  return {
+    clause: scope.clause,
+    text: matched.replace(/\s+/g, " ").trim(),
+    start,
+    end: start === null ? null : start + matched.length,
+    excerpt: excerpt(scope.text, index, index + matched.length),
+    groups,
+  };
+}
+
+// Sentences of each scope with their offsets, as evidence-shaped spans
+function sentences(scopes) {
+  return scopes.flatMap((scope) =>
+    [...scope.text.matchAll(/[^.;\n]+[.;]?/g)]
+      .filter((match) => match[0].trim().length > 0)
+      .map((match) => ({
+        ...spanEvidence(scope, match.index, match[0]),
+        sentence: match[0],
+      })),
+  );
+}
+
+function renewalPeriods(sentence) {
+  const periods = findPeriods(sentence.sentence).map((period) => ({
+    ...sentence,
+    text: period.text,
+    months: period.amount * (MONTHS_PER_UNIT[period.unit] || 0),
+  }));
+  RENEWAL_WORDS.forEach(([pattern, months]) => {
+    const match = sentence.sentence.match(pattern);
+    if (match) periods.push({ ...sentence, text: match[0], months });
+  });
+  return periods.filter((period) => period.months > 0);
+}
+
+function compareCap(rule, months, evidence) {
+  const stated = `Liability capped at ${formatMonths(months)} of fees`;
+  return months >= rule.minMonths
+    ? pass(stated, evidence)
+    : fail(
+        `${stated}; at least ${formatMonths(rule.minMonths)} required`,
+        evidence,
+      );
+}
+
+// The recurring, non-contingent fee in a currency, per month
+function monthlyFee(terms, currency) {
+  const fee = terms.find(
+    (term) =>
+      term.currency === currency &&
+      !term.contingent &&
+      MONTHS_PER_FREQUENCY[term.frequency],
+  );
+  return fee ? fee.amount / MONTHS_PER_FREQUENCY[fee.frequency] : null;
+}
+
+function sectionEvidence(context, clause) {
+  return (clause?.sections || []).map((section) => ({
+    clause: describeSection(section),
+    text:
+      context.text.slice(section.start, section.end).trim() ||
+      clause.content ||
+      "",
+    start: section.start,
+    end: section.end,
+  }));
+}
+
+function termEvidence(context, term) {
+  return {
+    clause: term.clause ? describeSection(term.clause) : null,
+    text: term.text,
+    start: term.start,
+    end: term.end,
+    excerpt: excerpt(context.text, term.start, term.end),
+  };
+}
+
+function excerpt(text, start, end) {
+  if (!text || start === null) return null;
+  const from = Math.max(0, start - EXCERPT_CONTEXT);
+  const to = Math.min(text.length, end + EXCERPT_CONTEXT);
+  return (
+    (from > 0 ? "…" : "") +
+    text.slice(from, to).replace(/\s+/g, " ").trim() +
+    (to < text.length ? "…" : "")
+  );
+}
+
+function pass(reason, evidence = []) {
+  return { status: "pass", reason, evidence: cleanEvidence(evidence) };
+}
+
+function fail(reason, evidence = []) {
+  return { status: "fail", reason, evidence: cleanEvidence(evidence) };
+}
+
+function needsReview(reason, evidence = []) {
+  return { status: "needs_review", reason, evidence: cleanEvidence(evidence) };
+}
+
+function noClause(rule) {
+  return needsReview(`No ${formatType(rule.clause)} clause to check`);
+}
+
+// Evidence as returned: clause, matched text, offsets and excerpt
+function cleanEvidence(evidence) {
+  return evidence.map(({ clause, text, start, end, excerpt: context }) => ({
+    clause: clause || null,
+    text,
+    start: start ?? null,
+    end: end ?? null,
+    excerpt: context ?? null,
+  }));
+}
+
+function formatMonths(months) {
+  const rounded = Math.round(months * 10) / 10;
+  return `${rounded} ${rounded === 1 ? "month" : "months"}`;
+}
+
+function formatType(type) {
+  return type.replace(/_/g, " ");
+}
+
+function capitalize(words) {
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
@@ -0,0 +1,313 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Joi from "joi";
+import yaml from "js-yaml";
+import winston from "winston";
+import { getPatternLibrary } from "./patternLibrary.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "playbook-library" },
+});
+
+const PLAYBOOKS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "playbooks",
+);
+
+const PLAYBOOK_FILE = /\.(ya?ml|json)$/i;
+const NAME = /^[a-z0-9][a-z0-9_-]*$/;
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// Rule checks (see playbookChecker.js) and the settings each one needs
+const CHECKS = {
+  clause_required: ["clause"],
+  clause_prohibited: ["clause"],
+  text_required: ["pattern"],
+  text_prohibited: ["pattern"],
+  governing_law: ["allowed"],
+  auto_renewal_max: ["maxMonths"],
+  liability_cap_min: ["minMonths"],
+  amount_max: ["term", "max"],
+  notice_period_min: ["minDays"],
+};
+
+export class PlaybookError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "PlaybookError";
+    this.details = details;
+  }
+}
+
+// Text rules run their pattern over whole documents, so patterns are kept
+// short and free of repeated groups that can match the same text in many
+// ways, which backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+const regexSource = Joi.string()
+  .min(1)
+  .max(MAX_PATTERN_LENGTH)
+  .custom((value, helpers) => {
+    try {
+      new RegExp(value, "i");
+    } catch (error) {
+      return helpers.message(`invalid regular expression: ${error.message}`);
+    }
+    return repeatsAmbiguousGroup(value)
+      ? helpers.message(
+          "regular expression repeats a group that contains a quantifier or alternation",
+        )
+      : value;
+  });
+
+// "(a+)+", "(\w*\s)*", "(a|aa)*", "(\w|\d)+": a repeated group with a
+// quantifier or an alternation inside it, either of which lets the same text
+// be matched in many ways. Escapes and character classes are skipped.
+function repeatsAmbiguousGroup(source) {
+  const groups = [];
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (char === "\\") {
+      index++;
+    } else if (char === "[") {
+      index = classEnd(source, index);
+    } else if (char === "(") {
+      groups.push(false);
+      // Skip the "?:", "?=", "?<name>" of a group, which is not a quantifier
+      if (source[index + 1] === "?") index++;
+    } else if (char === ")") {
+      const ambiguous = groups.pop();
+      if (ambiguous && /^[*+{]/.test(source.slice(index + 1))) return true;
+      if (ambiguous && groups.length) groups[groups.length - 1] = true;
+    } else if ("*+?{|".includes(char) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function classEnd(source, start) {
+  for (let index = start + 1; index < source.length; index++) {
+    if (source[index] === "\\") index++;
+    else if (source[index] === "]") return index;
+  }
+  return source.length;
+}
+
+const ruleSchema = Joi.object({
+  id: Joi.string().pattern(NAME).required(),
+  title: Joi.string().min(1).required(),
+  description: Joi.string().allow(""),
+  severity: Joi.string()
+    .valid(...SEVERITIES)
+    .default("medium"),
+  check: Joi.string()
+    .valid(...Object.keys(CHECKS))
+    .required(),
+  clause: Joi.string().pattern(/^[a-z][a-z0-9_]*$/),
+  pattern: regexSource,
+  allowed: Joi.array().items(Joi.string().min(1)).min(1),
+  maxMonths: Joi.number().positive(),
+  minMonths: Joi.number().positive(),
+  minDays: Joi.number().positive(),
+  term: Joi.string().pattern(/^[a-z][a-z_]*$/),
+  max: Joi.number().min(0),
+  currency: Joi.string().pattern(/^[A-Z]{3}$/),
+  recommendation: Joi.string().min(1),
+}).custom((rule, helpers) => {
+  const missing = CHECKS[rule.check].filter(
+    (setting) => rule[setting] === undefined,
+  );
+  return missing.length
+    ? helpers.message(`${rule.check} needs ${missing.join(", ")}`)
+    : rule;
+});
+
+const rulesSchema = Joi.array()
+  .items(ruleSchema)
+  .min(1)
+  .unique("id")
+  .messages({ "array.unique": "rule ids must be unique" });
+
+const playbookSchema = Joi.object({
+  name: Joi.string().pattern(NAME).required(),
+  version: Joi.string()
+    .pattern(/^\d+\.\d+\.\d+$/)
+    .required()
+    .messages({ "string.pattern.base": "version must look like 1.2.0" }),
+  description: Joi.string().allow(""),
+  rules: rulesSchema.required(),
+});
+
+let library = null;
+
+// Read and validate every playbook in the directory. Throws PlaybookError
+// listing every problem found, so a bad edit never half-loads.
+export function loadPlaybooks(options = {}) {
+  const directory =
+    options.directory || process.env.PLAYBOOK_DIR || PLAYBOOKS_DIR;
+
+  if (!fs.existsSync(directory)) {
+    throw new PlaybookError(`Playbook directory not found: ${directory}`);
+  }
+
+  const problems = [];
+  const playbooks = new Map();
+
+  fs.readdirSync(directory)
+    .filter((file) => PLAYBOOK_FILE.test(file))
+    .sort()
+    .forEach((file) => {
+      const raw = readPlaybookFile(path.join(directory, file), problems, file);
+      if (!raw) return;
+
+      const { error, value } = validatePlaybook(raw);
+      if (error) {
+        error.details.forEach((detail) => problems.push({ file, ...detail }));
+        return;
+      }
+
+      if (playbooks.has(value.name)) {
+        problems.push({
+          file,
+          path: "name",
+          message: `duplicate playbook name "${value.name}" (also in ${playbooks.get(value.name).file})`,
+        });
+        return;
+      }
+
+      playbooks.set(value.name, { ...value, file });
+    });
+
+  if (problems.length > 0) {
+    throw new PlaybookError(`Playbooks in ${directory} are invalid`, problems);
+  }
+
+  return { directory, playbooks, loadedAt: new Date().toISOString() };
+}
+
+function readPlaybookFile(file, problems, name) {
+  try {
+    const content = fs.readFileSync(file, "utf8");
+    return file.toLowerCase().endsWith(".json")
+      ? JSON.parse(content)
+      : yaml.load(content);
+  } catch (error) {
+    problems.push({ file: name, path: "", message: error.message });
+    return null;
+  }
+}
+
+// Schema check plus clause types the pattern library does not define
+function validatePlaybook(raw) {
+  const { error, value } = playbookSchema.validate(raw, { abortEarly: false });
+  const details = (error?.details || []).map(describeDetail);
+  if (!error) details.push(...unknownClauses(value.rules, "rules"));
+  return { error: details.length ? { details } : null, value };
+}
+
+function unknownClauses(rules, prefix) {
+  const { packs } = getPatternLibrary();
+  const types = new Set(
+    [...packs.values()].flatMap((pack) => Object.keys(pack.clauses)),
+  );
+  return rules.flatMap((rule, index) =>
+    rule.clause && !types.has(rule.clause)
+      ? [
+          {
+            path: [prefix, index, "clause"]
+              .filter((part) => part !== "")
+              .join("."),
+            message: `unknown clause type "${rule.clause}"`,
+          },
+        ]
+      : [],
+  );
+}
+
+function describeDetail(detail) {
+  return { path: detail.path.join("."), message: detail.message };
+}
+
+export function getPlaybookLibrary() {
+  if (!library) {
+    library = loadPlaybooks();
+    logger.info(
+      `Loaded ${library.playbooks.size} playbooks from ${library.directory}`,
+    );
+  }
+  return library;
+}
+
+// Re-read the playbooks from disk. On validation errors the playbooks in
+// use stay active and the error is rethrown.
+export function reloadPlaybooks() {
+  const next = loadPlaybooks();
+  library = next;
+  logger.info(`Reloaded ${next.playbooks.size} playbooks`);
+  return next;
+}
+
+export function listPlaybooks() {
+  return [...getPlaybookLibrary().playbooks.values()].map(describePlaybook);
+}
+
+export function getPlaybook(name) {
+  const playbook = getPlaybookLibrary().playbooks.get(name);
+  return playbook
+    ? { ...describePlaybook(playbook), rules: playbook.rules }
+    : null;
+}
+
+// Write a playbook to the directory (replacing the file it was loaded from)
+// and reload. An invalid playbook is rejected before anything is written.
+export function savePlaybook(definition) {
+  const { error, value } = validatePlaybook(definition);
+  if (error) {
+    throw new PlaybookError(
+      definition?.name
+        ? `Playbook ${definition.name} is invalid`
+        : "Playbook is invalid",
+      error.details,
+    );
+  }
+
+  const { directory, playbooks } = getPlaybookLibrary();
+  const existing = playbooks.get(value.name);
+  const file = existing?.file || `${value.name}.yaml`;
+  const content = file.toLowerCase().endsWith(".json")
+    ? `${JSON.stringify(value, null, 2)}\n`
+    : yaml.dump(value, { lineWidth: 100 });
+
+  const target = path.join(directory, file);
+  const previous = existing ? fs.readFileSync(target, "utf8") : null;
+  fs.writeFileSync(target, content);
+
+  try {
+    reloadPlaybooks();
+  } catch (reloadError) {
+    // Another file went bad since the last load; put this one back
+    if (previous === null) fs.unlinkSync(target);
+    else fs.writeFileSync(target, previous);
+    throw reloadError;
+  }
+
+  return { ...getPlaybook(value.name), created: !existing };
+}
+
+function describePlaybook(playbook) {
+  return {
+    name: playbook.name,
+    version: playbook.version,
+    description: playbook.description || "",
+    file: playbook.file,
+    ruleCount: playbook.rules.length,
+  };
+}
+
+export { CHECKS, SEVERITIES };
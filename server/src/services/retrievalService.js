@@ -0,0 +1,241 @@
+import natural from "natural";
+import winston from "winston";
+import databaseService from "./databaseService.js";
+import { chunkDocument } from "./documentChunker.js";
+import { generateEmbeddings } from "./llmService.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "retrieval" },
+});
+
+const DEFAULT_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K) || 5;
+const MAX_CACHED_INDEXES = 50;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion constant for combining BM25 and embedding ranks
+const RRF_K = 60;
+
+const STOPWORDS = new Set(natural.stopwords);
+const indexes = new Map();
+
+// Dense embeddings are opt-in; BM25 alone needs no model or network
+function embeddingsEnabled() {
+  return process.env.RETRIEVAL_EMBEDDINGS === "true";
+}
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+    .filter((token) => !STOPWORDS.has(token))
+    .map((token) => natural.PorterStemmer.stem(token));
+}
+
+// Okapi BM25 over a fixed set of chunks
+class Bm25Index {
+  constructor(chunks) {
+    this.documents = chunks.map((chunk) => {
+      const frequencies = new Map();
+      const tokens = tokenize(chunk.text);
+      tokens.forEach((token) =>
+        frequencies.set(token, (frequencies.get(token) || 0) + 1),
+      );
+      return { length: tokens.length, frequencies };
+    });
+
+    this.averageLength =
+      this.documents.reduce((sum, doc) => sum + doc.length, 0) /
+      Math.max(this.documents.length, 1);
+
+    this.documentFrequency = new Map();
+    this.documents.forEach((doc) =>
+      doc.frequencies.forEach((_, token) =>
+        this.documentFrequency.set(
+          token,
+          (this.documentFrequency.get(token) || 0) + 1,
+        ),
+      ),
+    );
+  }
+
+  idf(token) {
+    const n = this.documentFrequency.get(token) || 0;
+    const total = this.documents.length;
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  }
+
+  score(query) {
+    const terms = Array.from(new Set(tokenize(query)));
+
+    return this.documents.map((doc) =>
+      terms.reduce((score, term) => {
+        const frequency = doc.frequencies.get(term) || 0;
+        if (frequency === 0) return score;
+        const norm = K1 * (1 - B + (B * doc.length) / this.averageLength);
+        return (
+          score + this.idf(term) * ((frequency * (K1 + 1)) / (frequency + norm))
+        );
+      }, 0),
+    );
+  }
+}
+
+function cacheIndex(documentId, chunks) {
+  const index = { chunks, bm25: new Bm25Index(chunks) };
+
+  indexes.delete(documentId);
+  indexes.set(documentId, index);
+  if (indexes.size > MAX_CACHED_INDEXES) {
+    indexes.delete(indexes.keys().next().value);
+  }
+
+  return index;
+}
+
+// Chunk a stored document and persist its chunks (called at upload time)
+export async function indexDocument(documentId, text, options = {}) {
+  const chunks = chunkDocument(text, {
+    outline: options.outline,
+    pageTexts: options.pageTexts,
+  });
+
+  if (embeddingsEnabled() && chunks.length > 0) {
+    try {
+      const vectors = await generateEmbeddings(
+        chunks.map((chunk) => chunk.text),
+      );
+      chunks.forEach((chunk, i) => {
+        chunk.embedding = vectors[i] || null;
+      });
+    } catch (error) {
+      logger.warn(
+        `Embedding failed for ${documentId}, using BM25 only:`,
+        error.message,
+      );
+    }
+  }
+
+  await databaseService.saveDocumentChunks(documentId, chunks);
+  cacheIndex(documentId, chunks);
+
+  logger.info(`Indexed ${chunks.length} chunks for document ${documentId}`);
+  return chunks;
+}
+
+// Load the index for a document. Documents uploaded before chunking existed
+// (or analysed from raw text) are chunked on the fly from `fallbackText`.
+async function getDocumentIndex(documentId, fallbackText = null) {
+  if (indexes.has(documentId)) return indexes.get(documentId);
+
+  let chunks = await databaseService.getDocumentChunks(documentId);
+  if (chunks.length === 0 && fallbackText) {
+    chunks = chunkDocument(fallbackText);
+  }
+  if (chunks.length === 0) return null;
+
+  return cacheIndex(documentId, chunks);
+}
+
+// Top-k chunks for a query, best first, each with its offsets and score
+export async function retrieveChunks(documentId, query, options = {}) {
+  const topK = options.topK || DEFAULT_TOP_K;
+  const index = await getDocumentIndex(documentId, options.text);
+  if (!index) return [];
+
+  const lexical = index.bm25.score(query);
+  let ranked = rank(lexical);
+
+  const canUseEmbeddings =
+    embeddingsEnabled() && index.chunks.every((chunk) => chunk.embedding);
+  if (canUseEmbeddings) {
+    try {
+      const [queryVector] = await generateEmbeddings([query]);
+      const dense = index.chunks.map((chunk) =>
+        cosineSimilarity(queryVector, chunk.embedding),
+      );
+      ranked = fuse(ranked, rank(dense));
+    } catch (error) {
+      logger.warn("Query embedding failed, using BM25 only:", error.message);
+    }
+  }
+
+  const results = ranked
+    .filter(({ score }) => score > 0)
+    .slice(0, topK)
+    .map(({ position, score }) => {
+      const { embedding, ...chunk } = index.chunks[position];
+      return { ...chunk, score: round(score) };
+    });
+
+  // Nothing matched lexically: fall back to the opening of the document
+  if (results.length === 0) {
+    return index.chunks
+      .slice(0, Math.min(topK, 2))
+      .map(({ embedding, ...chunk }) => ({ ...chunk, score: 0 }));
+  }
+
+  return results;
+}
+
+export function clearDocumentIndex(documentId) {
+  indexes.delete(documentId);
+}
+
+// Compact citation for a retrieved chunk
+export function toSource(chunk, excerptLength = 240) {
+  return {
+    type: "chunk",
+    chunkIndex: chunk.index,
+    heading: chunk.heading,
+    section: chunk.number,
+    pageNumber: chunk.pageNumber,
+    start: chunk.start,
+    end: chunk.end,
+    score: chunk.score,
+    excerpt:
+      chunk.text.length > excerptLength
+        ? `${chunk.text.slice(0, excerptLength).trimEnd()}…`
+        : chunk.text,
+  };
+}
+
+function rank(scores) {
+  return scores
+    .map((score, position) => ({ position, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function fuse(lexicalRanking, denseRanking) {
+  const fused = new Map();
+  [lexicalRanking, denseRanking].forEach((ranking) =>
+    ranking.forEach(({ position }, rankIndex) =>
+      fused.set(
+        position,
+        (fused.get(position) || 0) + 1 / (RRF_K + rankIndex + 1),
+      ),
+    ),
+  );
+
+  return Array.from(fused, ([position, score]) => ({ position, score })).sort(
+    (a, b) => b.score - a.score,
+  );
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
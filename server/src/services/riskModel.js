@@ -0,0 +1,491 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  ownSpan,
+  clauseReference,
+} from "./clauseSegmenter.js";
+
+// Risk factors. Every match adds the factor's weight to its category score
+// and is reported as evidence with the clause and character span it came
+// from. Patterns are case-insensitive.
+const RISK_FACTORS = [
+  // Financial
+  {
+    id: "late_payment_charge",
+    category: "financial",
+    pattern:
+      /late\s+(?:payment\s+)?(?:fees?|charges?)|late\s+payments?.{0,40}(?:interest|fee|charge)/,
+    weight: 0.25,
+    reason: "Charges a fee or interest on late payment",
+  },
+  {
+    id: "interest",
+    category: "financial",
+    pattern:
+      /interest\s+(?:at|of)\s+.{0,25}(?:%|per\s*cent|percent)|compound(?:ed|ing)?\s+interest/,
+    weight: 0.2,
+    reason: "Charges interest at a stated rate",
+  },
+  {
+    id: "penalty",
+    category: "financial",
+    pattern: /\bpenalt(?:y|ies)\b|liquidated\s+damages/,
+    weight: 0.3,
+    reason: "Imposes a penalty or liquidated damages",
+  },
+  {
+    id: "acceleration",
+    category: "financial",
+    pattern:
+      /(?:become|becomes|be)\s+immediately\s+due|accelerat(?:e|ed|ion)\s+(?:of\s+)?(?:all\s+)?(?:amounts|payments|sums)/,
+    weight: 0.3,
+    reason: "Makes all amounts due at once on default",
+  },
+  {
+    id: "indemnity",
+    category: "financial",
+    pattern: /\bindemnif(?:y|ies|ication)\b|hold\s+harmless/,
+    weight: 0.3,
+    reason: "Requires indemnifying the other party",
+  },
+  {
+    id: "uncapped_liability",
+    category: "financial",
+    pattern:
+      /unlimited\s+liability|liability\s+(?:shall|will)\s+not\s+be\s+limited|without\s+(?:any\s+)?limit(?:ation)?\s+(?:of|on)\s+liability/,
+    weight: 0.4,
+    reason: "Leaves liability uncapped",
+  },
+  {
+    id: "forfeiture",
+    category: "financial",
+    pattern: /\bforfeit(?:s|ed|ure)?\b|non-?refundable/,
+    weight: 0.25,
+    reason: "Money paid can be forfeited or is non-refundable",
+  },
+  {
+    id: "price_increase",
+    category: "financial",
+    pattern:
+      /(?:increase|adjust|revise)\s+(?:the\s+)?(?:fees|prices|rent|charges|rates)/,
+    weight: 0.15,
+    reason: "Allows prices to be increased",
+  },
+  {
+    id: "default",
+    category: "financial",
+    pattern: /event\s+of\s+default|\bin\s+default\b/,
+    weight: 0.15,
+    reason: "Defines default with consequences",
+  },
+
+  // Compliance
+  {
+    id: "violation",
+    category: "compliance",
+    pattern: /\bviolat(?:e|es|ion|ions)\b|non-?compliance/,
+    weight: 0.15,
+    reason: "Refers to violations or non-compliance",
+  },
+  {
+    id: "regulatory_fine",
+    category: "compliance",
+    pattern: /\bfines?\b|regulatory\s+(?:penalt|sanction)/,
+    weight: 0.2,
+    reason: "Exposes a party to fines",
+  },
+  {
+    id: "compliance_duty",
+    category: "compliance",
+    pattern:
+      /comply\s+with\s+(?:all\s+)?(?:applicable\s+)?(?:laws|regulations|legislation|statutes)/,
+    weight: 0.1,
+    reason: "Imposes a general duty to comply with laws",
+  },
+  {
+    id: "personal_data",
+    category: "compliance",
+    pattern: /personal\s+(?:data|information)|data\s+protection/,
+    weight: 0.15,
+    reason: "Involves handling personal data",
+  },
+  {
+    id: "trade_controls",
+    category: "compliance",
+    pattern:
+      /export\s+control|\bsanctions\b|anti-?bribery|anti-?corruption|anti-?money\s+laundering/,
+    weight: 0.15,
+    reason: "Requires export, sanctions or anti-bribery compliance",
+  },
+  {
+    id: "audit",
+    category: "compliance",
+    pattern: /\baudit(?:s|ed)?\b|inspect\s+(?:the\s+)?(?:books|records)/,
+    weight: 0.1,
+    reason: "Gives audit or inspection rights",
+  },
+  {
+    id: "rights_waiver",
+    category: "compliance",
+    pattern:
+      /waive.{0,40}(?:jury|class|collective|statutory)|class\s+action\s+waiver/,
+    weight: 0.3,
+    reason: "Waives jury trial, class action or statutory rights",
+  },
+
+  // Operational
+  {
+    id: "time_of_essence",
+    category: "operational",
+    pattern: /time\s+(?:is|shall\s+be)\s+of\s+the\s+essence/,
+    weight: 0.2,
+    reason: "Makes deadlines strict",
+  },
+  {
+    id: "service_levels",
+    category: "operational",
+    pattern: /service\s+levels?|\buptime\b|response\s+times?/,
+    weight: 0.1,
+    reason: "Sets service levels to meet",
+  },
+  {
+    id: "performance_failure",
+    category: "operational",
+    pattern:
+      /fail(?:s|ure)?\s+to\s+(?:perform|deliver|provide|meet)|\bdelays?\s+in\b/,
+    weight: 0.1,
+    reason: "Attaches consequences to failure or delay",
+  },
+  {
+    id: "exclusivity",
+    category: "operational",
+    pattern:
+      /\bexclusiv(?:e|ely|ity)\b.{0,30}(?:supplier|provider|distributor|basis|rights?)/,
+    weight: 0.2,
+    reason: "Creates an exclusive arrangement",
+  },
+  {
+    id: "non_compete",
+    category: "operational",
+    pattern: /not\s+(?:to\s+)?(?:compete|solicit)|non-?(?:compet|solicit)/,
+    weight: 0.25,
+    reason: "Restricts competing or soliciting",
+  },
+  {
+    id: "minimum_commitment",
+    category: "operational",
+    pattern: /minimum\s+(?:purchase|order|commitment|volume|term)/,
+    weight: 0.2,
+    reason: "Sets a minimum purchase or commitment",
+  },
+  {
+    id: "termination_for_convenience",
+    category: "operational",
+    pattern:
+      /terminate.{0,40}(?:for\s+convenience|at\s+any\s+time|without\s+cause)/,
+    weight: 0.25,
+    reason: "Lets a party terminate at any time",
+  },
+  {
+    id: "unilateral_change",
+    category: "operational",
+    pattern:
+      /reserves?\s+the\s+right\s+to\s+(?:modify|amend|change|update|revise)/,
+    weight: 0.25,
+    reason: "Lets one party change the terms",
+  },
+  {
+    id: "auto_renewal",
+    category: "operational",
+    pattern: /(?:automatically|auto-?)\s*renew/,
+    weight: 0.15,
+    reason: "Renews automatically",
+  },
+];
+
+// Factors read from the financial terms extractor rather than the text.
+// `source` names the list tested: amounts or escalation clauses.
+const FINANCIAL_FACTORS = [
+  {
+    id: "daily_charge",
+    category: "financial",
+    source: "terms",
+    test: (term) =>
+      ["late_fee", "penalty"].includes(term.type) && term.frequency === "daily",
+    weight: 0.2,
+    reason: "Charges a late fee or penalty for every day of delay",
+  },
+  {
+    id: "steep_escalation",
+    category: "financial",
+    source: "escalations",
+    test: (escalation) =>
+      escalation.type === "index" ||
+      (escalation.type === "percentage" && escalation.rate > 5),
+    weight: 0.2,
+    reason: "Raises prices by more than 5% a year or in line with inflation",
+  },
+  {
+    id: "large_deposit",
+    category: "financial",
+    source: "terms",
+    test: (term, { terms }) =>
+      term.type === "security_deposit" &&
+      terms.some(
+        (other) =>
+          other.frequency === "monthly" &&
+          !other.contingent &&
+          other.currency === term.currency &&
+          term.amount > other.amount * 2,
+      ),
+    weight: 0.15,
+    reason: "Requires a deposit of more than two months' payments",
+  },
+];
+
+// Per category: the score a risk must exceed to be reported, and the score
+// bands for its level (checked in order, first match wins)
+const RISK_CATEGORIES = {
+  financial: {
+    description: "Potential financial obligations and penalties",
+    impact: "High monetary exposure",
+    threshold: 0.3,
+    levels: [
+      ["critical", 0.8],
+      ["high", 0.5],
+      ["medium", 0.3],
+    ],
+  },
+  compliance: {
+    description: "Regulatory and legal compliance requirements",
+    impact: "Potential legal violations",
+    threshold: 0.2,
+    levels: [
+      ["critical", 0.7],
+      ["high", 0.4],
+      ["medium", 0.2],
+    ],
+  },
+  operational: {
+    description: "Business operation constraints and requirements",
+    impact: "Business process restrictions",
+    threshold: 0.25,
+    levels: [
+      ["high", 0.6],
+      ["medium", 0.25],
+    ],
+  },
+};
+
+// A factor counts once per clause, in at most this many clauses
+const MAX_CLAUSES_PER_FACTOR = 3;
+const EXCERPT_CONTEXT = 60;
+
+// Score each risk category from the evidence found in the document's clauses.
+// A category's score is the sum of its evidence weights, capped at 1.
+// `weights` replaces factor weights by id, as risk profiles do;
+// `financials` (from financialExtractor.js) adds the FINANCIAL_FACTORS.
+export function scoreRisks(
+  text,
+  structure = segmentDocument(text),
+  { weights = {}, financials = null } = {},
+) {
+  const nodes = flattenClauses(structure.clauses);
+  if (nodes.length === 0) {
+    nodes.push({
+      id: null,
+      number: null,
+      heading: "",
+      children: [],
+      start: 0,
+      end: text.length,
+    });
+  }
+
+  const risks = [];
+
+  for (const [category, config] of Object.entries(RISK_CATEGORIES)) {
+    const evidence = RISK_FACTORS.filter(
+      (factor) => factor.category === category,
+    )
+      .map((factor) => ({
+        ...factor,
+        weight: weights[factor.id] ?? factor.weight,
+      }))
+      .filter((factor) => factor.weight > 0)
+      .flatMap((factor) => findEvidence(text, nodes, factor))
+      .concat(
+        financials
+          ? FINANCIAL_FACTORS.filter((factor) => factor.category === category)
+              .map((factor) => ({
+                ...factor,
+                weight: weights[factor.id] ?? factor.weight,
+              }))
+              .filter((factor) => factor.weight > 0)
+              .flatMap((factor) => financialEvidence(text, financials, factor))
+          : [],
+      );
+
+    const total = evidence.reduce((sum, item) => sum + item.weight, 0);
+    const score = round(Math.min(total, 1));
+    if (score <= config.threshold) continue;
+
+    risks.push({
+      category,
+      level: levelFor(score, config.levels),
+      score,
+      description: config.description,
+      details: describeEvidence(evidence),
+      clauses: uniqueClauses(evidence),
+      evidence,
+      impact: config.impact,
+    });
+  }
+
+  return risks.sort((a, b) => b.score - a.score);
+}
+
+// The text risk factors found in each clause's own text, keyed by clause id,
+// with the weight and score of each clause. Unlike scoreRisks there is no
+// per-factor clause limit, so every clause can be compared on its own.
+export function clauseRiskFactors(
+  text,
+  structure = segmentDocument(text),
+  { weights = {} } = {},
+) {
+  const factors = RISK_FACTORS.map((factor) => ({
+    ...factor,
+    weight: weights[factor.id] ?? factor.weight,
+  })).filter((factor) => factor.weight > 0);
+  const byClause = new Map();
+
+  for (const node of flattenClauses(structure.clauses)) {
+    const evidence = factors.flatMap((factor) =>
+      findEvidence(text, [node], factor),
+    );
+    byClause.set(node.id, {
+      score: round(evidence.reduce((sum, item) => sum + item.weight, 0)),
+      factors: evidence.map(({ factor, category, reason, weight }) => ({
+        factor,
+        category,
+        reason,
+        weight,
+      })),
+    });
+  }
+
+  return byClause;
+}
+
+// First match of a factor in each clause, for at most
+// MAX_CLAUSES_PER_FACTOR clauses
+function findEvidence(text, nodes, factor) {
+  const regex = new RegExp(factor.pattern.source, "i");
+  const evidence = [];
+
+  for (const node of nodes) {
+    const span = ownSpan(node);
+    const match = regex.exec(text.slice(span.start, span.end));
+    if (!match || match[0].length === 0) continue;
+
+    const start = span.start + match.index;
+    const end = start + match[0].length;
+
+    evidence.push({
+      factor: factor.id,
+      category: factor.category,
+      reason: factor.reason,
+      weight: factor.weight,
+      clause: node.id ? clauseReference(node) : null,
+      start,
+      end,
+      text: match[0].replace(/\s+/g, " "),
+      excerpt: excerpt(text, start, end),
+    });
+    if (evidence.length === MAX_CLAUSES_PER_FACTOR) break;
+  }
+
+  return evidence;
+}
+
+// Financial terms or escalations that meet a factor's test, one per clause
+function financialEvidence(text, financials, factor) {
+  const evidence = [];
+  const clauses = new Set();
+
+  for (const item of financials[factor.source]) {
+    if (!factor.test(item, financials)) continue;
+    const clauseId = item.clause?.id ?? null;
+    if (clauses.has(clauseId)) continue;
+    clauses.add(clauseId);
+
+    evidence.push({
+      factor: factor.id,
+      category: factor.category,
+      reason: factor.reason,
+      weight: factor.weight,
+      clause: item.clause,
+      start: item.start,
+      end: item.end,
+      text: text.slice(item.start, item.end).replace(/\s+/g, " "),
+      excerpt: excerpt(text, item.start, item.end),
+    });
+    if (evidence.length === MAX_CLAUSES_PER_FACTOR) break;
+  }
+
+  return evidence;
+}
+
+function excerpt(text, start, end) {
+  const from = Math.max(0, start - EXCERPT_CONTEXT);
+  const to = Math.min(text.length, end + EXCERPT_CONTEXT);
+  return (
+    (from > 0 ? "…" : "") +
+    text.slice(from, to).replace(/\s+/g, " ").trim() +
+    (to < text.length ? "…" : "")
+  );
+}
+
+function levelFor(score, levels) {
+  const band = levels.find(([, minimum]) => score > minimum);
+  return band ? band[0] : "low";
+}
+
+// "Charges a fee or interest on late payment — clauses 2.2, 4 (+0.50)"
+function describeEvidence(evidence) {
+  const byFactor = new Map();
+  evidence.forEach((item) => {
+    byFactor.set(item.factor, [...(byFactor.get(item.factor) || []), item]);
+  });
+
+  return [...byFactor.values()].map((items) => {
+    const weight = round(items.reduce((sum, item) => sum + item.weight, 0));
+    return `${items[0].reason} — ${describeClauses(items.map((item) => item.clause))} (+${weight.toFixed(2)})`;
+  });
+}
+
+// "clauses 2.2, 3.1 and Termination" for risk details
+function describeClauses(clauses) {
+  const labels = [
+    ...new Set(
+      clauses.map((clause) => clause?.number || clause?.heading || "preamble"),
+    ),
+  ];
+  const shown = labels.slice(0, 4).join(", ");
+  const more = labels.length > 4 ? ` and ${labels.length - 4} more` : "";
+  return `${labels.length === 1 ? "clause" : "clauses"} ${shown}${more}`;
+}
+
+function uniqueClauses(evidence) {
+  const clauses = new Map();
+  evidence.forEach((item) => {
+    if (item.clause) clauses.set(item.clause.id, item.clause);
+  });
+  return [...clauses.values()];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export { RISK_FACTORS, FINANCIAL_FACTORS, RISK_CATEGORIES };
@@ -0,0 +1,250 @@
+// Risk profiles: how risky each clause type and risk factor is for one side
+// of the contract. A profile overrides clause risk levels and rationales,
+// adds recommendations ahead of the pattern library's, and replaces risk
+// factor weights (see riskModel.js). Anything it does not mention keeps the
+// neutral value.
+const RISK_PROFILES = {
+  tenant: {
+    label: "Tenant",
+    counterparty: "landlord",
+    description: "Renting a home or premises",
+    clauses: {
+      termination: {
+        riskLevel: "high",
+        rationale:
+          "A landlord's right to end the lease early can leave you looking for a new home or premises at short notice.",
+        recommendations: [
+          "Check how much notice the landlord must give and on what grounds",
+        ],
+      },
+      payment: {
+        riskLevel: "high",
+        recommendations: ["Check when and by how much the rent can increase"],
+      },
+      security_deposit: {
+        riskLevel: "high",
+        rationale:
+          "The landlord holds your deposit and decides what to deduct from it.",
+        recommendations: [
+          "Ask for the deposit to be protected and returned within a fixed number of days",
+        ],
+      },
+      unilateral_amendment: { riskLevel: "high" },
+      indemnity: { riskLevel: "high" },
+      auto_renewal: {
+        riskLevel: "low",
+        rationale:
+          "Automatic renewal mostly lets you stay on, as long as you can still give notice to leave.",
+      },
+    },
+    weights: {
+      forfeiture: 0.35,
+      price_increase: 0.3,
+      late_payment_charge: 0.3,
+      termination_for_convenience: 0.35,
+      auto_renewal: 0.05,
+    },
+  },
+
+  landlord: {
+    label: "Landlord",
+    counterparty: "tenant",
+    description: "Letting a home or premises",
+    clauses: {
+      termination: {
+        riskLevel: "medium",
+        recommendations: [
+          "Make sure you can recover the property if rent goes unpaid or the premises are damaged",
+        ],
+      },
+      payment: {
+        riskLevel: "high",
+        recommendations: ["Check your remedies if rent is paid late"],
+      },
+      security_deposit: {
+        riskLevel: "low",
+        rationale:
+          "You hold the deposit; the main risk is breaching deposit protection rules.",
+      },
+      unilateral_amendment: { riskLevel: "low" },
+    },
+    weights: {
+      forfeiture: 0.1,
+      price_increase: 0.05,
+      late_payment_charge: 0.1,
+      termination_for_convenience: 0.3,
+      auto_renewal: 0.1,
+    },
+  },
+
+  employee: {
+    label: "Employee",
+    counterparty: "employer",
+    description: "Employment or consultancy agreements, as the worker",
+    clauses: {
+      non_compete: {
+        riskLevel: "critical",
+        rationale:
+          "A non-compete can stop you working in your field after you leave.",
+        recommendations: [
+          "Ask for the restriction to be shortened, narrowed or paid for",
+        ],
+      },
+      intellectual_property: {
+        riskLevel: "high",
+        recommendations: [
+          "Exclude side projects and anything you created before joining",
+        ],
+      },
+      termination: { riskLevel: "high" },
+      arbitration: { riskLevel: "high" },
+      confidentiality: { riskLevel: "medium" },
+    },
+    weights: {
+      non_compete: 0.4,
+      rights_waiver: 0.4,
+      termination_for_convenience: 0.3,
+      unilateral_change: 0.3,
+    },
+  },
+
+  employer: {
+    label: "Employer",
+    counterparty: "employee",
+    description: "Employment or consultancy agreements, as the business",
+    clauses: {
+      intellectual_property: {
+        riskLevel: "critical",
+        rationale:
+          "Unless the agreement assigns it, work the employee creates may not belong to you.",
+        recommendations: [
+          "Make sure all work product and inventions are assigned to the company",
+        ],
+      },
+      confidentiality: { riskLevel: "high" },
+      non_compete: {
+        riskLevel: "medium",
+        rationale:
+          "The restriction protects you, but an overbroad one may be unenforceable.",
+      },
+      arbitration: { riskLevel: "low" },
+    },
+    weights: {
+      non_compete: 0.1,
+      rights_waiver: 0.1,
+      termination_for_convenience: 0.15,
+    },
+  },
+
+  customer: {
+    label: "Customer",
+    counterparty: "vendor",
+    description: "Buying goods, software or services",
+    clauses: {
+      auto_renewal: {
+        riskLevel: "high",
+        recommendations: [
+          "Diary the cancellation deadline before the first renewal",
+        ],
+      },
+      unilateral_amendment: { riskLevel: "high" },
+      warranties: {
+        riskLevel: "high",
+        recommendations: [
+          "Ask for a warranty that the product performs as described",
+        ],
+      },
+      liability: { riskLevel: "critical" },
+      data_protection: { riskLevel: "high" },
+    },
+    weights: {
+      auto_renewal: 0.25,
+      price_increase: 0.25,
+      unilateral_change: 0.35,
+      minimum_commitment: 0.3,
+    },
+  },
+
+  vendor: {
+    label: "Vendor",
+    counterparty: "customer",
+    description: "Selling goods, software or services",
+    clauses: {
+      liability: {
+        riskLevel: "critical",
+        recommendations: [
+          "Cap your liability at the fees paid and exclude indirect losses",
+        ],
+      },
+      indemnity: { riskLevel: "critical" },
+      payment: {
+        riskLevel: "high",
+        recommendations: ["Make sure you can suspend service for non-payment"],
+      },
+      warranties: { riskLevel: "medium" },
+      auto_renewal: { riskLevel: "low" },
+    },
+    weights: {
+      uncapped_liability: 0.5,
+      indemnity: 0.35,
+      service_levels: 0.2,
+      performance_failure: 0.2,
+      late_payment_charge: 0.1,
+      auto_renewal: 0.05,
+    },
+  },
+};
+
+export function listRiskProfiles() {
+  return Object.entries(RISK_PROFILES).map(([id, profile]) => ({
+    id,
+    label: profile.label,
+    counterparty: profile.counterparty,
+    description: profile.description,
+  }));
+}
+
+// The profile for a perspective, or null for the neutral view
+export function getRiskProfile(perspective) {
+  if (!perspective) return null;
+
+  const id = perspective.toLowerCase();
+  const profile = RISK_PROFILES[id];
+  if (!profile) {
+    throw new Error(
+      `Unknown perspective: ${perspective} (available: ${Object.keys(RISK_PROFILES).join(", ")})`,
+    );
+  }
+  return { id, ...profile };
+}
+
+// Clause definitions from the pattern library as seen by the profile's party
+export function applyRiskProfile(clauses, profile) {
+  if (!profile) return clauses;
+
+  const adjusted = {};
+  for (const [type, config] of Object.entries(clauses)) {
+    const override = profile.clauses[type];
+    if (!override) {
+      adjusted[type] = config;
+      continue;
+    }
+
+    adjusted[type] = {
+      ...config,
+      riskLevel: override.riskLevel || config.riskLevel,
+      rationale: override.rationale || config.rationale,
+      recommendations: [
+        ...(override.recommendations || []),
+        ...config.recommendations,
+      ],
+    };
+    // Keep the neutral level when the profile changes it
+    if (adjusted[type].riskLevel !== config.riskLevel) {
+      adjusted[type].defaultRiskLevel = config.riskLevel;
+    }
+  }
+  return adjusted;
+}
+
+export { RISK_PROFILES };
@@ -1,4 +1,7 @@
+import { v4 as uuidv4 } from 'uuid';
 import winston from 'winston';
+import chatService from './chatService.js';
+import databaseService from './databaseService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -9,6 +12,9 @@ const logger = winston.createLogger({
 // Store active connections
 const activeConnections = new Map();
 
+// In-flight chat streams per socket: socket id -> Map(requestId -> AbortController)
+const activeStreams = new Map();
+
 export function setupSocketHandlers(io) {
   logger.info('Setting up Socket.IO handlers');
 
@@ -30,6 +36,10 @@ export function setupSocketHandlers(io) {
     socket.on('disconnect', (reason) => {
       logger.info(`Client disconnected: ${socket.id}, reason: ${reason}`);
       activeConnections.delete(socket.id);
+
+      // Nobody is listening any more; stop generating
+      activeStreams.get(socket.id)?.forEach(controller => controller.abort());
+      activeStreams.delete(socket.id);
     });
 
     // Send welcome message
@@ -45,7 +55,11 @@ export function setupSocketHandlers(io) {
         'analysis:error',
         'voice:processing:start',
         'voice:processing:complete',
-        'voice:processing:error'
+        'voice:processing:error',
+        'chat:message:delta',
+        'chat:message:replace',
+        'chat:message:complete',
+        'chat:message:error'
       ]
     });
   });
@@ -104,6 +118,23 @@ function setupClientHandlers(socket) {
     });
   });
 
+  // Stream an answer to a chat message:
+  //   emit 'chat:message' { documentId, sessionId, message, requestId? }
+  //   receive 'chat:message:delta' ... then 'chat:message:complete'; a
+  //   'chat:message:replace' { text } replaces everything streamed so far
+  socket.on('chat:message', (payload, ack) => {
+    handleChatMessage(socket, payload || {}, ack);
+  });
+
+  // Stop a stream started with 'chat:message'
+  socket.on('chat:message:cancel', ({ requestId } = {}) => {
+    const controller = activeStreams.get(socket.id)?.get(requestId);
+    if (controller) {
+      controller.abort();
+      logger.info(`Client ${socket.id} cancelled chat stream ${requestId}`);
+    }
+  });
+
   // Handle ping/pong for connection health
   socket.on('ping', () => {
     socket.emit('pong', {
@@ -129,6 +160,66 @@ function setupClientHandlers(socket) {
   });
 }
 
+async function handleChatMessage(socket, payload, ack) {
+  const { documentId, sessionId, message } = payload;
+  const requestId = payload.requestId || uuidv4();
+  const reply = typeof ack === 'function' ? ack : () => {};
+
+  const fail = (error, message) => {
+    socket.emit('chat:message:error', { requestId, documentId, sessionId, error, message });
+  };
+
+  if (!documentId || !sessionId || typeof message !== 'string' || !message.trim()) {
+    reply({ success: false, requestId });
+    return fail('Validation failed', 'documentId, sessionId and message are required');
+  }
+
+  const streams = activeStreams.get(socket.id) || new Map();
+  activeStreams.set(socket.id, streams);
+  if (streams.has(requestId)) {
+    reply({ success: false, requestId });
+    return fail('Duplicate request', `A stream with ID ${requestId} is already running`);
+  }
+
+  const controller = new AbortController();
+  streams.set(requestId, controller);
+
+  try {
+    const document = await databaseService.getDocument(documentId);
+    if (!document) {
+      reply({ success: false, requestId });
+      return fail('Document not found', `No document found with ID: ${documentId}`);
+    }
+
+    const userMessage = await chatService.sendMessage(sessionId, documentId, message);
+    reply({ success: true, requestId, userMessage });
+
+    const aiResponse = await chatService.generateResponse(documentId, message, sessionId, {
+      signal: controller.signal,
+      onDelta: (delta) => {
+        socket.emit('chat:message:delta', { requestId, documentId, sessionId, delta });
+      },
+      onReplace: (text) => {
+        socket.emit('chat:message:replace', { requestId, documentId, sessionId, text });
+      }
+    });
+
+    socket.emit('chat:message:complete', {
+      requestId,
+      documentId,
+      sessionId,
+      userMessage,
+      aiResponse
+    });
+  } catch (error) {
+    logger.error(`Chat stream ${requestId} failed:`, error);
+    fail('Failed to generate response', error.message);
+  } finally {
+    streams.delete(requestId);
+    if (streams.size === 0) activeStreams.delete(socket.id);
+  }
+}
+
 // Utility functions for broadcasting events
 export function broadcastDocumentEvent(io, documentId, eventType, data) {
   const room = `document:${documentId}`;
@@ -194,6 +285,8 @@ export function getConnectionStats() {
 
 // Cleanup function
 export function cleanup() {
+  activeStreams.forEach(streams => streams.forEach(controller => controller.abort()));
+  activeStreams.clear();
   activeConnections.clear();
   logger.info('Socket service cleanup completed');
 }
@@ -0,0 +1,541 @@
+// Durable storage backed by SQLite (better-sqlite3)
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import winston from "winston";
+import { MigrationRunner } from "./migrationRunner.js";
+import { DocumentNotFoundError } from "./databaseErrors.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "database" },
+});
+
+export class SqliteDatabaseService {
+  constructor(options = {}) {
+    this.driver = "sqlite";
+    this.filename =
+      options.filename ||
+      process.env.DATABASE_PATH ||
+      path.join(process.cwd(), "data", "lexiplain.db");
+    this.db = null;
+    this.migrations = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      if (this.filename !== ":memory:") {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+      }
+
+      this.db = new Database(this.filename);
+      this.db.pragma("journal_mode = WAL");
+      this.db.pragma("foreign_keys = ON");
+      this.migrations = new MigrationRunner(this.db);
+
+      logger.info(`SQLite database initialized at ${this.filename}`);
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error("Database initialization failed:", error);
+      throw error;
+    }
+  }
+
+  // Schema operations; tables are created and changed only by migrations
+  async checkSchemaVersion() {
+    return this.migrations.checkCompatibility();
+  }
+
+  async migrate(options) {
+    return this.migrations.migrate(options);
+  }
+
+  async rollback(options) {
+    return this.migrations.rollback(options);
+  }
+
+  async getMigrationStatus() {
+    return this.migrations.status();
+  }
+
+  // Document operations
+  async saveDocument(documentData) {
+    const {
+      id,
+      filename,
+      originalName,
+      mimeType,
+      fileSize,
+      filePath,
+      extractedText,
+      confidence,
+      pages,
+      pageTexts,
+      outline,
+      metadata,
+      wordCount,
+      language,
+      status,
+    } = documentData;
+
+    const now = new Date().toISOString();
+
+    // An upsert rather than INSERT OR REPLACE: REPLACE deletes the old row
+    // first, which would cascade to the document's sessions and chunks
+    this.db
+      .prepare(
+        `INSERT INTO documents (
+          id, filename, original_name, mime_type, file_size, file_path,
+          extracted_text, confidence, pages, page_texts, outline, metadata,
+          word_count, language, status, created_at, updated_at
+        ) VALUES (
+          @id, @filename, @originalName, @mimeType, @fileSize, @filePath,
+          @extractedText, @confidence, @pages, @pageTexts, @outline, @metadata,
+          @wordCount, @language, @status, @now, @now
+        )
+        ON CONFLICT (id) DO UPDATE SET
+          filename = excluded.filename,
+          original_name = excluded.original_name,
+          mime_type = excluded.mime_type,
+          file_size = excluded.file_size,
+          file_path = excluded.file_path,
+          extracted_text = excluded.extracted_text,
+          confidence = excluded.confidence,
+          pages = excluded.pages,
+          page_texts = excluded.page_texts,
+          outline = excluded.outline,
+          metadata = excluded.metadata,
+          word_count = excluded.word_count,
+          language = excluded.language,
+          status = excluded.status,
+          updated_at = excluded.updated_at`,
+      )
+      .run({
+        id,
+        filename,
+        originalName,
+        mimeType,
+        fileSize,
+        filePath,
+        extractedText,
+        confidence,
+        pages,
+        pageTexts: JSON.stringify(pageTexts || []),
+        outline: JSON.stringify(outline || []),
+        metadata: JSON.stringify(metadata || {}),
+        wordCount,
+        language: language || "en",
+        status: status || "uploaded",
+        now,
+      });
+
+    return id;
+  }
+
+  async getDocument(documentId) {
+    const row = this.db
+      .prepare("SELECT * FROM documents WHERE id = ?")
+      .get(documentId);
+    return row ? parseDocument(row) : null;
+  }
+
+  async updateDocumentStatus(documentId, status) {
+    this.db
+      .prepare("UPDATE documents SET status = ?, updated_at = ? WHERE id = ?")
+      .run(status, new Date().toISOString(), documentId);
+  }
+
+  async getAllDocuments() {
+    return this.db
+      .prepare("SELECT * FROM documents ORDER BY created_at DESC")
+      .all()
+      .map(parseDocument);
+  }
+
+  async deleteDocument(documentId) {
+    // Sessions, messages, voice sessions and chunks go with it via
+    // ON DELETE CASCADE; analyses have no foreign key so are removed explicitly
+    this.db.transaction(() => {
+      this.db
+        .prepare("DELETE FROM analyses WHERE document_id = ?")
+        .run(documentId);
+      this.db.prepare("DELETE FROM documents WHERE id = ?").run(documentId);
+    })();
+  }
+
+  // Chat operations
+  async createChatSession(sessionData) {
+    const { id, documentId, sessionId, title } = sessionData;
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.requireDocument(documentId);
+      this.db
+        .prepare(
+          `INSERT INTO chat_sessions (id, document_id, session_id, title, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          id,
+          documentId,
+          sessionId,
+          title || this.nextSessionTitle(),
+          now,
+          now,
+        );
+    })();
+
+    return id;
+  }
+
+  async getChatSession(documentId, sessionId) {
+    return (
+      this.db
+        .prepare(
+          "SELECT * FROM chat_sessions WHERE document_id = ? AND session_id = ?",
+        )
+        .get(documentId, sessionId) || null
+    );
+  }
+
+  async getChatSessionsByDocument(documentId) {
+    return this.db
+      .prepare(
+        "SELECT * FROM chat_sessions WHERE document_id = ? ORDER BY created_at DESC",
+      )
+      .all(documentId);
+  }
+
+  async saveChatMessage(messageData) {
+    const { id, sessionId, documentId, messageType, content, metadata } =
+      messageData;
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.requireDocument(documentId);
+      // Messages may arrive for a session nobody created explicitly
+      this.db
+        .prepare(
+          `INSERT OR IGNORE INTO chat_sessions (id, document_id, session_id, title, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          `${documentId}:${sessionId}`,
+          documentId,
+          sessionId,
+          this.nextSessionTitle(),
+          now,
+          now,
+        );
+
+      this.db
+        .prepare(
+          `INSERT INTO chat_messages (id, session_id, document_id, message_type, content, metadata, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          id,
+          sessionId,
+          documentId,
+          messageType,
+          content,
+          JSON.stringify(metadata || {}),
+          now,
+        );
+
+      this.db
+        .prepare(
+          "UPDATE chat_sessions SET updated_at = ? WHERE document_id = ? AND session_id = ?",
+        )
+        .run(now, documentId, sessionId);
+    })();
+
+    return id;
+  }
+
+  async getChatMessages(sessionId, limit = 50, offset = 0) {
+    return this.db
+      .prepare(
+        `SELECT * FROM chat_messages WHERE session_id = ?
+         ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?`,
+      )
+      .all(sessionId, limit, offset)
+      .map(parseMessage);
+  }
+
+  async getChatHistory(documentId, sessionId) {
+    return this.db
+      .prepare(
+        `SELECT * FROM chat_messages WHERE document_id = ? AND session_id = ?
+         ORDER BY created_at ASC, rowid ASC`,
+      )
+      .all(documentId, sessionId)
+      .map(parseMessage);
+  }
+
+  async deleteChatSession(sessionId) {
+    // Messages are removed by the cascade on (document_id, session_id)
+    this.db
+      .prepare("DELETE FROM chat_sessions WHERE session_id = ?")
+      .run(sessionId);
+  }
+
+  async deleteChatHistory(documentId, sessionId) {
+    this.db
+      .prepare(
+        "DELETE FROM chat_messages WHERE document_id = ? AND session_id = ?",
+      )
+      .run(documentId, sessionId);
+  }
+
+  // Voice operations
+  async createVoiceSession(sessionData) {
+    const { id, documentId, sessionId } = sessionData;
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.requireDocument(documentId);
+      this.db
+        .prepare(
+          `INSERT INTO voice_sessions (id, document_id, session_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?)`,
+        )
+        .run(id, documentId, sessionId, now, now);
+    })();
+
+    return id;
+  }
+
+  async getVoiceSession(documentId, sessionId) {
+    const row = this.db
+      .prepare(
+        "SELECT * FROM voice_sessions WHERE document_id = ? AND session_id = ?",
+      )
+      .get(documentId, sessionId);
+    return row ? parseVoiceSession(row) : null;
+  }
+
+  async updateVoiceSession(documentId, sessionId, transcriptions, responses) {
+    this.db
+      .prepare(
+        `UPDATE voice_sessions SET transcriptions = ?, responses = ?, updated_at = ?
+         WHERE document_id = ? AND session_id = ?`,
+      )
+      .run(
+        JSON.stringify(transcriptions || []),
+        JSON.stringify(responses || []),
+        new Date().toISOString(),
+        documentId,
+        sessionId,
+      );
+  }
+
+  async deleteVoiceSession(sessionId) {
+    this.db
+      .prepare("DELETE FROM voice_sessions WHERE session_id = ?")
+      .run(sessionId);
+  }
+
+  // Retrieval chunk operations
+  async saveDocumentChunks(documentId, chunks) {
+    const insert = this.db.prepare(
+      `INSERT INTO document_chunks (id, document_id, chunk_index, heading, number, page_number, start_offset, end_offset, text, embedding)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    );
+
+    this.db.transaction(() => {
+      this.db
+        .prepare("DELETE FROM document_chunks WHERE document_id = ?")
+        .run(documentId);
+      for (const chunk of chunks) {
+        insert.run(
+          `${documentId}:${chunk.index}`,
+          documentId,
+          chunk.index,
+          chunk.heading,
+          chunk.number,
+          chunk.pageNumber,
+          chunk.start,
+          chunk.end,
+          chunk.text,
+          chunk.embedding ? JSON.stringify(chunk.embedding) : null,
+        );
+      }
+    })();
+
+    return chunks.length;
+  }
+
+  async getDocumentChunks(documentId) {
+    return this.db
+      .prepare(
+        "SELECT * FROM document_chunks WHERE document_id = ? ORDER BY chunk_index ASC",
+      )
+      .all(documentId)
+      .map(parseChunk);
+  }
+
+  // Analysis operations
+  async saveAnalysis(analysisData) {
+    const { id, documentId, analysis } = analysisData;
+    const now = new Date().toISOString();
+
+    return this.db.transaction(() => {
+      const { version } = this.db
+        .prepare(
+          "SELECT COALESCE(MAX(version), 0) + 1 AS version FROM analyses WHERE document_id = ?",
+        )
+        .get(documentId);
+
+      this.db
+        .prepare(
+          `INSERT INTO analyses (id, document_id, version, overall_risk, confidence, processing_time, result, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        )
+        .run(
+          id,
+          documentId,
+          version,
+          analysis.summary?.overallRisk || null,
+          analysis.confidence ?? null,
+          analysis.processingTime ?? null,
+          JSON.stringify(analysis),
+          now,
+        );
+
+      return { id, documentId, version, createdAt: now };
+    })();
+  }
+
+  // Latest run, or a specific one when `version` is given
+  async getAnalysis(documentId, version = null) {
+    const row = version
+      ? this.db
+          .prepare(
+            "SELECT * FROM analyses WHERE document_id = ? AND version = ?",
+          )
+          .get(documentId, version)
+      : this.db
+          .prepare(
+            "SELECT * FROM analyses WHERE document_id = ? ORDER BY version DESC LIMIT 1",
+          )
+          .get(documentId);
+    return row ? parseAnalysis(row) : null;
+  }
+
+  async getAnalysisHistory(documentId) {
+    return this.db
+      .prepare(
+        `SELECT id, document_id, version, overall_risk, confidence, processing_time, created_at
+         FROM analyses WHERE document_id = ? ORDER BY version DESC`,
+      )
+      .all(documentId);
+  }
+
+  async deleteAnalyses(documentId) {
+    this.db
+      .prepare("DELETE FROM analyses WHERE document_id = ?")
+      .run(documentId);
+  }
+
+  // Chat and voice records belong to a stored document; checked here so
+  // both backends throw the same error rather than a constraint failure
+  requireDocument(documentId) {
+    if (
+      !this.db.prepare("SELECT 1 FROM documents WHERE id = ?").get(documentId)
+    ) {
+      throw new DocumentNotFoundError(documentId);
+    }
+  }
+
+  // Numbered from the stored sessions so titles continue after a restart
+  nextSessionTitle() {
+    const { count } = this.db
+      .prepare("SELECT COUNT(*) AS count FROM chat_sessions")
+      .get();
+    return `Chat Session ${count + 1}`;
+  }
+
+  // Utility methods
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.migrations = null;
+      this.isInitialized = false;
+    }
+    logger.info("SQLite database closed");
+  }
+
+  async healthCheck() {
+    try {
+      const count = (table) =>
+        this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+
+      return {
+        status: "healthy",
+        message: "SQLite database is working",
+        stats: {
+          documents: count("documents"),
+          chatSessions: count("chat_sessions"),
+          messages: count("chat_messages"),
+          voiceSessions: count("voice_sessions"),
+          analyses: count("analyses"),
+        },
+      };
+    } catch (error) {
+      return { status: "unhealthy", message: error.message };
+    }
+  }
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function parseDocument(row) {
+  return {
+    ...row,
+    page_texts: parseJson(row.page_texts, []),
+    outline: parseJson(row.outline, []),
+    metadata: parseJson(row.metadata, {}),
+  };
+}
+
+function parseMessage(row) {
+  return { ...row, metadata: parseJson(row.metadata, {}) };
+}
+
+function parseVoiceSession(row) {
+  return {
+    ...row,
+    transcriptions: parseJson(row.transcriptions, []),
+    responses: parseJson(row.responses, []),
+  };
+}
+
+function parseAnalysis(row) {
+  const { result, ...columns } = row;
+  return { ...columns, result: parseJson(result, {}) };
+}
+
+// Stored chunks use the same shape chunkDocument() produces
+function parseChunk(row) {
+  return {
+    index: row.chunk_index,
+    heading: row.heading,
+    number: row.number,
+    pageNumber: row.page_number,
+    start: row.start_offset,
+    end: row.end_offset,
+    text: row.text,
+    embedding: parseJson(row.embedding, null),
+  };
+}
@@ -0,0 +1,570 @@
+import {
+  segmentDocument,
+  flattenClauses,
+  clauseAt,
+} from "./clauseSegmenter.js";
+
+// Dates and deadlines as ISO dates with their source spans.
+//
+// Absolute dates ("1 March 2024", "03/01/2024", "the 5th day of May, 2024")
+// are parsed directly; all-numeric dates where day and month could be swapped
+// are read month-first unless `dayFirst` is set, and flagged as ambiguous.
+// Relative periods ("30 days after the Commencement Date", "at least 60 days
+// prior to the end of the Term") are resolved against the effective date,
+// the expiry date or another dated defined term when one was found.
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const MONTH_NAME =
+  "(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\\.?";
+
+// "twelve", "twenty-four", "one hundred eighty"; digits in brackets after
+// the words, "thirty-six (36)", take precedence
+const UNIT_WORDS = [
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+  "eleven",
+  "twelve",
+  "thirteen",
+  "fourteen",
+  "fifteen",
+  "sixteen",
+  "seventeen",
+  "eighteen",
+  "nineteen",
+];
+const TENS_WORDS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+const NUMBER_WORDS = {
+  ...Object.fromEntries(UNIT_WORDS.map((word, index) => [word, index + 1])),
+  ...Object.fromEntries(
+    Object.entries(TENS_WORDS).flatMap(([tens, value]) => [
+      [tens, value],
+      ...UNIT_WORDS.slice(0, 9).map((unit, index) => [
+        `${tens}-${unit}`,
+        value + index + 1,
+      ]),
+    ]),
+  ),
+  "one hundred": 100,
+  "one hundred twenty": 120,
+  "one hundred eighty": 180,
+};
+
+const ABSOLUTE_DATES = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    parse: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }),
+  },
+  {
+    pattern: new RegExp(
+      `\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`,
+      "gi",
+    ),
+    parse: (m) => ({ year: +m[3], month: monthIndex(m[1]), day: +m[2] }),
+  },
+  {
+    pattern: new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+day)?(?:\\s+of)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`,
+      "gi",
+    ),
+    parse: (m) => ({ year: +m[3], month: monthIndex(m[2]), day: +m[1] }),
+  },
+  {
+    pattern: /\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+    numeric: true,
+  },
+];
+
+// "30 days", "thirty (30) days", "ten business days"
+const NUMBER_WORD = Object.keys(NUMBER_WORDS)
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+const PERIOD = `(?:(\\d+)|(${NUMBER_WORD})\\s*(?:\\((\\d+)\\))?)\\s+(business\\s+days?|calendar\\s+days?|days?|weeks?|months?|years?)`;
+const RELATIVE_PERIOD = new RegExp(
+  `\\b(?:(within|no\\s+later\\s+than|not\\s+later\\s+than|at\\s+least|not\\s+less\\s+than|no\\s+less\\s+than)\\s+)?${PERIOD}(?:\\s*['’]?\\s*(?:prior\\s+)?(?:written\\s+)?notice)?\\s+(after|following|from|of|before|prior\\s+to|preceding)\\s+([^.;,\\n]{3,80})`,
+  "gi",
+);
+const WITHIN_PERIOD = new RegExp(`\\b(within)\\s+${PERIOD}\\b`, "gi");
+const NOTICE_PERIOD = new RegExp(
+  `\\b()${PERIOD}['’]?s?\\s+(?:prior\\s+)?(?:written\\s+)?notice\\b`,
+  "gi",
+);
+// Any period, including hyphenated ones ("one-year", "twelve-month")
+const ANY_PERIOD = new RegExp(
+  `\\b(?:(\\d+)|(${NUMBER_WORD})\\s*(?:\\((\\d+)\\))?)[\\s-]+(business\\s+days?|calendar\\s+days?|days?|weeks?|months?|years?)\\b`,
+  "gi",
+);
+// "an initial term of one year", "shall remain in force for two (2) years"
+const TERM_LENGTH = new RegExp(
+  `\\b(?:(?:initial\\s+)?term\\s+of|(?:remain|continue)\\s+in\\s+(?:full\\s+)?(?:force|effect)(?:\\s+and\\s+effect)?\\s+for(?:\\s+a\\s+(?:period|term)\\s+of)?)\\s+${PERIOD}`,
+  "gi",
+);
+
+// Defined date terms: 1 March 2024 (the "Effective Date")
+const DATE_TERM_AFTER =
+  /^\s*,?\s*\(\s*(?:the\s+)?["“]([^"”\n]{2,40}?)["”]\s*\)/;
+const DATE_TERM_BEFORE =
+  /["“]([^"”\n]{2,40}?)["”]\s*(?:means|shall\s+mean|shall\s+be|is)\s+[^.;\n]{0,20}$/i;
+
+const EFFECTIVE_TERMS =
+  /^(?:effective\s+date|commencement\s+date|start\s+date|execution\s+date)$/i;
+const EFFECTIVE_CONTEXT =
+  /\b(?:effective(?:\s+as\s+of|\s+on|\s+from)?|dated(?:\s+as\s+of)?|made(?:\s+and\s+entered\s+into)?(?:\s+as\s+of|\s+on|\s+this)?|entered\s+into(?:\s+as\s+of|\s+on)?|commenc(?:e|es|ing)\s+on|beginning\s+on|starting\s+on)\s*$/i;
+const EXPIRY_CONTEXT =
+  /\b(?:expir(?:e|es|ing|ation)(?:\s+date)?(?:\s+on)?|until|through|end(?:s|ing)?\s+on|terminat(?:e|es)\s+on)\s*$/i;
+
+const CLASSIFIERS = [
+  ["notice", /\bnotice\b|\bnotif(?:y|ies|ication)\b/i],
+  ["renewal", /\brenew(?:al|s|ed)?\b/i],
+  ["payment_due", /\b(?:pay(?:able|ment)?|paid|invoice|due|rent|fees?)\b/i],
+  [
+    "expiry",
+    /\b(?:expir\w*|end\s+of\s+the\s+(?:\w+[- ])?term|until|terminat\w*)\b/i,
+  ],
+];
+
+const CONTEXT_WINDOW = 120;
+
+// Effective and expiry dates plus every dated or relative entry in the text
+export function extractTimeline(
+  text,
+  structure = segmentDocument(text),
+  options = {},
+) {
+  const nodes = flattenClauses(structure.clauses);
+  const absolute = findAbsoluteDates(text, options.dayFirst === true);
+
+  // Defined date terms and the effective/expiry dates they establish
+  const anchors = new Map();
+  let effective = null;
+  let expiry = null;
+
+  absolute.forEach((entry) => {
+    const after = text.slice(entry.end, entry.end + 60);
+    const before = text.slice(Math.max(0, entry.start - 60), entry.start);
+    const term = (after.match(DATE_TERM_AFTER) ||
+      before.match(DATE_TERM_BEFORE) ||
+      [])[1];
+
+    if (term && /\b(?:date|day)\b/i.test(term)) {
+      anchors.set(term.toLowerCase(), entry);
+      entry.term = term;
+      if (EFFECTIVE_TERMS.test(term) && !effective?.term) effective = entry;
+      if (/expir|end\s+date|termination\s+date/i.test(term) && !expiry) {
+        expiry = entry;
+      }
+    } else if (!effective && EFFECTIVE_CONTEXT.test(before)) {
+      effective = entry;
+    } else if (!expiry && EXPIRY_CONTEXT.test(before)) {
+      expiry = entry;
+    }
+  });
+
+  if (effective) effective.type = "effective";
+  if (expiry) expiry.type = "expiry";
+
+  const relative = findRelativeDates(text);
+
+  const resolveAnchor = (anchorText) => {
+    const anchor = anchorText
+      .replace(/^(?:the|such)\s+/i, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    const key = anchor.toLowerCase();
+
+    if (anchors.has(key)) return { anchor, date: anchors.get(key).date };
+    if (
+      /^(?:effective\s+date|commencement\s+date|date\s+(?:hereof|of\s+this\s+agreement)|execution(?:\s+of\s+this\s+agreement)?|signing)/i.test(
+        anchor,
+      )
+    ) {
+      return {
+        anchor,
+        date: effective?.date || null,
+        missing: "effective date",
+      };
+    }
+    if (
+      /^(?:end|expiry|expiration)\s+of\s+the\s+(?:then[- ]current\s+|initial\s+|renewal\s+)?term|^expir(?:y|ation)\s+date/i.test(
+        anchor,
+      )
+    ) {
+      return { anchor, date: expiry?.date || null, missing: "expiry date" };
+    }
+    return { anchor, date: null };
+  };
+
+  // A fixed term sets the expiry date when no date is given
+  const termLength = firstMatch(TERM_LENGTH, text);
+  if (termLength) {
+    const start = termLength.index;
+    const end = start + termLength[0].length;
+    // "for two (2) years from the Effective Date" is already a relative
+    // entry, resolved against its own anchor
+    const stated = relative.find(
+      (entry) => entry.start < end && entry.end > start,
+    );
+    if (stated) {
+      const resolved = resolveAnchor(stated.relative.anchor);
+      stated.type = "expiry";
+      stated.date = resolved.date
+        ? shiftDate(resolved.date, stated.relative, 1)
+        : null;
+      if (!expiry) expiry = stated;
+    } else {
+      const period = parsePeriod(termLength, 1);
+      const entry = {
+        type: "expiry",
+        text: termLength[0],
+        start,
+        end,
+        relative: { ...period, direction: "after", anchor: "Effective Date" },
+        date: effective ? shiftDate(effective.date, period, 1) : null,
+      };
+      if (!expiry) expiry = entry;
+      relative.push(entry);
+    }
+  }
+
+  const entries = [
+    ...absolute.map((entry) => ({
+      type:
+        entry.type ||
+        (entry.term && EFFECTIVE_TERMS.test(entry.term)
+          ? "effective"
+          : classify(text, entry.start, entry.end)),
+      date: entry.date,
+      text: entry.text,
+      start: entry.start,
+      end: entry.end,
+      term: entry.term || null,
+      relative: null,
+      ambiguities: entry.ambiguities,
+      alternatives: entry.alternatives,
+    })),
+    ...relative.map((entry) => {
+      const ambiguities = [...(entry.ambiguities || [])];
+      let date = null;
+      let relativeInfo = entry.relative;
+
+      if (entry.relative.anchor) {
+        const resolved = resolveAnchor(entry.relative.anchor);
+        relativeInfo = {
+          ...entry.relative,
+          anchor: resolved.anchor,
+          anchorDate: resolved.date,
+        };
+        if (resolved.date) {
+          date = shiftDate(
+            resolved.date,
+            entry.relative,
+            entry.relative.direction === "before" ? -1 : 1,
+          );
+        } else if (resolved.missing) {
+          ambiguities.push(`No ${resolved.missing} found to resolve against`);
+        } else {
+          ambiguities.push(
+            `Depends on "${resolved.anchor}", which has no fixed date`,
+          );
+        }
+      } else if (entry.relative.qualifier === "notice") {
+        ambiguities.push("Notice period; runs from when notice is given");
+      } else {
+        ambiguities.push("No reference date stated");
+      }
+      if (/business/.test(entry.relative.unit) && date) {
+        ambiguities.push("Business days skip weekends only, not holidays");
+      }
+
+      return {
+        type: entry.type || classify(text, entry.start, entry.end),
+        date,
+        text: entry.text.replace(/\s+/g, " "),
+        start: entry.start,
+        end: entry.end,
+        term: null,
+        relative: relativeInfo,
+        ambiguities,
+        alternatives: [],
+      };
+    }),
+  ]
+    .sort((a, b) => a.start - b.start)
+    .map(({ ambiguities, ...entry }) => ({
+      ...entry,
+      clauseId: clauseAt(nodes, entry.start)?.id || null,
+      ambiguous: ambiguities.length > 0,
+      ambiguities,
+    }));
+
+  const dateOf = (entry) =>
+    entry
+      ? entries.find((candidate) => candidate.start === entry.start)?.date ||
+        null
+      : null;
+
+  return {
+    effectiveDate: dateOf(effective),
+    expiryDate: dateOf(expiry),
+    entries,
+  };
+}
+
+function findAbsoluteDates(text, dayFirst) {
+  const found = [];
+
+  ABSOLUTE_DATES.forEach(({ pattern, parse, numeric }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some((entry) => start < entry.end && end > entry.start)) {
+        continue;
+      }
+
+      const parsed = numeric
+        ? parseNumericDate(match, dayFirst)
+        : { ...parse(match), ambiguities: [], alternatives: [] };
+      const date = toIso(parsed);
+      if (!date) continue;
+
+      found.push({
+        date,
+        text: match[0],
+        start,
+        end,
+        ambiguities: parsed.ambiguities,
+        alternatives: parsed.alternatives,
+      });
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// 03/04/2024 is 4 March or 3 April; flag it unless only one reading is valid
+function parseNumericDate(match, dayFirst) {
+  const first = +match[1];
+  const second = +match[3];
+  let year = +match[4];
+  const ambiguities = [];
+
+  if (match[4].length === 2) {
+    year += 2000;
+    ambiguities.push("Two-digit year read as 20xx");
+  }
+
+  const monthFirst = { year, month: first, day: second };
+  const dayFirstReading = { year, month: second, day: first };
+  const candidates = [monthFirst, dayFirstReading].filter(toIso);
+  if (candidates.length === 0) return { ambiguities, alternatives: [] };
+
+  const preferred =
+    candidates.length === 1
+      ? candidates[0]
+      : dayFirst
+        ? dayFirstReading
+        : monthFirst;
+  const alternatives = candidates
+    .filter((candidate) => candidate !== preferred)
+    .map(toIso)
+    .filter((iso) => iso !== toIso(preferred));
+
+  if (alternatives.length > 0) {
+    ambiguities.push(
+      `Day and month order is unclear; read as ${dayFirst ? "day" : "month"} first`,
+    );
+  }
+
+  return { ...preferred, ambiguities, alternatives };
+}
+
+function findRelativeDates(text) {
+  const found = [];
+
+  RELATIVE_PERIOD.lastIndex = 0;
+  let match;
+  while ((match = RELATIVE_PERIOD.exec(text)) !== null) {
+    const period = parsePeriod(match, 2);
+    if (!period) continue;
+
+    const direction = /before|prior|preceding/i.test(match[6])
+      ? "before"
+      : "after";
+    found.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      relative: {
+        ...period,
+        direction,
+        qualifier: match[1]
+          ? match[1].replace(/\s+/g, " ").toLowerCase()
+          : null,
+        anchor: trimAnchor(match[7]),
+      },
+    });
+  }
+
+  // Periods with no reference date: "within 10 days", "90 days' notice"
+  [
+    [WITHIN_PERIOD, "within"],
+    [NOTICE_PERIOD, "notice"],
+  ].forEach(([pattern, qualifier]) => {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      if (
+        found.some(
+          (entry) => start < entry.end && start + match[0].length > entry.start,
+        )
+      ) {
+        continue;
+      }
+      const period = parsePeriod(match, 2);
+      if (!period) continue;
+
+      found.push({
+        text: match[0],
+        start,
+        end: start + match[0].length,
+        relative: { ...period, direction: "after", qualifier, anchor: null },
+      });
+    }
+  });
+
+  return found;
+}
+
+// Period amount and unit from the PERIOD groups starting at `offset`
+function parsePeriod(match, offset) {
+  const digits = match[offset] || match[offset + 2];
+  const amount = digits
+    ? Number(digits)
+    : NUMBER_WORDS[
+        (match[offset + 1] || "").toLowerCase().replace(/\s+/g, " ")
+      ];
+  if (!amount) return null;
+
+  const unit = match[offset + 3]
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/s$/, "");
+  return { amount, unit };
+}
+
+// Every period stated in `text` with its span: "30 days", "twelve (12)
+// months", "one-year"
+export function findPeriods(text) {
+  return [...text.matchAll(ANY_PERIOD)]
+    .map((match) => ({
+      ...parsePeriod(match, 1),
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }))
+    .filter((period) => period.amount);
+}
+
+// "the Commencement Date and ending ..." -> "the Commencement Date"
+function trimAnchor(anchor) {
+  return anchor
+    .split(/\s+(?:and|or|unless|provided|in\s+which|which|whichever)\b/i)[0]
+    .trim();
+}
+
+// Classify by the sentence (or list item) the entry sits in
+function classify(text, start, end) {
+  const before = text.slice(Math.max(0, start - CONTEXT_WINDOW), start);
+  const sentenceStart =
+    Math.max(
+      before.lastIndexOf(". "),
+      before.lastIndexOf(";"),
+      before.lastIndexOf("\n"),
+    ) + 1;
+  const after = text.slice(end, end + 60);
+  const stop = after.search(/[.;\n]/);
+  const context =
+    before.slice(sentenceStart) +
+    text.slice(start, end) +
+    (stop >= 0 ? after.slice(0, stop) : after);
+
+  const found = CLASSIFIERS.find(([, pattern]) => pattern.test(context));
+  return found ? found[0] : "other";
+}
+
+function shiftDate(iso, { amount, unit }, sign) {
+  const date = new Date(`${iso}T00:00:00Z`);
+
+  if (unit === "business day") {
+    let remaining = amount;
+    while (remaining > 0) {
+      date.setUTCDate(date.getUTCDate() + sign);
+      const day = date.getUTCDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+  } else if (unit === "day" || unit === "calendar day") {
+    date.setUTCDate(date.getUTCDate() + sign * amount);
+  } else if (unit === "week") {
+    date.setUTCDate(date.getUTCDate() + sign * amount * 7);
+  } else {
+    const months = unit === "year" ? amount * 12 : amount;
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + sign * months);
+    // 31 January + 1 month is the last day of February
+    const lastDay = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0),
+    ).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+function toIso({ year, month, day }) {
+  if (!year || !month || !day || month > 12 || day > 31) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function monthIndex(name) {
+  const key = name.toLowerCase().replace(/\.$/, "").slice(0, 3);
+  return MONTHS.findIndex((month) => month.startsWith(key)) + 1;
+}
+
+function firstMatch(pattern, text) {
+  pattern.lastIndex = 0;
+  return pattern.exec(text);
+}
@@ -1,9 +1,10 @@
 import winston from 'winston';
 import { 
   transcribeAudio, 
-  synthesizeSpeech, 
-  getVertexAIModel 
+  synthesizeSpeech
 } from './googleCloud.js';
+import { generateText } from './llmService.js';
+import { retrieveChunks, toSource } from './retrievalService.js';
 import { analyzeDocument } from './aiAnalyzer.js';
 
 const logger = winston.createLogger({
@@ -151,17 +152,20 @@ export class VoiceQuerySystem {
   // Generate contextual AI response
   async generateContextualResponse(query, documentContext, conversationHistory, options = {}) {
     try {
-      const model = await getVertexAIModel();
+      // Pull the chunks most relevant to the question instead of the first few pages
+      const chunks = await retrieveChunks(documentContext.documentId, query, {
+        text: documentContext.extractedText,
+        topK: options.topK
+      });
 
       // Build context-aware prompt
-      const prompt = this.buildContextualPrompt(query, documentContext, conversationHistory);
+      const prompt = this.buildContextualPrompt(query, documentContext, conversationHistory, chunks);
 
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
+      const { text: responseText } = await generateText(prompt);
 
       // Extract relevant clauses and sources
       const relatedClauses = this.findRelatedClauses(query, documentContext.analysis);
-      const sources = this.extractSources(responseText, documentContext);
+      const sources = this.extractSources(responseText, documentContext, chunks);
 
       return {
         answer: responseText,
@@ -184,8 +188,11 @@ export class VoiceQuerySystem {
   }
 
   // Build contextual prompt for AI
-  buildContextualPrompt(query, documentContext, conversationHistory) {
+  buildContextualPrompt(query, documentContext, conversationHistory, chunks = []) {
     const recentHistory = conversationHistory.slice(-3); // Last 3 exchanges
+    const excerpts = chunks.length > 0
+      ? chunks.map((chunk, i) => `[${i + 1}] ${this.describeChunk(chunk)}\n${chunk.text}`).join('\n\n')
+      : documentContext.extractedText.substring(0, 4000);
 
     return `
 You are LexiPlain, an expert legal AI assistant. You have access to a legal document and must answer questions about it clearly and accurately.
@@ -194,10 +201,10 @@ DOCUMENT INFORMATION:
 - Type: ${documentContext.analysis.summary.documentType}
 - Word Count: ${documentContext.analysis.summary.wordCount}
 - Overall Risk: ${documentContext.analysis.summary.overallRisk}
-- Key Parties: ${documentContext.analysis.summary.keyParties.join(', ')}
+- Key Parties: ${documentContext.analysis.summary.keyParties.map(describeParty).join(', ')}
 
-DOCUMENT TEXT (excerpt):
-${documentContext.extractedText.substring(0, 4000)}
+RELEVANT DOCUMENT EXCERPTS:
+${excerpts}
 
 ANALYSIS SUMMARY:
 ${JSON.stringify(documentContext.analysis.aiSummary, null, 2)}
@@ -219,7 +226,7 @@ INSTRUCTIONS:
 2. Be concise but comprehensive
 3. Explain legal concepts in plain English
 4. If the document doesn't contain the information, say so clearly
-5. Reference specific clauses or sections when applicable
+5. Reference specific clauses or sections when applicable, and cite excerpts by their [number]
 6. Provide practical implications and recommendations
 7. Use a helpful, professional tone
 
@@ -243,6 +250,7 @@ ANSWER:`;
   // Document context management
   setDocumentContext(documentId, extractedText, analysis) {
     this.documentContext.set(documentId, {
+      documentId,
       extractedText,
       analysis,
       timestamp: new Date().toISOString()
@@ -337,10 +345,27 @@ ANSWER:`;
       .slice(0, 3);
   }
 
-  extractSources(responseText, documentContext) {
-    // Extract sources/references from the AI response
-    const sources = [];
+  // Label used for a chunk in prompts, e.g. "Section 2.1 - RENT (chars 320-1795, page 1)"
+  describeChunk(chunk) {
+    const label = [
+      chunk.number && !(chunk.heading || '').startsWith(chunk.number) ? `Section ${chunk.number}` : null,
+      chunk.heading
+    ].filter(Boolean).join(' - ') || 'Excerpt';
+    return `${label} (chars ${chunk.start}-${chunk.end}, page ${chunk.pageNumber})`;
+  }
+
+  extractSources(responseText, documentContext, chunks = []) {
+    // Retrieved excerpts come first; mark the ones the answer cites as [n]
+    const cited = new Set(
+      (responseText.match(/\[(\d+)\]/g) || []).map(ref => parseInt(ref.slice(1), 10))
+    );
+    const sources = chunks.map((chunk, i) => ({
+      ...toSource(chunk),
+      cited: cited.has(i + 1)
+    }));
     
+    // Extract sources/references from the AI response
+
     // Look for clause references
     const clauseRefs = responseText.match(/clause\s+(\d+|[ivx]+)/gi);
     if (clauseRefs) {
@@ -353,7 +378,7 @@ ANSWER:`;
       sources.push(...sectionRefs.map(ref => ({ type: 'section', reference: ref })));
     }
 
-    return sources.slice(0, 5); // Limit to 5 sources
+    return sources.slice(0, chunks.length + 5); // Excerpts plus up to 5 references
   }
 
   classifyQuery(query) {
@@ -428,6 +453,12 @@ ANSWER:`;
   }
 }
 
+// "Acme Corp. (Company)"; analyses stored before party extraction hold plain strings
+function describeParty(party) {
+  if (typeof party === 'string') return party;
+  return party.role ? `${party.name} (${party.role})` : party.name;
+}
+
 // Create singleton instance
 export const voiceQuerySystem = new VoiceQuerySystem();
 
@@ -0,0 +1,518 @@
+import JSZip from "jszip";
+import { DOMParser } from "@xmldom/xmldom";
+import WordExtractor from "word-extractor";
+import winston from "winston";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  defaultMeta: { service: "word-extractor" },
+});
+
+const ROMAN_NUMERALS = [
+  [1000, "m"],
+  [900, "cm"],
+  [500, "d"],
+  [400, "cd"],
+  [100, "c"],
+  [90, "xc"],
+  [50, "l"],
+  [40, "xl"],
+  [10, "x"],
+  [9, "ix"],
+  [5, "v"],
+  [4, "iv"],
+  [1, "i"],
+];
+
+// Numbered clause prefix at the start of a line, e.g. "12.3(b)", "Article IV", "(a)".
+// A bare number needs a trailing "." or ")" and at most three digits, so
+// "30 days after" and "2024 rent review" are not read as clause numbers.
+const NUMBER_PREFIX =
+  /^\s*((?:(?:article|section|clause|schedule)\s+[0-9ivxlcdm]+[a-z]?\.?)|(?:(?:\d{1,3}(?:\.\d{1,3})+\.?|\d{1,3}[.)])(?:\s*\([a-z0-9]+\))*)|(?:\d{1,3}(?:\s*\([a-z0-9]+\))+)|(?:\([a-z0-9]{1,4}\)))\s+/i;
+
+// True when the buffer starts with a ZIP signature (OOXML container)
+export function isZipBuffer(buffer) {
+  return (
+    buffer.length > 4 &&
+    buffer[0] === 0x50 &&
+    buffer[1] === 0x4b &&
+    buffer[2] === 0x03 &&
+    buffer[3] === 0x04
+  );
+}
+
+// Parse a DOCX (OOXML) document into flat text plus a structured outline
+export async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const documentXml = await readXml(zip, "word/document.xml");
+  if (!documentXml) {
+    throw new Error("Not a Word document: word/document.xml is missing");
+  }
+
+  const styles = parseStyles(await readXml(zip, "word/styles.xml"));
+  const numbering = new NumberingState(
+    await readXml(zip, "word/numbering.xml"),
+  );
+  const metadata = await readCoreProperties(zip);
+
+  const body = firstChild(documentXml.documentElement, "body");
+  const builder = new OutlineBuilder();
+
+  walkBlocks(body, (node) => {
+    if (node.localName === "p") {
+      addParagraph(builder, node, styles, numbering);
+    } else if (node.localName === "tbl") {
+      addTable(builder, node);
+    }
+  });
+
+  return {
+    text: builder.text,
+    outline: builder.outline,
+    pageCount: metadata.pages,
+    metadata,
+  };
+}
+
+// Best-effort text extraction for legacy binary .doc files
+export async function extractLegacyDoc(buffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(buffer);
+
+  const body = document
+    .getBody()
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  const builder = new OutlineBuilder();
+  body.split("\n").forEach((line) => {
+    if (line.trim().length === 0) return;
+
+    // Word 97 tables store cells separated by tabs
+    if (line.includes("\t")) {
+      builder.addTable([line.split("\t").map((cell) => cell.trim())]);
+      return;
+    }
+
+    const match = line.match(NUMBER_PREFIX);
+    builder.addParagraph({
+      number: match ? match[1].trim() : null,
+      text: match ? line.slice(match[0].length).trim() : line.trim(),
+      level: match ? numberDepth(match[1]) : null,
+      heading: isLikelyHeading(line),
+    });
+  });
+
+  return {
+    text: builder.text,
+    outline: builder.outline,
+    pageCount: null,
+    metadata: {},
+  };
+}
+
+// Accumulates the flat text and the outline entries that point into it
+class OutlineBuilder {
+  constructor() {
+    this.text = "";
+    this.outline = [];
+  }
+
+  append(value) {
+    if (this.text.length > 0) this.text += "\n";
+    const start = this.text.length;
+    this.text += value;
+    return { start, end: this.text.length };
+  }
+
+  addParagraph({ number, text, level, heading, style = null }) {
+    if (!text && !number) return;
+
+    const line = number ? `${number} ${text}`.trim() : text;
+    const span = this.append(line);
+
+    this.outline.push({
+      type: heading ? "heading" : "paragraph",
+      level,
+      number,
+      text,
+      style,
+      ...span,
+    });
+  }
+
+  addTable(rows) {
+    const filtered = rows.filter((row) => row.some((cell) => cell.length > 0));
+    if (filtered.length === 0) return;
+
+    const span = this.append(filtered.map((row) => row.join("\t")).join("\n"));
+    this.outline.push({ type: "table", rows: filtered, ...span });
+  }
+}
+
+async function readXml(zip, path) {
+  const file = zip.file(path);
+  if (!file) return null;
+
+  const xml = await file.async("string");
+  return new DOMParser({
+    errorHandler: { warning: () => {}, error: () => {}, fatalError: null },
+  }).parseFromString(xml, "application/xml");
+}
+
+async function readCoreProperties(zip) {
+  const metadata = {
+    title: null,
+    author: null,
+    creationDate: null,
+    pages: null,
+  };
+
+  try {
+    const core = await readXml(zip, "docProps/core.xml");
+    if (core) {
+      metadata.title = textOf(firstDescendant(core, "title")) || null;
+      metadata.author = textOf(firstDescendant(core, "creator")) || null;
+      const created = textOf(firstDescendant(core, "created"));
+      metadata.creationDate = created ? new Date(created).toISOString() : null;
+    }
+
+    const app = await readXml(zip, "docProps/app.xml");
+    const pages = app ? parseInt(textOf(firstDescendant(app, "Pages"))) : NaN;
+    metadata.pages = Number.isNaN(pages) ? null : pages;
+  } catch (error) {
+    logger.warn("Failed to read document properties:", error.message);
+  }
+
+  return metadata;
+}
+
+// Resolve paragraph styles to heading levels and inherited numbering
+function parseStyles(stylesXml) {
+  const styles = new Map();
+  if (!stylesXml) return styles;
+
+  for (const style of elements(stylesXml.documentElement, "style")) {
+    if (attr(style, "type") !== "paragraph") continue;
+
+    const pPr = firstChild(style, "pPr");
+    const numPr = pPr && firstChild(pPr, "numPr");
+    const outlineLvl = pPr && firstChild(pPr, "outlineLvl");
+
+    styles.set(attr(style, "styleId"), {
+      name: attr(firstChild(style, "name"), "val") || "",
+      basedOn: attr(firstChild(style, "basedOn"), "val"),
+      outlineLevel: outlineLvl ? parseInt(attr(outlineLvl, "val")) : null,
+      numId: numPr ? attr(firstChild(numPr, "numId"), "val") : null,
+      ilvl: numPr ? attr(firstChild(numPr, "ilvl"), "val") : null,
+    });
+  }
+
+  return styles;
+}
+
+function resolveStyle(styles, styleId) {
+  const resolved = { name: "", outlineLevel: null, numId: null, ilvl: null };
+  const seen = new Set();
+  let current = styleId;
+
+  // Walk up the basedOn chain; the nearest definition wins
+  while (current && styles.has(current) && !seen.has(current)) {
+    seen.add(current);
+    const style = styles.get(current);
+    resolved.name ||= style.name;
+    resolved.outlineLevel ??= style.outlineLevel;
+    resolved.numId ??= style.numId;
+    resolved.ilvl ??= style.ilvl;
+    current = style.basedOn;
+  }
+
+  return resolved;
+}
+
+// Tracks list counters so numbered paragraphs get their rendered labels
+class NumberingState {
+  constructor(numberingXml) {
+    this.abstracts = new Map();
+    this.nums = new Map();
+    this.counters = new Map();
+
+    if (!numberingXml) return;
+
+    for (const abstract of elements(
+      numberingXml.documentElement,
+      "abstractNum",
+    )) {
+      const levels = new Map();
+      for (const lvl of elements(abstract, "lvl")) {
+        levels.set(parseInt(attr(lvl, "ilvl")), {
+          start: parseInt(attr(firstChild(lvl, "start"), "val") ?? "1"),
+          format: attr(firstChild(lvl, "numFmt"), "val") || "decimal",
+          text: attr(firstChild(lvl, "lvlText"), "val") ?? "",
+          legal: Boolean(firstChild(lvl, "isLgl")),
+        });
+      }
+      this.abstracts.set(attr(abstract, "abstractNumId"), levels);
+    }
+
+    for (const num of elements(numberingXml.documentElement, "num")) {
+      const overrides = new Map();
+      for (const override of elements(num, "lvlOverride")) {
+        const start = firstChild(override, "startOverride");
+        if (start) {
+          overrides.set(
+            parseInt(attr(override, "ilvl")),
+            parseInt(attr(start, "val")),
+          );
+        }
+      }
+
+      this.nums.set(attr(num, "numId"), {
+        abstractId: attr(firstChild(num, "abstractNumId"), "val"),
+        overrides,
+        used: false,
+      });
+    }
+  }
+
+  // Advance the counter for a list level and return the rendered label
+  next(numId, ilvl) {
+    const num = this.nums.get(numId);
+    if (!num) return null;
+
+    const levels = this.abstracts.get(num.abstractId);
+    const level = levels?.get(ilvl);
+    if (!level) return null;
+
+    // Lists sharing an abstract definition continue each other's numbering
+    if (!this.counters.has(num.abstractId)) {
+      this.counters.set(num.abstractId, []);
+    }
+    const counters = this.counters.get(num.abstractId);
+
+    if (!num.used) {
+      num.used = true;
+      for (const [overrideLevel, start] of num.overrides) {
+        counters[overrideLevel] = start - 1;
+      }
+    }
+
+    for (let i = 0; i < ilvl; i++) {
+      if (counters[i] === undefined) counters[i] = levels.get(i)?.start ?? 1;
+    }
+    counters[ilvl] =
+      counters[ilvl] === undefined ? level.start : counters[ilvl] + 1;
+    counters.length = ilvl + 1;
+
+    if (level.format === "bullet" || level.format === "none") return null;
+
+    const label = level.text.replace(/%(\d)/g, (_, index) => {
+      const depth = parseInt(index) - 1;
+      const depthLevel = levels.get(depth) || level;
+      const format = level.legal ? "decimal" : depthLevel.format;
+      return formatNumber(counters[depth] ?? depthLevel.start, format);
+    });
+
+    return label.trim() || null;
+  }
+}
+
+function formatNumber(value, format) {
+  switch (format) {
+    case "lowerLetter":
+      return toLetters(value);
+    case "upperLetter":
+      return toLetters(value).toUpperCase();
+    case "lowerRoman":
+      return toRoman(value);
+    case "upperRoman":
+      return toRoman(value).toUpperCase();
+    case "decimalZero":
+      return String(value).padStart(2, "0");
+    default:
+      return String(value);
+  }
+}
+
+function toLetters(value) {
+  // Word repeats the letter after z: a..z, aa..zz
+  const letter = String.fromCharCode(97 + ((value - 1) % 26));
+  return letter.repeat(Math.floor((value - 1) / 26) + 1);
+}
+
+function toRoman(value) {
+  let remaining = value;
+  let result = "";
+  for (const [amount, numeral] of ROMAN_NUMERALS) {
+    while (remaining >= amount) {
+      result += numeral;
+      remaining -= amount;
+    }
+  }
+  return result;
+}
+
+function addParagraph(builder, paragraph, styles, numbering) {
+  const pPr = firstChild(paragraph, "pPr");
+  const styleId = pPr ? attr(firstChild(pPr, "pStyle"), "val") : null;
+  const style = resolveStyle(styles, styleId);
+
+  const numPr = pPr && firstChild(pPr, "numPr");
+  const numId =
+    (numPr && attr(firstChild(numPr, "numId"), "val")) || style.numId;
+  const ilvl = parseInt(
+    (numPr && attr(firstChild(numPr, "ilvl"), "val")) || style.ilvl || "0",
+  );
+
+  const text = paragraphText(paragraph).trim();
+  if (!text) return;
+
+  // numId 0 explicitly removes numbering inherited from the style
+  const number = numId && numId !== "0" ? numbering.next(numId, ilvl) : null;
+
+  const ownOutline = pPr && firstChild(pPr, "outlineLvl");
+  const outlineLevel = ownOutline
+    ? parseInt(attr(ownOutline, "val"))
+    : style.outlineLevel;
+  const headingMatch = style.name.match(/^heading\s*(\d)/i);
+
+  let headingLevel = null;
+  if (headingMatch) headingLevel = parseInt(headingMatch[1]);
+  else if (/^title$/i.test(style.name)) headingLevel = 0;
+  else if (outlineLevel !== null && outlineLevel < 9)
+    headingLevel = outlineLevel + 1;
+
+  builder.addParagraph({
+    number,
+    text,
+    level: headingLevel ?? (number ? ilvl + 1 : null),
+    heading: headingLevel !== null,
+    style: style.name || styleId,
+  });
+}
+
+function addTable(builder, table) {
+  const rows = elements(table, "tr", false).map((row) =>
+    elements(row, "tc", false).map((cell) =>
+      elements(cell, "p")
+        .map((paragraph) => paragraphText(paragraph).trim())
+        .filter(Boolean)
+        .join(" "),
+    ),
+  );
+
+  builder.addTable(rows);
+}
+
+// Collect visible run text in document order, skipping deleted revisions
+function paragraphText(paragraph) {
+  let text = "";
+
+  const visit = (node) => {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+
+      switch (child.localName) {
+        case "t":
+          text += textOf(child);
+          break;
+        case "tab":
+          text += "\t";
+          break;
+        case "br":
+        case "cr":
+          text += "\n";
+          break;
+        case "del":
+        case "delText":
+        case "instrText":
+        case "pPr":
+        case "rPr":
+          break;
+        default:
+          visit(child);
+      }
+    }
+  };
+
+  visit(paragraph);
+  return text;
+}
+
+// Visit top-level block content, descending through content controls
+function walkBlocks(node, visit) {
+  if (!node) return;
+
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType !== 1) continue;
+
+    if (child.localName === "sdt") {
+      walkBlocks(firstChild(child, "sdtContent"), visit);
+    } else {
+      visit(child);
+    }
+  }
+}
+
+function isLikelyHeading(line) {
+  const trimmed = line.trim();
+  return (
+    trimmed.length < 80 &&
+    !/[.;:,]$/.test(trimmed) &&
+    (trimmed === trimmed.toUpperCase() ||
+      /^(article|schedule)\b/i.test(trimmed))
+  );
+}
+
+function numberDepth(number) {
+  if (/^(article|schedule)/i.test(number)) return 1;
+  if (/^(section|clause)/i.test(number)) return 2;
+  const dotted = number.match(/^\d+(?:\.\d+)*/);
+  const parenthesised = (number.match(/\(/g) || []).length;
+  return (dotted ? dotted[0].split(".").length : 0) + parenthesised || 1;
+}
+
+// Small DOM helpers that match on local names so namespace prefixes don't matter
+function elements(node, localName, deep = true) {
+  const result = [];
+  if (!node) return result;
+
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType !== 1) continue;
+    if (child.localName === localName) result.push(child);
+    // Nested tables have their own rows; don't flatten them into this one
+    if (deep && child.localName !== "tbl") {
+      result.push(...elements(child, localName, deep));
+    }
+  }
+
+  return result;
+}
+
+function firstChild(node, localName) {
+  if (!node) return null;
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.localName === localName) return child;
+  }
+  return null;
+}
+
+function firstDescendant(node, localName) {
+  return elements(node.documentElement || node, localName)[0] || null;
+}
+
+function attr(node, localName) {
+  if (!node || !node.attributes) return null;
+  for (let i = 0; i < node.attributes.length; i++) {
+    const attribute = node.attributes[i];
+    if (attribute.localName === localName) return attribute.value;
+  }
+  return null;
+}
+
+function textOf(node) {
+  return node ? node.textContent || "" : "";
+}
@@ -0,0 +1,47 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, afterEach, vi } from "vitest";
+import adminRoutes from "../src/routes/admin.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/admin", adminRoutes);
+
+afterEach(() => vi.unstubAllEnvs());
+
+describe("admin API key", () => {
+  it("disables the admin API when no key is configured", async () => {
+    vi.stubEnv("ADMIN_API_KEY", "");
+
+    const list = await request(app).get("/api/admin/patterns");
+    const save = await request(app)
+      .put("/api/admin/playbooks/standard")
+      .send({ name: "standard", rules: [] });
+
+    expect(list.status).toBe(503);
+    expect(save.status).toBe(503);
+  });
+
+  it("rejects a missing or wrong key", async () => {
+    vi.stubEnv("ADMIN_API_KEY", "s3cret");
+
+    const missing = await request(app).post("/api/admin/patterns/reload");
+    const wrong = await request(app)
+      .post("/api/admin/playbooks/reload")
+      .set("X-Admin-Key", "s3cre");
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+  });
+
+  it("accepts the configured key", async () => {
+    vi.stubEnv("ADMIN_API_KEY", "s3cret");
+
+    const response = await request(app)
+      .get("/api/admin/patterns")
+      .set("X-Admin-Key", "s3cret");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.packs.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from "vitest";
+import databaseService from "../src/services/databaseService.js";
+import {
+  deleteDocumentAnalyses,
+  getAnalysisHistory,
+  getDocumentAnalysis,
+  saveDocumentAnalysis,
+} from "../src/services/analysisRepository.js";
+
+// Firestore replicas, keyed by document id
+const replicas = vi.hoisted(() => new Map());
+
+vi.mock("../src/services/googleCloud.js", () => ({
+  firestore: {},
+  initializeGoogleCloud: vi.fn(),
+  saveDocumentAnalysis: vi.fn(async (documentId, analysis) => {
+    replicas.set(documentId, analysis);
+    return documentId;
+  }),
+  getDocumentAnalysis: vi.fn(async (documentId) =>
+    replicas.has(documentId)
+      ? { id: documentId, ...replicas.get(documentId) }
+      : null,
+  ),
+  deleteDocumentAnalysis: vi.fn(async (documentId) => {
+    replicas.delete(documentId);
+  }),
+}));
+
+function analysis(overallRisk) {
+  return {
+    summary: { overallRisk },
+    clauses: [],
+    riskAssessment: [],
+    confidence: 0.8,
+    processingTime: 10,
+  };
+}
+
+async function saveDocument(id) {
+  await databaseService.saveDocument({
+    id,
+    filename: `${id}.txt`,
+    originalName: `${id}.txt`,
+    extractedText: "The Tenant shall pay rent.",
+  });
+}
+
+afterEach(() => vi.unstubAllEnvs());
+
+describe("analysis repository", () => {
+  beforeAll(() => saveDocument("versions"));
+
+  it("numbers runs and reads the latest or a given version", async () => {
+    const first = await saveDocumentAnalysis("versions", analysis("low"));
+    const second = await saveDocumentAnalysis("versions", analysis("high"));
+
+    expect([first.version, second.version]).toEqual([1, 2]);
+    expect(await getDocumentAnalysis("versions")).toMatchObject({
+      id: second.id,
+      version: 2,
+      summary: { overallRisk: "high" },
+    });
+    expect(await getDocumentAnalysis("versions", 1)).toMatchObject({
+      id: first.id,
+      summary: { overallRisk: "low" },
+    });
+    expect(await getDocumentAnalysis("versions", 3)).toBeNull();
+  });
+
+  it("lists the history newest first", async () => {
+    const history = await getAnalysisHistory("versions");
+
+    expect(history.map((run) => run.version)).toEqual([2, 1]);
+    expect(history[0]).toMatchObject({ confidence: 0.8, processingTime: 10 });
+  });
+});
+
+describe("analysis repository with Firestore replication", () => {
+  beforeAll(() => saveDocument("replicated"));
+
+  it("copies runs to Firestore and reads them when none are stored locally", async () => {
+    vi.stubEnv("ANALYSIS_REPLICATION", "firestore");
+    await saveDocumentAnalysis("replicated", analysis("medium"));
+    await vi.waitFor(() => expect(replicas.has("replicated")).toBe(true));
+
+    await databaseService.deleteAnalyses("replicated");
+
+    expect(await getDocumentAnalysis("replicated")).toMatchObject({
+      summary: { overallRisk: "medium" },
+    });
+  });
+
+  it("does not bring a deleted analysis back from Firestore", async () => {
+    // A local run, with the replica saved by the previous test
+    await saveDocumentAnalysis("replicated", analysis("medium"));
+    vi.stubEnv("ANALYSIS_REPLICATION", "firestore");
+
+    await deleteDocumentAnalyses("replicated");
+
+    expect(replicas.has("replicated")).toBe(false);
+    expect(await getDocumentAnalysis("replicated")).toBeNull();
+    expect(await getAnalysisHistory("replicated")).toEqual([]);
+  });
+});
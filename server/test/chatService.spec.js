@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect, beforeAll, afterEach, vi } from "vitest";
+import databaseService from "../src/services/databaseService.js";
+import chatService from "../src/services/chatService.js";
+import { registerLlmProvider } from "../src/services/llmService.js";
+import {
+  indexDocument,
+  retrieveChunks,
+} from "../src/services/retrievalService.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEASE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "documents", "lease.txt"),
+  "utf8",
+);
+const DOCUMENT_ID = "lease";
+
+// Streams part of an answer, then fails
+registerLlmProvider("interrupted", () => ({
+  name: "interrupted",
+  async generate() {
+    throw new Error("Provider unavailable");
+  },
+  async *stream() {
+    yield "Either party ";
+    yield "may end ";
+    throw new Error("Connection reset");
+  },
+}));
+
+registerLlmProvider("unavailable", () => ({
+  name: "unavailable",
+  async generate() {
+    throw new Error("Provider unavailable");
+  },
+  async *stream() {
+    throw new Error("Provider unavailable");
+  },
+}));
+
+beforeAll(async () => {
+  await databaseService.saveDocument({
+    id: DOCUMENT_ID,
+    filename: "lease.txt",
+    originalName: "lease.txt",
+    extractedText: LEASE,
+  });
+  await indexDocument(DOCUMENT_ID, LEASE);
+});
+
+afterEach(() => vi.unstubAllEnvs());
+
+async function streamAnswer(provider) {
+  vi.stubEnv("LLM_PROVIDER", provider);
+  const events = [];
+  const response = await chatService.generateResponse(
+    DOCUMENT_ID,
+    "How can the lease be ended?",
+    `session-${provider}`,
+    {
+      onDelta: (delta) => events.push(["delta", delta]),
+      onReplace: (text) => events.push(["replace", text]),
+    },
+  );
+  return { events, response };
+}
+
+describe("retrieval", () => {
+  it("finds the clause a question is about, with its offsets", async () => {
+    const [best] = await retrieveChunks(DOCUMENT_ID, "late fee for rent");
+
+    expect(best.text).toContain("late fee of £50");
+    expect(LEASE.slice(best.start, best.end)).toBe(best.text);
+  });
+});
+
+describe("streamed chat answers", () => {
+  it("replaces partly streamed text when the model fails", async () => {
+    const { events, response } = await streamAnswer("interrupted");
+
+    expect(events.slice(0, 2)).toEqual([
+      ["delta", "Either party "],
+      ["delta", "may end "],
+    ]);
+    expect(events.slice(2)).toEqual([["replace", response.response]]);
+    expect(response.response).toMatch(/60 days' written notice/);
+
+    const history = await databaseService.getChatHistory(
+      DOCUMENT_ID,
+      "session-interrupted",
+    );
+    expect(history.map((message) => message.content)).toEqual([
+      response.response,
+    ]);
+  });
+
+  it("streams the excerpt answer as one delta when nothing was sent", async () => {
+    const { events, response } = await streamAnswer("unavailable");
+
+    expect(events).toEqual([["delta", response.response]]);
+  });
+});
@@ -0,0 +1,284 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect } from "vitest";
+import { detectClauses } from "../src/services/aiAnalyzer.js";
+import { segmentDocument } from "../src/services/clauseSegmenter.js";
+import { matchTerms } from "../src/services/clauseMatcher.js";
+import {
+  getClausePatterns,
+  loadPatternLibrary,
+  PatternLibraryError,
+} from "../src/services/patternLibrary.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { documents } = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "fixtures", "clauses", "corpus.json"),
+    "utf8",
+  ),
+);
+
+// Minimum precision and recall per clause type, and across all types
+const PER_TYPE = { precision: 0.8, recall: 0.6 };
+const OVERALL = { precision: 0.95, recall: 0.9 };
+
+async function evaluate() {
+  const counts = {};
+  const count = (type) =>
+    (counts[type] ??= { truePositives: 0, falsePositives: 0, misses: 0 });
+
+  for (const document of documents) {
+    const clauses = await detectClauses(
+      document.text,
+      segmentDocument(document.text),
+    );
+    const detected = new Set(clauses.map((clause) => clause.type));
+
+    for (const type of detected) {
+      if (document.labels.includes(type)) count(type).truePositives++;
+      else count(type).falsePositives++;
+    }
+    for (const type of document.labels) {
+      if (!detected.has(type)) count(type).misses++;
+    }
+  }
+  return counts;
+}
+
+function precision({ truePositives, falsePositives }) {
+  const detected = truePositives + falsePositives;
+  return detected === 0 ? 1 : truePositives / detected;
+}
+
+function recall({ truePositives, misses }) {
+  const labelled = truePositives + misses;
+  return labelled === 0 ? 1 : truePositives / labelled;
+}
+
+describe("clause detection against the labelled corpus", async () => {
+  const counts = await evaluate();
+
+  it.each(Object.keys(counts).sort())("%s meets the thresholds", (type) => {
+    expect(precision(counts[type])).toBeGreaterThanOrEqual(PER_TYPE.precision);
+    expect(recall(counts[type])).toBeGreaterThanOrEqual(PER_TYPE.recall);
+  });
+
+  it("meets the overall thresholds", () => {
+    const total = Object.values(counts).reduce(
+      (sum, type) => ({
+        truePositives: sum.truePositives + type.truePositives,
+        falsePositives: sum.falsePositives + type.falsePositives,
+        misses: sum.misses + type.misses,
+      }),
+      { truePositives: 0, falsePositives: 0, misses: 0 },
+    );
+    expect(precision(total)).toBeGreaterThanOrEqual(OVERALL.precision);
+    expect(recall(total)).toBeGreaterThanOrEqual(OVERALL.recall);
+  });
+
+  it("detects nothing in documents without clauses", async () => {
+    for (const document of documents.filter((doc) => !doc.labels.length)) {
+      const clauses = await detectClauses(
+        document.text,
+        segmentDocument(document.text),
+      );
+      expect(clauses.map((clause) => clause.type)).toEqual([]);
+    }
+  });
+});
+
+describe("matchTerms", () => {
+  const terminate = [/\bterminat\w*/gi];
+  const statuses = (text, patterns = terminate, options) =>
+    matchTerms(text, patterns, options).hits.map((hit) => hit.status);
+
+  it("keeps plain hits", () => {
+    const result = matchTerms(
+      "Either party may terminate on notice.",
+      terminate,
+    );
+    expect(result).toMatchObject({ weight: 1, count: 1, discarded: 0 });
+  });
+
+  it("discards negated hits within the phrase", () => {
+    expect(statuses("This Agreement shall not terminate early.")).toEqual([
+      "negated",
+    ]);
+    expect(statuses("The Tenant cannot lawfully terminate.")).toEqual([
+      "negated",
+    ]);
+    // The negation belongs to an earlier phrase
+    expect(statuses("No notice is needed; either may terminate.")).toEqual([
+      "match",
+    ]);
+  });
+
+  it("keeps negated hits when asked to", () => {
+    expect(
+      statuses("The Employee shall not terminate.", terminate, {
+        negation: "keep",
+      }),
+    ).toEqual(["match"]);
+  });
+
+  it("discards exceptions and cross-references", () => {
+    expect(
+      statuses("Except as provided in Section 5 (Termination), it continues."),
+    ).toEqual(["reference"]);
+    expect(statuses("Other than on termination, no refund is due.")).toEqual([
+      "exception",
+    ]);
+  });
+
+  it("discards stock phrases", () => {
+    const end = [/\bend\b/gi];
+    const byDefault = [/\bdefault\b/gi];
+    expect(statuses("At the end of the day, drivers return.", end)).toEqual([
+      "idiom",
+    ]);
+    expect(
+      statuses("Deliveries are on Mondays by default.", byDefault),
+    ).toEqual(["idiom"]);
+    expect(statuses("The loan is in default.", byDefault)).toEqual(["match"]);
+  });
+
+  it("discards boilerplate sentences", () => {
+    expect(
+      statuses(
+        "The headings are for convenience and do not affect termination.",
+      ),
+    ).toEqual(["boilerplate"]);
+  });
+
+  it("counts hedged hits at half weight", () => {
+    const result = matchTerms("Shipping charges, if any, are extra.", [
+      /\bcharges?\b/gi,
+    ]);
+    expect(result.hits[0].status).toBe("hedged");
+    expect(result.weight).toBe(0.5);
+    expect(result.count).toBe(1);
+  });
+});
+
+describe("detectClauses", () => {
+  const types = async (text) =>
+    (await detectClauses(text)).map((clause) => clause.type);
+
+  it("counts a heading that names the topic on its own", async () => {
+    expect(
+      await types(
+        "1. Services\nThe Supplier shall provide support.\n\n2. Confidentiality\nThe Supplier shall keep the Client's plans secret.",
+      ),
+    ).toContain("confidentiality");
+  });
+
+  it("matches plurals of short keywords", async () => {
+    expect(
+      await types(
+        "1. Services\nThe Supplier shall provide support.\n\n2. Fees\nThe Client shall remit £500 each quarter.",
+      ),
+    ).toContain("payment");
+  });
+
+  it("detects a single termination sentence under another heading", async () => {
+    expect(
+      await types(
+        "1. Services\nThe Supplier shall provide support.\n\n2. General\nEither party may terminate on 90 days' notice.",
+      ),
+    ).toContain("termination");
+  });
+
+  it("summarises without splitting clause numbers or decimals", async () => {
+    const [payment] = await detectClauses(
+      "5. Payment\n5.1 Invoices are issued monthly in arrears by the Supplier.\n5.2 The Client shall pay each invoice within 30 days of receipt. Late payment incurs interest of 2.5% per month.",
+    );
+
+    expect(payment.type).toBe("payment");
+    expect(payment.summary).toBe(
+      "5.2 The Client shall pay each invoice within 30 days of receipt. Late payment incurs interest of 2.5% per month.",
+    );
+  });
+});
+
+describe("clause types", () => {
+  const examples = {
+    auto_renewal:
+      "This Agreement shall automatically renew for successive one-year terms unless either party gives 60 days' notice of non-renewal.",
+    non_compete:
+      "For twelve months after termination the Employee shall not compete with the Company or solicit its customers.",
+    arbitration:
+      "Any dispute shall be resolved by binding arbitration, and each party waives the right to bring a class action.",
+    governing_law:
+      "This Agreement is governed by the laws of the State of New York.",
+    assignment:
+      "Neither party may assign this Agreement without the prior written consent of the other party.",
+    unilateral_amendment:
+      "The Company may amend these terms at any time at its sole discretion by posting the changes on its website.",
+    security_deposit:
+      "The Tenant shall pay a security deposit of $2,000, refundable within 30 days after the tenancy ends.",
+    warranties:
+      "The Software is provided as is, and the Supplier disclaims all implied warranties of merchantability.",
+    data_protection:
+      "The Processor shall process personal data only on the Controller's documented instructions and report any data breach.",
+    indemnity:
+      "The Customer shall indemnify and hold harmless the Supplier against all third-party claims.",
+  };
+
+  it.each(Object.entries(examples))(
+    "detects %s with its rationale and explanation",
+    async (type, sentence) => {
+      const config = getClausePatterns().clauses[type];
+      const clauses = await detectClauses(`1. General\n${sentence}`);
+
+      expect(clauses.map((clause) => clause.type)).toEqual([type]);
+      expect(clauses[0]).toMatchObject({
+        title: config.title,
+        riskLevel: config.riskLevel,
+        rationale: config.rationale,
+        explanation: config.explanation,
+      });
+      expect(config.rationale).not.toBe("");
+      expect(config.explanation).not.toBe("");
+    },
+  );
+
+  it("keeps the base rationale and explanation under an overlay", () => {
+    const base = getClausePatterns().clauses.non_compete;
+    const uk = getClausePatterns("UK").clauses.non_compete;
+
+    expect(uk).toMatchObject({
+      rationale: base.rationale,
+      explanation: base.explanation,
+    });
+    expect(uk.keywords).toContain("restraint of trade");
+  });
+
+  it("requires a rationale and explanation in the base pack", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "patterns-"));
+    fs.writeFileSync(
+      path.join(directory, "base.yaml"),
+      "name: base\nversion: 1.0.0\nclauses:\n  escrow:\n    keywords: [escrow]\n    riskLevel: medium\n",
+    );
+
+    try {
+      let error;
+      try {
+        loadPatternLibrary({ directory });
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).toBeInstanceOf(PatternLibraryError);
+      expect(error.details.map((problem) => problem.path)).toEqual(
+        expect.arrayContaining([
+          "clauses.escrow.rationale",
+          "clauses.escrow.explanation",
+        ]),
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { segmentDocument } from "../src/services/clauseSegmenter.js";
+import { findMissingClauses } from "../src/services/clauseTemplates.js";
+
+const LEASE = `RESIDENTIAL LEASE AGREEMENT
+1. Rent. The Tenant shall pay rent of $1,200 per month, due on the first day of each month.
+2. Deposit. The Tenant shall pay a security deposit of $1,200, returned within 30 days of the end of the tenancy.
+3. Repairs. The Landlord shall make all structural repairs.
+4. Term. The tenancy has a term of twelve months, commencing on 1 March 2025.
+5. Access. The Landlord may enter the property after giving 24 hours' notice.
+6. General. Either party may terminate on 90 days' notice.`;
+
+function check(text, type = "rental", clauses = []) {
+  return findMissingClauses(text, segmentDocument(text), clauses, type);
+}
+
+function missingIds(result) {
+  return result.missing.map((entry) => entry.id);
+}
+
+describe("findMissingClauses", () => {
+  it("finds termination wording the detector did not label", () => {
+    const result = check(LEASE);
+    const termination = result.present.find(
+      (entry) => entry.id === "termination",
+    );
+
+    expect(missingIds(result)).toEqual([]);
+    expect(termination.evidence).toMatchObject({
+      clause: { number: "6" },
+      clauseType: null,
+    });
+  });
+
+  it("finds notice-to-terminate wording in employment and service agreements", () => {
+    const employment = check(
+      "The Employer may give the Employee one month's notice to terminate employment.",
+      "employment",
+    );
+    const service = check(
+      "The Client may terminate the services on 30 days' written notice.",
+      "service",
+    );
+
+    expect(missingIds(employment)).toContain("compensation");
+    expect(missingIds(employment)).not.toContain("termination");
+    expect(missingIds(service)).not.toContain("termination");
+  });
+
+  it("reports termination missing without a clause or notice wording", () => {
+    const text = LEASE.replace(
+      "Either party may terminate on 90 days' notice.",
+      "This lease is governed by the laws of England.",
+    );
+
+    expect(missingIds(check(text))).toEqual(["termination"]);
+  });
+
+  it("does not count a negated deposit refund", () => {
+    const text = LEASE.replace(
+      "returned within 30 days of the end of the tenancy.",
+      ". No part of the deposit shall be refunded.",
+    );
+
+    expect(missingIds(check(text))).toEqual(["deposit_refund"]);
+  });
+
+  it("has no template for unknown types", () => {
+    expect(check(LEASE, "other")).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  MemoryDatabaseService,
+  SqliteDatabaseService,
+  DocumentNotFoundError,
+} from "../src/services/databaseService.js";
+
+const DOCUMENT = {
+  id: "doc-1",
+  filename: "lease.pdf",
+  originalName: "Lease.pdf",
+  mimeType: "application/pdf",
+  fileSize: 1024,
+  extractedText: "1. Rent. The Tenant shall pay rent monthly.",
+  pages: 1,
+  wordCount: 8,
+};
+
+const CHUNK = {
+  index: 0,
+  heading: "Rent",
+  number: "1",
+  pageNumber: 1,
+  start: 0,
+  end: 44,
+  text: DOCUMENT.extractedText,
+};
+
+async function openSqlite(filename = ":memory:") {
+  const database = new SqliteDatabaseService({ filename });
+  await database.initialize();
+  await database.migrate();
+  return database;
+}
+
+describe.each([
+  ["memory", async () => new MemoryDatabaseService()],
+  ["sqlite", () => openSqlite()],
+])("%s backend", (_, open) => {
+  let database;
+
+  beforeEach(async () => {
+    database = await open();
+    await database.saveDocument(DOCUMENT);
+  });
+
+  afterEach(() => database.close());
+
+  it("rejects chat and voice records for an unknown document", async () => {
+    await expect(
+      database.createChatSession({
+        id: "s",
+        documentId: "missing",
+        sessionId: "s1",
+      }),
+    ).rejects.toBeInstanceOf(DocumentNotFoundError);
+    await expect(
+      database.saveChatMessage({
+        id: "m",
+        sessionId: "s1",
+        documentId: "missing",
+        messageType: "user",
+        content: "Hello",
+      }),
+    ).rejects.toBeInstanceOf(DocumentNotFoundError);
+    await expect(
+      database.createVoiceSession({
+        id: "v",
+        documentId: "missing",
+        sessionId: "s1",
+      }),
+    ).rejects.toBeInstanceOf(DocumentNotFoundError);
+  });
+
+  it("creates the session for a message sent to a new session", async () => {
+    await database.saveChatMessage({
+      id: "m1",
+      sessionId: "s1",
+      documentId: DOCUMENT.id,
+      messageType: "user",
+      content: "Is the rent fixed?",
+    });
+
+    const session = await database.getChatSession(DOCUMENT.id, "s1");
+    expect(session.title).toBe("Chat Session 1");
+    expect(await database.getChatHistory(DOCUMENT.id, "s1")).toHaveLength(1);
+  });
+
+  it("keeps sessions and chunks when a document is saved again", async () => {
+    await database.saveChatMessage({
+      id: "m1",
+      sessionId: "s1",
+      documentId: DOCUMENT.id,
+      messageType: "user",
+      content: "Is the rent fixed?",
+    });
+    await database.createVoiceSession({
+      id: "v1",
+      documentId: DOCUMENT.id,
+      sessionId: "s2",
+    });
+    await database.saveDocumentChunks(DOCUMENT.id, [CHUNK]);
+
+    await database.saveDocument({ ...DOCUMENT, status: "processed" });
+
+    expect((await database.getDocument(DOCUMENT.id)).status).toBe("processed");
+    expect(await database.getChatHistory(DOCUMENT.id, "s1")).toHaveLength(1);
+    expect(await database.getVoiceSession(DOCUMENT.id, "s2")).not.toBeNull();
+    expect(await database.getDocumentChunks(DOCUMENT.id)).toHaveLength(1);
+  });
+
+  it("deletes sessions, messages, chunks and analyses with the document", async () => {
+    await database.saveChatMessage({
+      id: "m1",
+      sessionId: "s1",
+      documentId: DOCUMENT.id,
+      messageType: "user",
+      content: "Is the rent fixed?",
+    });
+    await database.createVoiceSession({
+      id: "v1",
+      documentId: DOCUMENT.id,
+      sessionId: "s2",
+    });
+    await database.saveDocumentChunks(DOCUMENT.id, [CHUNK]);
+    await database.saveAnalysis({
+      id: "a1",
+      documentId: DOCUMENT.id,
+      analysis: { summary: { overallRisk: "low" } },
+    });
+
+    await database.deleteDocument(DOCUMENT.id);
+
+    expect(await database.getDocument(DOCUMENT.id)).toBeNull();
+    expect(await database.getChatSession(DOCUMENT.id, "s1")).toBeNull();
+    expect(await database.getChatHistory(DOCUMENT.id, "s1")).toHaveLength(0);
+    expect(await database.getVoiceSession(DOCUMENT.id, "s2")).toBeNull();
+    expect(await database.getDocumentChunks(DOCUMENT.id)).toHaveLength(0);
+    expect(await database.getAnalysis(DOCUMENT.id)).toBeNull();
+  });
+});
+
+describe("sqlite backend on disk", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "lexiplain-"));
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("numbers session titles from the stored sessions after a restart", async () => {
+    const filename = path.join(directory, "lexiplain.db");
+    let database = await openSqlite(filename);
+    await database.saveDocument(DOCUMENT);
+    await database.createChatSession({
+      id: "c1",
+      documentId: DOCUMENT.id,
+      sessionId: "s1",
+    });
+    await database.close();
+
+    database = await openSqlite(filename);
+    await database.createChatSession({
+      id: "c2",
+      documentId: DOCUMENT.id,
+      sessionId: "s2",
+    });
+
+    expect((await database.getChatSession(DOCUMENT.id, "s2")).title).toBe(
+      "Chat Session 2",
+    );
+    await database.close();
+  });
+});
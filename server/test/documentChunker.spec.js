@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { chunkDocument } from "../src/services/documentChunker.js";
+
+const TENANCY = `TENANCY AGREEMENT
+
+1. Parties
+1.1 The Landlord is Jane Smith of 4 High Street, London.
+1.2 The Tenant is John Doe.
+
+2. Term
+2.1 The tenancy starts on 1 February 2025.
+2.2 The tenancy ends on 31 January 2026.
+
+3. Rent and Payment
+3.1 The Tenant shall pay rent of £1,000 per month in advance on the first day of each month.
+3.2 Rent paid more than five days late incurs a late fee of £50.
+
+4. Deposit
+The Tenant shall pay a deposit of £1,500 before the tenancy starts, which the Landlord shall protect in an approved scheme and return within 10 days of the end of the tenancy.`;
+
+const HEADINGS = ["1. Parties", "2. Term", "3. Rent and Payment", "4. Deposit"];
+
+describe.each([
+  ["default sizes", {}],
+  ["one chunk per section", { minChars: 0 }],
+])("document chunker with %s", (_, options) => {
+  const chunks = chunkDocument(TENANCY, options);
+
+  it("keeps the offsets of every chunk in the original text", () => {
+    chunks.forEach((chunk) => {
+      expect(TENANCY.slice(chunk.start, chunk.end)).toBe(chunk.text);
+    });
+    chunks.slice(1).forEach((chunk, index) => {
+      expect(chunk.start).toBeGreaterThanOrEqual(chunks[index].end);
+    });
+  });
+
+  it("starts each heading's chunk with the heading, not the chunk before", () => {
+    chunks.forEach((chunk) => {
+      const lastLine = chunk.text.split("\n").at(-1);
+      expect(HEADINGS).not.toContain(lastLine);
+    });
+
+    const rent = chunks.find((chunk) => chunk.text.includes("3.1 The Tenant"));
+    expect(rent.text).toContain("3. Rent and Payment\n3.1");
+  });
+});
+
+describe("document chunker", () => {
+  it("keeps one-line sub-clauses as their own sections", () => {
+    const chunks = chunkDocument(TENANCY, { minChars: 0 });
+    const lateFee = chunks.find((chunk) => chunk.number === "3.2");
+
+    expect(lateFee).toMatchObject({
+      start: TENANCY.indexOf("3.2 Rent paid"),
+      end: TENANCY.indexOf("\n\n4. Deposit"),
+    });
+    expect(chunks.find((chunk) => chunk.number === "3")).toMatchObject({
+      heading: "3. Rent and Payment",
+      start: TENANCY.indexOf("3. Rent and Payment"),
+      end: TENANCY.indexOf("\n3.2"),
+    });
+  });
+
+  it("attaches outline headings to the paragraphs that follow", () => {
+    const text = "Payment\nThe Client shall pay within 30 days.";
+    const chunks = chunkDocument(text, {
+      minChars: 0,
+      outline: [
+        { type: "heading", text: "Payment", start: 0 },
+        {
+          type: "paragraph",
+          number: "1",
+          text: "The Client shall pay within 30 days.",
+          start: 8,
+        },
+      ],
+    });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ heading: "Payment", start: 0 });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  classifyDocument,
+  evaluateDocumentClassifier,
+  loadTrainingSet,
+} from "../src/services/documentClassifier.js";
+
+// Minimum leave-one-out accuracy, and recall for every type
+const ACCURACY = 0.9;
+const RECALL = 0.8;
+
+const SERVICES_WITH_NDA = `PROFESSIONAL SERVICES AGREEMENT
+1. Services. The Consultant shall provide data migration services as described in the statement of work.
+2. Fees. The Client shall pay the Consultant $15,000 per month, invoiced monthly.
+3. Confidentiality. The Consultant shall hold all confidential information of the Client in strict confidence and shall not disclose it to any third party. Confidential information does not include information that is publicly available. The Consultant shall return or destroy all confidential information at the end of the engagement. These obligations survive for two years after termination.
+4. Term. Either party may terminate this Agreement on 30 days' notice.`;
+
+describe("document type classifier", () => {
+  const report = evaluateDocumentClassifier();
+
+  it("classifies held-out training documents", () => {
+    expect(report.accuracy).toBeGreaterThanOrEqual(ACCURACY);
+  });
+
+  it.each(Object.keys(report.perType))("recognises %s documents", (type) => {
+    expect(report.perType[type].recall).toBeGreaterThanOrEqual(RECALL);
+  });
+
+  it("keeps held-out service agreements with NDA sections as services", () => {
+    const services = loadTrainingSet()
+      .filter(
+        (document) =>
+          document.type === "service" && document.secondary?.includes("nda"),
+      )
+      .map((document) => document.id);
+
+    expect(
+      report.errors.filter((error) => services.includes(error.id)),
+    ).toEqual([]);
+  });
+
+  it("returns a probability for every type", () => {
+    const { distribution } = classifyDocument(SERVICES_WITH_NDA);
+    const total = distribution.reduce(
+      (sum, entry) => sum + entry.probability,
+      0,
+    );
+
+    expect(distribution).toHaveLength(10);
+    expect(total).toBeCloseTo(1, 2);
+    expect(distribution[0].probability).toBeGreaterThanOrEqual(
+      distribution[1].probability,
+    );
+  });
+
+  it("labels an NDA section inside a service agreement as secondary", () => {
+    const result = classifyDocument(SERVICES_WITH_NDA);
+
+    expect(result.type).toBe("service");
+    expect(result.secondary.map((entry) => entry.type)).toContain("nda");
+  });
+
+  it("lists types that only win sentences as mentions", () => {
+    const { text } = loadTrainingSet().find(
+      (document) => document.id === "employment-with-confidentiality",
+    );
+    const result = classifyDocument(text);
+
+    expect(result.type).toBe("employment");
+    expect(result.mentions.map((entry) => entry.type)).toContain("nda");
+    result.secondary.forEach((entry) =>
+      expect(entry.probability).toBeGreaterThanOrEqual(0.15),
+    );
+  });
+
+  it("falls back to a generic label without legal wording", () => {
+    const result = classifyDocument("The weather today is sunny.");
+
+    expect(result).toMatchObject({ type: "other", label: "Legal Document" });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from "vitest";
+import {
+  compareDocuments,
+  diffWords,
+} from "../src/services/documentComparer.js";
+
+const BASE = `SERVICE AGREEMENT
+1. Payment. Rent is due on the 1st day of each month.
+2. Confidentiality. Each party shall keep the other party's information confidential.
+3. Liability. The Provider's liability is limited to the fees paid in the last twelve months.
+4. Notices. Notices must be sent in writing to the addresses above.`;
+
+const REVISED = `SERVICE AGREEMENT
+1. Payment. Rent is due on the 5th day of each month.
+2. Liability. The Provider shall have unlimited liability for all losses.
+3. Notices. Notices must be sent in writing to the addresses above.
+4. Auto-Renewal. This Agreement shall automatically renew for successive one-year terms.`;
+
+function clauseFor(result, heading) {
+  return result.clauses.find(
+    (clause) => (clause.revised || clause.base).heading === heading,
+  );
+}
+
+describe("diffWords", () => {
+  it("returns equal, delete and insert runs", () => {
+    expect(diffWords("due on the 1st day", "due on the 5th day")).toEqual([
+      { type: "equal", text: "due on the " },
+      { type: "delete", text: "1st" },
+      { type: "insert", text: "5th" },
+      { type: "equal", text: " day" },
+    ]);
+  });
+
+  it("reads a rewritten phrase as one deletion and one insertion", () => {
+    expect(
+      diffWords("is limited to fees.", "is unlimited for all losses."),
+    ).toEqual([
+      { type: "equal", text: "is " },
+      { type: "delete", text: "limited to fees" },
+      { type: "insert", text: "unlimited for all losses" },
+      { type: "equal", text: "." },
+    ]);
+  });
+
+  it("returns one equal run for identical text", () => {
+    expect(diffWords("No change.", "No change.")).toEqual([
+      { type: "equal", text: "No change." },
+    ]);
+  });
+});
+
+describe("compareDocuments", async () => {
+  const result = await compareDocuments({ text: BASE }, { text: REVISED });
+
+  it("counts each kind of change", () => {
+    expect(result.summary).toEqual({
+      added: 1,
+      removed: 1,
+      modified: 2,
+      unchanged: 2,
+      renumbered: 2,
+    });
+  });
+
+  it("diffs a modified clause word by word", () => {
+    const payment = clauseFor(result, "Payment");
+    expect(payment).toMatchObject({
+      status: "modified",
+      renumbered: false,
+      wordsAdded: 1,
+      wordsRemoved: 1,
+    });
+    expect(payment.changes).toEqual([
+      { type: "equal", text: "1. Payment. Rent is due on the " },
+      { type: "delete", text: "1st" },
+      { type: "insert", text: "5th" },
+      { type: "equal", text: " day of each month." },
+    ]);
+  });
+
+  it("reports added and removed clauses", () => {
+    expect(clauseFor(result, "Confidentiality")).toMatchObject({
+      status: "removed",
+      base: { number: "2" },
+      revised: null,
+    });
+    expect(clauseFor(result, "Auto-Renewal")).toMatchObject({
+      status: "added",
+      base: null,
+      revised: { number: "4" },
+      risk: { delta: 0.15, factorsAdded: ["auto_renewal"] },
+    });
+  });
+
+  it("pairs a renumbered clause with its old number", () => {
+    expect(clauseFor(result, "Notices")).toMatchObject({
+      status: "unchanged",
+      renumbered: true,
+      base: { number: "4" },
+      revised: { number: "3" },
+    });
+    expect(clauseFor(result, "Notices").changes).toBeUndefined();
+  });
+
+  it("reports the risk factors a revised clause adds", () => {
+    expect(clauseFor(result, "Liability")).toMatchObject({
+      status: "modified",
+      renumbered: true,
+      base: { number: "3" },
+      revised: { number: "2" },
+      risk: {
+        delta: 0.4,
+        factorsAdded: ["uncapped_liability"],
+        factorsRemoved: [],
+      },
+    });
+  });
+
+  it("lists clauses in reading order", () => {
+    expect(
+      result.clauses.map((clause) => [
+        clause.status,
+        clause.base?.number ?? null,
+        clause.revised?.number ?? null,
+      ]),
+    ).toEqual([
+      ["unchanged", null, null],
+      ["modified", "1", "1"],
+      ["removed", "2", null],
+      ["modified", "3", "2"],
+      ["unchanged", "4", "3"],
+      ["added", null, "4"],
+    ]);
+  });
+
+  it("reports the overall and category risk change", () => {
+    expect(result.overallRisk).toEqual({
+      base: "low",
+      revised: "medium",
+      delta: 1,
+      change: "increased",
+    });
+    expect(result.categories).toContainEqual(
+      expect.objectContaining({
+        category: "financial",
+        base: { score: 0, level: null },
+        revised: { score: 0.4, level: "medium" },
+      }),
+    );
+  });
+
+  it("reports an unchanged document as unchanged", async () => {
+    const same = await compareDocuments({ text: BASE }, { text: BASE });
+    expect(same.summary).toMatchObject({
+      added: 0,
+      removed: 0,
+      modified: 0,
+      renumbered: 0,
+    });
+    expect(same.overallRisk.change).toBe("unchanged");
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildGlossary,
+  extractParties,
+} from "../src/services/entityExtractor.js";
+
+const AGREEMENT = `SERVICES AGREEMENT
+This Agreement is made between Acme Corp., a Delaware corporation with its principal place of business at 1 Main St, Dover, DE (the "Provider"), and Jane Smith, an individual residing at 12 Elm Street, London (the "Client").
+1. Definitions
+"Services" means the consulting services described in Schedule 1.
+2. Services. The Provider shall perform the Services for the Client.`;
+
+describe("extractParties", () => {
+  it("reads parties defined in parentheses with their details", () => {
+    expect(extractParties(AGREEMENT)).toEqual([
+      expect.objectContaining({
+        name: "Acme Corp.",
+        role: "Provider",
+        type: "organization",
+        form: "corporation",
+        jurisdiction: "Delaware",
+        address: "1 Main St, Dover, DE",
+      }),
+      expect.objectContaining({
+        name: "Jane Smith",
+        role: "Client",
+        type: "individual",
+        address: "12 Elm Street, London",
+      }),
+    ]);
+  });
+
+  it("merges a signature line into the party it names", () => {
+    const parties = extractParties(
+      `${AGREEMENT}\n\nCLIENT: Jane Smith\nPROVIDER: Acme Corp.`,
+    );
+
+    expect(parties.map((party) => [party.name, party.role])).toEqual([
+      ["Acme Corp.", "Provider"],
+      ["Jane Smith", "Client"],
+    ]);
+  });
+
+  it("falls back to company names when no roles are defined", () => {
+    const parties = extractParties(
+      "This invoice is issued by Globex Ltd to Initech LLC for the work done.",
+    );
+
+    expect(parties).toEqual([
+      expect.objectContaining({ name: "Globex Ltd", role: null, form: "Ltd" }),
+      expect.objectContaining({ name: "Initech LLC", role: null, form: "LLC" }),
+    ]);
+  });
+});
+
+describe("buildGlossary", () => {
+  it("lists quoted and parenthetical definitions with their uses", () => {
+    const glossary = buildGlossary(AGREEMENT);
+    const entry = (term) => glossary.find((item) => item.term === term);
+
+    expect(glossary.map((item) => item.term)).toEqual([
+      "Provider",
+      "Client",
+      "Services",
+    ]);
+    expect(entry("Services")).toMatchObject({
+      source: "means",
+      definition: expect.stringContaining("the consulting services"),
+      occurrences: 2,
+    });
+    expect(entry("Client")).toMatchObject({
+      source: "parenthetical",
+      definition: "Jane Smith, an individual residing at 12 Elm Street, London",
+      occurrences: 1,
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect } from "vitest";
+import { extractFinancialTerms } from "../src/services/financialExtractor.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEASE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "documents", "lease.txt"),
+  "utf8",
+);
+
+function termFor(result, text) {
+  return result.terms.find((term) => term.text === text);
+}
+
+describe("extractFinancialTerms", () => {
+  it("types an amount by its own sentence only", () => {
+    const result = extractFinancialTerms(
+      "Invoices paid late incur a late payment charge.\nThe Client shall pay GBP 200 per week for support.",
+    );
+
+    expect(termFor(result, "GBP 200")).toMatchObject({
+      type: "other",
+      frequency: "weekly",
+      contingent: false,
+    });
+  });
+
+  it("extracts interest on late payment as contingent", () => {
+    const result = extractFinancialTerms(
+      "Overdue amounts bear interest at 2% per month. Fees are USD 500 per month. This Agreement has a term of twelve months.",
+    );
+
+    expect(result.interest).toEqual([
+      expect.objectContaining({
+        rate: 2,
+        frequency: "monthly",
+        contingent: true,
+      }),
+    ]);
+    expect(result.contractValue.excluded).toContainEqual({
+      text: "2% monthly interest",
+      reason: "late payment interest is contingent",
+    });
+    expect(result.contractValue.totals).toEqual([
+      { currency: "USD", oneTime: 0, recurring: 6000, amount: 6000 },
+    ]);
+  });
+
+  it("counts the months of a term ending the day before its anniversary", () => {
+    const result = extractFinancialTerms(LEASE);
+
+    expect(result.contractValue).toMatchObject({
+      termMonths: 12,
+      totals: [{ currency: "GBP", recurring: 12000, amount: 12000 }],
+    });
+  });
+
+  it.each([
+    ["remain in force for two (2) years from the Effective Date", 24],
+    ["remain in force for thirty-six (36) months from the Effective Date", 36],
+    ["have an initial term of twenty-four months", 24],
+  ])("reads the term when the agreement shall %s", (wording, months) => {
+    const result = extractFinancialTerms(
+      `This Agreement shall ${wording}. The Client shall pay fees of USD 500 per month.`,
+    );
+
+    expect(result.contractValue.termMonths).toBe(months);
+    expect(result.contractValue.totals[0].recurring).toBe(500 * months);
+  });
+});
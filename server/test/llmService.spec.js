@@ -0,0 +1,124 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import {
+  generateJson,
+  generateText,
+  parseJsonResponse,
+  registerLlmProvider,
+  streamText,
+} from "../src/services/llmService.js";
+import { DOCUMENT_SUMMARY } from "../src/services/llmSchemas.js";
+import { analyzeDocument } from "../src/services/aiAnalyzer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RECORDINGS = path.join(__dirname, "fixtures", "llm");
+const LEASE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "documents", "lease.txt"),
+  "utf8",
+);
+
+// Responses recorded in test/fixtures/llm for the lease fixture; an
+// unrecorded prompt fails instead of getting the placeholder
+beforeAll(() => {
+  vi.stubEnv("LLM_PROVIDER", "replay");
+  vi.stubEnv("LLM_REPLAY_DIR", RECORDINGS);
+  vi.stubEnv("LLM_REPLAY_MODE", "replay");
+  vi.stubEnv("LLM_REPLAY_STRICT", "true");
+});
+
+afterAll(() => vi.unstubAllEnvs());
+
+// A provider that returns `replies` in turn
+function scripted(name, replies) {
+  const prompts = [];
+  registerLlmProvider(name, () => ({
+    name,
+    async generate({ prompt }) {
+      prompts.push(prompt);
+      return { text: replies[prompts.length - 1], model: `${name}-1` };
+    },
+  }));
+  return prompts;
+}
+
+describe("replay provider", () => {
+  it("runs the analysis from recorded responses", async () => {
+    const analysis = await analyzeDocument(LEASE);
+
+    expect(analysis.aiSummary).toMatchObject({
+      source: "model",
+      documentType: "Residential Lease",
+    });
+    expect(analysis.plainLanguage.source).toBe("model");
+    expect(analysis.metadata).toMatchObject({
+      provider: "replay",
+      model: "fixture",
+    });
+  });
+
+  it("fails on a prompt with no recording in strict mode", async () => {
+    await expect(generateText("Not recorded")).rejects.toThrow(
+      /No recorded LLM response/,
+    );
+  });
+
+  it("streams a recorded response word by word", async () => {
+    const deltas = [];
+    const [file] = fs.readdirSync(RECORDINGS);
+    const recording = JSON.parse(
+      fs.readFileSync(path.join(RECORDINGS, file), "utf8"),
+    );
+
+    const result = await streamText(recording.request.prompt, {
+      onDelta: (delta) => deltas.push(delta),
+    });
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join("")).toBe(recording.response.text);
+    expect(result).toMatchObject({ model: "fixture", aborted: false });
+  });
+});
+
+describe("structured output", () => {
+  it("parses fenced JSON with trailing commas", () => {
+    expect(
+      parseJsonResponse('Here it is:\n```json\n{"overview": "A lease",}\n```'),
+    ).toMatchObject({ value: { overview: "A lease" }, repaired: true });
+  });
+
+  it("asks again with the validation errors", async () => {
+    const prompts = scripted("retrying", [
+      '{"documentType": "Lease"}',
+      '{"overview": "A lease", "documentType": "Lease"}',
+    ]);
+
+    const result = await generateJson("Summarise", DOCUMENT_SUMMARY, {
+      provider: "retrying",
+    });
+
+    expect(result).toMatchObject({
+      source: "model",
+      attempts: 2,
+      provider: "retrying",
+      model: "retrying-1",
+    });
+    expect(prompts[1]).toMatch(/"overview" is required/);
+  });
+
+  it("falls back when no reply validates", async () => {
+    scripted("failing", ["not JSON", "still not JSON"]);
+
+    const result = await generateJson("Summarise", DOCUMENT_SUMMARY, {
+      provider: "failing",
+      retries: 1,
+      fallback: (reply) => ({ overview: reply }),
+    });
+
+    expect(result).toMatchObject({
+      source: "fallback",
+      data: { overview: "still not JSON" },
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import Database from "better-sqlite3";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  MigrationRunner,
+  SchemaVersionError,
+} from "../src/services/migrationRunner.js";
+
+describe("migration runner", () => {
+  let db;
+  let runner;
+
+  beforeEach(() => {
+    db = new Database(":memory:");
+    runner = new MigrationRunner(db);
+  });
+
+  afterEach(() => db.close());
+
+  it("reports every migration as pending on a new database", async () => {
+    const migrations = await runner.loadMigrations();
+
+    expect(await runner.checkCompatibility()).toEqual({
+      currentVersion: 0,
+      latestVersion: migrations.at(-1).version,
+      pending: migrations.length,
+    });
+  });
+
+  it("applies pending migrations up to a version", async () => {
+    const applied = await runner.migrate({ to: 2 });
+
+    expect(applied.map((migration) => migration.version)).toEqual([1, 2]);
+    expect(await runner.checkCompatibility()).toMatchObject({
+      currentVersion: 2,
+      pending: 1,
+    });
+
+    await runner.migrate();
+    expect((await runner.checkCompatibility()).pending).toBe(0);
+  });
+
+  it("refuses a database migrated by a newer release", async () => {
+    await runner.migrate();
+    db.prepare(
+      "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+    ).run(99, "from-the-future", new Date().toISOString());
+
+    await expect(runner.checkCompatibility()).rejects.toBeInstanceOf(
+      SchemaVersionError,
+    );
+    await expect(runner.migrate()).rejects.toThrow(/newer than the latest/);
+    expect((await runner.status()).at(-1)).toMatchObject({
+      version: 99,
+      missing: true,
+    });
+  });
+
+  it("rolls back the latest migration", async () => {
+    await runner.migrate();
+
+    expect(await runner.rollback()).toEqual([
+      { version: 3, name: "document-chunks" },
+    ]);
+    expect(
+      db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE name = 'document_chunks'",
+        )
+        .get(),
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  extractObligations,
+  filterObligations,
+} from "../src/services/obligationExtractor.js";
+
+const LEASE = `This Lease is made on 1 March 2024 between Jane Smith (the "Landlord") and John Doe (the "Tenant").
+1. Rent. If rent is late, the Tenant shall pay a late fee within 5 days.
+2. Pets. The Tenant may not keep pets at the property.
+3. Access. The Landlord may enter the property with 24 hours' notice.
+4. Confidentiality. Neither party shall disclose the terms of this Lease.
+5. Liability. The Landlord shall not be liable for loss of personal belongings.`;
+
+function partyFor(result, role) {
+  return result.parties.find((entry) => entry.role === role);
+}
+
+describe("extractObligations", () => {
+  const result = extractObligations(LEASE);
+
+  it("reads an obligation with its condition and deadline", () => {
+    expect(partyFor(result, "Tenant").obligations).toEqual([
+      expect.objectContaining({
+        modality: "shall",
+        subject: "the Tenant",
+        action: "pay a late fee within 5 days",
+        conditions: ["If rent is late"],
+        deadlines: [expect.objectContaining({ text: "within 5 days" })],
+        clause: expect.objectContaining({ number: "1" }),
+      }),
+    ]);
+  });
+
+  it('reads "may not" as a prohibition and "may" as a permission', () => {
+    expect(partyFor(result, "Tenant").prohibitions[0]).toMatchObject({
+      modality: "shall not",
+      verb: "may not",
+      action: "keep pets at the property",
+    });
+    expect(partyFor(result, "Landlord").permissions).toEqual([
+      expect.objectContaining({
+        modality: "may",
+        action: "enter the property with 24 hours' notice",
+      }),
+    ]);
+  });
+
+  it('lists "Neither party shall" as a mutual prohibition for every party', () => {
+    result.parties.forEach((entry) =>
+      expect(entry.prohibitions).toContainEqual(
+        expect.objectContaining({
+          subject: "Neither party",
+          mutual: true,
+          action: "disclose the terms of this Lease",
+        }),
+      ),
+    );
+  });
+
+  it('leaves "shall not be liable" to the liability clause', () => {
+    expect(result.counts).toEqual({
+      obligations: 1,
+      permissions: 1,
+      prohibitions: 2,
+    });
+  });
+});
+
+describe("filterObligations", () => {
+  const obligations = extractObligations(LEASE);
+
+  it("narrows to a party by name or role", () => {
+    const byRole = filterObligations(obligations, { party: "tenant" });
+    const byName = filterObligations(obligations, { party: "Jane Smith" });
+
+    expect(byRole.parties.map((entry) => entry.role)).toEqual(["Tenant"]);
+    expect(byName.parties.map((entry) => entry.role)).toEqual(["Landlord"]);
+    expect(byRole.counts).toEqual(obligations.counts);
+  });
+
+  it("keeps only the list for one kind", () => {
+    const { parties } = filterObligations(obligations, {
+      party: "Tenant",
+      kind: "prohibition",
+    });
+
+    expect(Object.keys(parties[0])).toEqual(["party", "role", "prohibitions"]);
+    expect(parties[0].prohibitions).toHaveLength(2);
+  });
+
+  it("returns an empty matrix for analyses without obligations", () => {
+    expect(filterObligations(undefined)).toEqual({
+      parties: [],
+      counts: { obligations: 0, permissions: 0, prohibitions: 0 },
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  getOcrProvider,
+  registerOcrProvider,
+  recognizeImage,
+  terminateOcrProviders,
+} from "../src/services/ocrService.js";
+
+const vision = vi.hoisted(() => ({
+  analyzeDocument: vi.fn(async () => ({
+    text: " Signed by both parties. \n",
+    confidence: 0.8,
+    words: [
+      { text: "Signed", confidence: 0.8, bbox: { x0: 0, y0: 0, x1: 5, y1: 2 } },
+    ],
+  })),
+}));
+vi.mock("../src/services/googleCloud.js", () => ({
+  visionClient: {},
+  initializeGoogleCloud: vi.fn(),
+  analyzeDocument: vision.analyzeDocument,
+}));
+
+const IMAGE = Buffer.from("png");
+
+// An OCR provider that reads every image as `text`
+function stubProvider(name, text) {
+  return {
+    name,
+    recognize: vi.fn(async () => ({ text, confidence: 0.9, words: [] })),
+    terminate: vi.fn(async () => {}),
+  };
+}
+
+afterEach(async () => {
+  await terminateOcrProviders();
+  vi.unstubAllEnvs();
+});
+
+describe("OCR provider selection", () => {
+  it("uses the provider named in the options", async () => {
+    const stub = stubProvider("stub", "1. Parties");
+    registerOcrProvider("stub", () => stub);
+
+    const result = await recognizeImage(IMAGE, {
+      provider: "Stub",
+      pageNumber: 2,
+    });
+
+    expect(result).toEqual({
+      text: "1. Parties",
+      confidence: 0.9,
+      words: [],
+      provider: "stub",
+    });
+    expect(stub.recognize).toHaveBeenCalledWith(IMAGE, {
+      provider: "Stub",
+      pageNumber: 2,
+    });
+  });
+
+  it("falls back to OCR_PROVIDER", async () => {
+    vi.stubEnv("OCR_PROVIDER", "hosted");
+    registerOcrProvider("hosted", () => stubProvider("hosted", "2. Term"));
+
+    expect((await recognizeImage(IMAGE)).provider).toBe("hosted");
+  });
+
+  it("creates each provider once until it is terminated", async () => {
+    const factory = vi.fn(() => stubProvider("stub", ""));
+    registerOcrProvider("stub", factory);
+
+    const first = getOcrProvider("stub");
+    expect(getOcrProvider("STUB")).toBe(first);
+    expect(factory).toHaveBeenCalledTimes(1);
+
+    await terminateOcrProviders();
+    expect(first.terminate).toHaveBeenCalled();
+    expect(getOcrProvider("stub")).not.toBe(first);
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+
+  it("replaces a provider registered under the same name", () => {
+    registerOcrProvider("stub", () => stubProvider("stub", "old"));
+    const before = getOcrProvider("stub");
+    registerOcrProvider("stub", () => stubProvider("stub", "new"));
+
+    expect(getOcrProvider("stub")).not.toBe(before);
+  });
+
+  it("rejects an unknown provider", () => {
+    expect(() => getOcrProvider("abbyy")).toThrow(
+      /Unknown OCR provider: abbyy\. Available: tesseract, vision/,
+    );
+  });
+
+  it("reads documents through Cloud Vision", async () => {
+    const result = await recognizeImage(IMAGE, { provider: "vision" });
+
+    expect(vision.analyzeDocument).toHaveBeenCalledWith(IMAGE);
+    expect(result).toMatchObject({
+      provider: "vision",
+      text: "Signed by both parties.",
+      confidence: 0.8,
+      words: [expect.objectContaining({ text: "Signed" })],
+    });
+  });
+});
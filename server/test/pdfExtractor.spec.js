@@ -0,0 +1,171 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  extractPdf,
+  parsePdfDate,
+  PAGE_SEPARATOR,
+} from "../src/services/pdfExtractor.js";
+
+// Minimal PDF with one Helvetica font, an Info dictionary and one content
+// stream per page
+function buildPdf(pages, info) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    `<< ${Object.entries(info)
+      .map(([key, value]) => `/${key} (${value})`)
+      .join(" ")} >>`,
+  ];
+  pages.forEach((content, i) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+    );
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+// Text drawn at [x, y] from the bottom left of the page
+const textPage = (lines) =>
+  lines
+    .map(([x, y, text]) => `BT /F1 12 Tf ${x} ${y} Td (${text}) Tj ET`)
+    .join("\n");
+
+// A page holding only an 8x8 grey image, as a scan would
+const scannedPage = `q 100 0 0 100 100 600 cm\nBI /W 8 /H 8 /CS /G /BPC 8 ID\n${"\x80".repeat(64)}\nEI Q`;
+
+const PDF = buildPdf(
+  [
+    textPage([
+      [72, 720, "SERVICE AGREEMENT"],
+      [72, 690, "1. Services. The Supplier shall provide support."],
+      [72, 676, "Support is given on working days."],
+    ]),
+    textPage([[72, 720, "2. Fees. The Client shall pay 500 each month."]]),
+    scannedPage,
+  ],
+  {
+    Title: "Service Agreement",
+    Author: "Acme Corp",
+    CreationDate: "D:20240301120000+01'00'",
+  },
+);
+
+describe("extractPdf", async () => {
+  const result = await extractPdf(PDF);
+
+  it("returns each page's text with its offsets in the document", () => {
+    expect(result.pageCount).toBe(3);
+    expect(result.pages.map((page) => page.text)).toEqual([
+      "SERVICE AGREEMENT\n\n1. Services. The Supplier shall provide support.\nSupport is given on working days.",
+      "2. Fees. The Client shall pay 500 each month.",
+      "",
+    ]);
+    expect(result.text).toBe(
+      result.pages.map((page) => page.text).join(PAGE_SEPARATOR),
+    );
+    result.pages.forEach((page) => {
+      expect(result.text.slice(page.start, page.end)).toBe(page.text);
+    });
+  });
+
+  it("places lines on the page from the top left", () => {
+    const [first] = result.pages;
+    expect(first).toMatchObject({ width: 612, height: 792 });
+    expect(first.lines.map(({ text, x, y }) => ({ text, x, y }))).toEqual([
+      { text: "SERVICE AGREEMENT", x: 72, y: 60 },
+      {
+        text: "1. Services. The Supplier shall provide support.",
+        x: 72,
+        y: 90,
+      },
+      { text: "Support is given on working days.", x: 72, y: 104 },
+    ]);
+  });
+
+  it("flags pages without a text layer", () => {
+    expect(result.pages.map((page) => page.hasTextLayer)).toEqual([
+      true,
+      true,
+      false,
+    ]);
+    expect(result.pages[2].ocr).toBeNull();
+  });
+
+  it("reads the document metadata", () => {
+    expect(result.metadata).toEqual({
+      title: "Service Agreement",
+      author: "Acme Corp",
+      subject: null,
+      creator: null,
+      producer: null,
+      creationDate: "2024-03-01T11:00:00.000Z",
+      modificationDate: null,
+      pdfVersion: "1.4",
+      encrypted: false,
+    });
+  });
+
+  it("passes scanned pages to OCR and uses the recognised text", async () => {
+    const ocr = vi.fn(async () => ({
+      provider: "stub",
+      confidence: 0.9,
+      text: "3. Signatures. Signed by both parties.",
+      words: [],
+    }));
+
+    const scanned = await extractPdf(PDF, { ocr });
+
+    expect(ocr).toHaveBeenCalledTimes(1);
+    const [image, options] = ocr.mock.calls[0];
+    expect(image.subarray(1, 4).toString()).toBe("PNG");
+    expect(options).toEqual({ pageNumber: 3 });
+    expect(scanned.pages[2]).toMatchObject({
+      text: "3. Signatures. Signed by both parties.",
+      hasTextLayer: false,
+      lines: [],
+      ocr: { provider: "stub", confidence: 0.9, imageWidth: 8, imageHeight: 8 },
+    });
+    expect(
+      scanned.text.endsWith("3. Signatures. Signed by both parties."),
+    ).toBe(true);
+  });
+
+  it("keeps the page when OCR fails", async () => {
+    const ocr = vi.fn(async () => {
+      throw new Error("engine unavailable");
+    });
+
+    const scanned = await extractPdf(PDF, { ocr });
+
+    expect(scanned.pages[2]).toMatchObject({ text: "", ocr: null });
+  });
+});
+
+describe("parsePdfDate", () => {
+  it("reads dates with and without a time zone", () => {
+    expect(parsePdfDate("D:20240301120000Z")).toBe("2024-03-01T12:00:00.000Z");
+    expect(parsePdfDate("D:20240301120000-05'00'")).toBe(
+      "2024-03-01T17:00:00.000Z",
+    );
+    expect(parsePdfDate("D:2024")).toBe("2024-01-01T00:00:00.000Z");
+  });
+
+  it("returns null for anything else", () => {
+    expect(parsePdfDate("yesterday")).toBeNull();
+    expect(parsePdfDate(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  PlaybookError,
+  loadPlaybooks,
+} from "../src/services/playbookLibrary.js";
+
+function playbook(pattern) {
+  return `name: custom
+version: 1.0.0
+rules:
+  - id: no-waiver
+    title: No waiver
+    check: text_prohibited
+    pattern: '${pattern}'
+`;
+}
+
+describe("playbook patterns", () => {
+  let directory;
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  function load(pattern) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "playbooks-"));
+    fs.writeFileSync(path.join(directory, "custom.yaml"), playbook(pattern));
+    return () => loadPlaybooks({ directory });
+  }
+
+  it.each(["(a+)+b", "(?:\\w*\\s)*x", "((ab)*c){2,}"])(
+    "rejects the nested quantifier in %s",
+    (pattern) => {
+      expect(load(pattern)).toThrow(PlaybookError);
+    },
+  );
+
+  it.each(["(a|aa)*b", "(\\w|\\d)+x", "(?:(?:in|on)\\s)+x", "(?:x|y){2,}"])(
+    "rejects the repeated alternation in %s",
+    (pattern) => {
+      expect(load(pattern)).toThrow(PlaybookError);
+    },
+  );
+
+  it("rejects patterns over 200 characters", () => {
+    expect(load("a".repeat(201))).toThrow(PlaybookError);
+  });
+
+  it.each([
+    "class\\s+action",
+    "(?:waive|waiver)s?",
+    "[(+]+\\d+",
+    "\\(a+\\)+",
+    "[a|b]+",
+    "\\(a|b\\)+",
+  ])("accepts %s", (pattern) => {
+    expect(load(pattern)().playbooks.get("custom").rules).toHaveLength(1);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import { scoreRisks, clauseRiskFactors } from "../src/services/riskModel.js";
+import { segmentDocument } from "../src/services/clauseSegmenter.js";
+import { extractFinancialTerms } from "../src/services/financialExtractor.js";
+
+const LEASE = `LEASE AGREEMENT
+1. Rent. The Tenant shall pay rent of £1,000 per month.
+2. Late Payment. If rent is late, the Tenant shall pay a late fee of £20 per day.
+3. Deposit. The Tenant shall pay a security deposit of £3,000.
+4. Review. The rent shall increase by 8% each year.
+5. Liability. The Landlord shall have unlimited liability for all losses.`;
+
+const structure = segmentDocument(LEASE);
+
+function factorsOf(risk) {
+  return risk.evidence.map((item) => [item.factor, item.clause?.number]);
+}
+
+describe("scoreRisks", () => {
+  it("backs each score with the evidence it adds up", () => {
+    const [financial] = scoreRisks(LEASE, structure);
+
+    expect(financial).toMatchObject({
+      category: "financial",
+      level: "high",
+      score: 0.65,
+      details: [
+        "Charges a fee or interest on late payment — clause 2 (+0.25)",
+        "Leaves liability uncapped — clause 5 (+0.40)",
+      ],
+    });
+    expect(factorsOf(financial)).toEqual([
+      ["late_payment_charge", "2"],
+      ["uncapped_liability", "5"],
+    ]);
+    expect(financial.clauses.map((clause) => clause.number)).toEqual([
+      "2",
+      "5",
+    ]);
+  });
+
+  it("points each piece of evidence at its span in the text", () => {
+    const [financial] = scoreRisks(LEASE, structure);
+
+    financial.evidence.forEach((item) => {
+      expect(LEASE.slice(item.start, item.end)).toBe(item.text);
+      expect(item.start).toBeGreaterThanOrEqual(item.clause.start);
+      expect(item.end).toBeLessThanOrEqual(item.clause.end);
+      expect(item.excerpt).toContain(item.text);
+    });
+  });
+
+  it("adds the financial factors from the financial terms", () => {
+    const financials = extractFinancialTerms(LEASE, structure);
+    const [financial] = scoreRisks(LEASE, structure, { financials });
+
+    expect(financial).toMatchObject({ score: 1, level: "critical" });
+    expect(factorsOf(financial)).toEqual([
+      ["late_payment_charge", "2"],
+      ["uncapped_liability", "5"],
+      ["daily_charge", "2"],
+      ["steep_escalation", "4"],
+      ["large_deposit", "3"],
+    ]);
+    expect(
+      financial.evidence.find((item) => item.factor === "large_deposit"),
+    ).toMatchObject({ text: "£3,000", weight: 0.15 });
+  });
+
+  it("replaces factor weights and drops factors weighted 0", () => {
+    const [financial] = scoreRisks(LEASE, structure, {
+      weights: { late_payment_charge: 0.5, uncapped_liability: 0 },
+    });
+
+    expect(financial.score).toBe(0.5);
+    expect(factorsOf(financial)).toEqual([["late_payment_charge", "2"]]);
+  });
+
+  it("leaves out categories at or below their threshold", () => {
+    const text = "If rent is late, the Tenant shall pay a late fee.";
+    expect(scoreRisks(text)).toEqual([]);
+  });
+
+  it("reads unnumbered text as the preamble", () => {
+    const text =
+      "The Supplier shall have unlimited liability and shall indemnify the Customer.";
+    const [financial] = scoreRisks(text);
+
+    expect(financial.evidence.map((item) => item.factor)).toEqual([
+      "indemnity",
+      "uncapped_liability",
+    ]);
+    expect(financial.clauses).toEqual([
+      expect.objectContaining({ kind: "preamble", start: 0, end: text.length }),
+    ]);
+  });
+});
+
+describe("clauseRiskFactors", () => {
+  it("scores each clause on its own text", () => {
+    const byClause = clauseRiskFactors(LEASE, structure);
+
+    expect(byClause.get("c2")).toEqual({
+      score: 0.25,
+      factors: [
+        {
+          factor: "late_payment_charge",
+          category: "financial",
+          reason: "Charges a fee or interest on late payment",
+          weight: 0.25,
+        },
+      ],
+    });
+    expect(byClause.get("c1")).toEqual({ score: 0, factors: [] });
+  });
+});
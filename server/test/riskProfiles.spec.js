@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, vi } from "vitest";
+import {
+  getRiskProfile,
+  applyRiskProfile,
+  listRiskProfiles,
+} from "../src/services/riskProfiles.js";
+import {
+  detectClauses,
+  assessRisks,
+  calculateOverallRisk,
+} from "../src/services/aiAnalyzer.js";
+import { segmentDocument } from "../src/services/clauseSegmenter.js";
+import { getClausePatterns } from "../src/services/patternLibrary.js";
+import analysisRoutes from "../src/routes/analysis.js";
+
+// The Vertex AI client is not needed to validate requests
+vi.mock("../src/services/googleCloud.js", () => ({}));
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEASE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "documents", "lease.txt"),
+  "utf8",
+);
+
+// The lease with a rent review and a forfeited deposit
+const REVIEWED_LEASE = `${LEASE.trimEnd()}
+
+6. Rent Review
+The Landlord may increase the rent once a year. The deposit is forfeited if the Tenant leaves before the end of the term.
+`;
+
+async function clausesFor(text, perspective) {
+  const profile = getRiskProfile(perspective);
+  const clauses = await detectClauses(
+    text,
+    segmentDocument(text),
+    applyRiskProfile(getClausePatterns().clauses, profile),
+  );
+  return Object.fromEntries(clauses.map((clause) => [clause.type, clause]));
+}
+
+async function risksFor(text, perspective) {
+  const risks = await assessRisks(
+    text,
+    segmentDocument(text),
+    getRiskProfile(perspective),
+  );
+  return { risks, overallRisk: calculateOverallRisk(risks) };
+}
+
+describe("getRiskProfile", () => {
+  it("returns null for the neutral view", () => {
+    expect(getRiskProfile()).toBeNull();
+    expect(getRiskProfile("")).toBeNull();
+  });
+
+  it("reads the perspective case-insensitively", () => {
+    expect(getRiskProfile("Tenant")).toMatchObject({
+      id: "tenant",
+      counterparty: "landlord",
+    });
+  });
+
+  it("rejects an unknown perspective", () => {
+    expect(() => getRiskProfile("lodger")).toThrow(
+      /Unknown perspective: lodger \(available: tenant, landlord/,
+    );
+  });
+});
+
+describe("applyRiskProfile", () => {
+  it("gives tenant and landlord different clause levels for the same lease", async () => {
+    const neutral = await clausesFor(LEASE);
+    const tenant = await clausesFor(LEASE, "tenant");
+    const landlord = await clausesFor(LEASE, "landlord");
+
+    expect(neutral.security_deposit.riskLevel).toBe("medium");
+    expect(tenant.security_deposit).toMatchObject({
+      riskLevel: "high",
+      defaultRiskLevel: "medium",
+      rationale:
+        "The landlord holds your deposit and decides what to deduct from it.",
+    });
+    expect(landlord.security_deposit).toMatchObject({
+      riskLevel: "low",
+      defaultRiskLevel: "medium",
+    });
+    expect(tenant.termination.riskLevel).toBe("high");
+    expect(landlord.termination).toMatchObject({
+      riskLevel: "medium",
+      defaultRiskLevel: "high",
+    });
+  });
+
+  it("puts each side's recommendations ahead of the neutral ones", async () => {
+    const neutral = await clausesFor(LEASE);
+    const tenant = await clausesFor(LEASE, "tenant");
+    const landlord = await clausesFor(LEASE, "landlord");
+
+    expect(tenant.payment.recommendations).toEqual([
+      "Check when and by how much the rent can increase",
+      ...neutral.payment.recommendations,
+    ]);
+    expect(landlord.payment.recommendations).toEqual([
+      "Check your remedies if rent is paid late",
+      ...neutral.payment.recommendations,
+    ]);
+  });
+
+  it("leaves clause types the profile does not mention unchanged", () => {
+    const patterns = getClausePatterns().clauses;
+    const adjusted = applyRiskProfile(patterns, getRiskProfile("tenant"));
+
+    expect(adjusted.confidentiality).toBe(patterns.confidentiality);
+    expect(applyRiskProfile(patterns, null)).toBe(patterns);
+  });
+
+  it("weighs the same lease's risks differently for each side", async () => {
+    const tenant = await risksFor(REVIEWED_LEASE, "tenant");
+    const landlord = await risksFor(REVIEWED_LEASE, "landlord");
+
+    expect(tenant.risks).toEqual([
+      expect.objectContaining({ category: "financial", level: "critical" }),
+    ]);
+    expect(tenant.overallRisk).toBe("critical");
+    expect(landlord.risks).toEqual([]);
+    expect(landlord.overallRisk).toBe("low");
+  });
+});
+
+describe("perspective option", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/analysis", analysisRoutes);
+
+  it("rejects an unknown perspective with 400", async () => {
+    const response = await request(app)
+      .post("/api/analysis/0b9f4a8e-3c1d-4f6a-9e2b-7d5c8a1f3e60/analyze")
+      .send({ text: LEASE, options: { perspective: "lodger" } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("Validation failed");
+    expect(response.body.details).toContainEqual(
+      expect.objectContaining({
+        path: "options.perspective",
+        msg: `Unknown perspective (available: ${listRiskProfiles()
+          .map((profile) => profile.id)
+          .join(", ")})`,
+      }),
+    );
+  });
+
+  it("lists the perspectives", async () => {
+    const response = await request(app).get("/api/analysis/perspectives");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((profile) => profile.id)).toContain(
+      "landlord",
+    );
+  });
+});
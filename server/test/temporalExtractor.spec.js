@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { extractTimeline } from "../src/services/temporalExtractor.js";
+
+const AGREEMENT = `This Agreement is made on 1 March 2024 (the "Effective Date").
+1. Term. This Agreement shall remain in force for two (2) years from the Effective Date.
+2. Renewal. Either party may give notice of non-renewal at least 60 days prior to the end of the Term.
+3. Payment. Invoices are payable within 30 days after the Effective Date.`;
+
+function entry(timeline, text) {
+  return timeline.entries.find((candidate) => candidate.text.includes(text));
+}
+
+describe("extractTimeline", () => {
+  it("reads the expiry from a term stated from the effective date", () => {
+    const timeline = extractTimeline(AGREEMENT);
+
+    expect(timeline).toMatchObject({
+      effectiveDate: "2024-03-01",
+      expiryDate: "2026-03-01",
+    });
+    expect(entry(timeline, "two (2) years")).toMatchObject({
+      type: "expiry",
+      date: "2026-03-01",
+      relative: { amount: 2, unit: "year", anchorDate: "2024-03-01" },
+      ambiguous: false,
+    });
+  });
+
+  it("resolves periods against the effective and expiry dates", () => {
+    const timeline = extractTimeline(AGREEMENT);
+
+    expect(entry(timeline, "60 days prior")).toMatchObject({
+      date: "2025-12-31",
+      relative: { direction: "before", anchorDate: "2026-03-01" },
+    });
+    expect(entry(timeline, "30 days after")).toMatchObject({
+      type: "payment_due",
+      date: "2024-03-31",
+    });
+  });
+
+  it("reads a term of months from the commencement date", () => {
+    const timeline = extractTimeline(
+      "The initial term of twelve months commencing on 1 March 2024.",
+    );
+
+    expect(timeline.expiryDate).toBe("2025-03-01");
+  });
+
+  it("flags relative dates with nothing to resolve against", () => {
+    const timeline = extractTimeline(
+      "This Agreement shall remain in force for two (2) years from the Effective Date. Either party may terminate on 90 days' notice.",
+    );
+
+    expect(timeline.expiryDate).toBeNull();
+    expect(entry(timeline, "two (2) years").ambiguities).toEqual([
+      "No effective date found to resolve against",
+    ]);
+    expect(entry(timeline, "90 days").ambiguities).toEqual([
+      "Notice period; runs from when notice is given",
+    ]);
+  });
+
+  it("flags numeric dates whose day and month could be swapped", () => {
+    const monthFirst = entry(extractTimeline("Signed on 03/04/2024."), "03/04");
+    const dayFirst = entry(
+      extractTimeline("Signed on 03/04/2024.", undefined, { dayFirst: true }),
+      "03/04",
+    );
+    const unambiguous = entry(
+      extractTimeline("Signed on 13/04/2024."),
+      "13/04",
+    );
+
+    expect(monthFirst).toMatchObject({
+      date: "2024-03-04",
+      alternatives: ["2024-04-03"],
+      ambiguous: true,
+    });
+    expect(dayFirst.date).toBe("2024-04-03");
+    expect(unambiguous).toMatchObject({ date: "2024-04-13", ambiguous: false });
+  });
+});
@@ -0,0 +1,205 @@
+import JSZip from "jszip";
+import { describe, it, expect, vi } from "vitest";
+import {
+  extractDocx,
+  extractLegacyDoc,
+  isZipBuffer,
+} from "../src/services/wordExtractor.js";
+
+// Legacy .doc bodies come from word-extractor; the spec supplies them
+const legacy = vi.hoisted(() => ({ body: "" }));
+vi.mock("word-extractor", () => ({
+  default: class {
+    async extract() {
+      return { getBody: () => legacy.body };
+    }
+  },
+}));
+
+const W =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const STYLES = `<w:styles ${W}>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/>
+    <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>
+  </w:style>
+</w:styles>`;
+
+// Decimal list: "1." at level 0 and "1.1" at level 1
+const NUMBERING = `<w:numbering ${W}>
+  <w:abstractNum w:abstractNumId="0">
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/></w:lvl>
+    <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1.%2"/></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const paragraph = (text, { style, ilvl } = {}) => {
+  const properties = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    ilvl !== undefined &&
+      `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="1"/></w:numPr>`,
+  ]
+    .filter(Boolean)
+    .join("");
+  return `<w:p>${properties && `<w:pPr>${properties}</w:pPr>`}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+};
+
+const cell = (text) => `<w:tc>${paragraph(text)}</w:tc>`;
+
+const DOCUMENT = `<w:document ${W}><w:body>
+  ${paragraph("Service Agreement", { style: "Title" })}
+  ${paragraph("Services", { style: "Heading1" })}
+  ${paragraph("The Supplier shall provide support.", { ilvl: 1 })}
+  ${paragraph("Fees", { style: "Heading1" })}
+  ${paragraph("The Client shall pay the fees below.", { ilvl: 1 })}
+  <w:tbl>
+    <w:tr>${cell("Item")}${cell("Fee")}</w:tr>
+    <w:tr>${cell("Support")}${cell("£500")}</w:tr>
+  </w:tbl>
+  <w:p><w:r><w:t>Deleted </w:t></w:r><w:del><w:r><w:delText>old </w:delText></w:r></w:del><w:r><w:t>text stays out.</w:t></w:r></w:p>
+</w:body></w:document>`;
+
+const CORE = `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <dc:title>Service Agreement</dc:title>
+  <dc:creator>Acme Corp</dc:creator>
+  <dcterms:created>2024-03-01T12:00:00Z</dcterms:created>
+</cp:coreProperties>`;
+
+async function buildDocx(files) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+describe("extractDocx", async () => {
+  const buffer = await buildDocx({
+    "word/document.xml": DOCUMENT,
+    "word/styles.xml": STYLES,
+    "word/numbering.xml": NUMBERING,
+    "docProps/core.xml": CORE,
+    "docProps/app.xml": "<Properties><Pages>2</Pages></Properties>",
+  });
+  const result = await extractDocx(buffer);
+
+  it("recognises the container", () => {
+    expect(isZipBuffer(buffer)).toBe(true);
+    expect(isZipBuffer(Buffer.from("%PDF-1.4"))).toBe(false);
+  });
+
+  it("outlines headings with their numbering", () => {
+    expect(
+      result.outline.map(({ type, level, number, text }) =>
+        type === "table" ? { type } : { type, level, number, text },
+      ),
+    ).toEqual([
+      { type: "heading", level: 0, number: null, text: "Service Agreement" },
+      { type: "heading", level: 1, number: "1.", text: "Services" },
+      {
+        type: "paragraph",
+        level: 2,
+        number: "1.1",
+        text: "The Supplier shall provide support.",
+      },
+      { type: "heading", level: 1, number: "2.", text: "Fees" },
+      {
+        type: "paragraph",
+        level: 2,
+        number: "2.1",
+        text: "The Client shall pay the fees below.",
+      },
+      { type: "table" },
+      {
+        type: "paragraph",
+        level: null,
+        number: null,
+        text: "Deleted text stays out.",
+      },
+    ]);
+  });
+
+  it("keeps table rows and cells", () => {
+    const table = result.outline.find((entry) => entry.type === "table");
+    expect(table.rows).toEqual([
+      ["Item", "Fee"],
+      ["Support", "£500"],
+    ]);
+    expect(result.text.slice(table.start, table.end)).toBe(
+      "Item\tFee\nSupport\t£500",
+    );
+  });
+
+  it("points every outline entry at its line of the text", () => {
+    expect(result.text.split("\n").slice(0, 3)).toEqual([
+      "Service Agreement",
+      "1. Services",
+      "1.1 The Supplier shall provide support.",
+    ]);
+    result.outline
+      .filter((entry) => entry.type !== "table")
+      .forEach((entry) => {
+        expect(result.text.slice(entry.start, entry.end)).toBe(
+          entry.number ? `${entry.number} ${entry.text}` : entry.text,
+        );
+      });
+  });
+
+  it("reads the document properties", () => {
+    expect(result.metadata).toEqual({
+      title: "Service Agreement",
+      author: "Acme Corp",
+      creationDate: "2024-03-01T12:00:00.000Z",
+      pages: 2,
+    });
+    expect(result.pageCount).toBe(2);
+  });
+
+  it("rejects a ZIP without a document", async () => {
+    const other = await buildDocx({ "readme.txt": "not Word" });
+    await expect(extractDocx(other)).rejects.toThrow(
+      "word/document.xml is missing",
+    );
+  });
+});
+
+describe("extractLegacyDoc", () => {
+  const outline = async (body) => {
+    legacy.body = body;
+    const result = await extractLegacyDoc(Buffer.from("doc"));
+    return result.outline.map(({ type, number, text, level }) =>
+      type === "table" ? { type } : { number, text, level },
+    );
+  };
+
+  it("reads clause numbers from the start of a line", async () => {
+    expect(
+      await outline(
+        "1. Parties\r\n2.1 Rent is due monthly.\r\n12.3(b) Notice\r\n3) Term\r\n(a) the Tenant",
+      ),
+    ).toEqual([
+      { number: "1.", text: "Parties", level: 1 },
+      { number: "2.1", text: "Rent is due monthly.", level: 2 },
+      { number: "12.3(b)", text: "Notice", level: 3 },
+      { number: "3)", text: "Term", level: 1 },
+      { number: "(a)", text: "the Tenant", level: 1 },
+    ]);
+  });
+
+  it("does not read years or quantities as clause numbers", async () => {
+    expect(
+      await outline("2024 rent review applies.\n30 days after notice."),
+    ).toEqual([
+      { number: null, text: "2024 rent review applies.", level: null },
+      { number: null, text: "30 days after notice.", level: null },
+    ]);
+  });
+
+  it("reads tab-separated lines as table rows", async () => {
+    expect(await outline("Item\tFee\nSupport\t£500")).toEqual([
+      { type: "table" },
+      { type: "table" },
+    ]);
+  });
+});